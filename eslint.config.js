@@ -184,8 +184,9 @@ export default defineConfig([
         console: 'readonly',
       },
       parser: tsParser,
+      // No project: tsconfig.json excludes test files, so type-aware parsing can't find them
       parserOptions: {
-        project: './tsconfig.json',
+        ecmaFeatures: { jsx: true },
       },
     },
     plugins: {
@@ -0,0 +1,160 @@
+/**
+ * @file import-usda-barcodes.js
+ * @description Populates food_barcodes from the USDA FoodData Central branded
+ * foods download, so scanning a packaged product finds its foods row.
+ *
+ * branded_food.csv gives each product's fdc_id, brand_owner and gtin_upc;
+ * food.csv gives its description. A product is matched to foods by fdc_id,
+ * or else by name + brand owner among USDA foods (backfilling foods.fdc_id).
+ * Products with no foods row are skipped: this script indexes barcodes, it
+ * does not import foods.
+ *
+ * @usage node scripts/import-usda-barcodes.js <usda_data_dir> [--dry-run]
+ */
+
+import dotenv from 'dotenv';
+import { createClient } from '@supabase/supabase-js';
+import { parse } from 'csv-parse';
+import fs from 'fs';
+import path from 'path';
+import { normalizeGtin } from '../src/utils/barcode.js';
+
+// Load .env.local from the project root
+const envLocalPath = path.resolve('./.env.local');
+if (fs.existsSync(envLocalPath)) {
+  dotenv.config({ path: envLocalPath });
+}
+
+const BATCH_SIZE = 500;
+const PAGE_SIZE = 1000;
+
+const [dataDir] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const dryRun = process.argv.includes('--dry-run');
+
+if (!dataDir) {
+  console.error('Usage: node scripts/import-usda-barcodes.js <usda_data_dir> [--dry-run]');
+  process.exit(1);
+}
+if (!process.env.VITE_SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  console.error('VITE_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+  process.exit(1);
+}
+
+// Service role: food_barcodes only accepts USDA rows from it
+const supabase = createClient(
+  process.env.VITE_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const matchKey = (name, brand) =>
+  `${String(name || '').trim().toLowerCase()}|${String(brand || '').trim().toLowerCase()}`;
+
+const readCsv = async (file, onRow) => {
+  const parser = fs.createReadStream(path.join(dataDir, file)).pipe(parse({ columns: true, relax_quotes: true }));
+  for await (const row of parser) onRow(row);
+};
+
+/** All USDA foods, keyed by fdc_id and by name + brand */
+async function loadUsdaFoods() {
+  const byFdcId = new Map();
+  const byName = new Map();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('foods')
+      .select('id, name, brand_owner, fdc_id')
+      .eq('data_source', 'USDA')
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    for (const food of data) {
+      if (food.fdc_id) byFdcId.set(String(food.fdc_id), food);
+      else byName.set(matchKey(food.name, food.brand_owner), food);
+    }
+    if (data.length < PAGE_SIZE) break;
+  }
+  return { byFdcId, byName };
+}
+
+async function flush(barcodes, fdcLinks) {
+  if (dryRun) return;
+  for (const { id, fdc_id } of fdcLinks) {
+    const { error } = await supabase.from('foods').update({ fdc_id }).eq('id', id);
+    if (error) console.warn(`  Could not set fdc_id ${fdc_id} on food ${id}: ${error.message}`);
+  }
+  if (barcodes.length === 0) return;
+  // Only USDA/admin rows are unique per GTIN; users' own claims don't block these
+  const { data: official, error: lookupError } = await supabase
+    .from('food_barcodes')
+    .select('gtin')
+    .neq('source', 'user')
+    .in('gtin', barcodes.map(b => b.gtin));
+  if (lookupError) throw lookupError;
+  const taken = new Set((official || []).map(row => row.gtin));
+  const fresh = barcodes.filter(b => !taken.has(b.gtin));
+  if (fresh.length > 0) {
+    const { error } = await supabase.from('food_barcodes').insert(fresh);
+    if (error) throw error;
+  }
+}
+
+async function main() {
+  console.log(`📦 Importing USDA barcodes from ${dataDir}${dryRun ? ' (dry run)' : ''}`);
+
+  const { byFdcId, byName } = await loadUsdaFoods();
+  console.log(`  ${byFdcId.size + byName.size} USDA foods in the database`);
+
+  // Descriptions for branded products only matter when matching by name
+  const descriptions = new Map();
+  if (byName.size > 0) {
+    await readCsv('food.csv', (row) => {
+      if (row.data_type === 'branded_food') descriptions.set(row.fdc_id, row.description);
+    });
+  }
+
+  const stats = { products: 0, invalid: 0, unmatched: 0, indexed: 0 };
+  const seen = new Set();
+  const barcodes = [];
+  const fdcLinks = [];
+
+  await readCsv('branded_food.csv', (row) => {
+    stats.products++;
+    const gtin = normalizeGtin(row.gtin_upc);
+    if (!gtin) {
+      stats.invalid++;
+      return;
+    }
+    let food = byFdcId.get(row.fdc_id);
+    if (!food) {
+      const key = matchKey(descriptions.get(row.fdc_id), row.brand_owner);
+      food = byName.get(key);
+      if (food) {
+        byName.delete(key);
+        byFdcId.set(row.fdc_id, food);
+        fdcLinks.push({ id: food.id, fdc_id: Number(row.fdc_id) });
+      }
+    }
+    if (!food) {
+      stats.unmatched++;
+      return;
+    }
+    // Later FDC releases repeat a GTIN under a new fdc_id; keep the first
+    if (seen.has(gtin)) return;
+    seen.add(gtin);
+    barcodes.push({ gtin, food_id: food.id, source: 'usda' });
+    stats.indexed++;
+  });
+
+  // Write after parsing; batches keep each request small
+  for (let i = 0; i < Math.max(barcodes.length, fdcLinks.length); i += BATCH_SIZE) {
+    await flush(barcodes.slice(i, i + BATCH_SIZE), fdcLinks.slice(i, i + BATCH_SIZE));
+    process.stdout.write(`\r  Written ${Math.min(i + BATCH_SIZE, barcodes.length)} / ${barcodes.length}`);
+  }
+
+  console.log(`\n✅ ${stats.products} branded products: ${stats.indexed} barcodes indexed, `
+    + `${stats.unmatched} without a foods row, ${stats.invalid} invalid GTINs`);
+}
+
+main().catch((err) => {
+  console.error('❌ Barcode import failed:', err.message ?? err);
+  process.exit(1);
+});
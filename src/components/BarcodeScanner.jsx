@@ -0,0 +1,85 @@
+/**
+ * @file BarcodeScanner.jsx
+ * @description Camera viewfinder that reads a product barcode, with a box for
+ * typing the number printed under the bars. Typing is the only option on
+ * browsers without BarcodeDetector or when camera access is refused.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ *
+ * @example
+ * <BarcodeScanner onCode={({ code, format }) => lookUp(code, format)} disabled={isLooking} />
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Camera, CameraOff } from 'lucide-react';
+import useBarcodeScanner from '../hooks/useBarcodeScanner.js';
+import './BarcodeScanner.css';
+
+/**
+ * @param {object} props - Component props.
+ * @param {Function} props.onCode - Called with `{ code, format }` for a scanned or typed code.
+ * @param {boolean} [props.disabled] - Disable input while a lookup is running.
+ * @returns {JSX.Element} The BarcodeScanner React element.
+ */
+function BarcodeScanner({ onCode, disabled = false }) {
+  const [manualCode, setManualCode] = useState('');
+  const { videoRef, isSupported, isScanning, error, start, stop } = useBarcodeScanner({
+    onDetected: ({ rawValue, format }) => {
+      setManualCode(rawValue);
+      onCode({ code: rawValue, format });
+    },
+  });
+
+  // Open the camera straight away where scanning works
+  useEffect(() => {
+    if (isSupported) start();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    if (manualCode.trim()) onCode({ code: manualCode.trim(), format: null });
+  };
+
+  return (
+    <div className="barcode-scanner">
+      {isSupported ? (
+        <div className={`barcode-viewfinder ${isScanning ? 'active' : ''}`}>
+          <video ref={videoRef} muted playsInline aria-label="Camera preview" />
+          {isScanning ? (
+            <>
+              <div className="barcode-target" aria-hidden="true" />
+              <button type="button" className="barcode-camera-toggle" onClick={stop}>
+                <CameraOff size={16} /> Stop camera
+              </button>
+            </>
+          ) : (
+            <button type="button" className="barcode-camera-toggle" onClick={start} disabled={disabled}>
+              <Camera size={16} /> Scan barcode
+            </button>
+          )}
+        </div>
+      ) : (
+        <p className="barcode-hint">Camera scanning isn&apos;t available in this browser. Type the number under the barcode.</p>
+      )}
+      {error && <p className="barcode-error">{error}</p>}
+
+      <form className="barcode-manual" onSubmit={handleManualSubmit}>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="off"
+          value={manualCode}
+          onChange={(e) => setManualCode(e.target.value)}
+          placeholder="UPC / EAN number"
+          aria-label="Barcode number"
+        />
+        <button type="submit" className="barcode-lookup" disabled={disabled || !manualCode.trim()}>Look up</button>
+      </form>
+    </div>
+  );
+}
+
+export default BarcodeScanner;
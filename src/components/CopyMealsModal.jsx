@@ -0,0 +1,175 @@
+/**
+ * @file CopyMealsModal.jsx
+ * @description Copy nutrition log entries from an earlier date: one meal slot,
+ * the whole day, or hand-picked entries, into today or another date and
+ * optionally into a different meal slot.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ *
+ * @example
+ * <CopyMealsModal
+ *   isOpen={isCopyOpen}
+ *   userId={user.id}
+ *   mealType={activeMeal}
+ *   onCopied={(count, targetDate) => refresh()}
+ *   onClose={() => setIsCopyOpen(false)}
+ * />
+ */
+
+import React, { useEffect, useState } from 'react';
+import Modal from 'react-modal';
+import { Copy, X } from 'lucide-react';
+import { MEAL_SLOTS, formatMealType } from '../constants/mealPlannerConstants.js';
+import { copyNutritionLogs, fetchFoodLogsForDate, localDateDaysAgo, toLocalDateString } from '../services/nutritionLogCopy.js';
+import './CopyMealsModal.css';
+
+if (typeof document !== 'undefined' && document.querySelector('#root')) {
+  Modal.setAppElement('#root');
+}
+
+/**
+ * @param {object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the modal is shown.
+ * @param {string} props.userId - Signed-in user's id.
+ * @param {string} props.mealType - Meal slot open on the log; preselected as the source slot.
+ * @param {Function} props.onCopied - Called with the number of entries copied and the target date.
+ * @param {() => void} props.onClose - Close handler.
+ * @returns {JSX.Element|null} The CopyMealsModal React element.
+ */
+function CopyMealsModal({ isOpen, userId, mealType, onCopied, onClose }) {
+  const [sourceDate, setSourceDate] = useState(() => localDateDaysAgo(1));
+  const [targetDate, setTargetDate] = useState(() => toLocalDateString());
+  const [targetSlot, setTargetSlot] = useState('');
+  const [logs, setLogs] = useState([]);
+  const [selected, setSelected] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isCopying, setIsCopying] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || !userId || !sourceDate) return undefined;
+    let mounted = true;
+    setIsLoading(true);
+    setError('');
+    (async () => {
+      try {
+        const rows = await fetchFoodLogsForDate(userId, sourceDate);
+        if (!mounted) return;
+        setLogs(rows);
+        // Start from the slot that's open on the log, or everything if it's empty
+        const inSlot = rows.filter(log => log.meal_type === mealType);
+        setSelected(Object.fromEntries((inSlot.length > 0 ? inSlot : rows).map(log => [log.id, true])));
+      } catch (err) {
+        console.error('Failed to load entries to copy', err);
+        if (mounted) setError(`Failed to load entries: ${err?.message ?? err}`);
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+    return () => {
+      mounted = false;
+    };
+  }, [isOpen, userId, sourceDate, mealType]);
+
+  if (!isOpen) return null;
+
+  const selectedIds = logs.filter(log => selected[log.id]).map(log => log.id);
+  const selectSlot = (slot) => setSelected(Object.fromEntries(
+    logs.filter(log => !slot || log.meal_type === slot).map(log => [log.id, true]),
+  ));
+
+  const handleCopy = async () => {
+    setIsCopying(true);
+    setError('');
+    try {
+      const count = await copyNutritionLogs(selectedIds, targetDate, targetSlot || null);
+      onCopied(count, targetDate);
+    } catch (err) {
+      console.error('Failed to copy entries', err);
+      setError(`Could not copy: ${err?.message ?? err}`);
+    } finally {
+      setIsCopying(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      contentLabel="Copy meals"
+      overlayClassName="copy-meals-overlay"
+      className="copy-meals-content"
+    >
+      <div className="copy-meals-header">
+        <h3>Copy Meals</h3>
+        <button className="copy-meals-close" onClick={onClose} aria-label="Close"><X size={18} /></button>
+      </div>
+
+      <label className="copy-meals-field">
+        From
+        <input type="date" value={sourceDate} max={toLocalDateString()} onChange={(e) => setSourceDate(e.target.value)} />
+      </label>
+
+      <div className="copy-meals-scope">
+        <button type="button" onClick={() => selectSlot(mealType)}>{formatMealType(mealType)}</button>
+        <button type="button" onClick={() => selectSlot(null)}>Whole day</button>
+        <button type="button" onClick={() => setSelected({})}>None</button>
+      </div>
+
+      {isLoading && <p className="copy-meals-empty">Loading...</p>}
+      {!isLoading && logs.length === 0 && <p className="copy-meals-empty">Nothing was logged on this date.</p>}
+      {!isLoading && MEAL_SLOTS.map(({ value, label }) => {
+        const slotLogs = logs.filter(log => log.meal_type === value);
+        if (slotLogs.length === 0) return null;
+        return (
+          <fieldset key={value} className="copy-meals-slot">
+            <legend>{label}</legend>
+            {slotLogs.map(log => (
+              <label key={log.id} className="copy-meals-entry">
+                <input
+                  type="checkbox"
+                  checked={!!selected[log.id]}
+                  onChange={(e) => setSelected({ ...selected, [log.id]: e.target.checked })}
+                />
+                <span>{log.foods?.name ?? 'Food'}</span>
+                <span className="copy-meals-amount">{log.quantity_consumed}g · {Math.round(log.calories || 0)} cal</span>
+              </label>
+            ))}
+          </fieldset>
+        );
+      })}
+
+      <div className="copy-meals-target">
+        <label className="copy-meals-field">
+          To
+          <input type="date" value={targetDate} onChange={(e) => setTargetDate(e.target.value)} />
+        </label>
+        <label className="copy-meals-field">
+          Into
+          <select value={targetSlot} onChange={(e) => setTargetSlot(e.target.value)}>
+            <option value="">Same meal</option>
+            {MEAL_SLOTS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {error && <p className="error-message">{error}</p>}
+
+      <div className="copy-meals-actions">
+        <button type="button" className="copy-meals-cancel" onClick={onClose}>Cancel</button>
+        <button
+          type="button"
+          className="copy-meals-submit"
+          onClick={handleCopy}
+          disabled={isCopying || selectedIds.length === 0 || !targetDate}
+        >
+          <Copy size={16} /> {isCopying ? 'Copying...' : `Copy ${selectedIds.length} ${selectedIds.length === 1 ? 'entry' : 'entries'}`}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default CopyMealsModal;
@@ -0,0 +1,71 @@
+/**
+ * @file CreateFoodModal.jsx
+ * @description Modal wrapper around NutritionLabelForm that creates a private
+ * custom food for the signed-in user and hands the new foods row (with its
+ * portions) back to the caller, e.g. to log it straight away.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ *
+ * @example
+ * <CreateFoodModal
+ *   isOpen={isCreatingFood}
+ *   onCreated={(food) => logNewFood(food)}
+ *   onClose={() => setIsCreatingFood(false)}
+ * />
+ */
+
+import React from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import NutritionLabelForm from './NutritionLabelForm.jsx';
+import { createFoodFromLabel } from '../services/customFoods.js';
+import { useAuth } from '../useAuth';
+import './CreateFoodModal.css';
+
+if (typeof document !== 'undefined' && document.querySelector('#root')) {
+  Modal.setAppElement('#root');
+}
+
+/**
+ * @param {object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the modal is shown.
+ * @param {Function} props.onCreated - Called with the new foods row (with `portions`).
+ * @param {() => void} props.onClose - Close handler.
+ * @returns {JSX.Element|null} The CreateFoodModal React element.
+ */
+function CreateFoodModal({ isOpen, onCreated, onClose }) {
+  const { user } = useAuth();
+
+  if (!isOpen) return null;
+
+  const handleSubmit = async (label) => {
+    if (!user) throw new Error('You must be logged in to create a food');
+    const food = await createFoodFromLabel({ userId: user.id, ...label });
+    onCreated(food);
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      contentLabel="Create food"
+      overlayClassName="create-food-overlay"
+      className="create-food-content"
+    >
+      <div className="create-food-header">
+        <h3>Create Food</h3>
+        <button className="create-food-close" onClick={onClose} aria-label="Close"><X size={18} /></button>
+      </div>
+      <NutritionLabelForm
+        intro="Copy the nutrition facts label. Enter amounts per serving as printed."
+        submitLabel="Create food"
+        onSubmit={handleSubmit}
+        onCancel={onClose}
+      />
+    </Modal>
+  );
+}
+
+export default CreateFoodModal;
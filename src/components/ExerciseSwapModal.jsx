@@ -0,0 +1,203 @@
+/**
+ * @file ExerciseSwapModal.jsx
+ * @description Modal for swapping an exercise for a ranked substitute. Loads the
+ * exercise library, ranks it with `rankSubstitutes` (muscles, movement pattern,
+ * equipment, difficulty) and lets the user mark the original's equipment as
+ * taken. The chosen substitute can replace the exercise for this session only
+ * or permanently in the routine; the parent decides what each scope writes.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ *
+ * @example
+ * <ExerciseSwapModal
+ *   isOpen={isSwapOpen}
+ *   exercise={selectedExercise}
+ *   scopes={[SWAP_SCOPES.SESSION, SWAP_SCOPES.ROUTINE]}
+ *   onSwap={(substitute, scope) => ...}
+ *   onClose={() => setIsSwapOpen(false)}
+ * />
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import { supabase } from '../supabaseClient.js';
+import { getEquipmentList, getMovementPattern, MOVEMENT_PATTERNS, rankSubstitutes, SWAP_SCOPES } from '../utils/exerciseSubstitution.js';
+import './ExerciseSwapModal.css';
+
+if (typeof document !== 'undefined' && document.querySelector('#root')) {
+  Modal.setAppElement('#root');
+}
+
+const SCOPE_OPTIONS = {
+  [SWAP_SCOPES.SESSION]: { label: 'This session only', description: 'The routine keeps the original; history records the substitute.' },
+  [SWAP_SCOPES.ROUTINE]: { label: 'Change the routine', description: 'Future sessions use the substitute too.' },
+};
+
+const EXERCISE_COLUMNS = 'id, name, thumbnail_url, primary_muscle, secondary_muscle, tertiary_muscle, equipment_needed, difficulty_level, exercise_type, movement_pattern, logging_mode, bodyweight_load_factor';
+
+/**
+ * @param {object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the modal is shown.
+ * @param {Object|null} props.exercise - The exercise being replaced (at least `id` and `name`).
+ * @param {Array<string>} [props.scopes] - SWAP_SCOPES the user can pick from; the first is the default.
+ * @param {Function} props.onSwap - `(substitute, scope)` with the chosen exercises row; may return a promise.
+ * @param {() => void} props.onClose - Close handler.
+ * @returns {JSX.Element|null} The ExerciseSwapModal React element.
+ */
+function ExerciseSwapModal({ isOpen, exercise, scopes = [SWAP_SCOPES.SESSION], onSwap, onClose }) {
+  const [library, setLibrary] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [takenEquipment, setTakenEquipment] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [scope, setScope] = useState(scopes[0]);
+  const [isSwapping, setIsSwapping] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    let mounted = true;
+    setSelectedId(null);
+    setTakenEquipment([]);
+    setScope(scopes[0]);
+    setError(null);
+    (async () => {
+      setIsLoading(true);
+      try {
+        const { data, error: fetchError } = await supabase
+          .from('exercises')
+          .select(EXERCISE_COLUMNS)
+          .order('name');
+        if (fetchError) throw fetchError;
+        if (mounted) setLibrary(data || []);
+      } catch (err) {
+        console.error('Failed to load exercises for swap', err?.message ?? err);
+        if (mounted) setError('Could not load substitutes.');
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+    // Reset only when the modal opens for an exercise
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, exercise?.id]);
+
+  // Callers may only know the id and name, so prefer the library's full row
+  const original = useMemo(
+    () => (exercise ? { ...exercise, ...library.find(row => row.id === exercise.id) } : null),
+    [exercise, library]
+  );
+
+  const substitutes = useMemo(
+    () => rankSubstitutes(original, library, { unavailableEquipment: takenEquipment }),
+    [original, library, takenEquipment]
+  );
+
+  if (!isOpen || !exercise) return null;
+
+  const originalEquipment = getEquipmentList(original);
+  const pattern = getMovementPattern(original);
+  const selected = substitutes.find(s => s.exercise.id === selectedId);
+
+  const toggleEquipment = (item) => {
+    setTakenEquipment(prev => (prev.includes(item) ? prev.filter(e => e !== item) : [...prev, item]));
+  };
+
+  const handleSwap = async () => {
+    if (!selected) return;
+    setIsSwapping(true);
+    setError(null);
+    try {
+      await onSwap(selected.exercise, scope);
+      onClose();
+    } catch (err) {
+      console.error('Failed to swap exercise', err);
+      setError(`Could not swap: ${err?.message ?? err}`);
+    } finally {
+      setIsSwapping(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      contentLabel="Swap exercise"
+      overlayClassName="swap-modal-overlay"
+      className="swap-modal-content"
+    >
+      <div className="swap-header">
+        <h3>Swap {original.name}</h3>
+        <button className="swap-close" onClick={onClose} aria-label="Close"><X size={18} /></button>
+      </div>
+      <p className="swap-subtitle">
+        {[original.primary_muscle, pattern && MOVEMENT_PATTERNS[pattern]].filter(Boolean).join(' · ')}
+      </p>
+
+      {originalEquipment.length > 0 && (
+        <div className="swap-equipment">
+          <span>Taken:</span>
+          {originalEquipment.map(item => (
+            <button
+              key={item}
+              type="button"
+              className={`swap-chip ${takenEquipment.includes(item) ? 'active' : ''}`}
+              onClick={() => toggleEquipment(item)}
+              aria-pressed={takenEquipment.includes(item)}
+            >
+              {item}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && <p className="swap-error">{error}</p>}
+
+      {isLoading ? (
+        <p className="swap-empty">Finding substitutes...</p>
+      ) : substitutes.length === 0 ? (
+        <p className="swap-empty">No exercises share this one&apos;s muscles or movement.</p>
+      ) : (
+        <ul className="swap-list">
+          {substitutes.map(({ exercise: candidate, reasons, available }) => (
+            <li key={candidate.id}>
+              <label className={`swap-option ${selectedId === candidate.id ? 'selected' : ''} ${available ? '' : 'unavailable'}`}>
+                <input
+                  type="radio"
+                  name="swap-substitute"
+                  checked={selectedId === candidate.id}
+                  onChange={() => setSelectedId(candidate.id)}
+                />
+                <span className="swap-option-name">{candidate.name}</span>
+                <span className="swap-option-reasons">{reasons.join(' · ')}</span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {scopes.length > 1 && (
+        <div className="swap-scopes">
+          {scopes.map(id => (
+            <label key={id} className={`swap-scope ${scope === id ? 'selected' : ''}`}>
+              <input type="radio" name="swap-scope" checked={scope === id} onChange={() => setScope(id)} />
+              <span className="swap-scope-label">{SCOPE_OPTIONS[id].label}</span>
+              <span className="swap-scope-description">{SCOPE_OPTIONS[id].description}</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="swap-actions">
+        <button className="swap-button secondary" onClick={onClose}>Cancel</button>
+        <button className="swap-button" onClick={handleSwap} disabled={!selected || isSwapping}>
+          {isSwapping ? 'Swapping...' : 'Swap'}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default ExerciseSwapModal;
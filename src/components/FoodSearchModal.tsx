@@ -1 +1,252 @@
-// Remove line 125 - delete the unused foodSearchResult variable
\ No newline at end of file
+/**
+ * @file FoodSearchModal.tsx
+ * @description Modal for picking a food from the foods table, by name or by
+ * package barcode. A scanned or typed UPC/EAN resolves through food_barcodes;
+ * when the code is unknown the user can enter the product from its nutrition
+ * label, which creates the food and attaches the barcode for the next scan.
+ * The label form is also offered when a name search finds nothing.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ *
+ * @example
+ * <FoodSearchModal isOpen={open} onClose={() => setOpen(false)} onSelectFood={(food, portion) => ...} />
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Barcode, Plus, Search, X } from 'lucide-react';
+import BarcodeScanner from './BarcodeScanner.jsx';
+import NutritionLabelForm from './NutritionLabelForm.jsx';
+import { createFoodFromLabel } from '../services/customFoods.js';
+import { findFoodByBarcode, formatFoodForDisplay, searchFoods } from '../utils/foodSearch.js';
+import { formatGtin } from '../utils/barcode.js';
+import { useAuth } from '../useAuth';
+import type { FoodSearchResult as Food, Portion } from '../utils/foodSearch.js';
+import './FoodSearchModal.css';
+
+type Mode = 'search' | 'barcode' | 'label';
+
+interface FoodSearchModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  /** Called with the foods row (per-100g values, with portions) and the chosen portion, if any */
+  onSelectFood: (food: Food, portion?: Portion | null) => void;
+}
+
+/** Debounce for the name search */
+const SEARCH_DELAY_MS = 300;
+
+const FoodSearchModal: React.FC<FoodSearchModalProps> = ({ isOpen, onClose, onSelectFood }) => {
+  const { user } = useAuth();
+  const [mode, setMode] = useState<Mode>('search');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [results, setResults] = useState<Food[]>([]);
+  const [selectedPortions, setSelectedPortions] = useState<Record<string, string>>({});
+  const [isSearching, setIsSearching] = useState(false);
+  const [isLookingUp, setIsLookingUp] = useState(false);
+  const [unknownGtin, setUnknownGtin] = useState<string | null>(null);
+  const [barcodeMessage, setBarcodeMessage] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setMode('search');
+    setSearchTerm('');
+    setResults([]);
+    setSelectedPortions({});
+    setUnknownGtin(null);
+    setBarcodeMessage('');
+  }, [isOpen]);
+
+  useEffect(() => {
+    // Short terms leave results alone so a barcode match stays on screen
+    if (!isOpen || mode !== 'search' || searchTerm.trim().length < 2) return undefined;
+    let mounted = true;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      const rows = await searchFoods(searchTerm);
+      if (mounted) {
+        setResults(rows);
+        setIsSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+    return () => {
+      mounted = false;
+      clearTimeout(timer);
+    };
+  }, [searchTerm, isOpen, mode]);
+
+  if (!isOpen) return null;
+
+  const getSelectedPortion = (food: Food): Portion | null =>
+    food.portions?.find(p => p.id === selectedPortions[food.id]) ?? null;
+
+  const handleBarcode = async ({ code, format }: { code: string; format: string | null }) => {
+    setIsLookingUp(true);
+    setBarcodeMessage('');
+    setUnknownGtin(null);
+    try {
+      const { gtin, food } = await findFoodByBarcode(code, { format, userId: user?.id ?? null });
+      if (!gtin) {
+        setBarcodeMessage(`${code} is not a valid UPC or EAN barcode. Check the number and try again.`);
+      } else if (food) {
+        setResults([food]);
+        setMode('search');
+        setSearchTerm('');
+        setBarcodeMessage(`Found ${formatGtin(gtin)}`);
+      } else {
+        setUnknownGtin(gtin);
+      }
+    } catch (err) {
+      console.error('Barcode lookup failed', err);
+      setBarcodeMessage('Barcode lookup failed. Check your connection and try again.');
+    } finally {
+      setIsLookingUp(false);
+    }
+  };
+
+  const handleCreateFromLabel = async (label: {
+    name: string;
+    brand: string;
+    servingGrams: number;
+    servingDescription: string;
+    servingsPerContainer: number | null;
+    perServing: Record<string, string>;
+    submitForVerification: boolean;
+  }) => {
+    if (!user) throw new Error('You must be logged in to add a food');
+    const food = await createFoodFromLabel({ userId: user.id, gtin: unknownGtin, ...label });
+    onSelectFood(food, food.portions[0]);
+  };
+
+  const renderResults = () => {
+    if (isSearching && results.length === 0) return <div className="loading">Searching...</div>;
+    if (results.length === 0) {
+      if (searchTerm.trim().length < 2) return <div className="no-results">Type at least 2 letters or scan a barcode.</div>;
+      return (
+        <div className="no-results">
+          <p>No foods match &quot;{searchTerm.trim()}&quot;.</p>
+          <button type="button" className="food-search-secondary" onClick={() => setMode('label')}>
+            <Plus size={14} /> Create it from its nutrition label
+          </button>
+        </div>
+      );
+    }
+    return results.map(food => {
+      const portion = getSelectedPortion(food);
+      const display = formatFoodForDisplay(food, portion);
+      return (
+        <div key={food.id} className="food-result-item">
+          <div className="food-info">
+            <div className="food-name">
+              {food.name}
+              {food.is_private && (
+                <span className="food-private-badge">
+                  {food.verification_status === 'pending' ? 'Pending review' : 'Private'}
+                </span>
+              )}
+            </div>
+            {display.brand && <div className="food-brand">{display.brand}</div>}
+            <div className="food-nutrition">
+              <span>{display.calories} cal</span>
+              <span>P {display.protein_g}g</span>
+              <span>C {display.carbs_g}g</span>
+              <span>F {display.fat_g}g</span>
+              <span>per {display.serving}</span>
+            </div>
+          </div>
+          <div className="food-actions">
+            {(food.portions?.length ?? 0) > 0 && (
+              <select
+                className="portion-select"
+                value={selectedPortions[food.id] ?? ''}
+                onChange={(e) => setSelectedPortions({ ...selectedPortions, [food.id]: e.target.value })}
+                aria-label={`Portion for ${food.name}`}
+              >
+                <option value="">100g</option>
+                {food.portions?.map(p => (
+                  <option key={p.id} value={p.id}>{p.portion_description || `${p.gram_weight}g`}</option>
+                ))}
+              </select>
+            )}
+            <button type="button" className="add-food-btn" onClick={() => onSelectFood(food, portion)}>
+              <Plus size={16} /> Add
+            </button>
+          </div>
+        </div>
+      );
+    });
+  };
+
+  return (
+    <div className="food-search-modal-overlay" onClick={onClose}>
+      <div className="food-search-modal" role="dialog" aria-modal="true" aria-label="Add food" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{mode === 'barcode' ? 'Scan Barcode' : 'Add Food'}</h3>
+          <button type="button" className="close-btn" onClick={onClose} aria-label="Close"><X size={20} /></button>
+        </div>
+
+        {mode === 'search' && (
+          <>
+            <div className="search-input-wrapper">
+              <Search size={18} />
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => {
+                  setSearchTerm(e.target.value);
+                  setBarcodeMessage('');
+                  if (e.target.value.trim().length < 2) setResults([]);
+                }}
+                placeholder="Search foods..."
+                aria-label="Search foods"
+                autoFocus
+              />
+              <button type="button" className="close-btn" onClick={() => setMode('barcode')} aria-label="Scan barcode" title="Scan barcode">
+                <Barcode size={20} />
+              </button>
+            </div>
+            <div className="search-results">
+              {barcodeMessage && <p className="food-search-message">{barcodeMessage}</p>}
+              {renderResults()}
+            </div>
+          </>
+        )}
+
+        {mode === 'barcode' && (
+          <div className="search-results">
+            {unknownGtin ? (
+              <div className="food-search-unknown">
+                <p>No food has barcode <strong>{formatGtin(unknownGtin)}</strong> yet.</p>
+                <div className="food-actions">
+                  <button type="button" className="add-food-btn" onClick={() => setMode('label')}>
+                    <Plus size={16} /> Add from nutrition label
+                  </button>
+                  <button type="button" className="food-search-secondary" onClick={() => setUnknownGtin(null)}>Scan another</button>
+                </div>
+              </div>
+            ) : (
+              <BarcodeScanner onCode={handleBarcode} disabled={isLookingUp} />
+            )}
+            {isLookingUp && <div className="loading">Looking up barcode...</div>}
+            {barcodeMessage && <p className="food-search-message">{barcodeMessage}</p>}
+            <button type="button" className="food-search-back" onClick={() => setMode('search')}>Back to search</button>
+          </div>
+        )}
+
+        {mode === 'label' && (
+          <div className="search-results">
+            <NutritionLabelForm
+              intro={unknownGtin ? `Barcode ${formatGtin(unknownGtin)} will be saved with this food.` : undefined}
+              submitLabel="Create and add"
+              onSubmit={handleCreateFromLabel}
+              onCancel={() => setMode(unknownGtin ? 'barcode' : 'search')}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FoodSearchModal;
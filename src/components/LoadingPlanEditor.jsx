@@ -0,0 +1,165 @@
+/**
+ * @file LoadingPlanEditor.jsx
+ * @description Editor for a mesocycle's week-over-week loading plan
+ * (`mesocycles.loading_plan`). Pick a preset (linear, undulating, block), then
+ * adjust each week's intensity %, set ramp, RPE target and deload flag, and the
+ * deload volume/intensity multipliers. Any manual edit turns the plan into a
+ * 'custom' plan so later changes to the mesocycle length don't regenerate it.
+ *
+ * Notes
+ * - Controlled component: the parent owns `plan` and receives every change via
+ *   `onChange`. A null plan means the mesocycle has no loading plan and
+ *   WorkoutLogPage falls back to the routine's own targets.
+ * - See utils/loadingPlans.js for the plan shape and presets.
+ */
+
+import { DEFAULT_DELOAD, generateLoadingPlan, LOADING_PLAN_PRESETS } from '../utils/loadingPlans.js';
+import './LoadingPlanEditor.css';
+
+/**
+ * @param {object} props - Component props.
+ * @param {number} props.weeks - Mesocycle length in weeks.
+ * @param {Array<number>} [props.deloadWeeks=[]] - Deload weeks from the week editor, used when applying a preset.
+ * @param {Object|null} props.plan - Current loading plan, or null for none.
+ * @param {(plan: Object|null) => void} props.onChange - Called with the updated plan.
+ * @returns {JSX.Element} The LoadingPlanEditor React element.
+ */
+function LoadingPlanEditor({ weeks, deloadWeeks = [], plan, onChange }) {
+  const handlePresetChange = (preset) => {
+    if (preset === 'none') return onChange(null);
+    if (preset === 'custom') return undefined;
+    return onChange(generateLoadingPlan(preset, { weeks, deloadWeeks, deload: plan?.deload || DEFAULT_DELOAD }));
+  };
+
+  const updateWeek = (weekIndex, field, value) => {
+    onChange({
+      ...plan,
+      preset: 'custom',
+      weeks: plan.weeks.map((w) => (w.week_index === weekIndex ? { ...w, [field]: value } : w)),
+    });
+  };
+
+  const updateDeload = (field, percent) => {
+    const value = Math.min(100, Math.max(10, Number(percent) || 0)) / 100;
+    onChange({ ...plan, deload: { ...plan.deload, [field]: value } });
+  };
+
+  const presetInfo = LOADING_PLAN_PRESETS.find((p) => p.id === plan?.preset);
+
+  return (
+    <div className="loading-plan-editor">
+      <div className="form-row">
+        <label htmlFor="loading-plan-preset">Progression</label>
+        <select id="loading-plan-preset" value={plan?.preset || 'none'} onChange={(e) => handlePresetChange(e.target.value)}>
+          <option value="none">None (use routine targets)</option>
+          {LOADING_PLAN_PRESETS.map((p) => (
+            <option key={p.id} value={p.id}>{p.label}</option>
+          ))}
+          {plan?.preset === 'custom' && <option value="custom">Custom</option>}
+        </select>
+        {presetInfo && <small className="loading-plan-hint">{presetInfo.description}</small>}
+        {plan?.session_pattern?.length > 0 && (
+          <small className="loading-plan-hint">
+            Sessions rotate: {plan.session_pattern.map((s) => `${s.label} (${s.intensity_offset >= 0 ? '+' : ''}${s.intensity_offset}%)`).join(' → ')}
+          </small>
+        )}
+      </div>
+
+      {plan && (
+        <>
+          <div className="loading-plan-deload">
+            <label>
+              Deload sets
+              <input
+                type="number"
+                min={10}
+                max={100}
+                step={5}
+                value={Math.round(plan.deload.volume_multiplier * 100)}
+                onChange={(e) => updateDeload('volume_multiplier', e.target.value)}
+              />
+              %
+            </label>
+            <label>
+              Deload load
+              <input
+                type="number"
+                min={10}
+                max={100}
+                step={5}
+                value={Math.round(plan.deload.intensity_multiplier * 100)}
+                onChange={(e) => updateDeload('intensity_multiplier', e.target.value)}
+              />
+              %
+            </label>
+          </div>
+
+          <table className="loading-plan-table">
+            <thead>
+              <tr>
+                <th>Week</th>
+                <th>Intensity %</th>
+                <th>Sets ±</th>
+                <th>RPE</th>
+                <th>Deload</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.weeks.map((w) => (
+                <tr key={w.week_index} className={w.is_deload ? 'deload' : ''}>
+                  <td>
+                    {w.week_index}
+                    {w.label && <span className="loading-plan-phase">{w.label}</span>}
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min={40}
+                      max={100}
+                      step={2.5}
+                      value={w.intensity_pct ?? ''}
+                      onChange={(e) => updateWeek(w.week_index, 'intensity_pct', e.target.value === '' ? null : Number(e.target.value))}
+                      aria-label={`Week ${w.week_index} intensity percent`}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min={-3}
+                      max={5}
+                      step={1}
+                      value={w.set_delta}
+                      onChange={(e) => updateWeek(w.week_index, 'set_delta', Math.round(Number(e.target.value) || 0))}
+                      aria-label={`Week ${w.week_index} extra sets`}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min={5}
+                      max={10}
+                      step={0.5}
+                      value={w.rpe_target ?? ''}
+                      onChange={(e) => updateWeek(w.week_index, 'rpe_target', e.target.value === '' ? null : Number(e.target.value))}
+                      aria-label={`Week ${w.week_index} RPE target`}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={w.is_deload}
+                      onChange={(e) => updateWeek(w.week_index, 'is_deload', e.target.checked)}
+                      aria-label={`Week ${w.week_index} deload`}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default LoadingPlanEditor;
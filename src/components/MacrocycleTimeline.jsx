@@ -0,0 +1,78 @@
+/**
+ * @file MacrocycleTimeline.jsx
+ * @description Horizontal timeline of a macrocycle: one segment per mesocycle,
+ * sized by its dates and colored by phase, with markers for today and the
+ * target date.
+ * @project Felony Fitness
+ */
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { getDayNumber, MACROCYCLE_PHASES } from '../lib/cycleUtils.js';
+import './MacrocycleTimeline.css';
+
+/**
+ * Parse 'YYYY-MM-DD' as a local date.
+ * @param {string} iso - Date string
+ * @returns {Date}
+ */
+const parseLocalDate = (iso) => {
+  const [y, m, d] = String(iso).slice(0, 10).split('-').map(Number);
+  return new Date(y, (m || 1) - 1, d || 1);
+};
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.blocks - Mesocycles in order ({ id, name, phase, start_date, end_date, is_active, is_complete })
+ * @param {string} props.targetDate - macrocycles.target_date
+ * @param {boolean} [props.compact=false] - Thin bar without labels or links (list cards)
+ */
+export default function MacrocycleTimeline({ blocks, targetDate, compact = false }) {
+  const dated = (blocks || []).filter(b => b.start_date && b.end_date);
+  if (dated.length === 0) {
+    return <p className="macrocycle-timeline-empty">Add mesocycles to see the timeline.</p>;
+  }
+
+  const rangeStart = dated.reduce((min, b) => (b.start_date < min ? b.start_date : min), dated[0].start_date);
+  const rangeEnd = [targetDate, ...dated.map(b => b.end_date)].reduce((max, d) => (d > max ? d : max));
+  const totalDays = getDayNumber(rangeStart, parseLocalDate(rangeEnd)) + 1;
+  const position = (date) => (getDayNumber(rangeStart, parseLocalDate(date)) / totalDays) * 100;
+  const todayPct = (getDayNumber(rangeStart) / totalDays) * 100;
+
+  return (
+    <div className={`macrocycle-timeline ${compact ? 'compact' : ''}`}>
+      <div className="macrocycle-timeline-bar">
+        {dated.map(block => {
+          const left = position(block.start_date);
+          const width = position(block.end_date) + (100 / totalDays) - left;
+          const status = block.is_complete ? 'complete' : block.is_active ? 'active' : '';
+          const segmentProps = {
+            className: `macrocycle-segment phase-${block.phase || 'none'} ${status}`,
+            style: { left: `${left}%`, width: `${width}%` },
+            title: `${block.name} · ${block.start_date} – ${block.end_date}`,
+          };
+          // Compact timelines sit inside a card link, so their segments aren't links themselves
+          return compact
+            ? <span key={block.id} {...segmentProps} />
+            : <Link key={block.id} to={`/mesocycles/${block.id}`} {...segmentProps}><span>{block.name}</span></Link>;
+        })}
+        {todayPct >= 0 && todayPct <= 100 && (
+          <span className="macrocycle-marker today" style={{ left: `${todayPct}%` }} title="Today" />
+        )}
+        <span className="macrocycle-marker target" style={{ left: `${position(targetDate) + 100 / totalDays}%` }} title={`Target ${targetDate}`} />
+      </div>
+      {!compact && (
+        <div className="macrocycle-timeline-axis">
+          <span>{rangeStart}</span>
+          <span>Target {targetDate}</span>
+        </div>
+      )}
+      {!compact && (
+        <div className="macrocycle-timeline-legend">
+          {MACROCYCLE_PHASES.map(phase => (
+            <span key={phase.key} className={`macrocycle-legend-item phase-${phase.key}`}>{phase.label}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
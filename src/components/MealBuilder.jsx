@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { X, Save, Plus, Trash2 } from 'lucide-react';
+import { X, Save, Plus, Trash2, ClipboardList } from 'lucide-react';
 import { supabase } from '../supabaseClient';
 import FoodSearchModal from './FoodSearchModal';
+import RecipeImportModal from './RecipeImportModal.jsx';
+import { gramsToMealQuantity } from '../utils/recipeParser.js';
 import './MealBuilder.css';
 
 const MealBuilder = ({ isOpen, onClose, onSave, editingMeal, isPremade }) => {
@@ -10,6 +12,8 @@ const MealBuilder = ({ isOpen, onClose, onSave, editingMeal, isPremade }) => {
   const [category, setCategory] = useState('other');
   const [loading, setLoading] = useState(false);
   const [showFoodSearch, setShowFoodSearch] = useState(false);
+  const [showRecipeImport, setShowRecipeImport] = useState(false);
+  const [servings, setServings] = useState(1);
   const [mealFoods, setMealFoods] = useState([]);
   const [quantities, setQuantities] = useState({});
 
@@ -18,6 +22,7 @@ const MealBuilder = ({ isOpen, onClose, onSave, editingMeal, isPremade }) => {
       setName(editingMeal.display_name || editingMeal.name || '');
       setDescription(editingMeal.description || '');
       setCategory(editingMeal.category || 'other');
+      setServings(editingMeal.serving_size || 1);
       
       if (editingMeal.user_meal_foods) {
         setMealFoods(editingMeal.user_meal_foods);
@@ -34,6 +39,7 @@ const MealBuilder = ({ isOpen, onClose, onSave, editingMeal, isPremade }) => {
       setName('');
       setDescription('');
       setCategory('other');
+      setServings(1);
       setMealFoods([]);
       setQuantities({});
     }
@@ -54,6 +60,24 @@ const MealBuilder = ({ isOpen, onClose, onSave, editingMeal, isPremade }) => {
     setShowFoodSearch(false);
   };
 
+  const handleImportRecipe = (items, { servings: recipeServings }) => {
+    const stamp = Date.now();
+    const imported = items.map((item, index) => ({
+      id: `temp-${stamp}-${index}`,
+      food_id: item.food.id,
+      quantity: gramsToMealQuantity(item.grams),
+      notes: item.note,
+      foods: item.food
+    }));
+    setMealFoods([...mealFoods, ...imported]);
+    setQuantities({
+      ...quantities,
+      ...Object.fromEntries(imported.map(mf => [mf.id, mf.quantity]))
+    });
+    setServings(recipeServings);
+    setShowRecipeImport(false);
+  };
+
   const removeFood = (tempId) => {
     setMealFoods(mealFoods.filter(f => f.id !== tempId));
     const newQuantities = { ...quantities };
@@ -79,6 +103,7 @@ const MealBuilder = ({ isOpen, onClose, onSave, editingMeal, isPremade }) => {
         name,
         description,
         category,
+        serving_size: servings,
         user_id: user.id
       };
 
@@ -175,16 +200,36 @@ const MealBuilder = ({ isOpen, onClose, onSave, editingMeal, isPremade }) => {
             />
           </div>
 
+          <div className="form-group">
+            <label>Servings (yield)</label>
+            <input 
+              type="number" 
+              min="1" 
+              step="1"
+              value={servings} 
+              onChange={e => setServings(Math.max(1, parseInt(e.target.value, 10) || 1))} 
+            />
+          </div>
+
           <div className="form-group">
             <div className="foods-header">
               <label>Foods in this Meal</label>
-              <button 
-                type="button" 
-                onClick={() => setShowFoodSearch(true)} 
-                className="add-food-btn"
-              >
-                <Plus size={16} /> Add Food
-              </button>
+              <div className="foods-header-actions">
+                <button 
+                  type="button" 
+                  onClick={() => setShowRecipeImport(true)} 
+                  className="add-food-btn"
+                >
+                  <ClipboardList size={16} /> Import Recipe
+                </button>
+                <button 
+                  type="button" 
+                  onClick={() => setShowFoodSearch(true)} 
+                  className="add-food-btn"
+                >
+                  <Plus size={16} /> Add Food
+                </button>
+              </div>
             </div>
             
             {mealFoods.length > 0 && (
@@ -195,6 +240,7 @@ const MealBuilder = ({ isOpen, onClose, onSave, editingMeal, isPremade }) => {
                       <p className="food-name">
                         {mf.foods?.name || mf.name}
                       </p>
+                      {mf.notes && <p className="food-note">{mf.notes}</p>}
                       <div className="food-quantity">
                         <input 
                           type="number" 
@@ -238,6 +284,12 @@ const MealBuilder = ({ isOpen, onClose, onSave, editingMeal, isPremade }) => {
           onClose={() => setShowFoodSearch(false)}
           onSelectFood={handleSelectFood}
         />
+
+        <RecipeImportModal
+          isOpen={showRecipeImport}
+          onClose={() => setShowRecipeImport(false)}
+          onImport={handleImportRecipe}
+        />
       </div>
     </div>
   );
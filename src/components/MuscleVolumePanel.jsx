@@ -0,0 +1,157 @@
+/**
+ * @file MuscleVolumePanel.jsx
+ * @description Weekly hard sets per muscle group for one week of a mesocycle,
+ * compared with the user's volume landmarks (MV/MEV/MAV/MRV). Shown on the
+ * mesocycle detail page under the week's routines.
+ * @project Felony Fitness
+ *
+ * @workflow
+ * 1. Loads every completed workout the user logged in the week (any routine,
+ *    so extra sessions count) and their workout_log_entries with the exercise's
+ *    primary/secondary/tertiary muscles.
+ * 2. Counts hard sets per muscle group and classifies them against the
+ *    landmarks from user_profiles.volume_landmarks (defaults when unset);
+ *    see utils/muscleVolume.js.
+ * 3. Paints the status onto InteractiveMuscleMap (front/back toggle) and lists
+ *    the muscles, under- and over-trained ones first.
+ */
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import InteractiveMuscleMap from './workout-builder/InteractiveMuscleMap.jsx';
+import { getDateForDayNumber } from '../lib/cycleUtils.js';
+import { supabase } from '../supabaseClient.js';
+import {
+  MAP_VIEW_GROUPS,
+  VOLUME_STATUS,
+  buildVolumeStatus,
+  countHardSetsByMuscle,
+  normalizeVolumeLandmarks,
+} from '../utils/muscleVolume.js';
+import './MuscleVolumePanel.css';
+
+/** Sort order for the list: the statuses that need attention come first */
+const STATUS_ORDER = ['over', 'under', 'high', 'maintenance', 'productive'];
+
+/**
+ * @param {Object} props
+ * @param {string} props.userId - Mesocycle owner
+ * @param {string} props.startDate - mesocycles.start_date
+ * @param {number} props.weekIndex - 1-based week of the mesocycle
+ */
+export default function MuscleVolumePanel({ userId, startDate, weekIndex }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [view, setView] = useState('front');
+
+  const weekStart = getDateForDayNumber(startDate, (weekIndex - 1) * 7);
+  const weekEnd = getDateForDayNumber(startDate, (weekIndex - 1) * 7 + 6);
+
+  useEffect(() => {
+    if (!userId || !startDate) return;
+    let isMounted = true;
+    const fetchVolume = async () => {
+      try {
+        setLoading(true);
+        const { data: profile } = await supabase
+          .from('user_profiles')
+          .select('volume_landmarks')
+          .eq('user_id', userId)
+          .maybeSingle();
+
+        const { data: logs, error: logsError } = await supabase
+          .from('workout_logs')
+          .select('id')
+          .eq('user_id', userId)
+          .eq('is_complete', true)
+          .gte('log_date', weekStart)
+          .lte('log_date', weekEnd);
+        if (logsError) throw logsError;
+
+        let entries = [];
+        if ((logs || []).length > 0) {
+          const { data: entryRows, error: entriesError } = await supabase
+            .from('workout_log_entries')
+            .select('exercise_id, completed, is_warmup, parent_entry_id, exercises(primary_muscle, secondary_muscle, tertiary_muscle)')
+            .in('workout_log_id', logs.map(l => l.id));
+          if (entriesError) throw entriesError;
+          entries = entryRows || [];
+        }
+
+        if (isMounted) setData({ entries, landmarks: profile?.volume_landmarks || null });
+      } catch (err) {
+        console.error('Error loading weekly muscle volume:', err);
+        if (isMounted) setData({ entries: [], landmarks: null });
+      } finally {
+        if (isMounted) setLoading(false);
+      }
+    };
+    fetchVolume();
+    return () => { isMounted = false; };
+  }, [userId, startDate, weekStart, weekEnd]);
+
+  const rows = useMemo(() => {
+    if (!data) return [];
+    const exercisesById = {};
+    data.entries.forEach(e => { if (e.exercises) exercisesById[String(e.exercise_id)] = e.exercises; });
+    const status = buildVolumeStatus(countHardSetsByMuscle(data.entries, exercisesById), normalizeVolumeLandmarks(data.landmarks));
+    return status.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status));
+  }, [data]);
+
+  const muscleStatus = useMemo(() => Object.fromEntries(rows.map(r => [r.muscle, r.status])), [rows]);
+  const hasSets = rows.some(r => r.sets > 0);
+
+  return (
+    <section className="muscle-volume-panel">
+      <div className="muscle-volume-header">
+        <h4>Week {weekIndex} volume</h4>
+        <span>{weekStart} – {weekEnd}</span>
+      </div>
+
+      {loading ? (
+        <p className="muscle-volume-empty">Loading volume...</p>
+      ) : (
+        <>
+          {!hasSets && <p className="muscle-volume-empty">No working sets logged this week yet.</p>}
+          <div className="muscle-volume-body">
+            <div className="muscle-volume-map">
+              <div className="muscle-volume-view-toggle" role="group" aria-label="Body view">
+                {['front', 'back'].map(v => (
+                  <button key={v} type="button" className={view === v ? 'active' : ''} onClick={() => setView(v)} aria-pressed={view === v}>
+                    {v === 'front' ? 'Front' : 'Back'}
+                  </button>
+                ))}
+              </div>
+              <InteractiveMuscleMap variant={view} muscleStatus={muscleStatus} className="muscle-volume-figure" />
+              <div className="muscle-volume-legend">
+                {Object.entries(VOLUME_STATUS).map(([key, { label }]) => (
+                  <span key={key} className={`volume-chip ${key}`}>{label}</span>
+                ))}
+              </div>
+            </div>
+
+            <table className="muscle-volume-table">
+              <thead>
+                <tr><th>Muscle</th><th>Sets</th><th>MEV–MAV</th><th>MRV</th><th>Status</th></tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.muscle} className={MAP_VIEW_GROUPS[view].includes(row.muscle) ? '' : 'other-view'}>
+                    <td>{row.muscle}</td>
+                    <td>{row.sets}</td>
+                    <td>{row.landmarks.mev}–{row.landmarks.mav}</td>
+                    <td>{row.landmarks.mrv}</td>
+                    <td><span className={`volume-chip ${row.status}`}>{VOLUME_STATUS[row.status].label}</span></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="muscle-volume-note">
+            Hard sets are completed working sets; secondary muscles count half, tertiary a quarter.
+            {' '}<Link to="/my-plan">Edit landmarks in Settings</Link>.
+          </p>
+        </>
+      )}
+    </section>
+  );
+}
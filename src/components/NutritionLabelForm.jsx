@@ -0,0 +1,206 @@
+/**
+ * @file NutritionLabelForm.jsx
+ * @description Form for entering a packaged food from its nutrition facts
+ * label. Values are typed per serving, exactly as printed; the caller turns
+ * them into per-100g values (see createFoodFromLabel). The label is checked
+ * with validateLabel before submitting: errors block saving, warnings (such as
+ * calories that don't match the macros) need a second tap to save anyway.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ *
+ * @example
+ * <NutritionLabelForm
+ *   submitLabel="Create food"
+ *   onSubmit={(label) => createFoodFromLabel({ userId, gtin, ...label })}
+ *   onCancel={() => setMode('search')}
+ * />
+ */
+
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+import { LABEL_NUTRIENTS, labelToPer100g, validateLabel } from '../utils/nutritionLabel.js';
+import './NutritionLabelForm.css';
+
+/**
+ * @param {object} props - Component props.
+ * @param {Function} props.onSubmit - Async; called with `{ name, brand, servingGrams, servingDescription,
+ *   servingsPerContainer, perServing, submitForVerification }`.
+ * @param {Function} props.onCancel - Cancel handler.
+ * @param {string} [props.submitLabel] - Submit button text.
+ * @param {string} [props.intro] - Line shown above the fields.
+ * @returns {JSX.Element} The NutritionLabelForm React element.
+ */
+function NutritionLabelForm({ onSubmit, onCancel, submitLabel = 'Save food', intro }) {
+  const [name, setName] = useState('');
+  const [brand, setBrand] = useState('');
+  const [servingDescription, setServingDescription] = useState('');
+  const [servingGrams, setServingGrams] = useState('');
+  const [servingsPerContainer, setServingsPerContainer] = useState('');
+  const [perServing, setPerServing] = useState({});
+  const [showMoreNutrients, setShowMoreNutrients] = useState(false);
+  const [submitForVerification, setSubmitForVerification] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [issues, setIssues] = useState({ errors: [], warnings: [] });
+  const [acceptedWarnings, setAcceptedWarnings] = useState(false);
+
+  const updateNutrient = (key, value) => {
+    setPerServing({ ...perServing, [key]: value });
+    setAcceptedWarnings(false);
+  };
+
+  const per100gCalories = Number(servingGrams) > 0 && perServing.calories !== undefined && perServing.calories !== ''
+    ? labelToPer100g({ calories: perServing.calories }, servingGrams).calories
+    : null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      setError('Enter the product name.');
+      return;
+    }
+    if (!(Number(servingGrams) > 0)) {
+      setError('Enter the serving size in grams from the label.');
+      return;
+    }
+    const validation = validateLabel(perServing, servingGrams);
+    setIssues(validation);
+    if (validation.errors.length > 0) {
+      setError('');
+      return;
+    }
+    if (validation.warnings.length > 0 && !acceptedWarnings) {
+      setAcceptedWarnings(true);
+      setError('');
+      return;
+    }
+    setIsSaving(true);
+    setError('');
+    try {
+      await onSubmit({
+        name: name.trim(),
+        brand: brand.trim(),
+        servingGrams: Number(servingGrams),
+        servingDescription: servingDescription.trim(),
+        servingsPerContainer: Number(servingsPerContainer) > 0 ? Number(servingsPerContainer) : null,
+        perServing,
+        submitForVerification,
+      });
+    } catch (err) {
+      console.error('Failed to save food from label', err);
+      setError(`Could not save food: ${err?.message ?? err}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="nutrition-label-form" onSubmit={handleSubmit}>
+      {intro && <p className="nutrition-label-intro">{intro}</p>}
+
+      <label>
+        Product name
+        <input type="text" value={name} onChange={(e) => setName(e.target.value)} required />
+      </label>
+      <label>
+        Brand
+        <input type="text" value={brand} onChange={(e) => setBrand(e.target.value)} />
+      </label>
+
+      <div className="nutrition-label-row">
+        <label>
+          Serving size
+          <input
+            type="text"
+            value={servingDescription}
+            onChange={(e) => setServingDescription(e.target.value)}
+            placeholder="e.g. 1 bar"
+          />
+        </label>
+        <label>
+          Serving (g)
+          <input
+            type="number"
+            inputMode="decimal"
+            min="0"
+            step="any"
+            value={servingGrams}
+            onChange={(e) => {
+              setServingGrams(e.target.value);
+              setAcceptedWarnings(false);
+            }}
+            required
+          />
+        </label>
+      </div>
+      <label>
+        Servings per container
+        <input
+          type="number"
+          inputMode="decimal"
+          min="0"
+          step="any"
+          value={servingsPerContainer}
+          onChange={(e) => setServingsPerContainer(e.target.value)}
+        />
+      </label>
+
+      <fieldset className="nutrition-label-nutrients">
+        <legend>Per serving</legend>
+        {LABEL_NUTRIENTS.filter(nutrient => nutrient.macro || showMoreNutrients).map(nutrient => (
+          <label key={nutrient.key}>
+            {nutrient.label} ({nutrient.unit})
+            <input
+              type="number"
+              inputMode="decimal"
+              min="0"
+              step="any"
+              value={perServing[nutrient.key] ?? ''}
+              onChange={(e) => updateNutrient(nutrient.key, e.target.value)}
+            />
+          </label>
+        ))}
+        <button type="button" className="nutrition-label-more" onClick={() => setShowMoreNutrients(!showMoreNutrients)}>
+          {showMoreNutrients ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+          {showMoreNutrients ? 'Fewer nutrients' : 'Sugars, fiber, sodium and more'}
+        </button>
+      </fieldset>
+      {per100gCalories !== null && (
+        <p className="nutrition-label-intro">Saved as {per100gCalories} kcal per 100g.</p>
+      )}
+
+      <label className="nutrition-label-toggle">
+        <input
+          type="checkbox"
+          checked={submitForVerification}
+          onChange={(e) => setSubmitForVerification(e.target.checked)}
+        />
+        <span>Submit for verification. Only you (and your trainer) see this food until an admin verifies it.</span>
+      </label>
+
+      {issues.errors.length > 0 && (
+        <ul className="nutrition-label-issues error">
+          {issues.errors.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+      {issues.errors.length === 0 && issues.warnings.length > 0 && (
+        <ul className="nutrition-label-issues">
+          {issues.warnings.map(message => <li key={message}>{message}</li>)}
+          <li>Check the label, or save again to keep these values.</li>
+        </ul>
+      )}
+      {error && <p className="nutrition-label-error">{error}</p>}
+
+      <div className="nutrition-label-actions">
+        <button type="button" className="nutrition-label-cancel" onClick={onCancel} disabled={isSaving}>Cancel</button>
+        <button type="submit" className="nutrition-label-submit" disabled={isSaving}>
+          {isSaving ? 'Saving...' : acceptedWarnings ? 'Save anyway' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default NutritionLabelForm;
@@ -0,0 +1,162 @@
+/**
+ * @file PersonalRecordsPanel.jsx
+ * @description Personal record history for the Progress page: current bests per
+ * record type for a chosen exercise, a step chart of how one record moved over
+ * time, and the most recent PRs across all exercises.
+ * @project Felony Fitness
+ *
+ * @workflow
+ * 1. Fetches the user's personal_records rows (written by the workout_log_entries trigger).
+ * 2. Defaults the exercise picker to the exercise with the most recent PR.
+ * 3. Current bests are the max value per record type; the chart plots every record row
+ *    for the selected type in date order.
+ */
+import React, { useEffect, useMemo, useState } from 'react';
+import { Trophy } from 'lucide-react';
+import { supabase } from '../supabaseClient.js';
+import LazyRecharts from './LazyRecharts.jsx';
+import { RECORD_TYPES, getRecordLabel } from '../utils/personalRecords.js';
+import './PersonalRecordsPanel.css';
+
+/** Number of entries in the "Recent PRs" list */
+const RECENT_LIMIT = 8;
+
+/**
+ * @param {Object} props
+ * @param {string} props.userId - Authenticated user id
+ */
+export default function PersonalRecordsPanel({ userId }) {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [exerciseId, setExerciseId] = useState('');
+  const [recordType, setRecordType] = useState('e1rm');
+
+  useEffect(() => {
+    if (!userId) return;
+    let isMounted = true;
+    const fetchRecords = async () => {
+      try {
+        const { data, error } = await supabase
+          .from('personal_records')
+          .select('id, exercise_id, record_type, value, weight_lbs, reps, previous_value, achieved_on, exercises(name)')
+          .eq('user_id', userId)
+          .order('achieved_on', { ascending: true });
+        if (error) throw error;
+        if (isMounted) setRecords(data || []);
+      } catch (err) {
+        console.error('Error loading personal records:', err);
+      } finally {
+        if (isMounted) setLoading(false);
+      }
+    };
+    fetchRecords();
+    return () => { isMounted = false; };
+  }, [userId]);
+
+  const exercises = useMemo(() => {
+    const byId = new Map();
+    records.forEach(r => byId.set(r.exercise_id, r.exercises?.name || 'Exercise'));
+    return Array.from(byId, ([id, name]) => ({ id, name })).sort((a, b) => a.name.localeCompare(b.name));
+  }, [records]);
+
+  const recentRecords = useMemo(
+    () => records.filter(r => r.previous_value !== null).slice(-RECENT_LIMIT).reverse(),
+    [records]
+  );
+
+  // Default to the exercise with the latest PR once data arrives
+  useEffect(() => {
+    if (!exerciseId && records.length > 0) {
+      setExerciseId(records[records.length - 1].exercise_id);
+    }
+  }, [records, exerciseId]);
+
+  const exerciseRecords = useMemo(() => records.filter(r => r.exercise_id === exerciseId), [records, exerciseId]);
+
+  const bests = useMemo(() => {
+    const result = {};
+    exerciseRecords.forEach(r => {
+      if (!result[r.record_type] || Number(r.value) > Number(result[r.record_type].value)) {
+        result[r.record_type] = r;
+      }
+    });
+    return result;
+  }, [exerciseRecords]);
+
+  const chartData = useMemo(() => exerciseRecords
+    .filter(r => r.record_type === recordType)
+    .map(r => ({ date: new Date(`${r.achieved_on}T00:00:00`).toLocaleDateString(), value: Math.round(Number(r.value)) })),
+  [exerciseRecords, recordType]);
+
+  if (loading) return null;
+
+  return (
+    <div className="personal-records-section">
+      <h3><Trophy size={18} /> Personal Records</h3>
+      {records.length === 0 ? (
+        <p className="pr-empty">Log some sets to start tracking records.</p>
+      ) : (
+        <>
+          <select className="pr-exercise-select" value={exerciseId} onChange={(e) => setExerciseId(e.target.value)} aria-label="Exercise">
+            {exercises.map(ex => <option key={ex.id} value={ex.id}>{ex.name}</option>)}
+          </select>
+
+          <div className="pr-bests-grid">
+            {RECORD_TYPES.filter(({ type }) => bests[type]).map(({ type, label }) => (
+              <button
+                key={type}
+                className={`pr-best-card${recordType === type ? ' active' : ''}`}
+                onClick={() => setRecordType(type)}
+              >
+                <span className="pr-best-value">{Math.round(Number(bests[type].value))} lbs</span>
+                <span className="pr-best-label">{label}</span>
+                {bests[type].reps && type !== 'session_volume' && (
+                  <span className="pr-best-detail">{Number(bests[type].weight_lbs)} x {bests[type].reps}</span>
+                )}
+              </button>
+            ))}
+          </div>
+
+          {chartData.length > 1 && (
+            <div className="chart-card">
+              <h3>{getRecordLabel(recordType)} History</h3>
+              <LazyRecharts fallback={<div className="loading-message">Loading chart...</div>}>
+                {(libs) => {
+                  const { ResponsiveContainer, LineChart, CartesianGrid, XAxis, YAxis, Tooltip, Line } = libs;
+                  return (
+                    <ResponsiveContainer width="100%" height={220}>
+                      <LineChart data={chartData}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#2d3748" />
+                        <XAxis dataKey="date" stroke="#a0aec0" fontSize={12} />
+                        <YAxis stroke="#a0aec0" fontSize={12} domain={['auto', 'auto']} />
+                        <Tooltip contentStyle={{ backgroundColor: '#1a202c', border: '1px solid #4a5568' }} />
+                        <Line type="stepAfter" dataKey="value" name={getRecordLabel(recordType)} stroke="#eab308" strokeWidth={2} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  );
+                }}
+              </LazyRecharts>
+            </div>
+          )}
+
+          {recentRecords.length > 0 && (
+            <div className="pr-recent">
+              <h4>Recent PRs</h4>
+              <ul>
+                {recentRecords.map(r => (
+                  <li key={r.id}>
+                    <span>{r.exercises?.name} — {getRecordLabel(r.record_type)}</span>
+                    <span>
+                      {Math.round(Number(r.value))} lbs
+                      <span className="pr-delta"> +{Math.round(Number(r.value) - Number(r.previous_value))}</span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
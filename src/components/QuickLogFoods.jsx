@@ -0,0 +1,169 @@
+/**
+ * @file QuickLogFoods.jsx
+ * @description Recent, frequent and favorite foods for the current meal slot
+ * on the nutrition log. Each row shows the amount logged last time in that
+ * slot; the add button re-logs it in one tap, tapping the name opens the log
+ * modal with that amount prefilled, and the star toggles a favorite.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ *
+ * @example
+ * <QuickLogFoods
+ *   userId={user.id}
+ *   mealType={activeMeal}
+ *   refreshKey={todaysLogs.length}
+ *   onLog={(item) => quickLog(item)}
+ *   onOpen={(item) => openLogModal(item)}
+ * />
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Plus, Star } from 'lucide-react';
+import { fetchQuickLogFoods, quickLogAmount, setFavoriteFood } from '../services/foodUsage.js';
+import './QuickLogFoods.css';
+
+const LISTS = [
+  { key: 'recent', label: 'Recent', empty: 'Foods you log here will show up for next time.' },
+  { key: 'frequent', label: 'Frequent', empty: 'Foods you log here more than once will show up here.' },
+  { key: 'favorites', label: 'Favorites', empty: 'Star a food to keep it here.' },
+];
+
+/**
+ * "1.5 × 1 cup (240g)" or "150g"
+ * @param {import('../services/foodUsage.js').QuickLogFood} item
+ * @returns {string}
+ */
+const describeAmount = (item) => {
+  const { portion, servings, grams } = quickLogAmount(item);
+  if (!portion) return `${Math.round(grams)}g`;
+  const description = portion.portion_description || `${portion.amount} ${portion.measure_unit}`;
+  return `${servings === 1 ? '' : `${servings} × `}${description} (${Math.round(grams)}g)`;
+};
+
+/**
+ * @param {object} props - Component props.
+ * @param {string} props.userId - Signed-in user's id.
+ * @param {string} props.mealType - Meal slot ('breakfast' | 'lunch' | 'dinner' | 'snack1' | 'snack2').
+ * @param {number} [props.refreshKey] - Change to reload the lists, e.g. after logging.
+ * @param {Function} props.onLog - Called with a QuickLogFood to log it with its last amount.
+ * @param {Function} props.onOpen - Called with a QuickLogFood to open the log modal for it.
+ * @param {boolean} [props.disabled] - Disable the log buttons.
+ * @returns {JSX.Element|null} The QuickLogFoods React element.
+ */
+function QuickLogFoods({ userId, mealType, refreshKey, onLog, onOpen, disabled = false }) {
+  const [lists, setLists] = useState({ recent: [], frequent: [], favorites: [] });
+  const [activeList, setActiveList] = useState('recent');
+  const [loggingId, setLoggingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    let mounted = true;
+    (async () => {
+      try {
+        const result = await fetchQuickLogFoods(userId, mealType);
+        if (mounted) {
+          setLists(result);
+          setError('');
+        }
+      } catch (err) {
+        console.error('Failed to load quick-log foods', err);
+        if (mounted) setError('Could not load your recent foods.');
+      }
+    })();
+    return () => {
+      mounted = false;
+    };
+  }, [userId, mealType, refreshKey]);
+
+  if (!userId) return null;
+
+  const handleToggleFavorite = async (item) => {
+    const favorite = !item.isFavorite;
+    const mark = entry => (entry.food.id === item.food.id ? { ...entry, isFavorite: favorite } : entry);
+    const previous = lists;
+    setLists({
+      recent: lists.recent.map(mark),
+      frequent: lists.frequent.map(mark),
+      favorites: favorite
+        ? [{ ...item, isFavorite: true }, ...lists.favorites]
+        : lists.favorites.filter(entry => entry.food.id !== item.food.id),
+    });
+    try {
+      await setFavoriteFood(userId, item.food.id, favorite);
+    } catch (err) {
+      console.error('Failed to update favorite', err);
+      setLists(previous);
+      setError('Could not update favorites.');
+    }
+  };
+
+  const handleLog = async (item) => {
+    setLoggingId(item.food.id);
+    try {
+      await onLog(item);
+    } finally {
+      setLoggingId(null);
+    }
+  };
+
+  const items = lists[activeList];
+
+  return (
+    <div className="quick-log">
+      <div className="quick-log-tabs" role="tablist">
+        {LISTS.map(list => (
+          <button
+            key={list.key}
+            type="button"
+            role="tab"
+            aria-selected={activeList === list.key}
+            className={activeList === list.key ? 'active' : ''}
+            onClick={() => setActiveList(list.key)}
+          >
+            {list.label}
+          </button>
+        ))}
+      </div>
+      {error && <p className="quick-log-empty">{error}</p>}
+      {!error && items.length === 0 && (
+        <p className="quick-log-empty">{LISTS.find(list => list.key === activeList).empty}</p>
+      )}
+      {items.length > 0 && (
+        <ul className="quick-log-list">
+          {items.map(item => (
+            <li key={item.food.id} className="quick-log-item">
+              <button
+                type="button"
+                className={`quick-log-star${item.isFavorite ? ' starred' : ''}`}
+                onClick={() => handleToggleFavorite(item)}
+                aria-label={item.isFavorite ? `Unstar ${item.food.name}` : `Star ${item.food.name}`}
+                aria-pressed={item.isFavorite}
+              >
+                <Star size={16} />
+              </button>
+              <button type="button" className="quick-log-name" onClick={() => onOpen(item)}>
+                <span>{item.food.name}</span>
+                <span className="quick-log-amount">{describeAmount(item)}</span>
+              </button>
+              <button
+                type="button"
+                className="quick-log-add"
+                onClick={() => handleLog(item)}
+                disabled={disabled || loggingId !== null}
+                aria-label={`Log ${item.food.name} again`}
+                title="Log again"
+              >
+                <Plus size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default QuickLogFoods;
@@ -0,0 +1,250 @@
+/**
+ * @file RecipeImportModal.jsx
+ * @description Paste a recipe's ingredient list, review the foods each line
+ * was matched to (with the amount converted to grams), and hand the accepted
+ * ingredients back to the meal builder. Lines can be re-searched, switched to
+ * another candidate, have their grams corrected, or be skipped.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ *
+ * @example
+ * <RecipeImportModal
+ *   isOpen={showRecipeImport}
+ *   onImport={(items, { servings }) => addIngredients(items, servings)}
+ *   onClose={() => setShowRecipeImport(false)}
+ * />
+ */
+
+import React, { useState } from 'react';
+import { X, Search, ClipboardList } from 'lucide-react';
+import { importRecipeText, matchIngredient } from '../services/recipeImport.js';
+import { ingredientToGrams } from '../utils/recipeParser.js';
+import './RecipeImportModal.css';
+
+/** Hints for how an ingredient's grams were worked out */
+const METHOD_HINTS = {
+  mass: 'converted from weight',
+  portion: 'from the food\'s portion size',
+  density: 'from the food\'s cup/spoon weight',
+  estimate: 'estimate - check the amount',
+};
+
+const PLACEHOLDER = `2 cups cooked rice
+6 oz chicken breast, diced
+1 tbsp olive oil
+Serves 2`;
+
+/**
+ * @param {object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the modal is shown.
+ * @param {Function} props.onImport - Called with `[{ food, grams, note }]` and `{ servings }`.
+ * @param {() => void} props.onClose - Close handler.
+ * @returns {JSX.Element|null} The RecipeImportModal React element.
+ */
+function RecipeImportModal({ isOpen, onImport, onClose }) {
+  const [text, setText] = useState('');
+  const [matches, setMatches] = useState([]);
+  const [servings, setServings] = useState('');
+  const [searchTerms, setSearchTerms] = useState({});
+  const [skipped, setSkipped] = useState({});
+  const [isParsing, setIsParsing] = useState(false);
+  const [searchingIndex, setSearchingIndex] = useState(null);
+  const [error, setError] = useState('');
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setText('');
+    setMatches([]);
+    setServings('');
+    setSearchTerms({});
+    setSkipped({});
+    setError('');
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleParse = async () => {
+    setIsParsing(true);
+    setError('');
+    try {
+      const result = await importRecipeText(text);
+      setMatches(result.matches);
+      setServings(result.servings ? String(result.servings) : '1');
+      setSearchTerms(Object.fromEntries(result.matches.map((m, i) => [i, m.ingredient.name])));
+      setSkipped(Object.fromEntries(result.matches.map((m, i) => [i, !m.food])));
+    } catch (err) {
+      console.error('Recipe import failed', err);
+      setError(err?.message ?? String(err));
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const updateMatch = (index, changes) => {
+    setMatches(matches.map((m, i) => (i === index ? { ...m, ...changes } : m)));
+  };
+
+  const handleSelectCandidate = (index, foodId) => {
+    const match = matches[index];
+    const food = match.candidates.find(c => String(c.id) === foodId) || null;
+    const { grams, method } = food ? ingredientToGrams(match.ingredient, food) : { grams: null, method: null };
+    updateMatch(index, { food, grams, method });
+    setSkipped({ ...skipped, [index]: !food });
+  };
+
+  const handleSearchAgain = async (index) => {
+    const name = (searchTerms[index] || '').trim();
+    if (name.length < 3) return;
+    setSearchingIndex(index);
+    try {
+      const match = await matchIngredient({ ...matches[index].ingredient, name });
+      updateMatch(index, { candidates: match.candidates, food: match.food, grams: match.grams, method: match.method });
+      setSkipped({ ...skipped, [index]: !match.food });
+    } catch (err) {
+      console.error('Ingredient search failed', err);
+      setError(`Search failed: ${err?.message ?? err}`);
+    } finally {
+      setSearchingIndex(null);
+    }
+  };
+
+  const accepted = matches.filter((m, i) => !skipped[i] && m.food && Number(m.grams) > 0);
+  const totalCalories = accepted.reduce((sum, m) => sum + (Number(m.food.calories) || 0) * Number(m.grams) / 100, 0);
+  const servingCount = Math.max(1, parseInt(servings, 10) || 1);
+
+  const handleImport = () => {
+    onImport(
+      accepted.map(m => ({ food: m.food, grams: Number(m.grams), note: m.ingredient.original })),
+      { servings: servingCount },
+    );
+    reset();
+  };
+
+  return (
+    <div className="recipe-import-overlay" onClick={handleClose}>
+      <div className="recipe-import-modal" role="dialog" aria-modal="true" aria-label="Import recipe" onClick={(e) => e.stopPropagation()}>
+        <div className="recipe-import-header">
+          <h3>Import Recipe</h3>
+          <button type="button" className="recipe-import-close" onClick={handleClose} aria-label="Close"><X size={20} /></button>
+        </div>
+
+        {error && <p className="error-message">{error}</p>}
+
+        {matches.length === 0 ? (
+          <div className="recipe-import-paste">
+            <p className="recipe-import-hint">Paste the ingredient list, one ingredient per line.</p>
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder={PLACEHOLDER}
+              rows={8}
+              aria-label="Recipe ingredients"
+              autoFocus
+            />
+            <div className="recipe-import-actions">
+              <button type="button" className="recipe-import-secondary" onClick={handleClose}>Cancel</button>
+              <button type="button" className="recipe-import-primary" onClick={handleParse} disabled={isParsing || !text.trim()}>
+                <ClipboardList size={16} /> {isParsing ? 'Matching foods...' : 'Match ingredients'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="recipe-import-review">
+            <ul className="recipe-import-list">
+              {matches.map((match, index) => (
+                <li key={index} className={`recipe-import-item${skipped[index] ? ' skipped' : ''}`}>
+                  <div className="recipe-import-line">
+                    <span>{match.ingredient.original}</span>
+                    <label className="recipe-import-skip">
+                      <input
+                        type="checkbox"
+                        checked={!!skipped[index]}
+                        onChange={(e) => setSkipped({ ...skipped, [index]: e.target.checked })}
+                        disabled={!match.food}
+                      />
+                      Skip
+                    </label>
+                  </div>
+                  <div className="recipe-import-search">
+                    <input
+                      type="text"
+                      value={searchTerms[index] ?? ''}
+                      onChange={(e) => setSearchTerms({ ...searchTerms, [index]: e.target.value })}
+                      aria-label={`Search term for ${match.ingredient.original}`}
+                    />
+                    <button
+                      type="button"
+                      className="recipe-import-secondary"
+                      onClick={() => handleSearchAgain(index)}
+                      disabled={searchingIndex !== null}
+                      aria-label="Search again"
+                      title="Search again"
+                    >
+                      <Search size={14} />
+                    </button>
+                  </div>
+                  {match.candidates.length > 0 ? (
+                    <div className="recipe-import-match">
+                      <select
+                        value={match.food ? String(match.food.id) : ''}
+                        onChange={(e) => handleSelectCandidate(index, e.target.value)}
+                        aria-label={`Food for ${match.ingredient.original}`}
+                      >
+                        {match.candidates.map(food => (
+                          <option key={food.id} value={String(food.id)}>
+                            {food.name}{food.brand_owner ? ` (${food.brand_owner})` : ''}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.1"
+                        value={match.grams ?? ''}
+                        onChange={(e) => updateMatch(index, { grams: e.target.value, method: null })}
+                        aria-label={`Grams of ${match.ingredient.original}`}
+                      />
+                      <span className="recipe-import-unit">g</span>
+                    </div>
+                  ) : (
+                    <p className="recipe-import-none">No matching food. Try a different search term.</p>
+                  )}
+                  {match.food && match.method && match.method !== 'mass' && (
+                    <p className={`recipe-import-method${match.method === 'estimate' ? ' estimate' : ''}`}>
+                      {METHOD_HINTS[match.method]}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            <div className="recipe-import-summary">
+              <label>
+                Servings (yield)
+                <input type="number" min="1" step="1" value={servings} onChange={(e) => setServings(e.target.value)} />
+              </label>
+              <span>
+                {accepted.length} of {matches.length} ingredients · {Math.round(totalCalories / servingCount)} cal per serving
+              </span>
+            </div>
+
+            <div className="recipe-import-actions">
+              <button type="button" className="recipe-import-secondary" onClick={() => setMatches([])}>Back</button>
+              <button type="button" className="recipe-import-primary" onClick={handleImport} disabled={accepted.length === 0}>
+                Add {accepted.length} to meal
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RecipeImportModal;
@@ -0,0 +1,166 @@
+/**
+ * @file RescheduleSessionModal.jsx
+ * @description Modal for re-flowing a mesocycle around a missed session. Shows
+ * a preview of each strategy (push everything forward, compress the week, or
+ * drop the session) built by `planReschedule`, then writes the chosen plan with
+ * `applyReschedule` and hands the undo snapshot back to the parent.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ *
+ * @example
+ * <RescheduleSessionModal
+ *   isOpen={Boolean(rescheduleEntry)}
+ *   mesocycle={mesocycle}
+ *   rows={weeksData}
+ *   entry={rescheduleEntry}
+ *   onApplied={(undo, plan) => ...}
+ *   onClose={() => setRescheduleEntry(null)}
+ * />
+ */
+
+import React, { useMemo, useState } from 'react';
+import Modal from 'react-modal';
+import { X } from 'lucide-react';
+import {
+  DEFAULT_SPACING_RULES,
+  getDateForDayNumber,
+  getDayNumber,
+  planReschedule,
+  RESCHEDULE_STRATEGIES,
+} from '../lib/cycleUtils.js';
+import { applyReschedule } from '../services/mesocycleReschedule.js';
+import './RescheduleSessionModal.css';
+
+if (typeof document !== 'undefined' && document.querySelector('#root')) {
+  Modal.setAppElement('#root');
+}
+
+const STRATEGY_OPTIONS = [
+  { id: RESCHEDULE_STRATEGIES.PUSH, label: 'Push schedule forward', description: 'Train it next and shift every remaining session by the same number of days.' },
+  { id: RESCHEDULE_STRATEGIES.COMPRESS, label: 'Compress this week', description: 'Fit it into the rest of this week; later weeks stay put.' },
+  { id: RESCHEDULE_STRATEGIES.DROP, label: 'Drop it', description: 'Mark it skipped and keep the schedule as it is.' },
+];
+
+const formatDay = (iso) => {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+/**
+ * @param {object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the modal is shown.
+ * @param {Object} props.mesocycle - mesocycles row ({ id, weeks, start_date, end_date }).
+ * @param {Array<Object>} props.rows - All mesocycle_weeks rows of the mesocycle.
+ * @param {Object|null} props.entry - The missed mesocycle_weeks row.
+ * @param {(undo: Object, plan: Object) => void} props.onApplied - Called after the plan is written.
+ * @param {() => void} props.onClose - Close handler.
+ * @returns {JSX.Element|null} The RescheduleSessionModal React element.
+ */
+function RescheduleSessionModal({ isOpen, mesocycle, rows, entry, onApplied, onClose }) {
+  const [strategy, setStrategy] = useState(RESCHEDULE_STRATEGIES.PUSH);
+  const [isApplying, setIsApplying] = useState(false);
+  const [error, setError] = useState(null);
+
+  const plans = useMemo(() => {
+    if (!entry || !mesocycle) return {};
+    const today = mesocycle.start_date ? getDayNumber(mesocycle.start_date) : 0;
+    return Object.fromEntries(STRATEGY_OPTIONS.map(({ id }) => [
+      id,
+      planReschedule({ rows, missedId: entry.id, strategy: id, today, weeks: mesocycle.weeks || 1 }),
+    ]));
+  }, [entry, mesocycle, rows]);
+
+  if (!isOpen || !entry) return null;
+
+  const plan = plans[strategy];
+  const describeDay = (dayNumber, slot) => (mesocycle.start_date
+    ? formatDay(getDateForDayNumber(mesocycle.start_date, dayNumber))
+    : `Week ${slot.week_index}, Day ${slot.day_index}`);
+
+  const handleApply = async () => {
+    if (!plan?.ok) return;
+    setIsApplying(true);
+    setError(null);
+    try {
+      const undo = await applyReschedule({ mesocycle, plan });
+      onApplied(undo, plan);
+    } catch (err) {
+      console.error('Failed to reschedule session:', err);
+      setError('Could not save the new schedule. Reload the mesocycle to check what changed.');
+      if (err.applied) onApplied(err.applied, plan);
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      contentLabel="Reschedule missed session"
+      overlayClassName="reschedule-modal-overlay"
+      className="reschedule-modal-content"
+    >
+      <div className="reschedule-header">
+        <h3>Reschedule {entry.routine_name || 'session'}</h3>
+        <button type="button" className="reschedule-close" onClick={onClose} aria-label="Close"><X size={18} /></button>
+      </div>
+      <p className="reschedule-subtitle">
+        Planned for Week {entry.week_index}, Day {entry.day_index}
+      </p>
+
+      <div className="reschedule-options" role="radiogroup" aria-label="Reschedule strategy">
+        {STRATEGY_OPTIONS.map((option) => (
+          <label key={option.id} className={`reschedule-option ${strategy === option.id ? 'selected' : ''} ${plans[option.id]?.ok ? '' : 'unavailable'}`}>
+            <input
+              type="radio"
+              name="reschedule-strategy"
+              value={option.id}
+              checked={strategy === option.id}
+              onChange={() => setStrategy(option.id)}
+            />
+            <span className="reschedule-option-label">{option.label}</span>
+            <span className="reschedule-option-description">{option.description}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="reschedule-preview">
+        <h4>Preview</h4>
+        {!plan?.ok && <p className="reschedule-unavailable">{plan?.reason}</p>}
+        {plan?.ok && plan.skipIds.length > 0 && <p>This session will be marked skipped. Nothing else moves.</p>}
+        {plan?.ok && plan.skipIds.length === 0 && (
+          <>
+            <ul>
+              {plan.moves.map((move) => (
+                <li key={move.id}>
+                  <span className="reschedule-move-name">{move.routine_name || 'Routine'}</span>
+                  <span className="reschedule-move-dates">{describeDay(move.fromDay, move.from)} → {describeDay(move.toDay, move.to)}</span>
+                </li>
+              ))}
+            </ul>
+            {plan.weeks > (mesocycle.weeks || 1) && (
+              <p className="reschedule-note">Adds {plan.weeks - mesocycle.weeks} week{plan.weeks - mesocycle.weeks === 1 ? '' : 's'} to the mesocycle.</p>
+            )}
+          </>
+        )}
+        <p className="reschedule-note">
+          Keeps at most {DEFAULT_SPACING_RULES.maxConsecutiveDays} training days in a row and never repeats a routine on back-to-back days.
+        </p>
+      </div>
+
+      {error && <p className="reschedule-error">{error}</p>}
+
+      <div className="reschedule-actions">
+        <button type="button" className="reschedule-button secondary" onClick={onClose}>Cancel</button>
+        <button type="button" className="reschedule-button" onClick={handleApply} disabled={!plan?.ok || isApplying}>
+          {isApplying ? 'Saving…' : 'Apply'}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default RescheduleSessionModal;
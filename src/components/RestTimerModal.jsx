@@ -1,8 +1,9 @@
 /**
  * @fileoverview Rest timer modal component for workout rest periods
  * @description A modal component that displays a countdown timer for rest periods between exercises
- * or a completion message at the end of a workout. Provides configurable timer controls and
- * integrates with workout flow management.
+ * or a completion message at the end of a workout. The countdown itself lives in useRestTimer
+ * (timestamp-based, so it survives backgrounding); this component only renders it and forwards
+ * adjustments.
  * 
  * @author Felony Fitness Development Team
  * @version 1.0.0
@@ -14,10 +15,12 @@
  * 
  * @example
  * // Basic rest timer usage
+ * const restTimer = useRestTimer();
  * <RestTimerModal
  *   isOpen={showRestTimer}
  *   onClose={() => setShowRestTimer(false)}
- *   initialDuration={90}
+ *   remainingSeconds={restTimer.remainingSeconds}
+ *   onAdjust={restTimer.adjust}
  *   onFinishWorkout={() => handleWorkoutComplete()}
  * />
  * 
@@ -31,7 +34,7 @@
  * />
  */
 import { Minus, Plus, X } from 'lucide-react';
-import React, { useEffect, useState } from 'react';
+import React from 'react';
 import Modal from 'react-modal';
 import './RestTimerModal.css';
 
@@ -54,13 +57,15 @@ if (typeof document !== 'undefined' && document.querySelector('#root')) {
  * @param {Object} props - Component properties
  * @param {boolean} props.isOpen - Controls whether the modal is visible
  * @param {Function} props.onClose - Callback function when modal should be closed
- * @param {number} [props.initialDuration=60] - Initial timer duration in seconds
+ * @param {number} [props.remainingSeconds=0] - Seconds left in the current rest
+ * @param {Function} [props.onAdjust] - Called with +10 / -10 to lengthen or shorten this rest
+ * @param {Function} [props.onSkip] - Ends the rest early (defaults to onClose)
  * @param {boolean} [props.isWorkoutComplete=false] - If true, shows workout completion view
  * @param {Function} props.onFinishWorkout - Callback when "Finish Workout" button is clicked
  * @returns {React.ReactElement|null} The rendered modal component or null if not open
  * 
  * @description Renders a modal for either a rest timer countdown or a workout completion screen.
- * In timer mode, provides countdown with start/pause/reset controls and duration adjustment.
+ * In timer mode, shows the countdown with skip and ±10s adjustment for this set's rest.
  * In completion mode, displays congratulatory message with workout summary options.
  * 
  * @example
@@ -68,7 +73,8 @@ if (typeof document !== 'undefined' && document.querySelector('#root')) {
  * <RestTimerModal
  *   isOpen={true}
  *   onClose={handleClose}
- *   initialDuration={120}
+ *   remainingSeconds={restTimer.remainingSeconds}
+ *   onAdjust={restTimer.adjust}
  *   isWorkoutComplete={false}
  *   onFinishWorkout={handleWorkoutEnd}
  * />
@@ -79,43 +85,7 @@ if (typeof document !== 'undefined' && document.querySelector('#root')) {
  * - Keyboard navigation support
  * - Screen reader friendly time announcements
  */
-function RestTimerModal({ isOpen, onClose, initialDuration = 60, isWorkoutComplete = false, onFinishWorkout }) {
-  /**
-   * State to keep track of the remaining time in seconds.
-   * @type {[number, React.Dispatch<React.SetStateAction<number>>]}
-   */
-  const [timeLeft, setTimeLeft] = useState(initialDuration);
-
-  /**
-   * Effect hook to manage the countdown timer.
-   * It starts a `setInterval` when the modal opens and clears it on cleanup or when the modal closes.
-   * The timer automatically closes the modal when `timeLeft` reaches zero.
-   * If `isWorkoutComplete` is true, the timer logic is skipped.
-   */
-  useEffect(() => {
-    if (isOpen) {
-      // Reset timer to the initial duration each time the modal opens.
-      setTimeLeft(initialDuration);
-      
-      // Do not start the countdown if the workout is complete.
-      if (isWorkoutComplete) return;
-
-      const timer = setInterval(() => {
-        setTimeLeft(prevTime => {
-            if (prevTime <= 1) {
-              clearInterval(timer);
-              if (typeof onClose === 'function') onClose(); // Automatically close the modal if provided.
-              return 0;
-            }
-          return prevTime - 1;
-        });
-      }, 1000);
-
-      // Cleanup function to clear the interval when the component unmounts or dependencies change.
-      return () => clearInterval(timer);
-    }
-  }, [isOpen, initialDuration, onClose, isWorkoutComplete]);
-
+function RestTimerModal({ isOpen, onClose, remainingSeconds = 0, onAdjust, onSkip, isWorkoutComplete = false, onFinishWorkout }) {
   /**
    * Formats a duration in seconds into a MM:SS string.
    * @param {number} seconds - The total number of seconds.
@@ -123,21 +93,18 @@ function RestTimerModal({ isOpen, onClose, initialDuration = 60, isWorkoutComple
    */
   const formatTime = (seconds) => {
     const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = seconds % 60;
-    return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+    const secondsPart = seconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${secondsPart.toString().padStart(2, '0')}`;
   };
 
   /**
-   * Adjusts the current `timeLeft` by a given amount.
+   * Adjusts the current rest by a given amount.
    * @param {number} amount - The number of seconds to add or subtract (e.g., 10 or -10).
    */
   const adjustTime = (amount) => {
-    // Ensures the time does not go below zero.
-    setTimeLeft(prevTime => Math.max(0, prevTime + amount));
+    if (typeof onAdjust === 'function') onAdjust(amount);
   };
 
-  // Debug: Log when RestTimerModal is rendering and its open state
-  console.log('[RestTimerModal] render, isOpen:', isOpen);
   // Render nothing if the modal is not supposed to be open.
   if (!isOpen) return null;
 
@@ -161,7 +128,7 @@ function RestTimerModal({ isOpen, onClose, initialDuration = 60, isWorkoutComple
             <div className="timer-display">
                 {/* For the complete state, show a checkmark or message instead of time if desired. */}
                 {/* For this implementation, we just show the remaining time. */}
-                {formatTime(timeLeft)}
+                {formatTime(remainingSeconds)}
             </div>
         </div>
         
@@ -175,7 +142,7 @@ function RestTimerModal({ isOpen, onClose, initialDuration = 60, isWorkoutComple
         ) : (
           <div className="timer-controls">
             <button onClick={() => adjustTime(-10)} className="adjust-btn" aria-label="Decrease time by 10 seconds"><Minus size={20} /> 10s</button>
-            <button onClick={onClose} className="skip-btn">Skip</button>
+            <button onClick={onSkip || onClose} className="skip-btn">Skip</button>
             <button onClick={() => adjustTime(10)} className="adjust-btn" aria-label="Increase time by 10 seconds"><Plus size={20} /> 10s</button>
           </div>
         )}
@@ -0,0 +1,183 @@
+/**
+ * @file ShareRoutineModal.jsx
+ * @description Modal for sharing one of the user's routines. Creating a share
+ * gives the routine a code and link that anyone signed in can use to preview
+ * and import a copy; listing it publicly also puts it in the public routine
+ * library, where difficulty and routine type are used as filters.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ *
+ * @example
+ * <ShareRoutineModal
+ *   isOpen={Boolean(sharingRoutine)}
+ *   routine={sharingRoutine}
+ *   onChange={(updated) => ...}
+ *   onClose={() => setSharingRoutine(null)}
+ * />
+ */
+
+import React, { useEffect, useState } from 'react';
+import Modal from 'react-modal';
+import { Check, Copy, X } from 'lucide-react';
+import {
+  getShareLink,
+  ROUTINE_DIFFICULTIES,
+  ROUTINE_TYPES,
+  shareRoutine,
+  unshareRoutine,
+} from '../services/routineSharing.js';
+import './ShareRoutineModal.css';
+
+if (typeof document !== 'undefined' && document.querySelector('#root')) {
+  Modal.setAppElement('#root');
+}
+
+/**
+ * @param {object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the modal is shown.
+ * @param {Object|null} props.routine - workout_routines row being shared.
+ * @param {Function} props.onChange - Called with the updated routine row after sharing changes.
+ * @param {() => void} props.onClose - Close handler.
+ * @returns {JSX.Element|null} The ShareRoutineModal React element.
+ */
+function ShareRoutineModal({ isOpen, routine, onChange, onClose }) {
+  const [isPublic, setIsPublic] = useState(false);
+  const [difficultyLevel, setDifficultyLevel] = useState('');
+  const [routineType, setRoutineType] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [copied, setCopied] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !routine) return;
+    setIsPublic(Boolean(routine.is_public && routine.share_code));
+    setDifficultyLevel(routine.difficulty_level ? String(routine.difficulty_level) : '');
+    setRoutineType(routine.routine_type || '');
+    setCopied(null);
+    setError(null);
+  }, [isOpen, routine]);
+
+  if (!isOpen || !routine) return null;
+
+  const isShared = Boolean(routine.share_code);
+  const link = isShared ? getShareLink(routine.share_code) : '';
+  const isUnchanged = isShared
+    && isPublic === Boolean(routine.is_public)
+    && difficultyLevel === (routine.difficulty_level ? String(routine.difficulty_level) : '')
+    && routineType === (routine.routine_type || '');
+
+  const handleShare = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const updated = await shareRoutine(routine, {
+        isPublic,
+        difficultyLevel: difficultyLevel ? Number(difficultyLevel) : null,
+        routineType: routineType || null,
+      });
+      onChange(updated);
+    } catch (err) {
+      console.error('Failed to share routine', err);
+      setError(`Could not share: ${err?.message ?? err}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleUnshare = async () => {
+    if (!confirm('Stop sharing? The current link and code will stop working.')) return;
+    setIsSaving(true);
+    setError(null);
+    try {
+      await unshareRoutine(routine.id);
+      onChange({ ...routine, share_code: null, is_public: false });
+    } catch (err) {
+      console.error('Failed to stop sharing routine', err);
+      setError(`Could not stop sharing: ${err?.message ?? err}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCopy = async (text, what) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(what);
+    } catch {
+      setError('Copy failed. Select the text and copy it manually.');
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onRequestClose={onClose}
+      contentLabel="Share routine"
+      overlayClassName="share-modal-overlay"
+      className="share-modal-content"
+    >
+      <div className="share-header">
+        <h3>Share {routine.routine_name}</h3>
+        <button className="share-close" onClick={onClose} aria-label="Close"><X size={18} /></button>
+      </div>
+
+      {isShared && (
+        <div className="share-codes">
+          <div className="share-code-row">
+            <span className="share-code">{routine.share_code}</span>
+            <button type="button" className="share-copy" onClick={() => handleCopy(routine.share_code, 'code')}>
+              {copied === 'code' ? <Check size={14} /> : <Copy size={14} />} Code
+            </button>
+          </div>
+          <div className="share-code-row">
+            <input type="text" readOnly value={link} onFocus={(e) => e.target.select()} aria-label="Share link" />
+            <button type="button" className="share-copy" onClick={() => handleCopy(link, 'link')}>
+              {copied === 'link' ? <Check size={14} /> : <Copy size={14} />} Link
+            </button>
+          </div>
+          <p className="share-hint">
+            Anyone signed in with this link or code can preview the routine and import a copy.
+            {routine.import_count > 0 && ` Imported ${routine.import_count} time${routine.import_count === 1 ? '' : 's'}.`}
+          </p>
+        </div>
+      )}
+
+      <label className="share-toggle">
+        <input type="checkbox" checked={isPublic} onChange={(e) => setIsPublic(e.target.checked)} />
+        <span>List in public routines</span>
+      </label>
+
+      <div className="share-fields">
+        <label>
+          Difficulty
+          <select value={difficultyLevel} onChange={(e) => setDifficultyLevel(e.target.value)}>
+            <option value="">Not set</option>
+            {ROUTINE_DIFFICULTIES.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+          </select>
+        </label>
+        <label>
+          Type
+          <select value={routineType} onChange={(e) => setRoutineType(e.target.value)}>
+            <option value="">Not set</option>
+            {ROUTINE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {error && <p className="share-error">{error}</p>}
+
+      <div className="share-actions">
+        {isShared && (
+          <button className="share-button secondary" onClick={handleUnshare} disabled={isSaving}>Stop sharing</button>
+        )}
+        <button className="share-button" onClick={handleShare} disabled={isSaving || isUnchanged}>
+          {isSaving ? 'Saving...' : isShared ? 'Save' : 'Create share link'}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default ShareRoutineModal;
@@ -0,0 +1,145 @@
+/**
+ * @file WarmupPlanner.jsx
+ * @description Warm-up ramp and plate breakdown for the exercise being logged.
+ * Shows lighter sets building up to today's working weight, the plates to load
+ * per side on the chosen bar, and lets each warm-up be logged as a flagged set.
+ * @project Felony Fitness
+ *
+ * @workflow
+ * 1. Working weight = e1RM × target_intensity_pct, or the weight in the set input
+ *    when the lifter has no e1RM for this exercise yet.
+ * 2. All math runs in the lifter's unit system (plate_settings.unit) and is converted
+ *    back to lbs when a warm-up is logged.
+ * 3. Warm-ups already logged today are ticked off in ramp order.
+ */
+import React, { useMemo, useState } from 'react';
+import { Check, ChevronDown, ChevronUp, Flame } from 'lucide-react';
+import {
+  BAR_TYPES,
+  calculatePlates,
+  calculateWorkingWeight,
+  formatPlates,
+  fromPounds,
+  generateWarmupSets,
+  getPlateIncrement,
+  toPounds,
+} from '../utils/warmupPlanner.js';
+import './WarmupPlanner.css';
+
+/**
+ * @param {Object} props
+ * @param {number|null} props.e1rmLbs - Best estimated 1RM for the exercise
+ * @param {number|null} props.intensityPct - routine_exercises.target_intensity_pct
+ * @param {number|null} props.fallbackWeightLbs - Working weight to use without an e1RM
+ * @param {string|null} props.barType - Key of BAR_TYPES, or null for non-barbell lifts
+ * @param {Function} props.onBarTypeChange - Called with the new bar type
+ * @param {{unit: string, plates: Array<number>, bars: Object<string, number>}} props.plateSettings - Normalized settings
+ * @param {number} props.warmupsLogged - Warm-up sets already logged today for this exercise
+ * @param {Function} props.onLogWarmup - Called with (weightLbs, reps)
+ * @param {boolean} [props.disabled] - Disable logging while a save is in flight
+ */
+export default function WarmupPlanner({
+  e1rmLbs,
+  intensityPct,
+  fallbackWeightLbs,
+  barType,
+  onBarTypeChange,
+  plateSettings,
+  warmupsLogged,
+  onLogWarmup,
+  disabled = false,
+}) {
+  const [isOpen, setIsOpen] = useState(true);
+  const { unit, plates, bars } = plateSettings;
+  const unitLabel = unit === 'kg' ? 'kg' : 'lbs';
+
+  const plan = useMemo(() => {
+    const barWeight = barType ? bars[barType] : 0;
+    const increment = barType ? getPlateIncrement(plates) : unit === 'kg' ? 2.5 : 5;
+    const fromE1rm = e1rmLbs > 0;
+    const workingWeight = fromE1rm
+      ? calculateWorkingWeight(fromPounds(e1rmLbs, unit), intensityPct, increment)
+      : Math.round(fromPounds(Number(fallbackWeightLbs) || 0, unit) / increment) * increment;
+    if (!(workingWeight > barWeight)) return null;
+
+    const withPlates = (set) => ({
+      ...set,
+      plates: barType ? calculatePlates(set.weight, barWeight, plates) : null,
+    });
+    return {
+      fromE1rm,
+      workingWeight,
+      warmups: generateWarmupSets(workingWeight, { barWeight, increment }).map(withPlates),
+      working: withPlates({ weight: workingWeight }),
+    };
+  }, [e1rmLbs, intensityPct, fallbackWeightLbs, barType, bars, plates, unit]);
+
+  if (!plan) return null;
+
+  const describePlates = (set) => {
+    if (!set.plates) return null;
+    const short = set.plates.remainder > 0 ? ` (${set.plates.loadedWeight} ${unitLabel} loadable)` : '';
+    return `${formatPlates(set.plates.perSide)} per side${short}`;
+  };
+
+  return (
+    <div className="warmup-planner">
+      <button className="warmup-planner-header" onClick={() => setIsOpen(open => !open)} aria-expanded={isOpen}>
+        <Flame size={16} />
+        <span>Warm-up to {plan.workingWeight} {unitLabel}</span>
+        {isOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="warmup-planner-meta">
+            <span>
+              {plan.fromE1rm
+                ? `${Number(intensityPct) || 75}% of ${Math.round(fromPounds(e1rmLbs, unit))} ${unitLabel} e1RM`
+                : 'Based on the weight entered'}
+            </span>
+            {barType && (
+              <select
+                className="warmup-bar-select"
+                value={barType}
+                onChange={(e) => onBarTypeChange(e.target.value)}
+                aria-label="Bar"
+              >
+                {Object.entries(BAR_TYPES).map(([type, { label }]) => (
+                  <option key={type} value={type}>{label} ({bars[type]} {unitLabel})</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <ul className="warmup-set-list">
+            {plan.warmups.map((set, index) => {
+              const isLogged = index < warmupsLogged;
+              return (
+                <li key={set.weight} className={isLogged ? 'logged' : ''}>
+                  <div>
+                    <strong>{set.weight} {unitLabel} x {set.reps}</strong>
+                    {set.plates && <span className="warmup-plates">{describePlates(set)}</span>}
+                  </div>
+                  <button
+                    className="warmup-log-btn"
+                    onClick={() => onLogWarmup(toPounds(set.weight, unit), set.reps)}
+                    disabled={disabled || isLogged}
+                  >
+                    {isLogged ? <Check size={14} /> : 'Log'}
+                  </button>
+                </li>
+              );
+            })}
+            <li className="working">
+              <div>
+                <strong>Working: {plan.workingWeight} {unitLabel}</strong>
+                {plan.working.plates && <span className="warmup-plates">{describePlates(plan.working)}</span>}
+              </div>
+            </li>
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
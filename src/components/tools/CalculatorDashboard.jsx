@@ -43,8 +43,9 @@
  * Calculator Details:
  * 
  * **1. Strength Calculator** (One-Rep Max):
- * - Input: Lift name, weight, reps performed
- * - Formula: Epley Formula (weight × (1 + reps/30))
+ * - Input: Lift name, weight, reps performed, optional RPE
+ * - Formula: User's default (Epley, Brzycki, Lombardi, Mayhew, O'Conner or Wathan);
+ *   with an RPE, reps in reserve (10 − RPE) are added before estimating
  * - Output: 1RM, percentage chart (95%-65% with rep ranges and training zones)
  * - Use Case: Programming progressive overload, setting training intensities
  * 
@@ -137,10 +138,13 @@ import { useAuth } from '../../useAuth';
 import { updateClientMetrics } from '../../services/trainerService';
 import { supabase } from '../../supabaseClient';
 import {
+  DEFAULT_ONE_RM_FORMULA,
+  ONE_RM_FORMULAS,
   calculate1RM,
   calculateBodyComp,
   calculateHeartZones,
   calculateMacros,
+  estimateOneRepMax,
   getPercentageChart
 } from '../../utils/fitnessCalculators';
 import './CalculatorDashboard.css';
@@ -208,7 +212,7 @@ const CalculatorDashboard = () => {
 
   // Strength Calculator State
   const [strengthData, setStrengthData] = useState(() => 
-    loadSavedState('strength', { liftName: '', weight: '', reps: '' })
+    loadSavedState('strength', { liftName: '', weight: '', reps: '', rpe: '', formula: '' })
   );
   const [strengthResults, setStrengthResults] = useState(() => 
     loadSavedState('strengthResults', null)
@@ -238,6 +242,20 @@ const CalculatorDashboard = () => {
     loadSavedState('macroResults', null)
   );
 
+  // Default the strength formula to the user's 1RM setting
+  useEffect(() => {
+    if (!user?.id || strengthData.formula) return;
+    const loadFormula = async () => {
+      const { data } = await supabase
+        .from('user_profiles')
+        .select('one_rm_formula')
+        .eq('user_id', user.id)
+        .maybeSingle();
+      setStrengthData(prev => (prev.formula ? prev : { ...prev, formula: data?.one_rm_formula || DEFAULT_ONE_RM_FORMULA }));
+    };
+    loadFormula();
+  }, [user?.id, strengthData.formula]);
+
   // Save state to localStorage whenever it changes
   useEffect(() => {
     localStorage.setItem('calculator_strength', JSON.stringify(strengthData));
@@ -418,15 +436,33 @@ const CalculatorDashboard = () => {
       return;
     }
 
-    const oneRepMax = calculate1RM(weight, reps);
+    const formula = ONE_RM_FORMULAS[strengthData.formula] ? strengthData.formula : DEFAULT_ONE_RM_FORMULA;
+    const rpe = strengthData.rpe ? parseFloat(strengthData.rpe) : null;
+    if (rpe !== null && (rpe < 1 || rpe > 10)) {
+      alert('RPE must be between 1 and 10');
+      return;
+    }
+
+    const oneRepMax = estimateOneRepMax(weight, reps, { formula, rpe, rpeAdjusted: rpe !== null });
     const percentages = getPercentageChart(oneRepMax);
+    // Side-by-side estimates so trainers can see how much the formulas disagree
+    const formulaComparison = Object.entries(ONE_RM_FORMULAS).map(([key, { label }]) => ({
+      key,
+      label,
+      value: rpe !== null
+        ? estimateOneRepMax(weight, reps, { formula: key, rpe, rpeAdjusted: true })
+        : calculate1RM(weight, reps, key)
+    }));
 
     setStrengthResults({
       liftName: strengthData.liftName || 'Unknown Lift',
       weight,
       reps,
+      rpe,
+      formula,
       oneRepMax,
-      percentages
+      percentages,
+      formulaComparison
     });
   };
 
@@ -597,7 +633,10 @@ const CalculatorDashboard = () => {
               <Dumbbell size={24} />
               <h2>Strength Commander (1RM Calculator)</h2>
             </div>
-            <p className="card-description">Calculate one-rep max using the Epley formula</p>
+            <p className="card-description">
+              Calculate one-rep max using the {ONE_RM_FORMULAS[strengthData.formula]?.label || 'Epley'} formula
+              {strengthData.rpe ? ', adjusted for RPE' : ''}
+            </p>
 
             <div className="input-grid">
               <div className="input-group">
@@ -630,6 +669,31 @@ const CalculatorDashboard = () => {
                   onChange={(e) => setStrengthData({ ...strengthData, reps: e.target.value })}
                 />
               </div>
+              <div className="input-group">
+                <label htmlFor="rpe">RPE (optional)</label>
+                <input
+                  id="rpe"
+                  type="number"
+                  min="1"
+                  max="10"
+                  step="0.5"
+                  placeholder="8"
+                  value={strengthData.rpe || ''}
+                  onChange={(e) => setStrengthData({ ...strengthData, rpe: e.target.value })}
+                />
+              </div>
+              <div className="input-group">
+                <label htmlFor="one-rm-formula">Formula</label>
+                <select
+                  id="one-rm-formula"
+                  value={strengthData.formula || DEFAULT_ONE_RM_FORMULA}
+                  onChange={(e) => setStrengthData({ ...strengthData, formula: e.target.value })}
+                >
+                  {Object.entries(ONE_RM_FORMULAS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
             </div>
 
             <button className="calculate-button" onClick={handleStrengthCalculate}>
@@ -649,6 +713,17 @@ const CalculatorDashboard = () => {
                   <span className="result-value">{strengthResults.oneRepMax} lbs</span>
                 </div>
 
+                {strengthResults.formulaComparison && (
+                  <div className="formula-comparison">
+                    {strengthResults.formulaComparison.map(row => (
+                      <div key={row.key} className={`formula-chip ${row.key === strengthResults.formula ? 'active' : ''}`}>
+                        <span>{row.label}</span>
+                        <strong>{row.value}</strong>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 <h4>Training Zones & Percentages</h4>
                 <table className="percentage-table">
                   <thead>
@@ -0,0 +1,143 @@
+/**
+ * @file FoodVerificationQueue.jsx
+ * @description Admin review queue for custom foods users submitted for
+ * verification. Shows each food's label (per serving, as entered, plus the
+ * stored per-100g values) with the NutritionAPI sanity checks, and lets the
+ * admin verify it (making it public) or reject it with a note.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ *
+ * @example
+ * {activeTab === 'foods' && <FoodVerificationQueue />}
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Check, X } from 'lucide-react';
+import { listPendingFoods, reviewCustomFood } from '../../services/customFoods.js';
+import { LABEL_NUTRIENTS, validateLabel } from '../../utils/nutritionLabel.js';
+import './FoodVerificationQueue.css';
+
+/** Per-serving values for display and checks, from the stored per-100g values */
+const toServing = (food, grams) => Object.fromEntries(
+  LABEL_NUTRIENTS.map(({ key }) => [key, Math.round((Number(food[key]) || 0) * grams) / 100]),
+);
+
+/**
+ * @returns {JSX.Element} The FoodVerificationQueue React element.
+ */
+function FoodVerificationQueue() {
+  const [foods, setFoods] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      try {
+        const rows = await listPendingFoods();
+        if (mounted) setFoods(rows);
+      } catch (err) {
+        console.error('Failed to load pending foods', err);
+        if (mounted) setError(`Failed to load foods: ${err?.message ?? err}`);
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  const handleReview = async (food, approve) => {
+    if (!approve && !notes[food.id]?.trim()) {
+      setError('Add a note saying why the food is rejected.');
+      return;
+    }
+    setBusyId(food.id);
+    setError('');
+    try {
+      await reviewCustomFood(food.id, approve, notes[food.id] || '');
+      setFoods(foods.filter(f => f.id !== food.id));
+    } catch (err) {
+      console.error('Failed to review food', err);
+      setError(`Could not save review: ${err?.message ?? err}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (isLoading) return <p className="food-queue-empty">Loading submitted foods...</p>;
+
+  return (
+    <div className="food-queue">
+      <h2>Food Verification</h2>
+      {error && <p className="error-message">{error}</p>}
+      {foods.length === 0 ? (
+        <p className="food-queue-empty">No foods are waiting for review.</p>
+      ) : (
+        foods.map(food => {
+          const serving = food.portions?.find(p => p.measure_unit === 'serving') || food.portions?.[0];
+          const grams = Number(serving?.gram_weight) || 100;
+          const perServing = toServing(food, grams);
+          const { errors, warnings } = validateLabel(perServing, grams);
+          return (
+            <div key={food.id} className="food-queue-item">
+              <div className="food-queue-heading">
+                <strong>{food.name}</strong>
+                <span>
+                  {[food.brand_owner, food.creator_name && `by ${food.creator_name}`,
+                    food.submitted_at && new Date(food.submitted_at).toLocaleDateString()].filter(Boolean).join(' · ')}
+                </span>
+              </div>
+              <p className="food-queue-serving">
+                Serving: {serving?.portion_description || `${grams}g`}
+                {food.servings_per_container && ` · ${food.servings_per_container} servings per container`}
+              </p>
+              <table className="food-queue-nutrients">
+                <thead>
+                  <tr><th>Nutrient</th><th>Per serving</th><th>Per 100g</th></tr>
+                </thead>
+                <tbody>
+                  {LABEL_NUTRIENTS.filter(({ key, macro }) => macro || Number(food[key]) > 0).map(({ key, label, unit }) => (
+                    <tr key={key}>
+                      <td>{label}</td>
+                      <td>{perServing[key]} {unit}</td>
+                      <td>{Number(food[key]) || 0} {unit}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {[...errors, ...warnings].length > 0 && (
+                <ul className="food-queue-issues">
+                  {[...errors, ...warnings].map(message => <li key={message}>{message}</li>)}
+                </ul>
+              )}
+              <input
+                type="text"
+                className="food-queue-note"
+                value={notes[food.id] || ''}
+                onChange={(e) => setNotes({ ...notes, [food.id]: e.target.value })}
+                placeholder="Note to the user (required to reject)"
+                aria-label={`Review note for ${food.name}`}
+              />
+              <div className="food-queue-actions">
+                <button type="button" className="food-queue-reject" onClick={() => handleReview(food, false)} disabled={busyId === food.id}>
+                  <X size={14} /> Reject
+                </button>
+                <button type="button" className="food-queue-approve" onClick={() => handleReview(food, true)} disabled={busyId === food.id}>
+                  <Check size={14} /> Verify &amp; publish
+                </button>
+              </div>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
+
+export default FoodVerificationQueue;
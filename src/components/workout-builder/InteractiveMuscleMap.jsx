@@ -8,6 +8,7 @@
  * - Dynamic highlighting of muscle groups
  * - Responsive SVG design
  * - Customizable styling and colors
+ * - Optional per-muscle status coloring (e.g. weekly volume vs landmarks)
  */
 
 import React from 'react';
@@ -22,7 +23,8 @@ const InteractiveMuscleMap = ({
   highlightedMuscles = [], 
   onMuscleClick = () => {}, 
   className = '',
-  variant = 'front' // 'front' or 'back'
+  variant = 'front', // 'front' or 'back'
+  muscleStatus = {} // { [muscleName]: status } → 'volume-<status>' class
 }) => {
   
   /**
@@ -52,7 +54,8 @@ const InteractiveMuscleMap = ({
   const getMuscleClasses = (muscleName) => {
     const baseClass = 'muscle-region';
     const highlightClass = isHighlighted(muscleName) ? 'highlighted' : '';
-    return `${baseClass} ${highlightClass}`.trim();
+    const statusClass = muscleStatus[muscleName] ? `volume-${muscleStatus[muscleName]}` : '';
+    return `${baseClass} ${highlightClass} ${statusClass}`.replace(/\s+/g, ' ').trim();
   };
 
   if (variant === 'back') {
@@ -322,7 +325,8 @@ InteractiveMuscleMap.propTypes = {
   highlightedMuscles: PropTypes.arrayOf(PropTypes.string),
   onMuscleClick: PropTypes.func,
   className: PropTypes.string,
-  variant: PropTypes.oneOf(['front', 'back'])
+  variant: PropTypes.oneOf(['front', 'back']),
+  muscleStatus: PropTypes.objectOf(PropTypes.string)
 };
 
 export default InteractiveMuscleMap;
\ No newline at end of file
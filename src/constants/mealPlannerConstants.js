@@ -36,6 +36,18 @@ export const MEAL_TYPES = [
   'postworkout'
 ];
 
+/**
+ * Meal slots used by the nutrition log (nutrition_logs.meal_type), in display order
+ * @type {Array<{value: string, label: string}>}
+ */
+export const MEAL_SLOTS = [
+  { value: 'breakfast', label: 'Breakfast' },
+  { value: 'lunch', label: 'Lunch' },
+  { value: 'dinner', label: 'Dinner' },
+  { value: 'snack1', label: 'Snack 1' },
+  { value: 'snack2', label: 'Snack 2' }
+];
+
 /**
  * Food categories with keyword matching for automatic shopping list organization
  * 
@@ -91,9 +103,13 @@ export const calculateMealNutrition = (mealFoods) => {
  * formatMealType('breakfast') // Returns 'Breakfast'
  * formatMealType('preworkout') // Returns 'Pre-Workout'
  * formatMealType('post-workout') // Returns 'Post-Workout'
+ * formatMealType('snack1') // Returns 'Snack 1'
  */
 export const formatMealType = (mealType) => {
   if (!mealType) return '';
+
+  const slot = MEAL_SLOTS.find(s => s.value === mealType);
+  if (slot) return slot.label;
   
   return mealType
     .split('-')
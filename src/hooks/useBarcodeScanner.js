@@ -0,0 +1,114 @@
+/**
+ * @fileoverview React hook for scanning product barcodes with the camera
+ * @description Streams the rear camera into a video element and polls the
+ * browser BarcodeDetector for GTIN symbologies (EAN/UPC). Browsers without
+ * BarcodeDetector (Safari, Firefox) report `isSupported: false` so callers can
+ * fall back to typing the code. The camera is released on stop, on a
+ * successful scan and on unmount.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @since 2025-12-31
+ *
+ * @requires React
+ *
+ * @example
+ * const { videoRef, isSupported, isScanning, error, start, stop } = useBarcodeScanner({
+ *   onDetected: ({ rawValue, format }) => lookUp(normalizeGtin(rawValue, { format })),
+ * });
+ * // <video ref={videoRef} muted playsInline />
+ */
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { GTIN_FORMATS } from '../utils/barcode.js';
+
+/** Delay between detection attempts; detect() is expensive on low-end phones */
+const SCAN_INTERVAL_MS = 250;
+
+const isBarcodeDetectorAvailable = () => typeof window !== 'undefined'
+  && 'BarcodeDetector' in window
+  && !!navigator.mediaDevices?.getUserMedia;
+
+/**
+ * @param {Object} options
+ * @param {Function} options.onDetected - Called once with `{ rawValue, format }`
+ * @returns {{ videoRef: Object, isSupported: boolean, isScanning: boolean, error: string, start: Function, stop: Function }}
+ */
+export default function useBarcodeScanner({ onDetected }) {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const timerRef = useRef(null);
+  const onDetectedRef = useRef(onDetected);
+  const [isSupported, setIsSupported] = useState(isBarcodeDetectorAvailable);
+  const [isScanning, setIsScanning] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    onDetectedRef.current = onDetected;
+  }, [onDetected]);
+
+  const stop = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    if (videoRef.current) videoRef.current.srcObject = null;
+    setIsScanning(false);
+  }, []);
+
+  const start = useCallback(async () => {
+    if (!isBarcodeDetectorAvailable()) {
+      setIsSupported(false);
+      return;
+    }
+    setError('');
+    try {
+      // Only ask for formats this device can read; an empty list means no GTIN support
+      const available = await window.BarcodeDetector.getSupportedFormats();
+      const formats = GTIN_FORMATS.filter(format => available.includes(format));
+      if (formats.length === 0) {
+        setIsSupported(false);
+        return;
+      }
+      const detector = new window.BarcodeDetector({ formats });
+
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' },
+        audio: false,
+      });
+      streamRef.current = stream;
+      const video = videoRef.current;
+      if (!video) {
+        stop();
+        return;
+      }
+      video.srcObject = stream;
+      await video.play();
+      setIsScanning(true);
+
+      const scan = async () => {
+        if (!streamRef.current) return;
+        try {
+          const [barcode] = await detector.detect(video);
+          if (barcode?.rawValue) {
+            stop();
+            onDetectedRef.current?.({ rawValue: barcode.rawValue, format: barcode.format });
+            return;
+          }
+        } catch {
+          // detect() throws while the video has no frame yet; try again
+        }
+        timerRef.current = setTimeout(scan, SCAN_INTERVAL_MS);
+      };
+      scan();
+    } catch (err) {
+      stop();
+      setError(err?.name === 'NotAllowedError'
+        ? 'Camera access was denied. Enter the barcode number instead.'
+        : 'Could not start the camera. Enter the barcode number instead.');
+    }
+  }, [stop]);
+
+  useEffect(() => stop, [stop]);
+
+  return { videoRef, isSupported, isScanning, error, start, stop };
+}
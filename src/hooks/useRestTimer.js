@@ -0,0 +1,194 @@
+/**
+ * @fileoverview React hook for a rest timer that survives backgrounding
+ * @description Stores the rest end as a timestamp (persisted to localStorage) and
+ * derives the remaining time from the clock, so a throttled or suspended tab
+ * still shows the right time when it wakes up, and a reload resumes the rest.
+ * When rest ends it plays a beep, vibrates and, if the page is hidden, shows a
+ * notification. Where the browser supports notification triggers, the
+ * notification is also scheduled up front so it fires even while suspended.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @since 2025-12-22
+ *
+ * @requires React
+ *
+ * @example
+ * const restTimer = useRestTimer();
+ * restTimer.start(120, { workoutLogId });
+ * // restTimer.remainingSeconds, restTimer.adjust(10), restTimer.dismiss()
+ */
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/** localStorage key for the active rest timer */
+const STORAGE_KEY = 'restTimer';
+
+/** Re-render cadence while counting down */
+const TICK_MS = 500;
+
+/** Notification tag so a scheduled and an immediate alert replace each other */
+const NOTIFICATION_TAG = 'rest-timer';
+
+const readStoredTimer = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && Number(stored.endsAt) > 0 ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+const storeTimer = (timer) => {
+  if (timer) localStorage.setItem(STORAGE_KEY, JSON.stringify(timer));
+  else localStorage.removeItem(STORAGE_KEY);
+};
+
+/** Three short beeps through Web Audio (no asset to load while offline) */
+const playBeep = () => {
+  try {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    const ctx = new AudioContextClass();
+    [0, 0.3, 0.6].forEach((offset) => {
+      const oscillator = ctx.createOscillator();
+      const gain = ctx.createGain();
+      oscillator.frequency.value = 880;
+      gain.gain.setValueAtTime(0.3, ctx.currentTime + offset);
+      gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + offset + 0.2);
+      oscillator.connect(gain).connect(ctx.destination);
+      oscillator.start(ctx.currentTime + offset);
+      oscillator.stop(ctx.currentTime + offset + 0.2);
+    });
+    setTimeout(() => ctx.close(), 1000);
+  } catch (err) {
+    console.warn('[RestTimer] Could not play sound:', err);
+  }
+};
+
+const canNotify = () => typeof Notification !== 'undefined' && Notification.permission === 'granted';
+
+/**
+ * Show (or schedule, when showTrigger is supported) the rest-over notification
+ * @param {number|null} [at] - Timestamp to schedule for; omit to show now
+ */
+const showRestNotification = async (at = null) => {
+  if (!canNotify()) return;
+  const options = { body: 'Time for your next set.', tag: NOTIFICATION_TAG, renotify: true, icon: '/pwa-192x192.png' };
+  try {
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (at) {
+      if (!registration || typeof window.TimestampTrigger === 'undefined') return;
+      await registration.showNotification('Rest over', { ...options, showTrigger: new window.TimestampTrigger(at) });
+    } else if (registration) {
+      await registration.showNotification('Rest over', options);
+    } else {
+      new Notification('Rest over', options);
+    }
+  } catch (err) {
+    console.warn('[RestTimer] Could not show notification:', err);
+  }
+};
+
+/** Remove a scheduled notification when rest is cut short or extended */
+const cancelScheduledNotification = async () => {
+  try {
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    const pending = registration ? await registration.getNotifications({ tag: NOTIFICATION_TAG, includeTriggered: true }) : [];
+    pending.forEach((notification) => notification.close());
+  } catch {
+    // getNotifications may be unsupported; nothing to cancel
+  }
+};
+
+/**
+ * Hook for a timestamp-based rest countdown
+ *
+ * @function useRestTimer
+ * @returns {Object} Timer state and actions
+ * @returns {Object|null} returns.timer - { startedAt, endsAt, plannedSeconds, workoutLogId, alerted, dismissed }
+ * @returns {number} returns.remainingSeconds - Seconds left (0 when over or idle)
+ * @returns {boolean} returns.isRunning - True while counting down and not dismissed
+ * @returns {Function} returns.start - (seconds, meta) start a new rest
+ * @returns {Function} returns.adjust - (deltaSeconds) lengthen or shorten the current rest
+ * @returns {Function} returns.dismiss - Hide the countdown, keeping the start time for rest tracking
+ * @returns {Function} returns.clear - Forget the timer entirely (e.g. workout finished)
+ */
+export function useRestTimer() {
+  const [timer, setTimer] = useState(readStoredTimer);
+  const [now, setNow] = useState(() => Date.now());
+  const timerRef = useRef(timer);
+
+  const update = useCallback((next) => {
+    timerRef.current = next;
+    storeTimer(next);
+    setTimer(next);
+  }, []);
+
+  const remainingSeconds = timer ? Math.max(0, Math.ceil((timer.endsAt - now) / 1000)) : 0;
+  const isRunning = !!timer && !timer.dismissed && remainingSeconds > 0;
+
+  // Tick while running and resync immediately when the tab becomes visible again
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const tick = () => setNow(Date.now());
+    const interval = setInterval(tick, TICK_MS);
+    const timeout = setTimeout(tick, Math.max(0, timer.endsAt - Date.now()));
+    document.addEventListener('visibilitychange', tick);
+    return () => {
+      clearInterval(interval);
+      clearTimeout(timeout);
+      document.removeEventListener('visibilitychange', tick);
+    };
+  }, [isRunning, timer]);
+
+  // Alert exactly once per rest, even if it ended while the page was suspended
+  useEffect(() => {
+    if (!timer || timer.alerted || timer.dismissed || remainingSeconds > 0) return;
+    update({ ...timer, alerted: true });
+    // Skip stale alerts for a rest that ended long ago (e.g. reopening the app later)
+    if (Date.now() - timer.endsAt > 60000) return;
+    playBeep();
+    if (navigator.vibrate) navigator.vibrate([300, 150, 300]);
+    if (document.visibilityState === 'hidden') {
+      cancelScheduledNotification().then(() => showRestNotification());
+    }
+  }, [timer, remainingSeconds, update]);
+
+  const start = useCallback((seconds, meta = {}) => {
+    const startedAt = Date.now();
+    const endsAt = startedAt + seconds * 1000;
+    setNow(startedAt);
+    update({ ...meta, startedAt, endsAt, plannedSeconds: seconds, alerted: false, dismissed: false });
+    if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      Notification.requestPermission().catch(() => {});
+    }
+    cancelScheduledNotification().then(() => showRestNotification(endsAt));
+  }, [update]);
+
+  const adjust = useCallback((deltaSeconds) => {
+    const current = timerRef.current;
+    if (!current) return;
+    const currentTime = Date.now();
+    const endsAt = Math.max(currentTime, current.endsAt + deltaSeconds * 1000);
+    const plannedSeconds = Math.round((endsAt - current.startedAt) / 1000);
+    setNow(currentTime);
+    update({ ...current, endsAt, plannedSeconds, alerted: endsAt <= currentTime ? current.alerted : false });
+    cancelScheduledNotification().then(() => {
+      if (endsAt > currentTime) showRestNotification(endsAt);
+    });
+  }, [update]);
+
+  const dismiss = useCallback(() => {
+    const current = timerRef.current;
+    if (!current || current.dismissed) return;
+    update({ ...current, dismissed: true });
+    cancelScheduledNotification();
+  }, [update]);
+
+  const clear = useCallback(() => {
+    update(null);
+    cancelScheduledNotification();
+  }, [update]);
+
+  return { timer, remainingSeconds, isRunning, start, adjust, dismiss, clear };
+}
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview React hook wiring the offline workout queue into a page
+ * @description Tracks connectivity, exposes which sets still have unsynced changes,
+ * and replays the IndexedDB queue when the device comes back online, on mount,
+ * and on a 30-second polling interval while anything is pending.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @since 2025-12-16
+ *
+ * @requires React
+ * @requires workoutSyncQueue
+ *
+ * @example
+ * const { isOnline, pendingCount, pendingEntryIds, queueOp, flush } = useWorkoutSyncQueue({
+ *   onApplied: (op, result) => replaceOptimisticRow(result.row),
+ *   onConflict: (op, reason) => console.warn(reason),
+ * });
+ *
+ * @see {@link ../services/workoutSyncQueue.js} for queue semantics and conflict rules
+ */
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  enqueueWorkoutOp,
+  flushWorkoutQueue,
+  getPendingWorkoutOps,
+  subscribeToWorkoutQueue,
+} from '../services/workoutSyncQueue';
+
+/** Poll interval for retrying replay while operations are pending */
+const RETRY_INTERVAL_MS = 30000;
+
+/**
+ * Hook for queue-first workout writes
+ *
+ * @function useWorkoutSyncQueue
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onApplied] - (op, result) called after an op reached the server
+ * @param {Function} [callbacks.onConflict] - (op, reason) called when an op was dropped
+ * @returns {Object} Queue state and actions
+ * @returns {boolean} returns.isOnline - Browser connectivity state
+ * @returns {boolean} returns.isSyncing - True while a replay is in flight
+ * @returns {number} returns.pendingCount - Number of queued operations
+ * @returns {Set<string>} returns.pendingEntryIds - Set ids with unsynced changes
+ * @returns {Function} returns.queueOp - Enqueue an op and immediately try to replay
+ * @returns {Function} returns.flush - Replay the queue now
+ */
+export function useWorkoutSyncQueue(callbacks = {}) {
+  const [isOnline, setIsOnline] = useState(() => (typeof navigator === 'undefined' ? true : navigator.onLine));
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [pendingOps, setPendingOps] = useState([]);
+
+  // Keep the latest callbacks without re-subscribing listeners on every render
+  const callbacksRef = useRef(callbacks);
+  useEffect(() => {
+    callbacksRef.current = callbacks;
+  });
+
+  const refreshPending = useCallback(async () => {
+    setPendingOps(await getPendingWorkoutOps());
+  }, []);
+
+  const flush = useCallback(async () => {
+    setIsSyncing(true);
+    try {
+      return await flushWorkoutQueue({
+        onApplied: (op, result) => callbacksRef.current.onApplied?.(op, result),
+        onConflict: (op, reason) => callbacksRef.current.onConflict?.(op, reason),
+      });
+    } catch (err) {
+      console.error('[WorkoutSyncQueue] Flush failed:', err);
+      return null;
+    } finally {
+      setIsSyncing(false);
+    }
+  }, []);
+
+  const queueOp = useCallback(async (op) => {
+    await enqueueWorkoutOp(op);
+    flush();
+  }, [flush]);
+
+  useEffect(() => {
+    refreshPending();
+    const unsubscribe = subscribeToWorkoutQueue(refreshPending);
+    return unsubscribe;
+  }, [refreshPending]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      flush();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    flush();
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [flush]);
+
+  useEffect(() => {
+    if (pendingOps.length === 0) return;
+    const interval = setInterval(flush, RETRY_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [pendingOps.length, flush]);
+
+  const pendingEntryIds = new Set(pendingOps.filter((op) => op.entryId).map((op) => op.entryId));
+
+  return {
+    isOnline,
+    isSyncing,
+    pendingCount: pendingOps.length,
+    pendingEntryIds,
+    queueOp,
+    flush,
+  };
+}
+
+export default useWorkoutSyncQueue;
@@ -33,6 +33,26 @@
  * @see {@link https://en.wikipedia.org/wiki/Periodization} for training periodization theory
  */
 
+/**
+ * Parse a start date to local midnight.
+ * @param {string|Date|null} startDate - 'YYYY-MM-DD' or Date; null means today
+ * @returns {Date} Local midnight of that day
+ */
+function toLocalMidnight(startDate) {
+  let start;
+  if (!startDate) start = new Date();
+  else if (typeof startDate === 'string') {
+    // parse YYYY-MM-DD (avoid timezone shift by constructing with numeric parts)
+    const parts = startDate.split('-').map((p) => Number(p));
+    // parts: [YYYY, MM, DD]
+    start = new Date(parts[0], (parts[1] || 1) - 1, parts[2] || 1);
+  } else {
+    start = new Date(startDate);
+  }
+  // Normalize to local midnight to avoid timezone shifts in tests
+  return new Date(start.getFullYear(), start.getMonth(), start.getDate());
+}
+
 /**
  * Generate precise scheduled dates for mesocycle training sessions
  * 
@@ -93,18 +113,7 @@
  * const sessions = generateSessionDates(); // Uses current date, empty assignments
  */
 export function generateSessionDates(startDate, assignments = []) {
-  let start;
-  if (!startDate) start = new Date();
-  else if (typeof startDate === 'string') {
-    // parse YYYY-MM-DD (avoid timezone shift by constructing with numeric parts)
-    const parts = startDate.split('-').map((p) => Number(p));
-    // parts: [YYYY, MM, DD]
-    start = new Date(parts[0], (parts[1] || 1) - 1, parts[2] || 1);
-  } else {
-    start = new Date(startDate);
-  }
-  // Normalize to local midnight to avoid timezone shifts in tests
-  const base = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+  const base = toLocalMidnight(startDate);
 
   return assignments.map((a) => {
     const daysOffset = (a.week_index - 1) * 7 + (a.day_index || 0);
@@ -124,4 +133,322 @@ export function generateSessionDates(startDate, assignments = []) {
   });
 }
 
-export default { generateSessionDates };
+/**
+ * Rescheduling strategies for a missed mesocycle session
+ * @readonly
+ * @enum {string}
+ */
+export const RESCHEDULE_STRATEGIES = Object.freeze({
+  /** Move the missed session and every later pending session forward by the same number of days */
+  PUSH: 'push',
+  /** Fit the missed session into the rest of its week, nudging that week's later sessions */
+  COMPRESS: 'compress',
+  /** Skip the missed session and leave the schedule as it is */
+  DROP: 'drop',
+});
+
+/**
+ * Rest-day spacing enforced when sessions move
+ * @type {{maxConsecutiveDays: number, minSameRoutineGapDays: number}}
+ */
+export const DEFAULT_SPACING_RULES = Object.freeze({
+  /** Longest run of back-to-back training days */
+  maxConsecutiveDays: 3,
+  /** Days between two sessions of the same routine (2 = never on consecutive days) */
+  minSameRoutineGapDays: 2,
+});
+
+/** Furthest a push may shift the schedule before giving up */
+const MAX_PUSH_DAYS = 28;
+
+/** Columns that describe what is planned on a mesocycle_weeks day (moved between rows when rescheduling) */
+const DAY_CONTENT_FIELDS = ['routine_id', 'routine_name', 'notes', 'day_type'];
+
+/**
+ * Day number of a mesocycle_weeks row counted from the mesocycle start (0 = week 1, day 1).
+ * mesocycle_weeks rows use 1-based day_index (Day 1..7).
+ * @param {{week_index: number, day_index: number}} row - mesocycle_weeks row
+ * @returns {number} Days since the start date
+ */
+export function getSlotDayNumber(row) {
+  return (Number(row.week_index) - 1) * 7 + (Number(row.day_index) - 1);
+}
+
+/**
+ * Inverse of getSlotDayNumber.
+ * @param {number} dayNumber - Days since the start date
+ * @returns {{week_index: number, day_index: number}} 1-based week and day
+ */
+export function getSlotForDayNumber(dayNumber) {
+  return { week_index: Math.floor(dayNumber / 7) + 1, day_index: (dayNumber % 7) + 1 };
+}
+
+/**
+ * Days from the mesocycle start date to a date (negative before the start).
+ * @param {string|Date} startDate - mesocycles.start_date
+ * @param {Date} [date=new Date()] - Date to measure to
+ * @returns {number} Whole days
+ */
+export function getDayNumber(startDate, date = new Date()) {
+  const base = toLocalMidnight(startDate);
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return Math.round((day.getTime() - base.getTime()) / 86400000);
+}
+
+/**
+ * Local YYYY-MM-DD for a day number of the mesocycle.
+ * @param {string|Date} startDate - mesocycles.start_date
+ * @param {number} dayNumber - Days since the start date
+ * @returns {string} ISO date
+ */
+export function getDateForDayNumber(startDate, dayNumber) {
+  const d = toLocalMidnight(startDate);
+  d.setDate(d.getDate() + dayNumber);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * A session still to be trained: has a routine and is neither complete nor skipped.
+ * @param {Object} row - mesocycle_weeks row
+ * @returns {boolean}
+ */
+export function isPendingSession(row) {
+  return Boolean(row?.routine_id) && !row.is_complete && !row.skipped;
+}
+
+/**
+ * Would training `routineId` on `day` break the spacing rules?
+ * @param {number} day - Candidate day number
+ * @param {string} routineId - Routine being placed
+ * @param {Map<number, string>} training - Day number → routine_id of sessions that count as training
+ * @param {Set<number>} blocked - Day numbers that can't take a session
+ * @param {{maxConsecutiveDays: number, minSameRoutineGapDays: number}} rules - Spacing rules
+ * @returns {boolean} True when the day is not allowed
+ */
+function breaksSpacing(day, routineId, training, blocked, rules) {
+  if (blocked.has(day) || training.has(day)) return true;
+  let run = 1;
+  for (let d = day - 1; training.has(d); d--) run++;
+  for (let d = day + 1; training.has(d); d++) run++;
+  if (run > rules.maxConsecutiveDays) return true;
+  for (let gap = 1; gap < rules.minSameRoutineGapDays; gap++) {
+    if (training.get(day - gap) === routineId || training.get(day + gap) === routineId) return true;
+  }
+  return false;
+}
+
+/**
+ * Place sessions on the given days one by one, checking spacing against
+ * everything already placed.
+ * @returns {boolean} True when every placement is allowed
+ */
+function canPlace(sessions, days, training, blocked, rules) {
+  const placed = new Map(training);
+  return sessions.every((session, i) => {
+    if (breaksSpacing(days[i], session.routine_id, placed, blocked, rules)) return false;
+    placed.set(days[i], session.routine_id);
+    return true;
+  });
+}
+
+/**
+ * All ascending k-element selections from a list (small lists only: a week has 7 days).
+ * @param {Array<number>} items - Candidate days
+ * @param {number} k - Number to pick
+ * @returns {Array<Array<number>>} Selections
+ */
+function combinations(items, k) {
+  if (k === 0) return [[]];
+  const result = [];
+  items.forEach((item, i) => {
+    combinations(items.slice(i + 1), k - 1).forEach((rest) => result.push([item, ...rest]));
+  });
+  return result;
+}
+
+const pickContent = (row) => DAY_CONTENT_FIELDS.reduce((acc, field) => {
+  if (row && field in row) acc[field] = row[field] ?? null;
+  return acc;
+}, {});
+
+/**
+ * Plan how to re-flow the schedule around a missed session. Pure: nothing is
+ * written; apply the result with services/mesocycleReschedule.js.
+ *
+ * Completed and skipped sessions never move. Moved sessions keep their order,
+ * land no earlier than today, and respect the spacing rules. A session landing
+ * in a deload slot stays flagged as deload; the days it leaves become rest days.
+ * Pushing past the last week adds weeks (of rest days) to the mesocycle.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.rows - All mesocycle_weeks rows of the mesocycle
+ * @param {string} params.missedId - mesocycle_weeks.id of the missed session
+ * @param {string} params.strategy - One of RESCHEDULE_STRATEGIES
+ * @param {number} params.today - Today's day number (see getDayNumber)
+ * @param {number} params.weeks - Current mesocycle length
+ * @param {Object} [params.rules=DEFAULT_SPACING_RULES] - Spacing rules
+ * @returns {Object} { ok, reason?, strategy, moves, skipIds, updates, inserts, weeks }
+ *   - moves: [{ id, routine_id, routine_name, fromDay, toDay, from, to }]
+ *   - updates: [{ id, before, after }] content changes to existing rows
+ *   - inserts: new mesocycle_weeks rows for added weeks (without mesocycle_id)
+ *
+ * @example
+ * planReschedule({ rows, missedId, strategy: RESCHEDULE_STRATEGIES.PUSH, today: 9, weeks: 4 })
+ * // { ok: true, moves: [{ fromDay: 7, toDay: 9, ... }, ...], weeks: 4, ... }
+ */
+export function planReschedule({ rows, missedId, strategy, today, weeks, rules = DEFAULT_SPACING_RULES }) {
+  const empty = { strategy, moves: [], skipIds: [], updates: [], inserts: [], weeks };
+  const missed = (rows || []).find((r) => r.id === missedId);
+  if (!missed || !isPendingSession(missed)) {
+    return { ...empty, ok: false, reason: 'That session is already complete or skipped.' };
+  }
+  if (strategy === RESCHEDULE_STRATEGIES.DROP) {
+    return { ...empty, ok: true, skipIds: [missed.id] };
+  }
+
+  const missedDay = getSlotDayNumber(missed);
+  const earliest = Math.max(today, missedDay + 1);
+  const weekEnd = Math.floor(missedDay / 7) * 7 + 6;
+  const moving = rows
+    .filter((r) => isPendingSession(r) && getSlotDayNumber(r) >= missedDay)
+    .filter((r) => strategy === RESCHEDULE_STRATEGIES.PUSH || getSlotDayNumber(r) <= weekEnd)
+    .sort((a, b) => getSlotDayNumber(a) - getSlotDayNumber(b));
+  const movingIds = new Set(moving.map((r) => r.id));
+
+  // Completed sessions count toward spacing; skipped ones only hold their day
+  const training = new Map();
+  const blocked = new Set();
+  rows.forEach((r) => {
+    if (!r.routine_id || movingIds.has(r.id)) return;
+    if (r.skipped && !r.is_complete) blocked.add(getSlotDayNumber(r));
+    else training.set(getSlotDayNumber(r), r.routine_id);
+  });
+
+  let newDays = null;
+  if (strategy === RESCHEDULE_STRATEGIES.PUSH) {
+    const originalDays = moving.map(getSlotDayNumber);
+    for (let shift = earliest - missedDay; shift <= MAX_PUSH_DAYS; shift++) {
+      const days = originalDays.map((d) => d + shift);
+      if (canPlace(moving, days, training, blocked, rules)) {
+        newDays = days;
+        break;
+      }
+    }
+    if (!newDays) {
+      return { ...empty, ok: false, reason: `Couldn't find a spot within ${MAX_PUSH_DAYS} days that keeps your rest days.` };
+    }
+  } else {
+    const candidates = [];
+    for (let d = earliest; d <= weekEnd; d++) candidates.push(d);
+    const originalDays = moving.map(getSlotDayNumber);
+    let bestCost = Infinity;
+    combinations(candidates, moving.length).forEach((days) => {
+      if (!canPlace(moving, days, training, blocked, rules)) return;
+      const cost = days.reduce((sum, d, i) => sum + Math.abs(d - originalDays[i]), 0);
+      if (cost < bestCost) {
+        bestCost = cost;
+        newDays = days;
+      }
+    });
+    if (!newDays) {
+      return { ...empty, ok: false, reason: 'Not enough days left this week without breaking rest-day spacing. Push or drop instead.' };
+    }
+  }
+
+  const lastDay = Math.max(...newDays, (weeks * 7) - 1);
+  const newWeeks = Math.max(weeks, Math.floor(lastDay / 7) + 1);
+  const landing = new Map(newDays.map((d, i) => [d, moving[i]]));
+  const rowsByDay = new Map(rows.map((r) => [getSlotDayNumber(r), r]));
+
+  // What a day should hold once sessions have moved
+  const contentFor = (day, row) => {
+    const isDeloadDay = row?.notes === 'deload' || row?.day_type === 'deload';
+    const session = landing.get(day);
+    const content = session
+      ? { routine_id: session.routine_id, routine_name: session.routine_name ?? null, notes: isDeloadDay ? 'deload' : null, day_type: isDeloadDay ? 'deload' : 'routine' }
+      : { routine_id: null, routine_name: null, notes: isDeloadDay ? 'deload' : 'rest', day_type: isDeloadDay ? 'deload' : 'rest' };
+    return row ? Object.fromEntries(Object.keys(pickContent(row)).map((k) => [k, content[k]])) : content;
+  };
+
+  const updates = [];
+  const inserts = [];
+  new Set([...moving.map(getSlotDayNumber), ...newDays]).forEach((day) => {
+    const row = rowsByDay.get(day);
+    if (!row) return;
+    const before = pickContent(row);
+    const after = contentFor(day, row);
+    if (Object.keys(after).some((k) => before[k] !== after[k])) updates.push({ id: row.id, before, after });
+  });
+  // Optional columns are only written where mesocycle_weeks already carries them
+  const insertFields = DAY_CONTENT_FIELDS.filter((f) => f === 'routine_id' || f === 'notes' || rows.some((r) => f in r));
+  for (let day = weeks * 7; day < newWeeks * 7; day++) {
+    if (rowsByDay.has(day)) continue;
+    const content = contentFor(day, null);
+    inserts.push({
+      ...getSlotForDayNumber(day),
+      ...Object.fromEntries(insertFields.map((f) => [f, content[f]])),
+    });
+  }
+
+  return {
+    ...empty,
+    ok: true,
+    moves: moving
+      .map((r, i) => ({
+        id: r.id,
+        routine_id: r.routine_id,
+        routine_name: r.routine_name ?? null,
+        fromDay: getSlotDayNumber(r),
+        toDay: newDays[i],
+        from: { week_index: r.week_index, day_index: r.day_index },
+        to: getSlotForDayNumber(newDays[i]),
+      }))
+      .filter((m) => m.fromDay !== m.toDay),
+    updates,
+    inserts,
+    weeks: newWeeks,
+  };
+}
+
+/**
+ * Phases a mesocycle can play in a macrocycle, in their usual order
+ * @type {Array<{key: string, label: string}>}
+ */
+export const MACROCYCLE_PHASES = Object.freeze([
+  { key: 'accumulation', label: 'Accumulation' },
+  { key: 'intensification', label: 'Intensification' },
+  { key: 'realization', label: 'Realization' },
+  { key: 'deload', label: 'Deload' },
+]);
+
+/**
+ * A mesocycle is finished once every assigned session is complete or skipped.
+ * @param {Array<Object>} rows - mesocycle_weeks rows
+ * @returns {boolean}
+ */
+export function isMesocycleFinished(rows) {
+  const routineDays = (rows || []).filter((r) => r.routine_id);
+  return routineDays.length > 0 && routineDays.every((r) => r.is_complete || r.skipped);
+}
+
+/**
+ * Back-to-back dates for a macrocycle's blocks so the last block ends on the
+ * target date (the meet or photo shoot). Blocks are laid out in order with no
+ * gap; each is `weeks * 7` days long.
+ *
+ * @param {Array<{id: string, weeks: number}>} blocks - Mesocycles in macrocycle order
+ * @param {string} targetDate - YYYY-MM-DD
+ * @returns {Array<{id: string, start_date: string, end_date: string}>} In the same order
+ */
+export function planMacrocycleSchedule(blocks, targetDate) {
+  const totalDays = (blocks || []).reduce((sum, b) => sum + Math.max(1, Number(b.weeks) || 1) * 7, 0);
+  let offset = -totalDays + 1;
+  return (blocks || []).map((block) => {
+    const days = Math.max(1, Number(block.weeks) || 1) * 7;
+    const start_date = getDateForDayNumber(targetDate, offset);
+    offset += days;
+    return { id: block.id, start_date, end_date: getDateForDayNumber(targetDate, offset - 1) };
+  });
+}
+
+export default { generateSessionDates, planReschedule, planMacrocycleSchedule };
@@ -100,8 +100,12 @@ const WorkoutGoalsPage = React.lazy(() => import('./pages/WorkoutGoalsPage.jsx')
 const WorkoutRoutinePage = React.lazy(() => import('./pages/WorkoutRoutinePage.tsx'));
 const SelectRoutineLogPage = React.lazy(() => import('./pages/SelectRoutineLogPage.jsx'));
 const WorkoutLogPage = React.lazy(() => import('./pages/WorkoutLogPage.jsx'));
+const WorkoutSummaryPage = React.lazy(() => import('./pages/WorkoutSummaryPage.jsx'));
 const WorkoutRecsPage = React.lazy(() => import('./pages/WorkoutRecsPage.jsx'));
 const EditRoutinePage = React.lazy(() => import('./pages/EditRoutinePage.tsx'));
+const RoutineHistoryPage = React.lazy(() => import('./pages/RoutineHistoryPage.jsx'));
+const PublicRoutinesPage = React.lazy(() => import('./pages/PublicRoutinesPage.jsx'));
+const SharedRoutinePage = React.lazy(() => import('./pages/SharedRoutinePage.jsx'));
 const SelectProRoutinePage = React.lazy(() => import('./pages/SelectProRoutinePage.jsx'));
 const ProRoutineCategoryPage = React.lazy(() => import('./pages/ProRoutineCategoryPage.jsx'));
 const NutritionGoalsPage = React.lazy(() => import('./pages/NutritionGoalsPage.jsx'));
@@ -113,6 +117,10 @@ const MesocyclesPage = React.lazy(() => import('./pages/MesocyclesPage.jsx'));
 const MesocycleBuilder = React.lazy(() => import('./pages/MesocycleBuilder.jsx'));
 const MesocycleDetail = React.lazy(() => import('./pages/MesocycleDetail.jsx'));
 const MesocycleLogPage = React.lazy(() => import('./pages/MesocycleLogPage.jsx'));
+const MesocycleTemplatesPage = React.lazy(() => import('./pages/MesocycleTemplatesPage.jsx'));
+const MesocycleReportPage = React.lazy(() => import('./pages/MesocycleReportPage.jsx'));
+const MacrocyclesPage = React.lazy(() => import('./pages/MacrocyclesPage.jsx'));
+const MacrocycleDetail = React.lazy(() => import('./pages/MacrocycleDetail.jsx'));
 // Meal Planner pages
 const WeeklyMealPlannerPage = React.lazy(() => import('./pages/WeeklyMealPlannerPage.jsx'));
 const MyMealsPage = React.lazy(() => import('./pages/MyMealsPage.jsx'));
@@ -162,9 +170,15 @@ ReactDOM.createRoot(document.getElementById('root')).render(
                 <Route path="/workouts/routines" element={<WorkoutRoutinePage />} />
                 <Route path="/workouts/select-routine-log" element={<SelectRoutineLogPage />} />
                 <Route path="/log-workout/:routineId" element={<WorkoutLogPage />} />
+                <Route path="/workouts/summary/:workoutLogId" element={<WorkoutSummaryPage />} />
                 <Route path="/workouts/recommendations" element={<WorkoutRecsPage />} />
                 {/* This route handles both creating a new routine and editing an existing one */}
                 <Route path="/workouts/routines/:routineId" element={<EditRoutinePage />} />
+                <Route path="/workouts/routines/:routineId/history" element={<RoutineHistoryPage />} />
+
+                {/* --- Shared and public routines --- */}
+                <Route path="/workouts/routines/browse" element={<PublicRoutinesPage />} />
+                <Route path="/routines/shared/:shareCode" element={<SharedRoutinePage />} />
                 
                 {/* --- Nested routes for the "Pro Routines" feature --- */}
                 {/* The main hub/category selection page */}
@@ -187,8 +201,12 @@ ReactDOM.createRoot(document.getElementById('root')).render(
                 {/* --- Mesocycles (training cycles) --- */}
                 <Route path="/mesocycles" element={<MesocyclesPage />} />
                 <Route path="/mesocycles/new" element={<MesocycleBuilder />} />
+                <Route path="/mesocycles/templates" element={<MesocycleTemplatesPage />} />
                 <Route path="/mesocycles/:mesocycleId" element={<MesocycleDetail />} />
                 <Route path="/mesocycles/:mesocycleId/log" element={<MesocycleLogPage />} />
+                <Route path="/mesocycles/:mesocycleId/report" element={<MesocycleReportPage />} />
+                <Route path="/macrocycles" element={<MacrocyclesPage />} />
+                <Route path="/macrocycles/:macrocycleId" element={<MacrocycleDetail />} />
               </Route>
               </Routes>
               </React.Suspense>
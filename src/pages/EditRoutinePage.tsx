@@ -27,13 +27,16 @@
  * Edge-cases handled: missing columns during staged deploys, component
  * unmounts during async saves, and optimistic updates with reverts.
  */
-import { ArrowDownCircle, ArrowUpCircle, Dumbbell, Loader2, Trash2 } from 'lucide-react';
+import { ArrowDownCircle, ArrowUpCircle, Dumbbell, History, Loader2, Repeat, Trash2 } from 'lucide-react';
 import React, { useCallback, useEffect, useRef, useState } from 'react';
 import Modal from 'react-modal';
-import { useNavigate, useParams } from 'react-router-dom';
+import { Link, useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../useAuth';
+import ExerciseSwapModal from '../components/ExerciseSwapModal.jsx';
 import SubPageHeader from '../components/SubPageHeader';
+import { recordInitialRoutineVersion } from '../services/routineVersions.js';
 import { supabase } from '../supabaseClient.js';
+import { SWAP_SCOPES } from '../utils/exerciseSubstitution.js';
 import { Tables } from '../database.types.js';
 import './EditRoutinePage.css';
 
@@ -52,6 +55,9 @@ interface ExerciseInRoutine {
   drop_set?: boolean;
   drop_set_percentage?: number | string | null;
   superset_id?: string | null;
+  rest_seconds?: number | string | null;
+  target_intensity_pct?: number | null;
+  notes?: string | null;
   is_external?: boolean; // from search
   description?: string | null,
   instructions?: string | null,
@@ -96,6 +102,7 @@ function EditRoutinePage() {
   const [selectedMuscleGroupId, setSelectedMuscleGroupId] = useState('');
 
   const [allMuscleGroups, setAllMuscleGroups] = useState<MuscleGroup[]>([]);
+  const [swapIndex, setSwapIndex] = useState<number | null>(null);
 
 
   const fetchInitialData = useCallback(async () => {
@@ -122,7 +129,11 @@ function EditRoutinePage() {
             thumbnail_url: item.exercise_thumbnail_url,
             sets: item.target_sets,
             reps: item.target_reps || '8-12',
-            is_warmup: item.is_warmup || false
+            is_warmup: item.is_warmup || false,
+            rest_seconds: item.rest_seconds ?? null,
+            // Not editable here, but kept so saving doesn't clear them
+            target_intensity_pct: item.target_intensity_pct ?? null,
+            notes: item.notes ?? null
           }));
           setRoutineExercises(formattedExercises.filter(Boolean));
         }
@@ -225,6 +236,7 @@ function EditRoutinePage() {
       drop_set: false,
       drop_set_percentage: null,
       superset_id: null,
+      rest_seconds: null,
       _uniqueKey: `${exerciseToAdd.id || exerciseToAdd.name}-${Date.now()}-${Math.random()}`,
     };
     setRoutineExercises([...routineExercises, newExercise]);
@@ -261,6 +273,26 @@ function EditRoutinePage() {
   };
 
 
+  // Replace an exercise with a substitute, keeping its sets, reps and techniques
+  const handleSwapExercise = (substitute: ExerciseInRoutine) => {
+    if (swapIndex === null) return;
+    const updatedExercises = [...routineExercises];
+    updatedExercises[swapIndex] = {
+      ...updatedExercises[swapIndex],
+      id: substitute.id,
+      name: substitute.name,
+      thumbnail_url: substitute.thumbnail_url,
+      primary_muscle: substitute.primary_muscle,
+      secondary_muscle: substitute.secondary_muscle,
+      tertiary_muscle: substitute.tertiary_muscle,
+      equipment_needed: substitute.equipment_needed,
+      difficulty_level: substitute.difficulty_level,
+      exercise_type: substitute.exercise_type,
+      is_external: false,
+    };
+    setRoutineExercises(updatedExercises);
+  };
+
   const handleRemoveExercise = (index) => {
     const updatedExercises = routineExercises.filter((_, i) => i !== index);
     setRoutineExercises(updatedExercises);
@@ -296,8 +328,8 @@ function EditRoutinePage() {
           return { ...ex, id: existingExercise.id };
         }
 
-        // Database constraint allows: 'Free Weight', 'Machine', 'Bodyweight'
-        // Map various input types to these three valid values
+        // Database constraint allows: 'Free Weight', 'Machine', 'Bodyweight', 'Cable', 'Cardio'
+        // Map various input types to these valid values
         const validExerciseTypes = {
           'free weight': 'Free Weight',
           'freeweight': 'Free Weight',
@@ -311,7 +343,7 @@ function EditRoutinePage() {
           'body weight': 'Bodyweight',
           'calisthenics': 'Bodyweight',
           'strength': 'Free Weight', // Default strength to Free Weight
-          'cardio': 'Machine', // Default cardio to Machine
+          'cardio': 'Cardio',
           'olympic': 'Free Weight',
           'powerlifting': 'Free Weight',
         };
@@ -365,7 +397,10 @@ function EditRoutinePage() {
       negative: ex.negative || false,
       drop_set: ex.drop_set || false,
       drop_set_percentage: ex.drop_set ? (ex.drop_set_percentage !== null && ex.drop_set_percentage !== undefined ? ex.drop_set_percentage : null) : null,
-      superset_id: ex.superset_id || null
+      superset_id: ex.superset_id || null,
+      rest_seconds: Number(ex.rest_seconds) > 0 ? Math.round(Number(ex.rest_seconds)) : null,
+      target_intensity_pct: ex.target_intensity_pct ?? null,
+      notes: ex.notes ?? null
     }));
 
     try {
@@ -374,6 +409,17 @@ function EditRoutinePage() {
         if (routineError) throw routineError;
 
         await supabase.from('routine_exercises').insert(exercisesToInsert.map(e => ({ ...e, routine_id: newRoutine.id })));
+        // Start the routine's history; edits through the edge function add later versions
+        try {
+          await recordInitialRoutineVersion({
+            routineId: newRoutine.id,
+            routineName,
+            items: exercisesToInsert.map((e, index) => ({ ...e, exercise_name: resolvedExercises[index].name })),
+            userId: user.id,
+          });
+        } catch (versionError) {
+          console.warn('Failed to record first routine version:', versionError);
+        }
       } else {
         // Call the new Edge Function to replace routine exercises
         const { data, error: edgeError } = await supabase.functions.invoke('replace-routine-exercises', {
@@ -456,6 +502,11 @@ function EditRoutinePage() {
       <div className="form-group">
         <label htmlFor="routineName">Routine Name</label>
         <input type="text" id="routineName" value={routineName} onChange={(e) => setRoutineName(e.target.value)} placeholder="e.g., Push Day" required />
+        {routineId !== 'new' && (
+          <Link to={`/workouts/routines/${routineId}/history`} className="routine-history-link">
+            <History size={14} /> Version history
+          </Link>
+        )}
       </div>
 
       <div className="add-exercise-section">
@@ -543,6 +594,16 @@ function EditRoutinePage() {
                     required
                   />
                   <span>reps</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="15"
+                    value={ex.rest_seconds ?? ''}
+                    onChange={(e) => handleExerciseChange(index, 'rest_seconds', e.target.value)}
+                    placeholder="90"
+                    aria-label="Rest seconds"
+                  />
+                  <span>s rest</span>
                 </div>
                 <div className="exercise-warmup-toggle">
                   <label>
@@ -612,6 +673,15 @@ function EditRoutinePage() {
                   <div className="superset-label">Superset</div>
                 )}
               </div>
+              <button
+                onClick={() => setSwapIndex(index)}
+                className="swap-exercise-button"
+                title="Swap for a similar exercise"
+                aria-label="Swap exercise"
+                disabled={!ex.id || ex.is_external}
+              >
+                <Repeat size={20} />
+              </button>
               <button 
                 onClick={() => handleRemoveExercise(index)} 
                 className="remove-exercise-button"
@@ -630,6 +700,14 @@ function EditRoutinePage() {
         <button className="save-button" onClick={handleSaveRoutine}>Save Routine</button>
       </div>
 
+      <ExerciseSwapModal
+        isOpen={swapIndex !== null}
+        exercise={swapIndex !== null ? routineExercises[swapIndex] : null}
+        scopes={[SWAP_SCOPES.ROUTINE]}
+        onSwap={handleSwapExercise}
+        onClose={() => setSwapIndex(null)}
+      />
+
       <Modal
         isOpen={isCustomModalOpen}
         onRequestClose={closeCustomExerciseModal}
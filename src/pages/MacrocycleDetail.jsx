@@ -0,0 +1,236 @@
+/**
+ * @file MacrocycleDetail.jsx
+ * @description
+ * One macrocycle at `/macrocycles/:macrocycleId`: its timeline and the ordered
+ * chain of mesocycles that make it up.
+ *
+ * Responsibilities
+ * - Add the user's unassigned mesocycles as blocks, pick each block's phase
+ *   (accumulation, intensification, realization, deload) and reorder them.
+ * - Preview the dates each block gets when laid out back from the target date,
+ *   and save them; blocks that already have training logged keep their dates.
+ * - Change the target date, or delete the macrocycle (its mesocycles are kept).
+ *
+ * Block activation and e1RM hand-over happen as blocks finish; see
+ * services/macrocycles.js.
+ *
+ * Export
+ * - Default React component: `MacrocycleDetail()`
+ */
+
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { ArrowDown, ArrowUp, X } from 'lucide-react';
+import MacrocycleTimeline from '../components/MacrocycleTimeline.jsx';
+import SubPageHeader from '../components/SubPageHeader.jsx';
+import { MACROCYCLE_PHASES, planMacrocycleSchedule } from '../lib/cycleUtils.js';
+import { supabase } from '../supabaseClient.js';
+import { deleteMacrocycle, getMacrocycle, saveMacrocycleBlocks, updateMacrocycle } from '../services/macrocycles.js';
+import { useAuth } from '../useAuth';
+import './MacrocycleDetail.css';
+
+/** Suggested phase for the block added at a position */
+const suggestPhase = (index) => MACROCYCLE_PHASES[Math.min(index, MACROCYCLE_PHASES.length - 1)].key;
+
+function MacrocycleDetail() {
+  const { macrocycleId } = useParams();
+  const navigate = useNavigate();
+  const { user, loading } = useAuth();
+  const [macrocycle, setMacrocycle] = useState(null);
+  const [blocks, setBlocks] = useState([]);
+  const [savedIds, setSavedIds] = useState([]);
+  const [available, setAvailable] = useState([]);
+  const [addId, setAddId] = useState('');
+  const [targetDate, setTargetDate] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isDirty, setIsDirty] = useState(false);
+  const [statusMessage, setStatusMessage] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const load = useCallback(async () => {
+    if (!user) return;
+    try {
+      setIsLoading(true);
+      const { macrocycle: m, blocks: rows } = await getMacrocycle(macrocycleId);
+      const { data: unassigned, error } = await supabase
+        .from('mesocycles')
+        .select('id, name, weeks, is_complete')
+        .eq('user_id', user.id)
+        .is('macrocycle_id', null)
+        .order('created_at', { ascending: false });
+      if (error) throw error;
+      setMacrocycle(m);
+      setTargetDate(m.target_date);
+      setBlocks(rows);
+      setSavedIds(rows.map(b => b.id));
+      setAvailable((unassigned || []).filter(u => !u.is_complete));
+      setIsDirty(false);
+      setErrorMessage('');
+    } catch (err) {
+      console.error('Failed to load macrocycle', err?.message ?? err);
+      setErrorMessage(`Failed to load macrocycle: ${err?.message ?? err}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [macrocycleId, user]);
+
+  useEffect(() => {
+    if (!loading) load();
+  }, [loading, load]);
+
+  // Dates each block would get if saved now
+  const preview = useMemo(() => {
+    if (!targetDate) return {};
+    return Object.fromEntries(planMacrocycleSchedule(blocks, targetDate).map(s => [s.id, s]));
+  }, [blocks, targetDate]);
+
+  const updateBlocks = (next) => {
+    setBlocks(next);
+    setIsDirty(true);
+    setStatusMessage('');
+  };
+
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= blocks.length) return;
+    const next = [...blocks];
+    [next[index], next[target]] = [next[target], next[index]];
+    updateBlocks(next);
+  };
+
+  const handleAdd = () => {
+    const mesocycle = available.find(m => m.id === addId);
+    if (!mesocycle) return;
+    updateBlocks([...blocks, { ...mesocycle, phase: suggestPhase(blocks.length) }]);
+    setAvailable(prev => prev.filter(m => m.id !== addId));
+    setAddId('');
+  };
+
+  const handleRemove = (block) => {
+    updateBlocks(blocks.filter(b => b.id !== block.id));
+    setAvailable(prev => [{ id: block.id, name: block.name, weeks: block.weeks, is_complete: block.is_complete }, ...prev]);
+  };
+
+  const handleSave = async () => {
+    if (!macrocycle || !targetDate) return;
+    setIsSaving(true);
+    setErrorMessage('');
+    try {
+      if (targetDate !== macrocycle.target_date) {
+        await updateMacrocycle(macrocycle.id, { target_date: targetDate });
+      }
+      const { locked } = await saveMacrocycleBlocks({
+        macrocycle: { ...macrocycle, target_date: targetDate },
+        blocks,
+        removedIds: savedIds.filter(id => !blocks.some(b => b.id === id)),
+      });
+      await load();
+      setStatusMessage(locked > 0
+        ? `Saved. ${locked} block${locked === 1 ? ' has' : 's have'} training logged and kept ${locked === 1 ? 'its' : 'their'} dates.`
+        : 'Saved. Block dates now lead up to the target date.');
+    } catch (err) {
+      console.error('Failed to save macrocycle', err);
+      setErrorMessage(`Failed to save: ${err?.message ?? err}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!macrocycle || !confirm(`Delete "${macrocycle.name}"? Its mesocycles are kept.`)) return;
+    try {
+      await deleteMacrocycle(macrocycle.id);
+      navigate('/macrocycles');
+    } catch (err) {
+      console.error('Failed to delete macrocycle', err);
+      alert(`Failed to delete macrocycle: ${err.message}`);
+    }
+  };
+
+  if (isLoading && !macrocycle) {
+    return (
+      <div className="macrocycle-detail">
+        <SubPageHeader title="Loading..." backTo="/macrocycles" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="macrocycle-detail">
+      <SubPageHeader title={macrocycle?.name ?? 'Macrocycle'} backTo="/macrocycles" />
+
+      {errorMessage && <div className="error-message" style={{ color: 'var(--danger)', marginBottom: '0.75rem' }}>{errorMessage}</div>}
+
+      {macrocycle && (
+        <>
+          <div className="macrocycle-heading">
+            {macrocycle.goal && <p>{macrocycle.goal}</p>}
+            <label>
+              Target date
+              <input type="date" value={targetDate} onChange={(e) => { setTargetDate(e.target.value); setIsDirty(true); }} />
+            </label>
+          </div>
+
+          <MacrocycleTimeline
+            blocks={blocks.map(b => ({ ...b, ...(isDirty && preview[b.id] ? preview[b.id] : {}) }))}
+            targetDate={targetDate || macrocycle.target_date}
+          />
+
+          <ol className="macrocycle-blocks">
+            {blocks.length === 0 && <li className="macrocycle-blocks-empty">No blocks yet. Add a mesocycle below.</li>}
+            {blocks.map((block, index) => (
+              <li key={block.id} className={`macrocycle-block ${block.is_complete ? 'complete' : ''}`}>
+                <div className="macrocycle-block-info">
+                  <Link to={`/mesocycles/${block.id}`}>{block.name || 'Untitled Mesocycle'}</Link>
+                  <span>
+                    {block.weeks} weeks · {preview[block.id]?.start_date} – {preview[block.id]?.end_date}
+                    {block.start_date && block.start_date !== preview[block.id]?.start_date && ` (now ${block.start_date})`}
+                  </span>
+                  {block.is_complete && <span className="macrocycle-block-badge">Complete</span>}
+                  {!block.is_complete && block.is_active && savedIds.includes(block.id) && <span className="macrocycle-block-badge active">Active</span>}
+                </div>
+                <div className="macrocycle-block-controls">
+                  <select
+                    value={block.phase || ''}
+                    onChange={(e) => updateBlocks(blocks.map(b => (b.id === block.id ? { ...b, phase: e.target.value || null } : b)))}
+                    aria-label={`Phase of ${block.name}`}
+                  >
+                    <option value="">No phase</option>
+                    {MACROCYCLE_PHASES.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+                  </select>
+                  <button className="move-btn" title="Move earlier" onClick={() => handleMove(index, -1)} disabled={index === 0}><ArrowUp size={14} /></button>
+                  <button className="move-btn" title="Move later" onClick={() => handleMove(index, 1)} disabled={index === blocks.length - 1}><ArrowDown size={14} /></button>
+                  <button className="move-btn" title="Remove from macrocycle" onClick={() => handleRemove(block)}><X size={14} /></button>
+                </div>
+              </li>
+            ))}
+          </ol>
+
+          <div className="macrocycle-add">
+            <select value={addId} onChange={(e) => setAddId(e.target.value)} aria-label="Mesocycle to add">
+              <option value="">Add a mesocycle...</option>
+              {available.map(m => <option key={m.id} value={m.id}>{m.name || 'Untitled Mesocycle'} ({m.weeks} wk)</option>)}
+            </select>
+            <button className="btn" onClick={handleAdd} disabled={!addId}>Add</button>
+            <Link className="btn" to="/mesocycles/new">New Mesocycle</Link>
+          </div>
+
+          {statusMessage && <p className="macrocycle-status" role="status">{statusMessage}</p>}
+
+          <div className="macrocycle-actions">
+            <button className="btn primary" onClick={handleSave} disabled={isSaving || !isDirty || !targetDate}>
+              {isSaving ? 'Saving...' : 'Save & Schedule'}
+            </button>
+            <button className="btn btn-danger" onClick={handleDelete}>Delete Macrocycle</button>
+          </div>
+          <p className="macrocycle-note">
+            When a block is finished the next one becomes active and starts from its e1RMs and last loads.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MacrocycleDetail;
@@ -0,0 +1,125 @@
+/**
+ * @file MacrocyclesPage.jsx
+ * @description
+ * Lists the user's macrocycles (seasons of chained mesocycles ending on a
+ * target date) with a compact timeline each, and creates new ones. Blocks are
+ * added and ordered on the macrocycle's detail page.
+ *
+ * Export
+ * - Default React component: `MacrocyclesPage()`
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import MacrocycleTimeline from '../components/MacrocycleTimeline.jsx';
+import SubPageHeader from '../components/SubPageHeader.jsx';
+import { getDayNumber } from '../lib/cycleUtils.js';
+import { createMacrocycle, listMacrocycles } from '../services/macrocycles.js';
+import { useAuth } from '../useAuth';
+import './MacrocyclesPage.css';
+
+/**
+ * "in 12 days", "today" or "5 days ago" for a target date.
+ * @param {string} targetDate - YYYY-MM-DD
+ * @returns {string}
+ */
+const describeCountdown = (targetDate) => {
+  const days = -getDayNumber(targetDate);
+  if (days === 0) return 'today';
+  if (days > 0) return `in ${days} day${days === 1 ? '' : 's'}`;
+  return `${-days} day${days === -1 ? '' : 's'} ago`;
+};
+
+function MacrocyclesPage() {
+  const navigate = useNavigate();
+  const { user, loading } = useAuth();
+  const [macrocycles, setMacrocycles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [form, setForm] = useState({ name: '', targetDate: '', goal: '' });
+  const [isCreating, setIsCreating] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      if (loading) return;
+      if (!user) {
+        setMacrocycles([]);
+        setIsLoading(false);
+        return;
+      }
+      try {
+        const data = await listMacrocycles(user.id);
+        if (mounted) setMacrocycles(data);
+      } catch (err) {
+        console.error('Failed to load macrocycles', err?.message ?? err);
+        if (mounted) setErrorMessage(`Failed to load macrocycles: ${err?.message ?? err}`);
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [loading, user]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!user || !form.name.trim() || !form.targetDate) return;
+    setIsCreating(true);
+    setErrorMessage('');
+    try {
+      const id = await createMacrocycle({ userId: user.id, name: form.name, targetDate: form.targetDate, goal: form.goal });
+      navigate(`/macrocycles/${id}`);
+    } catch (err) {
+      console.error('Failed to create macrocycle', err);
+      setErrorMessage(`Failed to create macrocycle: ${err?.message ?? err}`);
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div className="macrocycles-page">
+      <SubPageHeader title="Macrocycles" backTo="/mesocycles" />
+
+      <form className="macrocycle-create" onSubmit={handleCreate}>
+        <h3>Plan a season</h3>
+        <label>
+          Name
+          <input type="text" value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} placeholder="Spring meet prep" required />
+        </label>
+        <label>
+          Target date
+          <input type="date" value={form.targetDate} onChange={(e) => setForm(prev => ({ ...prev, targetDate: e.target.value }))} required />
+        </label>
+        <label>
+          Goal
+          <input type="text" value={form.goal} onChange={(e) => setForm(prev => ({ ...prev, goal: e.target.value }))} placeholder="Meet, photo shoot, test day..." />
+        </label>
+        <button className="btn primary" type="submit" disabled={isCreating || !form.name.trim() || !form.targetDate}>
+          {isCreating ? 'Creating...' : 'Create Macrocycle'}
+        </button>
+      </form>
+
+      {errorMessage && <div className="error-message" style={{ color: 'var(--danger)', marginBottom: '0.75rem' }}>{errorMessage}</div>}
+
+      {isLoading ? (
+        <p className="macrocycles-empty">Loading macrocycles...</p>
+      ) : (
+        <div className="macrocycles-list">
+          {macrocycles.length === 0 && <p className="macrocycles-empty">No macrocycles yet.</p>}
+          {macrocycles.map(m => (
+            <Link key={m.id} to={`/macrocycles/${m.id}`} className="macrocycle-card">
+              <h3>{m.name}</h3>
+              <p>
+                {m.goal ? `${m.goal} · ` : ''}{m.target_date} ({describeCountdown(m.target_date)})
+              </p>
+              <p>{m.blocks.length} block{m.blocks.length === 1 ? '' : 's'}</p>
+              <MacrocycleTimeline blocks={m.blocks} targetDate={m.target_date} compact />
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MacrocyclesPage;
@@ -8,6 +8,8 @@
  * Responsibilities
  * - Render form fields for mesocycle metadata and a `CycleWeekEditor` to
  *   assemble daily assignments (routine vs rest vs deload).
+ * - Edit the week-over-week loading plan (`mesocycles.loading_plan`) with
+ *   `LoadingPlanEditor`; presets are refitted when weeks or deloads change.
  * - Persist the mesocycle to the `mesocycles` table and its per-day rows to
  *   `mesocycle_weeks` (one row per week/day). When editing an existing
  *   mesocycle the builder will load and prefill existing rows.
@@ -38,13 +40,15 @@
 
 /** Audited: 2025-10-25 — JSDoc batch 9 */
 
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../useAuth';
 import CycleWeekEditor from '../components/CycleWeekEditor.jsx';
+import LoadingPlanEditor from '../components/LoadingPlanEditor.jsx';
 import SubPageHeader from '../components/SubPageHeader.jsx';
 import SuccessModal from '../components/SuccessModal.jsx';
 import { supabase } from '../supabaseClient.js';
+import { generateLoadingPlan, normalizeLoadingPlan, resizeLoadingPlan } from '../utils/loadingPlans.js';
 import './MesocycleBuilder.css';
 
 function MesocycleBuilder() {
@@ -63,6 +67,21 @@ function MesocycleBuilder() {
   const query = new URLSearchParams(location.search);
   const editingMesocycleId = query.get('mesocycleId');
   const [originalWeeks, setOriginalWeeks] = useState([]);
+  // New mesocycles start on the linear preset; existing ones keep what was saved (possibly none)
+  const [loadingPlan, setLoadingPlan] = useState(() => (editingMesocycleId ? null : generateLoadingPlan('linear', { weeks: 4 })));
+
+  // Deload weeks as laid out in the week editor, so presets line up with them
+  const deloadWeeks = useMemo(
+    () => [...new Set(assignments.filter(a => a.type === 'deload').map(a => a.week_index))].sort((a, b) => a - b),
+    [assignments]
+  );
+  const deloadKey = deloadWeeks.join(',');
+
+  useEffect(() => {
+    setLoadingPlan(prev => resizeLoadingPlan(prev, weeks, deloadWeeks));
+    // deloadKey stands in for deloadWeeks, which is a new array on every assignment edit
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [weeks, deloadKey]);
 
   useEffect(() => {
     // If mesocycleId provided, load existing mesocycle and weeks for editing
@@ -78,6 +97,7 @@ function MesocycleBuilder() {
           setFocus(m.focus || 'Hypertrophy');
           setWeeks(m.weeks || 4);
           setStartDate(m.start_date || '');
+          setLoadingPlan(normalizeLoadingPlan(m.loading_plan));
           // load week assignments
           const { data: wdata } = await supabase.from('mesocycle_weeks').select('*').eq('mesocycle_id', editingMesocycleId);
           if (!mounted) return;
@@ -165,6 +185,7 @@ function MesocycleBuilder() {
           focus,
           weeks,
           start_date: startDate || null,
+          loading_plan: loadingPlan,
           user_id: user.id,
         };
 
@@ -281,6 +302,11 @@ function MesocycleBuilder() {
         <CycleWeekEditor weeks={weeks} focus={focus} initialAssignments={assignments} onAssignmentsChange={(a) => setAssignments(a)} />
       </div>
 
+      <div className="builder-weeks">
+        <h4>Loading plan</h4>
+        <LoadingPlanEditor weeks={weeks} deloadWeeks={deloadWeeks} plan={loadingPlan} onChange={setLoadingPlan} />
+      </div>
+
       {errorMessage && <div className="error-message" style={{ color: 'var(--danger)', marginTop: '0.75rem' }}>{errorMessage}</div>}
 
       <div className="form-actions">
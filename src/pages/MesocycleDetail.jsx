@@ -16,6 +16,18 @@
  * - Allow the user to navigate into the workout logger for a given routine
  *   and to rearrange assignments within a week (client-optimistic swap with
  *   DB persistence).
+ * - Flag pending sessions whose date has passed as missed and offer to
+ *   reschedule them (push, compress or drop) with a preview and undo; see
+ *   RescheduleSessionModal and services/mesocycleReschedule.js.
+ * - Save the mesocycle as a reusable template, and clone a finished mesocycle
+ *   ("run it back") with its last loads carried forward; see
+ *   services/mesocycleTemplates.js.
+ * - Link to the block report (MesocycleReportPage), highlighted once every
+ *   session is complete or skipped.
+ * - Show the viewed week's hard sets per muscle against the user's volume
+ *   landmarks (MuscleVolumePanel).
+ * - For blocks in a macrocycle, link to it and, once the block is finished,
+ *   mark it complete so the next block is activated; see services/macrocycles.js.
  *
  * Data shapes
  * - mesocycle: { id, name, focus, weeks, start_date, user_id }
@@ -59,13 +71,19 @@ const toLocalDateString = (date) => {
   const day = String(date.getDate()).padStart(2, '0');
   return `${year}-${month}-${day}`;
 };
-import { useParams } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
 import SubPageHeader from '../components/SubPageHeader.jsx';
 import { supabase } from '../supabaseClient.js';
 import './MesocycleDetail.css';
 import { useNavigate } from 'react-router-dom';
-import { Check, ArrowUp, ArrowDown } from 'lucide-react';
+import { Check, ArrowUp, ArrowDown, CalendarClock } from 'lucide-react';
 import { useAuth } from '../useAuth';
+import MuscleVolumePanel from '../components/MuscleVolumePanel.jsx';
+import RescheduleSessionModal from '../components/RescheduleSessionModal.jsx';
+import { getDayNumber, getSlotDayNumber, isMesocycleFinished, isPendingSession, MACROCYCLE_PHASES, RESCHEDULE_STRATEGIES } from '../lib/cycleUtils.js';
+import { completeMesocycleIfFinished } from '../services/macrocycles.js';
+import { undoReschedule } from '../services/mesocycleReschedule.js';
+import { runItBack, saveMesocycleAsTemplate } from '../services/mesocycleTemplates.js';
 
 function MesocycleDetail() {
   const { mesocycleId } = useParams();
@@ -74,6 +92,12 @@ function MesocycleDetail() {
   const [isLoading, setIsLoading] = useState(true);
   const [currentWeekIndex, setCurrentWeekIndex] = useState(1);
   const [autoCalculatedWeek, setAutoCalculatedWeek] = useState(1);
+  const [rescheduleEntry, setRescheduleEntry] = useState(null);
+  const [lastReschedule, setLastReschedule] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [runBackDate, setRunBackDate] = useState(null);
+  const [isCloning, setIsCloning] = useState(false);
+  const [macrocycleInfo, setMacrocycleInfo] = useState(null);
   const { user, loading } = useAuth();
   const navigate = useNavigate();
 
@@ -160,6 +184,75 @@ function MesocycleDetail() {
     }
   };
 
+  /**
+   * Record the undo snapshot of an applied reschedule and reload the schedule
+   * @param {Object} undo - Snapshot from applyReschedule
+   * @param {Object} plan - The plan that was applied
+   */
+  const handleRescheduleApplied = (undo, plan) => {
+    setRescheduleEntry(null);
+    setLastReschedule({ undo, strategy: plan.strategy, moved: plan.moves.length });
+    setReloadKey((k) => k + 1);
+  };
+
+  const handleUndoReschedule = async () => {
+    if (!lastReschedule) return;
+    try {
+      await undoReschedule(lastReschedule.undo);
+      setLastReschedule(null);
+    } catch (err) {
+      console.error('Failed to undo reschedule:', err);
+      alert('Failed to undo the reschedule. Please try again.');
+    } finally {
+      setReloadKey((k) => k + 1);
+    }
+  };
+
+  const handleSaveAsTemplate = async () => {
+    if (!user || !mesocycle) return;
+    const name = prompt('Template name', mesocycle.name || 'Mesocycle template');
+    if (name === null) return;
+    try {
+      await saveMesocycleAsTemplate({ userId: user.id, mesocycleId, name });
+      if (confirm('Template saved. Open the template library?')) navigate('/mesocycles/templates');
+    } catch (err) {
+      console.error('Failed to save template:', err);
+      alert(`Failed to save template: ${err.message}`);
+    }
+  };
+
+  const handleRunItBack = async () => {
+    if (!user || !runBackDate) return;
+    setIsCloning(true);
+    try {
+      const newId = await runItBack({ userId: user.id, mesocycleId, startDate: runBackDate });
+      setRunBackDate(null);
+      navigate(`/mesocycles/${newId}`);
+    } catch (err) {
+      console.error('Failed to clone mesocycle:', err);
+      alert(`Failed to start the next block: ${err.message}`);
+    } finally {
+      setIsCloning(false);
+    }
+  };
+
+  // Finished once every assigned session is either complete or skipped
+  const isFinished = isMesocycleFinished(weeksData);
+
+  // Skips and drops can finish a block too (completed workouts are handled by the sync queue)
+  useEffect(() => {
+    if (!isFinished || !mesocycle || mesocycle.is_complete) return;
+    let mounted = true;
+    completeMesocycleIfFinished(mesocycle.id)
+      .then(({ completed }) => {
+        if (mounted && completed) setMesocycle(prev => (prev ? { ...prev, is_complete: true } : prev));
+      })
+      .catch(err => console.warn('Could not complete mesocycle:', err?.message ?? err));
+    return () => { mounted = false; };
+  }, [isFinished, mesocycle]);
+
+  const phaseLabel = MACROCYCLE_PHASES.find(p => p.key === mesocycle?.phase)?.label;
+
   useEffect(() => {
     if (!mesocycleId) return;
 
@@ -185,6 +278,25 @@ function MesocycleDetail() {
             return;
         }
 
+        if (m.macrocycle_id) {
+          const { data: macrocycle } = await supabase
+            .from('macrocycles')
+            .select('id, name, target_date')
+            .eq('id', m.macrocycle_id)
+            .maybeSingle();
+          const { data: next } = await supabase
+            .from('mesocycles')
+            .select('id, name')
+            .eq('macrocycle_id', m.macrocycle_id)
+            .gt('macrocycle_order', m.macrocycle_order ?? 0)
+            .order('macrocycle_order', { ascending: true })
+            .limit(1)
+            .maybeSingle();
+          setMacrocycleInfo(macrocycle ? { macrocycle, next: next || null } : null);
+        } else {
+          setMacrocycleInfo(null);
+        }
+
         // Fetch all week data for the mesocycle
         // Now includes routine_name directly
         const { data: weeksRows, error: weeksError } = await supabase
@@ -214,7 +326,7 @@ function MesocycleDetail() {
     };
 
     fetchMesocycleData();
-  }, [mesocycleId, loading, user]);
+  }, [mesocycleId, loading, user, reloadKey]);
 
   // Compute current week index based ONLY on completion status (no dates)
   // Show the first week that has any incomplete assigned routines
@@ -359,6 +471,32 @@ function MesocycleDetail() {
 
       
 
+      {isFinished && (
+        <div className="block-complete-banner">
+          <span>
+            Block complete. See how it went.
+            {macrocycleInfo?.next && ` Next up: ${macrocycleInfo.next.name}.`}
+          </span>
+          <div className="block-complete-actions">
+            <button type="button" className="action-button" onClick={() => navigate(`/mesocycles/${mesocycleId}/report`)}>View Report</button>
+            {macrocycleInfo?.next && (
+              <button type="button" className="action-button" onClick={() => navigate(`/mesocycles/${macrocycleInfo.next.id}`)}>Next Block</button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {lastReschedule && (
+        <div className="reschedule-banner" role="status">
+          <span>
+            {lastReschedule.strategy === RESCHEDULE_STRATEGIES.DROP
+              ? 'Session dropped.'
+              : `Rescheduled ${lastReschedule.moved} session${lastReschedule.moved === 1 ? '' : 's'}.`}
+          </span>
+          <button type="button" className="action-button" onClick={handleUndoReschedule}>Undo</button>
+        </div>
+      )}
+
       {weeksData && weeksData.length > 0 && (
         <div className="mesocycle-routines">
           <h4>Week {currentWeekIndex}{currentWeekIndex === autoCalculatedWeek ? ' (current)' : ''}</h4>
@@ -402,6 +540,8 @@ function MesocycleDetail() {
               // No date calculations or logsMap lookups needed!
               const completed = Boolean(entry.is_complete);
               const skipped = Boolean(entry.skipped);
+              const missed = Boolean(mesocycle?.start_date) && isPendingSession(entry)
+                && getSlotDayNumber(entry) < getDayNumber(mesocycle.start_date);
 
               console.warn(`Day ${dayIndex} RENDER - Label: "${label}", Completed: ${completed}, Skipped: ${skipped}, RoutineId: ${routineId}`);
 
@@ -425,6 +565,7 @@ function MesocycleDetail() {
                       <h4>{label}</h4>
                       {routineId && <span className={`status-badge ${isDeload ? 'deload' : 'active'}`}>Routine</span>}
                       {skipped && !completed && <span className="status-badge skipped">Skipped</span>}
+                      {missed && <span className="status-badge missed">Missed</span>}
                     </div>
                   </div>
                   <div className="routine-actions">
@@ -439,6 +580,15 @@ function MesocycleDetail() {
                             Skip
                           </button>
                         )}
+                        {!completed && !skipped && (
+                          <button
+                            className="action-button reschedule-button-inline"
+                            onClick={(ev) => { ev.stopPropagation(); setRescheduleEntry(entry); }}
+                            title="Reschedule this workout"
+                          >
+                            <CalendarClock size={14} /> Reschedule
+                          </button>
+                        )}
                         <button className="action-button" onClick={(ev) => { ev.stopPropagation(); navigate(`/workouts/routines/${routineId}`); }} title="Edit">Edit</button>
                       </>
                     ) : entry.notes ? null : (
@@ -452,6 +602,10 @@ function MesocycleDetail() {
         </div>
       )}
 
+      {mesocycle?.start_date && (
+        <MuscleVolumePanel userId={mesocycle.user_id} startDate={mesocycle.start_date} weekIndex={currentWeekIndex} />
+      )}
+
       {/* bottom meta/actions moved here per UI request */}
       <div className="mesocycle-footer">
         {mesocycle && (
@@ -459,12 +613,48 @@ function MesocycleDetail() {
             <p>Focus: {mesocycle.focus}</p>
             <p>Weeks: {mesocycle.weeks}</p>
             <p>Start: {mesocycle.start_date || 'TBD'}</p>
+            {macrocycleInfo && (
+              <p>
+                Macrocycle: <Link to={`/macrocycles/${macrocycleInfo.macrocycle.id}`}>{macrocycleInfo.macrocycle.name}</Link>
+                {phaseLabel ? ` · ${phaseLabel}` : ''}
+              </p>
+            )}
           </div>
         )}
         <div className="mesocycle-actions">
           <button className="btn" onClick={() => navigate(`/mesocycles/new?mesocycleId=${mesocycleId}`)}>Edit Mesocycle</button>
+          <button className="btn" onClick={handleSaveAsTemplate}>Save as Template</button>
+          <button className="btn" onClick={() => navigate(`/mesocycles/${mesocycleId}/report`)}>Block Report</button>
+          {isFinished && runBackDate === null && (
+            <button className="btn primary" onClick={() => setRunBackDate(toLocalDateString(new Date()))}>Run It Back</button>
+          )}
         </div>
+        {runBackDate !== null && (
+          <div className="run-it-back-panel">
+            <p>Start the same block again, picking up from the loads you finished this one with.</p>
+            <label>
+              Start date
+              <input type="date" value={runBackDate} onChange={(e) => setRunBackDate(e.target.value)} />
+            </label>
+            <div className="run-it-back-actions">
+              <button className="btn" onClick={() => setRunBackDate(null)} disabled={isCloning}>Cancel</button>
+              <button className="btn primary" onClick={handleRunItBack} disabled={isCloning || !runBackDate}>
+                {isCloning ? 'Creating...' : 'Start Next Block'}
+              </button>
+            </div>
+          </div>
+        )}
       </div>
+
+      <RescheduleSessionModal
+        key={rescheduleEntry?.id || 'none'}
+        isOpen={Boolean(rescheduleEntry)}
+        mesocycle={mesocycle}
+        rows={weeksData}
+        entry={rescheduleEntry}
+        onApplied={handleRescheduleApplied}
+        onClose={() => setRescheduleEntry(null)}
+      />
     </div>
   );
 }
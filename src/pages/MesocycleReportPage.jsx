@@ -0,0 +1,295 @@
+/**
+ * @file MesocycleReportPage.jsx
+ * @description
+ * End-of-block report for a mesocycle at `/mesocycles/:mesocycleId/report`:
+ * per-exercise e1RM change (first vs last trained week), weekly sets and
+ * volume per muscle group, adherence (completed/skipped/missed days in
+ * `mesocycle_weeks`), RPE drift and body-weight change.
+ *
+ * Data
+ * - Workouts belong to the block when they trained one of its routines between
+ *   the start date and the end of the last week; each is bucketed into a week
+ *   by its log_date (see utils/mesocycleReport.js).
+ * - Per-exercise numbers come from `workout_exercise_session_stats` (working
+ *   sets only), body weight from `body_metrics`, and the e1RM formula from the
+ *   user's settings.
+ *
+ * Export
+ * - CSV download of every table, and "Save as PDF" through the browser's print
+ *   dialog (print styles hide the app chrome), so trainers can send the report
+ *   to clients.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { Download, Printer } from 'lucide-react';
+import SubPageHeader from '../components/SubPageHeader.jsx';
+import { getDateForDayNumber } from '../lib/cycleUtils.js';
+import { supabase } from '../supabaseClient.js';
+import { useAuth } from '../useAuth';
+import { DEFAULT_ONE_RM_FORMULA } from '../utils/fitnessCalculators.js';
+import {
+  assignLogWeeks,
+  buildAdherence,
+  buildBodyWeightChange,
+  buildE1rmChanges,
+  buildRpeDrift,
+  buildWeeklyMuscleVolume,
+  getDeloadWeeks,
+  reportToCsv,
+} from '../utils/mesocycleReport.js';
+import { formatDelta, formatWhole } from '../utils/workoutSummary.js';
+import './MesocycleReportPage.css';
+
+const deltaClass = (value) => {
+  if (value === null || value === undefined || value === 0) return '';
+  return value > 0 ? 'up' : 'down';
+};
+
+function MesocycleReportPage() {
+  const { mesocycleId } = useParams();
+  const { user, loading } = useAuth();
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    if (loading || !user || !mesocycleId) return;
+    let mounted = true;
+
+    (async () => {
+      try {
+        setIsLoading(true);
+        const { data: mesocycle, error: mError } = await supabase
+          .from('mesocycles')
+          .select('*')
+          .eq('id', mesocycleId)
+          .maybeSingle();
+        if (mError) throw mError;
+        if (!mesocycle) throw new Error('Mesocycle not found');
+        if (!mesocycle.start_date) throw new Error('This mesocycle has no start date, so its workouts can\'t be placed in weeks.');
+
+        const { data: rows, error: rowsError } = await supabase
+          .from('mesocycle_weeks')
+          .select('*')
+          .eq('mesocycle_id', mesocycleId);
+        if (rowsError) throw rowsError;
+
+        const weeks = mesocycle.weeks || 1;
+        const endDate = getDateForDayNumber(mesocycle.start_date, weeks * 7 - 1);
+        const routineIds = [...new Set((rows || []).map((r) => r.routine_id).filter(Boolean))];
+
+        let logs = [];
+        let stats = [];
+        if (routineIds.length > 0) {
+          const { data: logRows, error: logsError } = await supabase
+            .from('workout_logs')
+            .select('id, log_date, routine_id')
+            .eq('user_id', mesocycle.user_id)
+            .eq('is_complete', true)
+            .in('routine_id', routineIds)
+            .gte('log_date', mesocycle.start_date)
+            .lte('log_date', endDate);
+          if (logsError) throw logsError;
+          logs = logRows || [];
+        }
+        if (logs.length > 0) {
+          const { data: statRows, error: statsError } = await supabase
+            .from('workout_exercise_session_stats')
+            .select('workout_log_id, exercise_id, sets_completed, total_volume_lbs, set_details')
+            .in('workout_log_id', logs.map((l) => l.id));
+          if (statsError) throw statsError;
+          stats = statRows || [];
+        }
+
+        const exerciseIds = [...new Set(stats.map((s) => s.exercise_id))];
+        const { data: exercises } = exerciseIds.length > 0
+          ? await supabase.from('exercises').select('id, name, primary_muscle, secondary_muscle, tertiary_muscle').in('id', exerciseIds)
+          : { data: [] };
+
+        // Weigh-ins from a week before the block so a start weight is usually available
+        const { data: metrics } = await supabase
+          .from('body_metrics')
+          .select('measurement_date, weight_lbs')
+          .eq('user_id', mesocycle.user_id)
+          .gte('measurement_date', getDateForDayNumber(mesocycle.start_date, -7))
+          .lte('measurement_date', endDate);
+
+        const { data: profile } = await supabase
+          .from('user_profiles')
+          .select('one_rm_formula, e1rm_rpe_adjusted')
+          .eq('user_id', mesocycle.user_id)
+          .maybeSingle();
+
+        if (!mounted) return;
+        setData({ mesocycle, rows: rows || [], logs, stats, exercises: exercises || [], metrics: metrics || [], profile, endDate });
+        setErrorMessage('');
+      } catch (err) {
+        console.error('Failed to load mesocycle report', err?.message ?? err);
+        if (mounted) setErrorMessage(err?.message ?? String(err));
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+
+    return () => { mounted = false; };
+  }, [mesocycleId, loading, user]);
+
+  const report = useMemo(() => {
+    if (!data) return null;
+    const { mesocycle, rows, logs, stats, exercises, metrics, profile } = data;
+    const weeks = mesocycle.weeks || 1;
+    const logWeeks = assignLogWeeks(logs, mesocycle.start_date, weeks);
+    const deloadWeeks = getDeloadWeeks(rows, mesocycle.loading_plan);
+    const names = Object.fromEntries(exercises.map((e) => [String(e.id), e.name]));
+    const muscles = Object.fromEntries(exercises.map((e) => [String(e.id), e]));
+    return {
+      mesocycle,
+      deloadWeeks,
+      e1rm: buildE1rmChanges(stats, logWeeks, {
+        names,
+        deloadWeeks,
+        formula: profile?.one_rm_formula || DEFAULT_ONE_RM_FORMULA,
+        rpeAdjusted: profile?.e1rm_rpe_adjusted === true,
+      }),
+      muscleVolume: buildWeeklyMuscleVolume(stats, logWeeks, muscles, weeks),
+      adherence: buildAdherence(rows),
+      rpe: buildRpeDrift(stats, logWeeks, weeks, deloadWeeks),
+      bodyWeight: buildBodyWeightChange(metrics),
+    };
+  }, [data]);
+
+  const handleExportCsv = () => {
+    if (!report) return;
+    const blob = new Blob([reportToCsv(report)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${(report.mesocycle.name || 'mesocycle').replace(/[^\w-]+/g, '-').toLowerCase()}-report.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  const weekHeaders = report ? Array.from({ length: report.mesocycle.weeks || 1 }, (_, i) => i + 1) : [];
+
+  return (
+    <div className="mesocycle-report-page">
+      <SubPageHeader title="Block Report" backTo={`/mesocycles/${mesocycleId}`} />
+
+      {isLoading && <p className="report-status">Building report...</p>}
+      {!isLoading && errorMessage && <p className="report-status">{errorMessage}</p>}
+
+      {!isLoading && report && (
+        <>
+          <div className="report-heading">
+            <h2>{report.mesocycle.name || 'Mesocycle'}</h2>
+            <span>
+              {report.mesocycle.focus || 'General'} · {report.mesocycle.weeks} weeks · {report.mesocycle.start_date} – {data.endDate}
+            </span>
+          </div>
+
+          <div className="report-export no-print">
+            <button type="button" className="report-button secondary" onClick={handleExportCsv}><Download size={16} /> CSV</button>
+            <button type="button" className="report-button secondary" onClick={() => window.print()}><Printer size={16} /> Save as PDF</button>
+          </div>
+
+          <div className="report-stats-grid">
+            <div className="report-stat-card">
+              <span className="report-stat-value">{report.adherence.rate === null ? '—' : `${report.adherence.rate}%`}</span>
+              <span className="report-stat-label">
+                Adherence · {report.adherence.completed}/{report.adherence.planned} done, {report.adherence.skipped} skipped, {report.adherence.missed} missed
+              </span>
+            </div>
+            <div className="report-stat-card">
+              <span className={`report-stat-value ${deltaClass(report.rpe.drift)}`}>
+                {report.rpe.drift === null ? '—' : formatDelta(report.rpe.drift)}
+              </span>
+              <span className="report-stat-label">RPE drift (first to last training week)</span>
+            </div>
+            <div className="report-stat-card">
+              <span className="report-stat-value">{report.bodyWeight ? formatDelta(report.bodyWeight.change, 'lb') : '—'}</span>
+              <span className="report-stat-label">
+                {report.bodyWeight
+                  ? `Body weight ${report.bodyWeight.start} → ${report.bodyWeight.end} lb`
+                  : 'Body weight (log two weigh-ins to compare)'}
+              </span>
+            </div>
+          </div>
+
+          <section className="report-section">
+            <h3>Estimated 1RM</h3>
+            {report.e1rm.length === 0 ? (
+              <p className="report-empty">No weighted sets were logged in this block.</p>
+            ) : (
+              <table className="report-table">
+                <thead>
+                  <tr><th>Exercise</th><th>First</th><th>Last</th><th>Change</th></tr>
+                </thead>
+                <tbody>
+                  {report.e1rm.map((row) => (
+                    <tr key={row.exerciseId}>
+                      <td>{row.name}</td>
+                      <td>{formatWhole(row.first)} lb <small>wk {row.firstWeek}</small></td>
+                      <td>{formatWhole(row.last)} lb <small>wk {row.lastWeek}</small></td>
+                      <td className={`report-delta ${deltaClass(row.change)}`}>
+                        {row.change === null ? '—' : `${formatDelta(row.change, 'lb')} (${formatDelta(row.changePct)}%)`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {report.deloadWeeks.size > 0 && <p className="report-note">Deload weeks are left out of the comparison.</p>}
+          </section>
+
+          <section className="report-section">
+            <h3>Weekly sets per muscle group</h3>
+            {report.muscleVolume.muscles.length === 0 ? (
+              <p className="report-empty">No working sets were logged in this block.</p>
+            ) : (
+              <div className="report-table-scroll">
+                <table className="report-table">
+                  <thead>
+                    <tr>
+                      <th>Muscle</th>
+                      {weekHeaders.map((w) => <th key={w} className={report.deloadWeeks.has(w) ? 'deload' : ''}>Wk {w}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.muscleVolume.muscles.map((muscle) => (
+                      <tr key={muscle}>
+                        <td>{muscle}</td>
+                        {report.muscleVolume.byMuscle[muscle].map((w, i) => (
+                          <td key={i} title={`${formatWhole(w.volume)} lb`}>{w.sets || '—'}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <p className="report-note">Secondary muscles count as half a set. Volume in lb is in the CSV export.</p>
+          </section>
+
+          <section className="report-section">
+            <h3>Average RPE by week</h3>
+            <div className="report-table-scroll">
+              <table className="report-table">
+                <thead>
+                  <tr>{weekHeaders.map((w) => <th key={w} className={report.deloadWeeks.has(w) ? 'deload' : ''}>Wk {w}</th>)}</tr>
+                </thead>
+                <tbody>
+                  <tr>{report.rpe.weekly.map((v, i) => <td key={i}>{v ?? '—'}</td>)}</tr>
+                </tbody>
+              </table>
+            </div>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MesocycleReportPage;
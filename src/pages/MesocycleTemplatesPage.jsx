@@ -0,0 +1,186 @@
+/**
+ * @file MesocycleTemplatesPage.jsx
+ * @description
+ * Template library for mesocycles. Lists the user's saved templates and any
+ * published to them by their trainer, and starts a new mesocycle from a
+ * template with a chosen start date. Trainers can publish their own templates
+ * to all of their active clients.
+ *
+ * Templates are saved from a mesocycle's detail page ("Save as Template");
+ * see services/mesocycleTemplates.js for the data model.
+ *
+ * Export
+ * - Default React component: `MesocycleTemplatesPage()`
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import SubPageHeader from '../components/SubPageHeader.jsx';
+import useUserRoles from '../hooks/useUserRoles';
+import {
+  createMesocycleFromTemplate,
+  deleteTemplate,
+  listTemplates,
+  setTemplatePublished,
+} from '../services/mesocycleTemplates.js';
+import { useAuth } from '../useAuth';
+import './MesocycleTemplatesPage.css';
+
+const todayIso = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Count training and deload days in a template's layout.
+ * @param {Array<Object>} days - Template days
+ * @returns {{sessions: number, deloadWeeks: number}}
+ */
+const summarizeDays = (days = []) => ({
+  sessions: days.filter((d) => d.type === 'routine').length,
+  deloadWeeks: new Set(days.filter((d) => d.type === 'deload').map((d) => d.week_index)).size,
+});
+
+function MesocycleTemplatesPage() {
+  const navigate = useNavigate();
+  const { user, loading } = useAuth();
+  const { isTrainer } = useUserRoles();
+  const [templates, setTemplates] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [startDates, setStartDates] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      if (loading) return;
+      if (!user) {
+        setTemplates([]);
+        setIsLoading(false);
+        return;
+      }
+      try {
+        const data = await listTemplates(user.id);
+        if (mounted) setTemplates(data);
+      } catch (err) {
+        console.error('Failed to load mesocycle templates', err?.message ?? err);
+        if (mounted) setErrorMessage(`Failed to load templates: ${err?.message ?? err}`);
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [loading, user]);
+
+  const handleStart = async (template) => {
+    if (!user) return;
+    setBusyId(template.id);
+    setErrorMessage('');
+    try {
+      const mesocycleId = await createMesocycleFromTemplate({
+        userId: user.id,
+        template,
+        startDate: startDates[template.id] || todayIso(),
+        extra: { template_id: template.id },
+      });
+      navigate(`/mesocycles/${mesocycleId}`);
+    } catch (err) {
+      console.error('Failed to start mesocycle from template', err);
+      setErrorMessage(`Failed to start "${template.name}": ${err?.message ?? err}`);
+      setBusyId(null);
+    }
+  };
+
+  const handleTogglePublished = async (template) => {
+    setBusyId(template.id);
+    try {
+      await setTemplatePublished(template.id, !template.published_to_clients);
+      setTemplates((prev) => prev.map((t) => (t.id === template.id ? { ...t, published_to_clients: !t.published_to_clients } : t)));
+    } catch (err) {
+      console.error('Failed to update template', err);
+      alert(`Failed to ${template.published_to_clients ? 'unpublish' : 'publish'} template: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete template "${template.name}"? Mesocycles started from it are kept.`)) return;
+    setBusyId(template.id);
+    try {
+      await deleteTemplate(template.id);
+      setTemplates((prev) => prev.filter((t) => t.id !== template.id));
+    } catch (err) {
+      console.error('Failed to delete template', err);
+      alert(`Failed to delete template: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="mesocycle-templates-page">
+      <SubPageHeader title="Mesocycle Templates" backTo="/mesocycles" />
+
+      <p className="templates-intro">
+        Save any mesocycle as a template from its detail page, then start a new cycle from it here.
+      </p>
+
+      {errorMessage && <div className="error-message" style={{ color: 'var(--danger)', marginBottom: '0.75rem' }}>{errorMessage}</div>}
+
+      {isLoading ? (
+        <p className="templates-empty">Loading templates...</p>
+      ) : (
+        <div className="templates-list">
+          {templates.length === 0 && <p className="templates-empty">No templates yet.</p>}
+          {templates.map((template) => {
+            const { sessions, deloadWeeks } = summarizeDays(template.days);
+            const isBusy = busyId === template.id;
+            return (
+              <div key={template.id} className="template-card">
+                <div className="template-card-header">
+                  <h3>{template.name}</h3>
+                  {!template.isOwn && <span className="template-badge">From your trainer</span>}
+                  {template.isOwn && template.published_to_clients && <span className="template-badge published">Published</span>}
+                </div>
+                <p>
+                  {template.focus || 'General'} — {template.weeks} weeks, {sessions} sessions
+                  {deloadWeeks > 0 ? `, ${deloadWeeks} deload week${deloadWeeks === 1 ? '' : 's'}` : ''}
+                </p>
+                {template.loading_plan?.preset && <p>Loading plan: {template.loading_plan.preset}</p>}
+                {template.description && <p className="template-description">{template.description}</p>}
+
+                <div className="template-start">
+                  <label htmlFor={`template-start-${template.id}`}>Start</label>
+                  <input
+                    id={`template-start-${template.id}`}
+                    type="date"
+                    value={startDates[template.id] || todayIso()}
+                    onChange={(e) => setStartDates((prev) => ({ ...prev, [template.id]: e.target.value }))}
+                  />
+                  <button className="btn primary" onClick={() => handleStart(template)} disabled={isBusy}>
+                    {isBusy ? 'Working...' : 'Start Cycle'}
+                  </button>
+                </div>
+
+                {template.isOwn && (
+                  <div className="card-actions">
+                    {isTrainer && (
+                      <button className="btn btn-secondary" onClick={() => handleTogglePublished(template)} disabled={isBusy}>
+                        {template.published_to_clients ? 'Unpublish' : 'Publish to Clients'}
+                      </button>
+                    )}
+                    <button className="btn btn-danger" onClick={() => handleDelete(template)} disabled={isBusy}>Delete</button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MesocycleTemplatesPage;
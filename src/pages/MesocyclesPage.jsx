@@ -159,6 +159,8 @@ function MesocyclesPage() {
 
       <div className="mesocycles-actions">
         <Link className="btn" to="/mesocycles/new">Create Mesocycle</Link>
+        <Link className="btn" to="/mesocycles/templates">Templates</Link>
+        <Link className="btn" to="/macrocycles">Macrocycles</Link>
         <label className="show-inactive-toggle">
           <input 
             type="checkbox" 
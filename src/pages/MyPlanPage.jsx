@@ -112,6 +112,9 @@ import { useAuth } from '../useAuth';
 import SubPageHeader from '../components/SubPageHeader.jsx';
 import { useTheme } from '../context/ThemeContext.jsx';
 import { supabase } from '../supabaseClient.js';
+import { DEFAULT_ONE_RM_FORMULA, ONE_RM_FORMULAS } from '../utils/fitnessCalculators.js';
+import { MUSCLE_GROUPS, VOLUME_LANDMARK_KEYS, normalizeVolumeLandmarks } from '../utils/muscleVolume.js';
+import { BAR_TYPES, STANDARD_PLATES, getDefaultPlateSettings, normalizePlateSettings } from '../utils/warmupPlanner.js';
 import './MyPlanPage.css';
 
 // Modal styling moved to CSS (.settings-modal-overlay, .settings-modal-content)
@@ -250,6 +253,35 @@ function MyPlanPage() {
       .eq('user_id', user.id);
   };
 
+  const plateSettings = normalizePlateSettings(userProfile?.plate_settings);
+  const plateUnitLabel = plateSettings.unit === 'kg' ? 'kg' : 'lbs';
+
+  // Toggle a plate denomination on/off, always keeping at least one plate available
+  const togglePlate = (plate) => {
+    const plates = plateSettings.plates.includes(plate)
+      ? plateSettings.plates.filter(p => p !== plate)
+      : [...plateSettings.plates, plate].sort((a, b) => b - a);
+    if (plates.length === 0) return;
+    updateUserSetting('plate_settings', { ...plateSettings, plates });
+  };
+
+  const updateBarWeight = (type, value) => {
+    const weight = Number(value);
+    if (!(weight > 0) || weight === plateSettings.bars[type]) return;
+    updateUserSetting('plate_settings', { ...plateSettings, bars: { ...plateSettings.bars, [type]: weight } });
+  };
+
+  const volumeLandmarks = normalizeVolumeLandmarks(userProfile?.volume_landmarks);
+
+  const updateVolumeLandmark = (muscle, key, value) => {
+    const sets = Number(value);
+    if (value === '' || !(sets >= 0) || sets === volumeLandmarks[muscle][key]) return;
+    updateUserSetting('volume_landmarks', normalizeVolumeLandmarks({
+      ...volumeLandmarks,
+      [muscle]: { ...volumeLandmarks[muscle], [key]: sets },
+    }));
+  };
+
   /**
    * Opens the settings modal interface
    * 
@@ -627,6 +659,111 @@ function MyPlanPage() {
                 }}
               />
             </div>
+            <div className="toggle-row">
+              <label htmlFor="select-one-rm-formula">1RM Formula</label>
+              <select
+                id="select-one-rm-formula"
+                className="settings-select"
+                value={userProfile?.one_rm_formula || DEFAULT_ONE_RM_FORMULA}
+                onChange={e => updateUserSetting('one_rm_formula', e.target.value)}
+              >
+                {Object.entries(ONE_RM_FORMULAS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="toggle-row">
+              <label htmlFor="toggle-e1rm-rpe">Adjust e1RM for RPE</label>
+              <input
+                id="toggle-e1rm-rpe"
+                type="checkbox"
+                checked={userProfile?.e1rm_rpe_adjusted === true}
+                onChange={e => updateUserSetting('e1rm_rpe_adjusted', e.target.checked)}
+              />
+            </div>
+            <hr style={{ margin: '1.5rem 0' }} />
+            <h3>Plates &amp; Bars</h3>
+            <div className="toggle-row">
+              <label htmlFor="select-plate-unit">Units</label>
+              <select
+                id="select-plate-unit"
+                className="settings-select"
+                value={plateSettings.unit}
+                onChange={e => updateUserSetting('plate_settings', getDefaultPlateSettings(e.target.value))}
+              >
+                <option value="lb">Pounds (lb)</option>
+                <option value="kg">Kilograms (kg)</option>
+              </select>
+            </div>
+            {Object.entries(BAR_TYPES).map(([type, { label }]) => (
+              <div className="toggle-row" key={type}>
+                <label htmlFor={`input-bar-${type}`}>{label} ({plateUnitLabel})</label>
+                <input
+                  id={`input-bar-${type}`}
+                  key={`${plateSettings.unit}-${plateSettings.bars[type]}`}
+                  className="settings-select bar-weight-input"
+                  type="number"
+                  inputMode="decimal"
+                  min="0"
+                  step="0.5"
+                  defaultValue={plateSettings.bars[type]}
+                  onBlur={e => updateBarWeight(type, e.target.value)}
+                />
+              </div>
+            ))}
+            <p className="plate-options-label">Available plates ({plateUnitLabel})</p>
+            <div className="plate-options">
+              {STANDARD_PLATES[plateSettings.unit].map(plate => (
+                <button
+                  key={plate}
+                  className={`plate-chip ${plateSettings.plates.includes(plate) ? 'active' : ''}`}
+                  onClick={() => togglePlate(plate)}
+                  aria-pressed={plateSettings.plates.includes(plate)}
+                >
+                  {plate}
+                </button>
+              ))}
+            </div>
+            <hr style={{ margin: '1.5rem 0' }} />
+            <h3>Volume Landmarks</h3>
+            <p className="plate-options-label">Weekly hard sets per muscle used on the mesocycle page</p>
+            <table className="landmarks-table">
+              <thead>
+                <tr>
+                  <th>Muscle</th>
+                  {VOLUME_LANDMARK_KEYS.map(key => <th key={key}>{key.toUpperCase()}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {MUSCLE_GROUPS.map(muscle => (
+                  <tr key={muscle}>
+                    <td>{muscle}</td>
+                    {VOLUME_LANDMARK_KEYS.map(key => (
+                      <td key={key}>
+                        <input
+                          key={`${muscle}-${key}-${volumeLandmarks[muscle][key]}`}
+                          className="settings-select landmark-input"
+                          type="number"
+                          inputMode="numeric"
+                          min="0"
+                          step="1"
+                          aria-label={`${muscle} ${key.toUpperCase()}`}
+                          defaultValue={volumeLandmarks[muscle][key]}
+                          onBlur={e => updateVolumeLandmark(muscle, key, e.target.value)}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button
+              className="plate-chip landmarks-reset"
+              onClick={() => updateUserSetting('volume_landmarks', null)}
+              disabled={!userProfile?.volume_landmarks}
+            >
+              Reset to defaults
+            </button>
           </div>
         </div>
       </Modal>
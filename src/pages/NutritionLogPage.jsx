@@ -18,6 +18,12 @@
  * Core Features:
  * - **Meal-Based Logging**: Separate tracking for breakfast, lunch, dinner, snacks
  * - **Food Search**: Comprehensive database search with USDA integration
+ * - **Quick Log**: Per-slot recent, frequent and starred foods (user_food_usage), re-logged
+ *   in one tap with the amount used last time
+ * - **Copy Meals**: Copy a slot, a whole day or picked entries from any date into another
+ *   date/slot (re-logged through log_food_item), plus a "Same as yesterday" shortcut
+ * - **Custom Foods**: Create a private food from its nutrition facts label (optionally
+ *   submitted for admin verification) and log it immediately
  * - **Water Tracking**: Daily water intake monitoring (oz)
  * - **Macro Progress**: Real-time visualization of calories, protein, water vs. goals
  * - **Pre-Calculated Nutrition**: Database trigger auto-populates all 25 nutrients on INSERT/UPDATE
@@ -31,7 +37,8 @@
  * - id: UUID primary key
  * - user_id: FK to auth.users
  * - food_id: FK to foods table
- * - meal_type: 'breakfast' | 'lunch' | 'dinner' | 'snack' (lowercase in DB)
+ * - meal_type: 'breakfast' | 'lunch' | 'dinner' | 'snack1' | 'snack2' | 'water' (lowercase in DB)
+ * - portion_id: FK to portions (the portion picked when logging, optional)
  * - log_date: DATE (local timezone, not UTC)
  * - quantity_consumed: NUMERIC (grams)
  * - water_oz_consumed: NUMERIC (optional, for water entries)
@@ -58,7 +65,7 @@
  * - Prevents "retroactive nutrition changes" bug
  * 
  * State Management:
- * - **activeMeal**: Currently selected meal tab ('breakfast', 'lunch', 'dinner', 'snack')
+ * - **activeMeal**: Currently selected meal tab (see MEAL_SLOTS: 'breakfast' ... 'snack2')
  * - **todaysLogs**: Array of all nutrition_logs for today (all meals)
  * - **goals**: User's daily targets (calories, protein, water) from user_profiles
  * - **searchResults**: Foods matching search query
@@ -77,7 +84,7 @@
  * 10. Progress updates in real-time
  * 
  * Meal Type Conventions:
- * - **State & Database**: Always lowercase ('breakfast', 'lunch', 'dinner', 'snack')
+ * - **State & Database**: Always lowercase ('breakfast', 'lunch', 'dinner', 'snack1', 'snack2')
  * - **Display**: Use formatMealType() to capitalize for UI
  * - **User Input**: Normalize to lowercase before saving
  * - **Prevents bugs** from case mismatches in queries
@@ -163,9 +170,16 @@
  */
 
 import React, { useCallback, useEffect, useRef, useState } from 'react';
+import CopyMealsModal from '../components/CopyMealsModal.jsx';
+import CreateFoodModal from '../components/CreateFoodModal.jsx';
+import QuickLogFoods from '../components/QuickLogFoods.jsx';
 import SubPageHeader from '../components/SubPageHeader.jsx';
 import { supabase } from '../supabaseClient.js';
-import { formatMealType } from '../constants/mealPlannerConstants.js';
+import { formatMealType, MEAL_SLOTS } from '../constants/mealPlannerConstants.js';
+import { submitFoodForVerification } from '../services/customFoods.js';
+import { quickLogAmount } from '../services/foodUsage.js';
+import { copyYesterday, toLocalDateString } from '../services/nutritionLogCopy.js';
+import { searchFoodsRanked } from '../utils/foodSearch.js';
 /**
  * NutritionLogPage — log daily nutrition entries.
  *
@@ -176,10 +190,10 @@ import { formatMealType } from '../constants/mealPlannerConstants.js';
  * Notes:
  * - uses text + inputMode for numeric fields to avoid mobile quirks and
  *   sanitizes values before persisting.
- * - ALWAYS uses lowercase meal types ('breakfast', 'lunch', 'dinner', 'snack')
+ * - ALWAYS uses lowercase meal types ('breakfast', 'lunch', 'dinner', 'snack1', 'snack2')
  *   for state and database operations. Use formatMealType() for display only.
  */
-import { Apple, Droplets, Loader2, Search, Trash2, X } from 'lucide-react';
+import { Apple, Copy, Droplets, Loader2, Plus, Repeat, Search, Trash2, X } from 'lucide-react';
 import { useAuth } from '../useAuth';
 import './NutritionLogPage.css';
 
@@ -208,6 +222,66 @@ import './NutritionLogPage.css';
  * @property {number} protein_g
  */
 
+/**
+ * Flatten a foods row (per-100g values, with portions) into a search result,
+ * with nutrition scaled to its default portion.
+ * @param {object} food - foods row with `portions`
+ * @returns {SearchResult}
+ */
+const toSearchResult = (food) => {
+  // Get default portion (first one or 100g equivalent)
+  const defaultPortion = food.portions?.[0] || {
+    gram_weight: 100,
+    portion_description: '100g'
+  };
+
+  const portionGrams = defaultPortion.gram_weight || 100;
+  const multiplier = portionGrams / 100;
+
+  return {
+    is_external: false,
+    food_id: food.id,
+    name: food.name,
+    brand: food.brand_owner || food.data_type || '',
+    serving_id: food.id,
+    serving_description: defaultPortion.portion_description || `${portionGrams}g`,
+    gram_weight: portionGrams, // Store gram weight for quantity calculation
+    portions: food.portions || [],
+    // Nutrition (scaled from 100g base to portion size)
+    calories: Math.round((food.calories || 0) * multiplier),
+    protein_g: Math.round((food.protein_g || 0) * multiplier * 10) / 10,
+    carbs_g: Math.round((food.carbs_g || 0) * multiplier * 10) / 10,
+    fat_g: Math.round((food.fat_g || 0) * multiplier * 10) / 10,
+    fiber_g: Math.round((food.fiber_g || 0) * multiplier * 10) / 10,
+    sugar_g: Math.round((food.sugar_g || 0) * multiplier * 10) / 10,
+    sodium_mg: Math.round((food.sodium_mg || 0) * multiplier),
+    calcium_mg: Math.round((food.calcium_mg || 0) * multiplier),
+    iron_mg: Math.round((food.iron_mg || 0) * multiplier * 10) / 10,
+    vitamin_c_mg: Math.round((food.vitamin_c_mg || 0) * multiplier * 10) / 10,
+    potassium_mg: Math.round((food.potassium_mg || 0) * multiplier),
+    vitamin_a_mcg: Math.round((food.vitamin_a_mcg || 0) * multiplier),
+    vitamin_e_mg: Math.round((food.vitamin_e_mg || 0) * multiplier * 10) / 10,
+    vitamin_k_mcg: Math.round((food.vitamin_k_mcg || 0) * multiplier * 10) / 10,
+    thiamin_mg: Math.round((food.thiamin_mg || 0) * multiplier * 100) / 100,
+    riboflavin_mg: Math.round((food.riboflavin_mg || 0) * multiplier * 100) / 100,
+    niacin_mg: Math.round((food.niacin_mg || 0) * multiplier * 10) / 10,
+    vitamin_b6_mg: Math.round((food.vitamin_b6_mg || 0) * multiplier * 100) / 100,
+    folate_mcg: Math.round((food.folate_mcg || 0) * multiplier),
+    vitamin_b12_mcg: Math.round((food.vitamin_b12_mcg || 0) * multiplier * 100) / 100,
+    magnesium_mg: Math.round((food.magnesium_mg || 0) * multiplier),
+    phosphorus_mg: Math.round((food.phosphorus_mg || 0) * multiplier),
+    zinc_mg: Math.round((food.zinc_mg || 0) * multiplier * 10) / 10,
+    copper_mg: Math.round((food.copper_mg || 0) * multiplier * 100) / 100,
+    selenium_mcg: Math.round((food.selenium_mcg || 0) * multiplier),
+    cholesterol_mg: Math.round((food.cholesterol_mg || 0) * multiplier),
+    // Metadata
+    category: food.category || null,
+    is_private: Boolean(food.is_private),
+    verification_status: food.verification_status || null,
+    review_note: food.review_note || null,
+  };
+};
+
 /**
  * NutritionLogPage
  * Page for logging food and water. Includes robust timezone-aware queries and
@@ -230,11 +304,16 @@ function NutritionLogPage() {
   const searchAbortControllerRef = useRef(null);
   const searchDebounceRef = useRef(null);
   const [isLogModalOpen, setIsLogModalOpen] = useState(false);
+  const [isCreateFoodOpen, setIsCreateFoodOpen] = useState(false);
+  const [isCopyOpen, setIsCopyOpen] = useState(false);
+  const [isCopyingYesterday, setIsCopyingYesterday] = useState(false);
   /** @type {[SearchResult | null, React.Dispatch<React.SetStateAction<SearchResult | null>>]} */
   const [selectedFood, setSelectedFood] = useState(null);
   // Store quantity as a string to avoid mobile keyboards auto-inserting values
   // when a numeric input is cleared. We sanitize and parse before submitting.
   const [quantity, setQuantity] = useState('1');
+  // Portion the quantity counts ('' = 100g)
+  const [selectedPortionId, setSelectedPortionId] = useState('');
   const [dailyTotals, setDailyTotals] = useState({
     calories: 0, protein: 0, water: 0
   });
@@ -246,6 +325,13 @@ function NutritionLogPage() {
     log.meal_type?.toLowerCase() === activeMeal.toLowerCase()
   );
   
+  const selectedPortions = selectedFood?.portions || [];
+  const selectedPortion = selectedPortions.find(p => p.id === selectedPortionId) || null;
+  // Foods without portion rows keep their own serving weight
+  const selectedPortionGrams = selectedPortions.length > 0
+    ? Number(selectedPortion?.gram_weight) || 100
+    : selectedFood?.gram_weight || selectedFood?.portion_gram_weight || 100;
+
   const calorieProgress = goals.daily_calorie_goal > 0 ? (dailyTotals.calories / goals.daily_calorie_goal) * 100 : 0;
 
   const showError = (message) => {
@@ -333,7 +419,7 @@ function NutritionLogPage() {
    * updates the scheduledMeal state to display the "Add Meal Plan" button in the UI.
    * 
    * @param {string} userId - The UUID of the authenticated user
-   * @param {string} mealType - The meal type in lowercase ('breakfast', 'lunch', 'dinner', 'snack')
+   * @param {string} mealType - The meal type in lowercase ('breakfast', 'lunch', 'dinner', 'snack1', 'snack2')
    * 
    * @returns {Promise<void>} Updates scheduledMeal state with meal data or null
    * 
@@ -452,92 +538,12 @@ function NutritionLogPage() {
 
       setIsSearching(true);
       try {
-        // Escape commas in search term to prevent PostgREST syntax errors
-        // PostgREST interprets commas as OR separators, so we need to replace them
-        const sanitizedTerm = term.replace(/,/g, ' ').toLowerCase();
-        
         // Phase 3: Smart Search Algorithm
-        // Uses new database columns: name_simplified (for flexible matching) and effective_score (for ranking)
-        // Query foods table directly and calculate effective_score client-side
-        // Search strategy: name_simplified allows matching "chicken stew" to "Stew, chicken"
-        const { data: results, error: searchError } = await supabase
-          .from('foods')
-          .select(`
-            *,
-            portions (*)
-          `)
-          .or(`name_simplified.ilike.%${sanitizedTerm}%,brand_owner.ilike.%${sanitizedTerm}%`)
-          .order('commonness_score', { ascending: false })  // Sort by base score (includes auto + manual scoring)
-          .order('name')  // Secondary sort: alphabetical
-          .limit(100);
-        
-        // Phase 3: Filter out alcoholic beverages
-        // Database now handles ranking via commonness_score, so minimal client-side sorting needed
-        const filtered = (results || []).filter(food => 
-          !food.name.toLowerCase().includes('alcoholic') &&
-          !food.name.toLowerCase().includes('liqueur') &&
-          !food.name.toLowerCase().includes('wine') &&
-          !food.name.toLowerCase().includes('beer')
-        ).slice(0, 50);  // Limit to top 50 results
-        
-        if (searchError) {
-          console.error('Search error:', searchError);
-          showError('Search failed. Please try again.');
-          setSearchResults([]);
-          return;
-        }
+        // name_simplified matching ranked by commonness_score, alcoholic beverages filtered out
+        const filtered = await searchFoodsRanked(term);
 
         // Format results for UI
-        const standardizedResults = (filtered || []).map(food => {
-          // Get default portion (first one or 100g equivalent)
-          const defaultPortion = food.portions?.[0] || {
-            gram_weight: 100,
-            portion_description: '100g'
-          };
-
-          const portionGrams = defaultPortion.gram_weight || 100;
-          const multiplier = portionGrams / 100;
-
-          return {
-            is_external: false,
-            food_id: food.id,
-            name: food.name,
-            brand: food.brand_owner || food.data_type || '',
-            serving_id: food.id,
-            serving_description: defaultPortion.portion_description || `${portionGrams}g`,
-            gram_weight: portionGrams, // Store gram weight for quantity calculation
-            portions: food.portions || [],
-            // Nutrition (scaled from 100g base to portion size)
-            calories: Math.round((food.calories || 0) * multiplier),
-            protein_g: Math.round((food.protein_g || 0) * multiplier * 10) / 10,
-            carbs_g: Math.round((food.carbs_g || 0) * multiplier * 10) / 10,
-            fat_g: Math.round((food.fat_g || 0) * multiplier * 10) / 10,
-            fiber_g: Math.round((food.fiber_g || 0) * multiplier * 10) / 10,
-            sugar_g: Math.round((food.sugar_g || 0) * multiplier * 10) / 10,
-            sodium_mg: Math.round((food.sodium_mg || 0) * multiplier),
-            calcium_mg: Math.round((food.calcium_mg || 0) * multiplier),
-            iron_mg: Math.round((food.iron_mg || 0) * multiplier * 10) / 10,
-            vitamin_c_mg: Math.round((food.vitamin_c_mg || 0) * multiplier * 10) / 10,
-            potassium_mg: Math.round((food.potassium_mg || 0) * multiplier),
-            vitamin_a_mcg: Math.round((food.vitamin_a_mcg || 0) * multiplier),
-            vitamin_e_mg: Math.round((food.vitamin_e_mg || 0) * multiplier * 10) / 10,
-            vitamin_k_mcg: Math.round((food.vitamin_k_mcg || 0) * multiplier * 10) / 10,
-            thiamin_mg: Math.round((food.thiamin_mg || 0) * multiplier * 100) / 100,
-            riboflavin_mg: Math.round((food.riboflavin_mg || 0) * multiplier * 100) / 100,
-            niacin_mg: Math.round((food.niacin_mg || 0) * multiplier * 10) / 10,
-            vitamin_b6_mg: Math.round((food.vitamin_b6_mg || 0) * multiplier * 100) / 100,
-            folate_mcg: Math.round((food.folate_mcg || 0) * multiplier),
-            vitamin_b12_mcg: Math.round((food.vitamin_b12_mcg || 0) * multiplier * 100) / 100,
-            magnesium_mg: Math.round((food.magnesium_mg || 0) * multiplier),
-            phosphorus_mg: Math.round((food.phosphorus_mg || 0) * multiplier),
-            zinc_mg: Math.round((food.zinc_mg || 0) * multiplier * 10) / 10,
-            copper_mg: Math.round((food.copper_mg || 0) * multiplier * 100) / 100,
-            selenium_mcg: Math.round((food.selenium_mcg || 0) * multiplier),
-            cholesterol_mg: Math.round((food.cholesterol_mg || 0) * multiplier),
-            // Metadata
-            category: food.category || null,
-          };
-        });
+        const standardizedResults = filtered.map(toSearchResult);
 
         setSearchResults(standardizedResults);
       } catch (error) {
@@ -555,8 +561,14 @@ function NutritionLogPage() {
     }, 300);
   }, []);
 
-  const openLogModal = async (food) => {
+  /**
+   * @param {SearchResult} food
+   * @param {{ portionId?: string, servings?: number }} [prefill] - Amount to start from (quick log)
+   */
+  const openLogModal = async (food, prefill = {}) => {
     if (!food) return;
+    setSelectedPortionId(prefill.portionId ?? food.portions?.[0]?.id ?? '');
+    setQuantity(String(prefill.servings ?? 1));
     
     if (food.needs_serving_fetch) {
       // Fetch portions for this food from new structure
@@ -605,12 +617,81 @@ function NutritionLogPage() {
     setIsLogModalOpen(true);
   };
 
+  const handleOpenQuickLog = (item) => {
+    const { portion, servings } = quickLogAmount(item);
+    openLogModal(toSearchResult(item.food), { portionId: portion?.id ?? '', servings });
+  };
+
+  // A food created from a label goes straight to the log modal
+  const handleFoodCreated = (food) => {
+    setIsCreateFoodOpen(false);
+    openLogModal(toSearchResult(food));
+  };
+
+  const handleSubmitForVerification = async () => {
+    try {
+      await submitFoodForVerification(selectedFood.food_id);
+      setSelectedFood({ ...selectedFood, verification_status: 'pending' });
+    } catch (err) {
+      console.error('Error submitting food for verification:', err);
+      showError(`Could not submit food: ${err.message}`);
+    }
+  };
+
   const closeLogModal = () => {
     setIsLogModalOpen(false);
     setSelectedFood(null);
     setSearchTerm('');
     setSearchResults([]);
     setQuantity('1');
+    setSelectedPortionId('');
+  };
+
+  /**
+   * Insert one food entry for today in the active meal slot. The nutrition and
+   * user_food_usage triggers take it from there.
+   * @param {number} foodId
+   * @param {number} grams - quantity_consumed
+   * @param {string|null} portionId - Portion the amount was entered in
+   * @returns {Promise<boolean>} Whether the entry was saved
+   */
+  const insertFoodLog = async (foodId, grams, portionId) => {
+    // **TIMEZONE FIX**: Use local date, not UTC
+    const today = new Date();
+    const logDate = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+    const { error: insertError } = await supabase
+      .from('nutrition_logs')
+      .insert({
+        user_id: user.id,
+        food_id: foodId,
+        meal_type: activeMeal,
+        quantity_consumed: grams,
+        portion_id: portionId || null,
+        log_date: logDate
+      })
+      .select();
+
+    if (insertError) {
+      console.error('Error logging food:', insertError);
+      showError(`Error logging food: ${insertError.message}`);
+      return false;
+    }
+    return true;
+  };
+
+  // One-tap re-log with the amount used last time in this slot
+  const handleQuickLog = async (item) => {
+    if (!user) return;
+    const { portion, grams } = quickLogAmount(item);
+    try {
+      if (await insertFoodLog(item.food.id, grams, portion?.id)) {
+        await fetchLogData(user.id);
+      }
+    } catch (error) {
+      console.error('Error in handleQuickLog:', error);
+      showError(`Error logging food: ${error.message}`);
+    }
   };
 
   const handleLogFood = async () => {
@@ -699,33 +780,11 @@ function NutritionLogPage() {
         servingId = newFood.id;
       }
 
-      // Now insert the nutrition log
-      // **TIMEZONE FIX**: Use local date, not UTC
-      const today = new Date();
-      const logDate = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
-      
       // Calculate quantity_consumed in grams for the trigger
-      // qty = number of servings selected, we need to convert to grams
-      // selectedFood should have the portion gram weight
-      const portionGrams = selectedFood.gram_weight || selectedFood.portion_gram_weight || 100;
-      const quantityInGrams = qty * portionGrams;
-      
-      const { error: insertError } = await supabase
-        .from('nutrition_logs')
-        .insert({
-          user_id: user.id,
-          food_id: servingId,
-          meal_type: activeMeal,
-          quantity_consumed: quantityInGrams,
-          log_date: logDate
-        })
-        .select();
+      // qty = number of the selected portion, we need to convert to grams
+      const quantityInGrams = qty * selectedPortionGrams;
 
-      if (insertError) {
-        console.error('Error logging food:', insertError);
-        showError(`Error logging food: ${insertError.message}`);
-        return;
-      }
+      if (!(await insertFoodLog(servingId, quantityInGrams, selectedPortion?.id))) return;
 
       await fetchLogData(user.id);
       closeLogModal();
@@ -864,6 +923,32 @@ function NutritionLogPage() {
     await fetchLogData(user.id);
   };
 
+  // "Same as yesterday": yesterday's entries for the open slot, logged again today
+  const handleSameAsYesterday = async () => {
+    if (!user) return;
+    setIsCopyingYesterday(true);
+    try {
+      const copied = await copyYesterday(user.id, activeMeal);
+      if (copied === 0) {
+        showError(`Nothing was logged for ${formatMealType(activeMeal)} yesterday.`);
+        return;
+      }
+      await fetchLogData(user.id);
+    } catch (error) {
+      console.error('Error copying yesterday:', error);
+      showError(`Could not copy yesterday: ${error.message}`);
+    } finally {
+      setIsCopyingYesterday(false);
+    }
+  };
+
+  const handleCopied = async (count, targetDate) => {
+    setIsCopyOpen(false);
+    if (count > 0 && targetDate === toLocalDateString()) {
+      await fetchLogData(user.id);
+    }
+  };
+
   /**
    * Delete a nutrition log entry from the database
    * 
@@ -947,17 +1032,26 @@ function NutritionLogPage() {
       )}
 
       <div className="meal-tabs">
-        {['breakfast', 'lunch', 'dinner', 'snack'].map(meal => (
+        {MEAL_SLOTS.map(({ value, label }) => (
           <button 
-            key={meal} 
-            className={activeMeal === meal ? 'active' : ''} 
-            onClick={() => setActiveMeal(meal)}
+            key={value} 
+            className={activeMeal === value ? 'active' : ''} 
+            onClick={() => setActiveMeal(value)}
           >
-            {formatMealType(meal)}
+            {label}
           </button>
         ))}
       </div>
 
+      <div className="copy-meals-actions-row">
+        <button onClick={handleSameAsYesterday} disabled={!user || isCopyingYesterday}>
+          <Repeat size={14} /> {isCopyingYesterday ? 'Copying...' : 'Same as yesterday'}
+        </button>
+        <button onClick={() => setIsCopyOpen(true)} disabled={!user}>
+          <Copy size={14} /> Copy meals...
+        </button>
+      </div>
+
       {scheduledMeal && (
         <div className="meal-plan-add-section">
           <button 
@@ -985,13 +1079,32 @@ function NutritionLogPage() {
             {isSearching && <div className="search-loading"><Loader2 className="animate-spin" /></div>}
             {!isSearching && searchResults.map((food, index) => (
               <div key={`${food.food_id}-${food.serving_id}-${index}`} className="food-search-item" onClick={() => openLogModal(food)}>
-                <span>{food.name}</span>
+                <span>
+                  {food.name}
+                  {food.is_private && (
+                    <span className="search-item-badge">
+                      {food.verification_status === 'pending' ? 'Pending review' : 'Private'}
+                    </span>
+                  )}
+                </span>
                 <span className="search-item-serving">{food.serving_description}</span>
               </div>
             ))}
           </div>
         )}
       </div>
+      <button className="create-food-btn" onClick={() => setIsCreateFoodOpen(true)} disabled={!user}>
+        <Plus size={16} /> Can&apos;t find it? Create a food from its label
+      </button>
+
+      <QuickLogFoods
+        userId={userId}
+        mealType={activeMeal}
+        refreshKey={todaysLogs.length}
+        onLog={handleQuickLog}
+        onOpen={handleOpenQuickLog}
+        disabled={!user}
+      />
 
       <div className="water-log-card">
         <div className="water-log-header">
@@ -1045,6 +1158,22 @@ function NutritionLogPage() {
         </div>
       </div>
 
+      {user && (
+        <CopyMealsModal
+          isOpen={isCopyOpen}
+          userId={user.id}
+          mealType={activeMeal}
+          onCopied={handleCopied}
+          onClose={() => setIsCopyOpen(false)}
+        />
+      )}
+
+      <CreateFoodModal
+        isOpen={isCreateFoodOpen}
+        onCreated={handleFoodCreated}
+        onClose={() => setIsCreateFoodOpen(false)}
+      />
+
       {isLogModalOpen && selectedFood && (
         <div 
           onClick={(e) => {
@@ -1096,9 +1225,42 @@ function NutritionLogPage() {
             
             <div style={{ padding: '1.5rem' }}>
               <p style={{ color: '#999', marginBottom: '1.5rem' }}>
-                Serving: {selectedFood.serving_description} ({Math.round(selectedFood.calories)} cal)
+                Serving: {selectedPortions.length > 0
+                  ? selectedPortion?.portion_description || `${selectedPortionGrams}g`
+                  : selectedFood.serving_description}
+                {' '}({Math.round((selectedFood.calories / (selectedFood.gram_weight || 100)) * selectedPortionGrams)} cal)
               </p>
+              {selectedFood.is_private && (
+                <p className="private-food-note">
+                  {selectedFood.verification_status === 'pending'
+                    ? 'Only you can see this food while it waits for verification.'
+                    : selectedFood.verification_status === 'rejected'
+                      ? `Verification was declined${selectedFood.review_note ? `: ${selectedFood.review_note}` : '.'}`
+                      : 'Only you can see this food.'}
+                  {['unsubmitted', 'rejected'].includes(selectedFood.verification_status) && (
+                    <button type="button" onClick={handleSubmitForVerification}>Submit for verification</button>
+                  )}
+                </p>
+              )}
               
+              {selectedPortions.length > 0 && (
+                <div className="log-portion-field">
+                  <label htmlFor="log-portion">Portion</label>
+                  <select
+                    id="log-portion"
+                    value={selectedPortionId}
+                    onChange={(e) => setSelectedPortionId(e.target.value)}
+                  >
+                    {selectedPortions.map(p => (
+                      <option key={p.id} value={p.id}>
+                        {p.portion_description || `${p.amount} ${p.measure_unit}`} ({Math.round(p.gram_weight)}g)
+                      </option>
+                    ))}
+                    <option value="">100g</option>
+                  </select>
+                </div>
+              )}
+
               <div style={{ marginBottom: '1.5rem' }}>
                 <label 
                   htmlFor="quantity" 
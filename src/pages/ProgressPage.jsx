@@ -13,6 +13,7 @@
  * - Averages for calories eaten and burned per day are calculated.
  * 5. All calculated stats and chart data are stored in the component's state to be rendered.
  * 6. The page displays these stats in cards, visualizes trends in charts using the `recharts` library, and lists the user's active goals with progress bars.
+ * 7. Personal records (rep maxes, e1RM, volume) are listed and charted by `PersonalRecordsPanel`.
  */
 
 /**
@@ -27,6 +28,7 @@ import { supabase } from '../supabaseClient.js';
 import SubPageHeader from '../components/SubPageHeader.jsx';
 import { TrendingUp, Dumbbell, Flame, BarChart3, Apple as AppleIcon } from 'lucide-react';
 import LazyRecharts from '../components/LazyRecharts.jsx';
+import PersonalRecordsPanel from '../components/PersonalRecordsPanel.jsx';
 import { useAuth } from '../useAuth';
 import './ProgressPage.css';
 
@@ -271,6 +273,9 @@ function ProgressPage() {
         </div>
       </div>
 
+      {/* Rep-max / e1RM / volume records and their history */}
+      <PersonalRecordsPanel userId={userId} />
+
       {/* Section for displaying active goals and their progress */}
       <div className="goals-progress-section">
         <h3>Goals Progress</h3>
@@ -0,0 +1,151 @@
+/**
+ * @file PublicRoutinesPage.jsx
+ * @description
+ * The public routine library at `/workouts/routines/browse`.
+ *
+ * Responsibilities
+ * - List routines other users have shared publicly, most imported first, with
+ *   filters for difficulty, routine type and name.
+ * - Open a routine from a pasted share link or code.
+ *
+ * Previewing and importing happen on SharedRoutinePage.
+ *
+ * Export
+ * - Default React component: `PublicRoutinesPage()`
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Download, Globe } from 'lucide-react';
+import SubPageHeader from '../components/SubPageHeader.jsx';
+import {
+  getDifficultyLabel,
+  listPublicRoutines,
+  parseShareCode,
+  ROUTINE_DIFFICULTIES,
+  ROUTINE_TYPES,
+} from '../services/routineSharing.js';
+import { useAuth } from '../useAuth';
+import './PublicRoutinesPage.css';
+
+function PublicRoutinesPage() {
+  const navigate = useNavigate();
+  const { user, loading } = useAuth();
+  const [routines, setRoutines] = useState([]);
+  const [difficultyLevel, setDifficultyLevel] = useState('');
+  const [routineType, setRoutineType] = useState('');
+  const [search, setSearch] = useState('');
+  const [codeInput, setCodeInput] = useState('');
+  const [codeError, setCodeError] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    if (loading || !user) return undefined;
+    let mounted = true;
+    // Debounce so typing in the search box doesn't query on every key
+    const timer = setTimeout(async () => {
+      try {
+        setIsLoading(true);
+        const rows = await listPublicRoutines({
+          difficultyLevel: difficultyLevel ? Number(difficultyLevel) : null,
+          routineType: routineType || null,
+          search,
+        });
+        if (mounted) {
+          setRoutines(rows);
+          setErrorMessage('');
+        }
+      } catch (err) {
+        console.error('Failed to load public routines', err?.message ?? err);
+        if (mounted) setErrorMessage(`Failed to load routines: ${err?.message ?? err}`);
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    }, 250);
+    return () => {
+      mounted = false;
+      clearTimeout(timer);
+    };
+  }, [difficultyLevel, routineType, search, user, loading]);
+
+  const handleOpenCode = (e) => {
+    e.preventDefault();
+    const code = parseShareCode(codeInput);
+    if (!code) {
+      setCodeError('That is not a routine link or code.');
+      return;
+    }
+    setCodeError('');
+    navigate(`/routines/shared/${code}`);
+  };
+
+  return (
+    <div className="public-routines-page">
+      <SubPageHeader title="Public Routines" icon={<Globe size={28} />} iconColor="#f97316" backTo="/workouts/routines" />
+
+      <form className="public-routines-code" onSubmit={handleOpenCode}>
+        <input
+          type="text"
+          value={codeInput}
+          onChange={(e) => setCodeInput(e.target.value)}
+          placeholder="Paste a share link or code"
+          aria-label="Share link or code"
+        />
+        <button className="btn" type="submit" disabled={!codeInput.trim()}>Open</button>
+      </form>
+      {codeError && <p className="public-routines-error">{codeError}</p>}
+
+      <div className="public-routines-filters">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name"
+          aria-label="Search public routines"
+        />
+        <select value={difficultyLevel} onChange={(e) => setDifficultyLevel(e.target.value)} aria-label="Difficulty">
+          <option value="">Any difficulty</option>
+          {ROUTINE_DIFFICULTIES.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+        </select>
+        <select value={routineType} onChange={(e) => setRoutineType(e.target.value)} aria-label="Routine type">
+          <option value="">Any type</option>
+          {ROUTINE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+      </div>
+
+      {errorMessage && <div className="error-message" style={{ color: 'var(--danger)', marginBottom: '0.75rem' }}>{errorMessage}</div>}
+
+      {isLoading && routines.length === 0 ? (
+        <p className="public-routines-empty">Loading routines...</p>
+      ) : routines.length === 0 ? (
+        <p className="public-routines-empty">No public routines match these filters yet.</p>
+      ) : (
+        <ul className="public-routines-list">
+          {routines.map(routine => (
+            <li key={routine.id}>
+              <Link to={`/routines/shared/${routine.share_code}`} className="public-routine-card">
+                <span className="public-routine-name">{routine.routine_name}</span>
+                <span className="public-routine-meta">
+                  {[
+                    getDifficultyLabel(routine.difficulty_level),
+                    routine.routine_type,
+                    `${routine.exercise_count} exercises`,
+                    routine.estimated_duration_minutes && `~${routine.estimated_duration_minutes} min`,
+                  ].filter(Boolean).join(' · ')}
+                </span>
+                {routine.description && <span className="public-routine-description">{routine.description}</span>}
+                <span className="public-routine-imports">
+                  <Download size={12} /> {routine.import_count} import{routine.import_count === 1 ? '' : 's'}
+                  {routine.user_id === user?.id && ' · yours'}
+                </span>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PublicRoutinesPage;
@@ -0,0 +1,243 @@
+/**
+ * @file RoutineHistoryPage.jsx
+ * @description
+ * Version history of one routine at `/workouts/routines/:routineId/history`.
+ *
+ * Responsibilities
+ * - List every saved version newest first, with who saved it, when, and how
+ *   many logged sessions were performed from it.
+ * - Show what a version changed compared with the one before it, or how it
+ *   differs from the current routine: exercises added, removed or moved, and
+ *   sets/reps/rest/technique changes.
+ * - Restore an earlier version in one click (recorded as a new version).
+ *
+ * Versions are written by the replace-routine-exercises edge function; see
+ * services/routineVersions.js.
+ *
+ * Export
+ * - Default React component: `RoutineHistoryPage()`
+ */
+
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { History, RotateCcw } from 'lucide-react';
+import SubPageHeader from '../components/SubPageHeader.jsx';
+import { listRoutineVersions, restoreRoutineVersion } from '../services/routineVersions.js';
+import { diffRoutineVersions, getItemName, summarizeRoutineDiff } from '../utils/routineDiff.js';
+import './RoutineHistoryPage.css';
+
+const COMPARE_MODES = { PREVIOUS: 'previous', CURRENT: 'current' };
+
+const formatTimestamp = (value) => new Date(value).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit',
+});
+
+/**
+ * Sections of a diff as lists of lines.
+ * @param {{diff: ReturnType<typeof diffRoutineVersions>}} props
+ */
+function RoutineDiff({ diff }) {
+  if (diff.isEmpty) return <p className="routine-diff-empty">Same exercises, sets and reps.</p>;
+  return (
+    <div className="routine-diff">
+      {diff.added.length > 0 && (
+        <div className="routine-diff-section added">
+          <h4>Added</h4>
+          <ul>
+            {diff.added.map(({ item, position }) => (
+              <li key={`added-${position}`}>+ {getItemName(item)} <span>#{position} · {item.target_sets} × {item.target_reps || '—'}</span></li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {diff.removed.length > 0 && (
+        <div className="routine-diff-section removed">
+          <h4>Removed</h4>
+          <ul>
+            {diff.removed.map(({ item, position }) => (
+              <li key={`removed-${position}`}>− {getItemName(item)} <span>was #{position}</span></li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {diff.moved.length > 0 && (
+        <div className="routine-diff-section moved">
+          <h4>Reordered</h4>
+          <ul>
+            {diff.moved.map(({ item, from, to }) => (
+              <li key={`moved-${from}-${to}`}>{getItemName(item)} <span>#{from} → #{to}</span></li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {diff.changed.length > 0 && (
+        <div className="routine-diff-section changed">
+          <h4>Changed</h4>
+          <ul>
+            {diff.changed.map(({ item, position, changes }) => (
+              <li key={`changed-${position}`}>
+                {getItemName(item)}{' '}
+                <span>{changes.map(c => `${c.label} ${c.from} → ${c.to}`).join(' · ')}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RoutineHistoryPage() {
+  const { routineId } = useParams();
+  const [versions, setVersions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareMode, setCompareMode] = useState(COMPARE_MODES.PREVIOUS);
+  const [isLoading, setIsLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+  const [statusMessage, setStatusMessage] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const rows = await listRoutineVersions(routineId);
+      setVersions(rows);
+      setErrorMessage('');
+    } catch (err) {
+      console.error('Failed to load routine history', err?.message ?? err);
+      setErrorMessage(`Failed to load history: ${err?.message ?? err}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [routineId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const current = versions[0] ?? null;
+
+  // Each version compared with the one before it, for the list summaries
+  const changesFromPrevious = useMemo(() => Object.fromEntries(versions.map((version, index) => {
+    const previous = versions[index + 1];
+    return [version.id, previous ? diffRoutineVersions(previous.items, version.items) : null];
+  })), [versions]);
+
+  const handleRestore = async (version) => {
+    if (!confirm(`Restore version ${version.version_number}? The current routine is kept in the history.`)) return;
+    setRestoringId(version.id);
+    setStatusMessage('');
+    setErrorMessage('');
+    try {
+      const { version_number: restoredAs } = await restoreRoutineVersion(version);
+      await load();
+      setSelectedId(null);
+      setStatusMessage(restoredAs
+        ? `Restored version ${version.version_number} as version ${restoredAs}.`
+        : `Restored version ${version.version_number}.`);
+    } catch (err) {
+      console.error('Failed to restore routine version', err);
+      setErrorMessage(`Failed to restore: ${err?.message ?? err}`);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="routine-history-page">
+      <SubPageHeader
+        title={current ? `${current.routine_name} History` : 'Routine History'}
+        icon={<History size={28} />}
+        iconColor="#f97316"
+        backTo={`/workouts/routines/${routineId}`}
+      />
+
+      {errorMessage && <div className="error-message" style={{ color: 'var(--danger)', marginBottom: '0.75rem' }}>{errorMessage}</div>}
+      {statusMessage && <p className="routine-history-status" role="status">{statusMessage}</p>}
+
+      {isLoading && versions.length === 0 ? (
+        <p className="routine-history-empty">Loading history...</p>
+      ) : versions.length === 0 ? (
+        <p className="routine-history-empty">No saved versions yet. Each save of this routine is kept here.</p>
+      ) : (
+        <ol className="routine-history-list">
+          {versions.map((version, index) => {
+            const isCurrent = index === 0;
+            const isSelected = selectedId === version.id;
+            const restoredFrom = versions.find(v => v.id === version.restored_from_version_id);
+            const changes = changesFromPrevious[version.id];
+            const diff = isSelected && (compareMode === COMPARE_MODES.CURRENT && !isCurrent
+              ? diffRoutineVersions(version.items, current.items)
+              : changes);
+            return (
+              <li key={version.id} className={`routine-version ${isSelected ? 'selected' : ''}`}>
+                <button
+                  type="button"
+                  className="routine-version-summary"
+                  onClick={() => setSelectedId(isSelected ? null : version.id)}
+                  aria-expanded={isSelected}
+                >
+                  <span className="routine-version-title">
+                    v{version.version_number} · {version.routine_name}
+                    {isCurrent && <span className="routine-version-badge">Current</span>}
+                  </span>
+                  <span className="routine-version-meta">
+                    {version.author_name || (version.created_by ? 'Unknown' : 'Original')} · {formatTimestamp(version.created_at)}
+                  </span>
+                  <span className="routine-version-meta">
+                    {changes ? summarizeRoutineDiff(changes) : `${version.items.length} exercises`}
+                    {restoredFrom && ` · restored from v${restoredFrom.version_number}`}
+                    {version.log_count > 0 && ` · ${version.log_count} session${version.log_count === 1 ? '' : 's'} logged`}
+                  </span>
+                </button>
+
+                {isSelected && (
+                  <div className="routine-version-details">
+                    {!isCurrent && (
+                      <div className="routine-version-compare" role="group" aria-label="Compare with">
+                        <button
+                          type="button"
+                          className={compareMode === COMPARE_MODES.PREVIOUS ? 'active' : ''}
+                          onClick={() => setCompareMode(COMPARE_MODES.PREVIOUS)}
+                        >
+                          What changed
+                        </button>
+                        <button
+                          type="button"
+                          className={compareMode === COMPARE_MODES.CURRENT ? 'active' : ''}
+                          onClick={() => setCompareMode(COMPARE_MODES.CURRENT)}
+                        >
+                          Restoring would change
+                        </button>
+                      </div>
+                    )}
+
+                    {diff ? <RoutineDiff diff={diff} /> : (
+                      <ol className="routine-version-items">
+                        {version.items.map((item, i) => (
+                          <li key={`${item.exercise_id}-${i}`}>{getItemName(item)} <span>{item.target_sets} × {item.target_reps || '—'}</span></li>
+                        ))}
+                      </ol>
+                    )}
+
+                    {!isCurrent && (
+                      <button
+                        className="btn primary routine-version-restore"
+                        onClick={() => handleRestore(version)}
+                        disabled={restoringId !== null}
+                      >
+                        <RotateCcw size={14} /> {restoringId === version.id ? 'Restoring...' : `Restore v${version.version_number}`}
+                      </button>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default RoutineHistoryPage;
@@ -0,0 +1,147 @@
+/**
+ * @file SharedRoutinePage.jsx
+ * @description
+ * Preview of a shared routine at `/routines/shared/:shareCode`, the page a share
+ * link opens.
+ *
+ * Responsibilities
+ * - Load the routine and its exercises by share code (shared-routine edge function).
+ * - Import a copy into the user's routines and open it for editing.
+ *
+ * Export
+ * - Default React component: `SharedRoutinePage()`
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Download, Share2 } from 'lucide-react';
+import SubPageHeader from '../components/SubPageHeader.jsx';
+import { getDifficultyLabel, importSharedRoutine, previewSharedRoutine } from '../services/routineSharing.js';
+import { useAuth } from '../useAuth';
+import './SharedRoutinePage.css';
+
+function SharedRoutinePage() {
+  const { shareCode } = useParams();
+  const navigate = useNavigate();
+  const { user, loading } = useAuth();
+  const [routine, setRoutine] = useState(null);
+  const [isOwner, setIsOwner] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isImporting, setIsImporting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    if (loading) return undefined;
+    if (!user) {
+      setIsLoading(false);
+      return undefined;
+    }
+    let mounted = true;
+    (async () => {
+      try {
+        setIsLoading(true);
+        const { routine: shared, is_owner: owner } = await previewSharedRoutine(shareCode);
+        if (!mounted) return;
+        setRoutine(shared);
+        setIsOwner(owner);
+        setErrorMessage('');
+      } catch (err) {
+        console.error('Failed to load shared routine', err?.message ?? err);
+        if (mounted) setErrorMessage(err?.message === 'Shared routine not found'
+          ? 'This routine is no longer shared, or the code is wrong.'
+          : `Failed to load routine: ${err?.message ?? err}`);
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [shareCode, user, loading]);
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setErrorMessage('');
+    try {
+      const { routine_id: routineId } = await importSharedRoutine(shareCode);
+      navigate(`/workouts/routines/${routineId}`);
+    } catch (err) {
+      console.error('Failed to import routine', err);
+      setErrorMessage(`Failed to import: ${err?.message ?? err}`);
+      setIsImporting(false);
+    }
+  };
+
+  const details = routine ? [
+    getDifficultyLabel(routine.difficulty_level),
+    routine.routine_type,
+    routine.estimated_duration_minutes && `~${routine.estimated_duration_minutes} min`,
+    `${routine.exercises.length} exercises`,
+  ].filter(Boolean) : [];
+
+  return (
+    <div className="shared-routine-page">
+      <SubPageHeader
+        title={routine?.routine_name ?? 'Shared Routine'}
+        icon={<Share2 size={28} />}
+        iconColor="#f97316"
+        backTo="/workouts/routines/browse"
+      />
+
+      {!loading && !user && (
+        <p className="shared-routine-message">
+          <Link to="/">Sign in</Link> to preview and import this routine.
+        </p>
+      )}
+
+      {errorMessage && <div className="error-message" style={{ color: 'var(--danger)', marginBottom: '0.75rem' }}>{errorMessage}</div>}
+
+      {isLoading && user && <p className="shared-routine-message">Loading routine...</p>}
+
+      {routine && (
+        <>
+          <div className="shared-routine-heading">
+            {routine.author_name && <span>Shared by {routine.author_name}</span>}
+            <span>{details.join(' · ')}</span>
+            {routine.import_count > 0 && (
+              <span>Imported {routine.import_count} time{routine.import_count === 1 ? '' : 's'}</span>
+            )}
+            {routine.description && <p>{routine.description}</p>}
+          </div>
+
+          <ol className="shared-routine-exercises">
+            {routine.exercises.map((exercise, index) => (
+              <li key={`${exercise.exercise_id}-${index}`}>
+                <img
+                  src={exercise.thumbnail_url || 'https://placehold.co/50x50/4a5568/ffffff?text=IMG'}
+                  alt=""
+                  width="40"
+                  height="40"
+                  loading="lazy"
+                />
+                <div>
+                  <span className="shared-routine-exercise-name">
+                    {exercise.exercise_name || 'Exercise'}{exercise.is_warmup && ' (warm-up)'}
+                  </span>
+                  <span className="shared-routine-exercise-meta">
+                    {[
+                      `${exercise.target_sets} × ${exercise.target_reps || '8-12'}`,
+                      exercise.target_intensity_pct && `${exercise.target_intensity_pct}% 1RM`,
+                      exercise.rest_seconds && `${exercise.rest_seconds}s rest`,
+                      exercise.primary_muscle,
+                    ].filter(Boolean).join(' · ')}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ol>
+
+          <button className="btn primary shared-routine-import" onClick={handleImport} disabled={isImporting}>
+            <Download size={16} /> {isImporting ? 'Importing...' : isOwner ? 'Import another copy' : 'Import to my routines'}
+          </button>
+          {isOwner && <p className="shared-routine-message">This is your routine; imports you make are not counted.</p>}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SharedRoutinePage;
@@ -10,16 +10,55 @@
  * @since 2025-11-02
  */
 
-import { Check, Dumbbell, Edit2, Trash2, X } from 'lucide-react';
+import { ArrowDownCircle, Check, CloudOff, Dumbbell, Edit2, Repeat, Timer, Trash2, TrendingUp, Trophy, X } from 'lucide-react';
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { useNavigate, useParams, useLocation } from 'react-router-dom';
 import { useAuth } from '../useAuth';
+import ExerciseSwapModal from '../components/ExerciseSwapModal.jsx';
 import LazyRecharts from '../components/LazyRecharts.jsx';
 import RestTimerModal from '../components/RestTimerModal.jsx';
 import RpeRatingModal from '../components/RpeRatingModal.jsx';
 import SubPageHeader from '../components/SubPageHeader.jsx';
-import SuccessModal from '../components/SuccessModal.jsx';
+import WarmupPlanner from '../components/WarmupPlanner.jsx';
+import { useRestTimer } from '../hooks/useRestTimer.js';
+import { useWorkoutSyncQueue } from '../hooks/useWorkoutSyncQueue.js';
+import { getLatestRoutineVersionId, swapRoutineExercise } from '../services/routineVersions.js';
+import {
+  WORKOUT_OP,
+  applyPendingOpsToEntries,
+  createClientId,
+  getPendingWorkoutOps,
+  isNetworkError,
+} from '../services/workoutSyncQueue.js';
 import { supabase } from '../supabaseClient.js';
+import {
+  DISTANCE_UNITS,
+  LOGGING_MODE_CONFIG,
+  LOGGING_MODES,
+  buildSetColumns,
+  entryToInput,
+  formatDuration,
+  formatSetSummary,
+  fromMeters,
+  getLoggingMode,
+  isSetInputComplete,
+} from '../utils/exerciseLogging.js';
+import { SWAP_SCOPES } from '../utils/exerciseSubstitution.js';
+import { DEFAULT_ONE_RM_FORMULA } from '../utils/fitnessCalculators.js';
+import { applyLoadingTargets, describeSessionTargets, getSessionTargets, normalizeLoadingPlan } from '../utils/loadingPlans.js';
+import { detectNewRecords, groupBestsByExercise } from '../utils/personalRecords.js';
+import { proposeProgression } from '../utils/progressionEngine.js';
+import { getPlannedRestSeconds, measureRest } from '../utils/restTiming.js';
+import { getBarTypeForExercise, normalizePlateSettings } from '../utils/warmupPlanner.js';
+import {
+  DEFAULT_ECCENTRIC_SECONDS,
+  ECCENTRIC_TEMPO_OPTIONS,
+  calculateDropWeight,
+  getDropPercentage,
+  getTopLevelSets,
+  groupDropSets,
+  nextSetNumber,
+} from '../utils/intensityTechniques.js';
 import './WorkoutLogPage.css';
 
 // --- 1. MODIFIED HELPER FUNCTION ---
@@ -35,6 +74,116 @@ const formatSetCount = (num) => {
   return ''; // Don't show anything if 0 or null/undefined
 };
 
+/**
+ * Formats a Date as a local YYYY-MM-DD string.
+ * @param {Date} date - Date to format
+ * @returns {string} Local date string
+ */
+const toLocalDateString = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/** localStorage key for a workout log's session-only exercise swaps */
+const swapStorageKey = (logId) => `exerciseSwaps:${logId}`;
+
+/** localStorage key for a user's last known bodyweight */
+const bodyweightStorageKey = (userId) => `bodyweightLbs:${userId}`;
+
+/**
+ * Applies session-only swaps to a routine: each swapped routine exercise shows
+ * the substitute and keeps the prescribed exercise as `substituted_for`.
+ * @param {Object|null} routine - workout_routines row with routine_exercises(*, exercises(*))
+ * @param {Object<string, Object>} swaps - Substitute exercises rows by routine_exercises.id
+ * @returns {Object|null} Routine with swaps applied
+ */
+const applyExerciseSwaps = (routine, swaps) => {
+  if (!routine?.routine_exercises || Object.keys(swaps).length === 0) return routine;
+  return {
+    ...routine,
+    routine_exercises: routine.routine_exercises.map(item => (swaps[item.id]
+      ? { ...item, exercises: swaps[item.id], substituted_for: item.exercises }
+      : item)),
+  };
+};
+
+/** Input sanitizers shared by the log and edit forms */
+const sanitizeDecimal = (value) => value.replace(/[^0-9.]/g, '').replace(/(\..*?)\./g, '$1');
+const sanitizeInteger = (value) => value.replace(/\D/g, '');
+const sanitizeDuration = (value) => value.replace(/[^0-9:]/g, '');
+
+/**
+ * Renders the input fields required by an exercise's logging mode.
+ * @param {Object} props
+ * @param {Array<string>} props.fields - Fields for the mode (weight, reps, duration, distance)
+ * @param {string} props.mode - Logging mode (controls labels)
+ * @param {Object} props.values - Current form values
+ * @param {Function} props.onChange - (field, value) setter
+ * @param {string} props.distanceUnit - Selected distance unit
+ * @param {Function} [props.onDistanceUnitChange] - Unit setter; omit to hide the unit picker
+ * @param {boolean} [props.compact=false] - Inline edit layout without labels
+ */
+function SetInputFields({ fields, mode, values, onChange, distanceUnit, onDistanceUnitChange, compact = false }) {
+  const isBodyweight = mode === LOGGING_MODES.BODYWEIGHT_REPS;
+  const weightLabel = mode === LOGGING_MODES.WEIGHT_REPS
+    ? 'Weight'
+    : isBodyweight && values.assisted ? 'Assistance' : 'Added Weight';
+  const assistedToggle = isBodyweight && (
+    <label className="assisted-toggle">
+      <input type="checkbox" checked={!!values.assisted} onChange={(e) => onChange('assisted', e.target.checked)} />
+      Assisted
+    </label>
+  );
+  const inputs = {
+    weight: (
+      <input type="text" inputMode="decimal" pattern="[0-9.]*" aria-label={weightLabel} value={values.weight} onChange={(e) => onChange('weight', sanitizeDecimal(e.target.value))} placeholder="0" />
+    ),
+    reps: (
+      <input type="text" inputMode="numeric" pattern="[0-9]*" aria-label="Reps" value={values.reps} onChange={(e) => onChange('reps', sanitizeInteger(e.target.value))} placeholder="0" />
+    ),
+    duration: (
+      <input type="text" inputMode="numeric" aria-label="Time (m:ss)" value={values.duration} onChange={(e) => onChange('duration', sanitizeDuration(e.target.value))} placeholder="m:ss" />
+    ),
+    distance: (
+      <input type="text" inputMode="decimal" pattern="[0-9.]*" aria-label={`Distance (${distanceUnit})`} value={values.distance} onChange={(e) => onChange('distance', sanitizeDecimal(e.target.value))} placeholder="0" />
+    ),
+  };
+  const labels = { weight: weightLabel, reps: 'Reps', duration: 'Time', distance: 'Distance' };
+
+  if (compact) {
+    return (
+      <>
+        {fields.map((field) => (
+          <React.Fragment key={field}>
+            {inputs[field]}
+            <span>{field === 'weight' ? 'lbs' : field === 'distance' ? distanceUnit : field === 'reps' ? 'reps' : ''}</span>
+          </React.Fragment>
+        ))}
+        {assistedToggle}
+      </>
+    );
+  }
+
+  return (
+    <div className="log-inputs">
+      {fields.map((field) => (
+        <div className="input-group" key={field}>
+          <label>{labels[field]}</label>
+          {inputs[field]}
+          {field === 'weight' && assistedToggle}
+          {field === 'distance' && onDistanceUnitChange && (
+            <select className="distance-unit-select" value={distanceUnit} onChange={(e) => onDistanceUnitChange(e.target.value)} aria-label="Distance unit">
+              {Object.keys(DISTANCE_UNITS).map((unit) => <option key={unit} value={unit}>{unit}</option>)}
+            </select>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function WorkoutLogPage() {
   const { routineId } = useParams();
   const navigate = useNavigate();
@@ -42,22 +191,33 @@ function WorkoutLogPage() {
   const { user } = useAuth();
   const userId = user?.id;
 
-  const [routine, setRoutine] = useState(null);
+  const [loadedRoutine, setLoadedRoutine] = useState(null);
+  const [sessionSwaps, setSessionSwaps] = useState({});
+  const [isSwapOpen, setIsSwapOpen] = useState(false);
   const [selectedExerciseIndex, setSelectedExerciseIndex] = useState(0);
   const [saveSetLoading, setSaveSetLoading] = useState(false);
   const [rpcLoading, setRpcLoading] = useState(false);
   const [isWorkoutCompletable, setIsWorkoutCompletable] = useState(false);
   const isMountedRef = useRef(true);
   const [sessionMeta, setSessionMeta] = useState(null);
+  // This session's targets from the mesocycle loading plan (intensity, set ramp, RPE, deload)
+  const [loadingTargets, setLoadingTargets] = useState(null);
   const [showRpeModal, setShowRpeModal] = useState(true);
   const [showRestTimer, setShowRestTimer] = useState(true);
   const [userSettingsLoaded, setUserSettingsLoaded] = useState(false);
+  const [oneRmFormula, setOneRmFormula] = useState(DEFAULT_ONE_RM_FORMULA);
+  const [e1rmRpeAdjusted, setE1rmRpeAdjusted] = useState(false);
+  const [plateSettings, setPlateSettings] = useState(() => normalizePlateSettings(null));
+  const [barTypeByExercise, setBarTypeByExercise] = useState({});
+  const [activeDrop, setActiveDrop] = useState(null);
+  const [dropInput, setDropInput] = useState({ weight: '', reps: '' });
+  const [eccentricSeconds, setEccentricSeconds] = useState(DEFAULT_ECCENTRIC_SECONDS);
   const [loading, setLoading] = useState(true);
   const [chartLoading, setChartLoading] = useState(false);
   const [workoutLogId, setWorkoutLogId] = useState(() => {
     return localStorage.getItem('workoutLogId') || null;
   });
-  const [currentSet, setCurrentSet] = useState({ weight: '', reps: '' });
+  const [currentSet, setCurrentSet] = useState({ weight: '', reps: '', duration: '', distance: '', assisted: false });
   const [todaysLog, setTodaysLog] = useState({});
   const [previousLog, setPreviousLog] = useState({});
   const [isTimerOpen, setIsTimerOpen] = useState(false);
@@ -67,10 +227,55 @@ function WorkoutLogPage() {
   const [chartData, setChartData] = useState([]);
   const [chartMetric, setChartMetric] = useState('1RM');
   const [editingSet, setEditingSet] = useState(null);
-  const [editSetValue, setEditSetValue] = useState({ weight: '', reps: '' });
-  const [isSuccessModalOpen, setSuccessModalOpen] = useState(false);
-  const [userWeightLbs] = useState(150);
+  const [editSetValue, setEditSetValue] = useState({ weight: '', reps: '', duration: '', distance: '', assisted: false });
+  const [distanceUnit, setDistanceUnit] = useState(() => localStorage.getItem('distanceUnit') || 'm');
+  // Last known bodyweight is cached so offline sessions still log effective load
+  const [userWeightLbs, setUserWeightLbs] = useState(null);
   const [mesocycleWeekId, setMesocycleWeekId] = useState(null);
+  // Bests from earlier sessions, keyed by exercise id then record type
+  const [personalBests, setPersonalBests] = useState({});
+  // e1RMs handed over by the previous block of a macrocycle, by exercise id
+  const [blockE1rms, setBlockE1rms] = useState({});
+  const [recordsBySetId, setRecordsBySetId] = useState({});
+  const [prCelebration, setPrCelebration] = useState(null);
+  // Session volume beats itself with every extra set, so only celebrate it once per exercise
+  const celebratedSessionVolumeRef = useRef(new Set());
+
+  // --- Offline-first write queue: every set change is persisted locally, then replayed ---
+  const { isOnline, isSyncing, pendingCount, pendingEntryIds, queueOp } = useWorkoutSyncQueue({
+    onApplied: (op, result) => {
+      if (op.type !== WORKOUT_OP.INSERT_SET || !result.row || !isMountedRef.current) return;
+      // Swap the optimistic row for the server row (picks up generated columns / renumbering)
+      setTodaysLog(prev => {
+        const updated = { ...prev };
+        Object.keys(updated).forEach(exerciseId => {
+          updated[exerciseId] = updated[exerciseId].map(entry => (
+            entry.id === result.row.id ? { ...entry, ...result.row } : entry
+          ));
+        });
+        return updated;
+      });
+    },
+    onConflict: (op, reason) => {
+      if (reason === 'already_complete') return;
+      console.warn(`[WorkoutLog] Dropped queued ${op.type} (${reason})`);
+      if (reason === 'missing_on_server' && isMountedRef.current) {
+        setTodaysLog(prev => {
+          const updated = { ...prev };
+          Object.keys(updated).forEach(exerciseId => {
+            updated[exerciseId] = updated[exerciseId].filter(entry => entry.id !== op.entryId);
+          });
+          return updated;
+        });
+        alert('A set you edited offline was deleted on another device, so the edit was discarded.');
+      } else if (reason === 'failed') {
+        alert('Some workout changes could not be synced and were discarded. Please review this workout.');
+      }
+    },
+  });
+
+  // Timestamp-based rest countdown (persists across backgrounding and reloads)
+  const restTimer = useRestTimer();
 
   // --- Update user_profiles setting for RPE or Rest Timer ---
   const updateUserSetting = async (field, value) => {
@@ -86,6 +291,19 @@ function WorkoutLogPage() {
     fetchUserSettings();
   };
 
+  // The routine as trained today, with any session-only swaps in place
+  const routine = useMemo(() => applyExerciseSwaps(loadedRoutine, sessionSwaps), [loadedRoutine, sessionSwaps]);
+
+  // Session-only swaps belong to one workout log and survive reloads
+  useEffect(() => {
+    if (!workoutLogId) return;
+    try {
+      setSessionSwaps(JSON.parse(localStorage.getItem(swapStorageKey(workoutLogId))) || {});
+    } catch {
+      setSessionSwaps({});
+    }
+  }, [workoutLogId]);
+
   const selectedExercise = useMemo(() => {
     if (!routine || !routine.routine_exercises) return null;
     return routine.routine_exercises[selectedExerciseIndex]?.exercises || null;
@@ -96,20 +314,120 @@ function WorkoutLogPage() {
     return routine.routine_exercises[selectedExerciseIndex] || null;
   }, [routine, selectedExerciseIndex]);
 
-  // --- Prefill last set values for selected exercise ---
+  // Which inputs / chart metrics apply (weight × reps, time, distance, ...)
+  const loggingMode = useMemo(() => getLoggingMode(selectedExercise), [selectedExercise]);
+
+  // Drop sets need a load to strip; negatives are prompted for an eccentric tempo
+  const isDropSetExercise = !!selectedRoutineExercise?.drop_set && loggingMode === LOGGING_MODES.WEIGHT_REPS;
+  const isNegativeExercise = !!selectedRoutineExercise?.negative;
+  const dropPercentage = getDropPercentage(selectedRoutineExercise);
+
+  // The routine exercise as programmed for this week of the mesocycle
+  const plannedRoutineExercise = useMemo(
+    () => applyLoadingTargets(selectedRoutineExercise, loadingTargets),
+    [selectedRoutineExercise, loadingTargets]
+  );
+  const isDeloadSession = !!sessionMeta?.is_deload || !!loadingTargets?.is_deload;
+
+  // Proposed load/reps for today from last session (weight × reps exercises only)
+  const progression = useMemo(() => {
+    if (!selectedExercise || loggingMode !== LOGGING_MODES.WEIGHT_REPS) return null;
+    return proposeProgression({
+      lastSets: previousLog[String(selectedExercise.id)] || [],
+      routineExercise: plannedRoutineExercise,
+      exercise: selectedExercise,
+      isDeload: isDeloadSession,
+      deloadLoadMultiplier: loadingTargets?.is_deload ? loadingTargets.intensity_multiplier : undefined,
+      targetRpe: plannedRoutineExercise?.target_rpe,
+      formula: oneRmFormula,
+    });
+  }, [selectedExercise, plannedRoutineExercise, loggingMode, previousLog, isDeloadSession, loadingTargets, oneRmFormula]);
+  const loggingFields = LOGGING_MODE_CONFIG[loggingMode].fields;
+  const chartMetrics = LOGGING_MODE_CONFIG[loggingMode].chartMetrics;
+
+  useEffect(() => {
+    if (!chartMetrics.includes(chartMetric)) setChartMetric(chartMetrics[0]);
+  }, [chartMetrics, chartMetric]);
+
+  /**
+   * Formats chart values for the active metric (durations as m:ss, distances in the chosen unit).
+   * Pace data is seconds per km from exercise-chart-data.
+   */
+  const formatChartValue = (value) => {
+    if (chartMetric === 'Duration') return formatDuration(value);
+    if (chartMetric === 'Pace') return `${formatDuration(value)}/km`;
+    if (chartMetric === 'Distance') return `${fromMeters(value, distanceUnit)} ${distanceUnit}`;
+    return value;
+  };
+
+  const handleDistanceUnitChange = (unit) => {
+    setDistanceUnit(unit);
+    localStorage.setItem('distanceUnit', unit);
+  };
+
+  // --- Bodyweight as of today's log date (latest body_metrics entry, else the profile weight) ---
+  useEffect(() => {
+    if (!userId) return;
+    setUserWeightLbs(Number(localStorage.getItem(bodyweightStorageKey(userId))) || null);
+    let isMounted = true;
+    const fetchBodyweight = async () => {
+      const { data, error } = await supabase.rpc('get_bodyweight_as_of', {
+        p_user_id: userId,
+        p_date: toLocalDateString(new Date()),
+      });
+      if (error) {
+        if (!isNetworkError(error)) console.error('Failed to load bodyweight:', error);
+        return;
+      }
+      if (!isMounted || !Number(data)) return;
+      setUserWeightLbs(Number(data));
+      localStorage.setItem(bodyweightStorageKey(userId), String(Number(data)));
+    };
+    fetchBodyweight();
+    return () => { isMounted = false; };
+  }, [userId]);
+
+  // --- Personal bests from previous sessions for every exercise in the routine ---
+  useEffect(() => {
+    if (!userId || !workoutLogId || !routine?.routine_exercises) return;
+    const exerciseIds = routine.routine_exercises.map(re => re.exercises?.id).filter(Boolean);
+    if (exerciseIds.length === 0) return;
+    let isMounted = true;
+    const fetchPersonalBests = async () => {
+      const { data, error } = await supabase
+        .from('personal_records')
+        .select('exercise_id, record_type, value')
+        .eq('user_id', userId)
+        .in('exercise_id', exerciseIds)
+        .neq('workout_log_id', workoutLogId);
+      if (error) {
+        if (!isNetworkError(error)) console.error('Failed to load personal records:', error);
+        return;
+      }
+      if (isMounted) setPersonalBests(groupBestsByExercise(data));
+    };
+    fetchPersonalBests();
+    return () => { isMounted = false; };
+  }, [userId, workoutLogId, routine]);
+
+  useEffect(() => {
+    if (!prCelebration) return;
+    const timeout = setTimeout(() => setPrCelebration(null), 8000);
+    return () => clearTimeout(timeout);
+  }, [prCelebration]);
+
+  // --- Prefill last set values for selected exercise (warm-ups don't change the target) ---
   useEffect(() => {
     if (!selectedExercise) return;
-    const sets = todaysLog[String(selectedExercise.id)] || [];
+    const sets = getTopLevelSets(todaysLog[String(selectedExercise.id)]);
     if (sets.length > 0) {
-      const lastSet = sets[sets.length - 1];
-      setCurrentSet({
-        weight: lastSet.weight_lbs?.toString() || '',
-        reps: lastSet.reps_completed?.toString() || ''
-      });
+      setCurrentSet(entryToInput(sets[sets.length - 1], distanceUnit));
+    } else if (progression) {
+      setCurrentSet({ weight: String(progression.weight), reps: String(progression.reps), duration: '', distance: '', assisted: false });
     } else {
-      setCurrentSet({ weight: '', reps: '' });
+      setCurrentSet({ weight: '', reps: '', duration: '', distance: '', assisted: false });
     }
-  }, [selectedExerciseIndex, selectedExercise, todaysLog]);
+  }, [selectedExerciseIndex, selectedExercise, todaysLog, distanceUnit, progression]);
 
   // --- Fetch routine from Supabase on mount or when routineId changes ---
   useEffect(() => {
@@ -123,10 +441,10 @@ function WorkoutLogPage() {
           .eq('id', routineId)
           .single();
         if (error) throw error;
-        if (isMounted) setRoutine(data);
+        if (isMounted) setLoadedRoutine(data);
       } catch (err) {
         console.error('Failed to load routine:', err);
-        if (isMounted) setRoutine(null);
+        if (isMounted) setLoadedRoutine(null);
       }
     };
     fetchRoutine();
@@ -135,15 +453,24 @@ function WorkoutLogPage() {
 
   useEffect(() => { isMountedRef.current = true; return () => { isMountedRef.current = false; }; }, []);
 
-  // Target sets (with deload/volume multiplier logic if needed)
-  const adjustedTargetSets = useMemo(() => {
-    if (!selectedRoutineExercise) return 1;
-    let sets = Number(selectedRoutineExercise.target_sets) || 1;
+  /**
+   * Target sets for a routine exercise this session: the loading plan's set ramp and
+   * deload volume when the mesocycle has a plan, otherwise the session's volume multiplier.
+   */
+  const getTargetSets = useCallback((routineExercise) => {
+    if (!routineExercise) return 1;
+    if (loadingTargets) return Number(applyLoadingTargets(routineExercise, loadingTargets).target_sets) || 1;
+    let sets = Number(routineExercise.target_sets) || 1;
     if (sessionMeta && sessionMeta.planned_volume_multiplier) {
-      sets = Math.round(sets * sessionMeta.planned_volume_multiplier);
+      sets = Math.max(1, Math.round(sets * sessionMeta.planned_volume_multiplier));
     }
     return sets;
-  }, [selectedRoutineExercise, sessionMeta]);
+  }, [loadingTargets, sessionMeta]);
+
+  const adjustedTargetSets = useMemo(
+    () => getTargetSets(selectedRoutineExercise),
+    [getTargetSets, selectedRoutineExercise]
+  );
 
   /**
    * Fetches or creates the workout log for today, loads previous log, and sets up session meta.
@@ -156,11 +483,7 @@ function WorkoutLogPage() {
         return;
       }
 
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = String(now.getMonth() + 1).padStart(2, '0');
-      const day = String(now.getDate()).padStart(2, '0');
-      const todayLocalDate = `${year}-${month}-${day}`;
+      const todayLocalDate = toLocalDateString(new Date());
       
       let { data: logs, error: logError } = await supabase
         .from('workout_logs')
@@ -177,6 +500,13 @@ function WorkoutLogPage() {
       const log = logs && logs.length > 0 ? logs[0] : null;
       let logId = log?.id;
 
+      // Offline reload: keep using the log whose writes are still queued locally
+      if (!logId && logError && isNetworkError(logError)) {
+        const storedLogId = localStorage.getItem('workoutLogId');
+        const queuedOps = storedLogId ? await getPendingWorkoutOps(storedLogId) : [];
+        if (queuedOps.length > 0) logId = storedLogId;
+      }
+
       if (!logId) {
         const payload = {
           user_id: userId,
@@ -188,13 +518,29 @@ function WorkoutLogPage() {
         if (options.mesocycleSessionId) {
           payload.cycle_session_id = options.mesocycleSessionId;
         }
+        // Link the session to the routine as it is now, so later edits don't rewrite its history
+        try {
+          payload.routine_version_id = await getLatestRoutineVersionId(routineId);
+        } catch (versionError) {
+          if (!isNetworkError(versionError)) console.warn('Routine version lookup failed:', versionError?.message ?? versionError);
+        }
         const { data: newLog, error: newLogError } = await supabase
           .from('workout_logs')
           .insert(payload)
           .select('id')
           .single();
-        if (newLogError) throw newLogError;
-        logId = newLog.id;
+        if (newLogError) {
+          if (!isNetworkError(newLogError)) throw newLogError;
+          // No signal: create the log locally and let the queue insert it later
+          logId = createClientId();
+          await queueOp({
+            type: WORKOUT_OP.CREATE_LOG,
+            workoutLogId: logId,
+            payload: { ...payload, id: logId },
+          });
+        } else {
+          logId = newLog.id;
+        }
       }
       setWorkoutLogId(logId);
       if (logId) localStorage.setItem('workoutLogId', logId);
@@ -203,21 +549,24 @@ function WorkoutLogPage() {
         .from('workout_log_entries')
         .select('*')
         .eq('workout_log_id', logId);
-      if (todayEntriesError) throw todayEntriesError;
+      if (todayEntriesError && !isNetworkError(todayEntriesError)) throw todayEntriesError;
 
-      const todaysLogMap = {};
-      for (const entry of todayEntries) {
+      const serverLogMap = {};
+      for (const entry of todayEntries || []) {
         const exId = String(entry.exercise_id);
-        if (!todaysLogMap[exId]) todaysLogMap[exId] = [];
-        todaysLogMap[exId].push(entry);
+        if (!serverLogMap[exId]) serverLogMap[exId] = [];
+        serverLogMap[exId].push(entry);
       }
+      const todaysLogMap = applyPendingOpsToEntries(serverLogMap, await getPendingWorkoutOps(logId));
       setTodaysLog(todaysLogMap);
 
+      // Only completed sessions count as "last time" (today's open log has no ended_at)
       const { data: prevLog } = await supabase
         .from('workout_logs')
-        .select('id')
+        .select('id, ended_at')
         .eq('user_id', userId)
         .eq('routine_id', routineId)
+        .eq('is_complete', true)
         .order('ended_at', { ascending: false })
         .limit(1)
         .maybeSingle();
@@ -227,7 +576,7 @@ function WorkoutLogPage() {
           .from('workout_log_entries')
           .select('*')
           .eq('workout_log_id', prevLog.id);
-        for (const entry of prevEntries) {
+        for (const entry of prevEntries || []) {
           if (!previousLogMap[entry.exercise_id]) previousLogMap[entry.exercise_id] = [];
           previousLogMap[entry.exercise_id].push(entry);
         }
@@ -236,15 +585,71 @@ function WorkoutLogPage() {
         setPreviousLog(previousLogMap);
       }
 
+      // Where this workout sits in a mesocycle: a cycle session, or a mesocycle_weeks
+      // day when started from MesocycleDetail (?mesocycleWeekId=)
+      let planSlot = null;
       if (log?.cycle_session_id || options.mesocycleSessionId) {
         const sessionId = log?.cycle_session_id || options.mesocycleSessionId;
         const { data: session, error: sessionError } = await supabase
           .from('cycle_sessions')
-          .select('id, mesocycle_id, planned_volume_multiplier, is_deload')
+          .select('id, mesocycle_id, week_index, planned_volume_multiplier, is_deload')
           .eq('id', sessionId)
           .maybeSingle();
         if (!sessionError && session) {
           setSessionMeta(session);
+          planSlot = { table: 'cycle_sessions', id: session.id, mesocycleId: session.mesocycle_id, weekIndex: session.week_index };
+        }
+      }
+      if (!planSlot && options.mesocycleWeekId) {
+        const { data: weekRow } = await supabase
+          .from('mesocycle_weeks')
+          .select('id, mesocycle_id, week_index')
+          .eq('id', options.mesocycleWeekId)
+          .maybeSingle();
+        if (weekRow?.mesocycle_id) {
+          planSlot = { table: 'mesocycle_weeks', id: weekRow.id, mesocycleId: weekRow.mesocycle_id, weekIndex: weekRow.week_index };
+        }
+      }
+
+      if (planSlot?.weekIndex) {
+        const { data: mesocycle } = await supabase
+          .from('mesocycles')
+          .select('loading_plan')
+          .eq('id', planSlot.mesocycleId)
+          .maybeSingle();
+        const plan = normalizeLoadingPlan(mesocycle?.loading_plan);
+        if (plan) {
+          // DUP rotates heavy/moderate/light by the session's position within its week
+          let sessionOrdinal = 0;
+          if (plan.session_pattern.length > 0) {
+            const { data: weekSessions } = await supabase
+              .from(planSlot.table)
+              .select('id')
+              .eq('mesocycle_id', planSlot.mesocycleId)
+              .eq('week_index', planSlot.weekIndex)
+              .not('routine_id', 'is', null)
+              .order('day_index', { ascending: true });
+            sessionOrdinal = Math.max(0, (weekSessions || []).findIndex((s) => s.id === planSlot.id));
+          }
+          setLoadingTargets(getSessionTargets(plan, Number(planSlot.weekIndex), sessionOrdinal));
+        }
+      }
+
+      // A "run it back" block, or the next block of a macrocycle, starts progression
+      // from the loads the previous block finished with, until this routine has been
+      // trained in the new block. Inherited e1RMs drive the warm-up planner's targets.
+      const cycleId = planSlot?.mesocycleId ?? null;
+      if (cycleId) {
+        const { data: cycle } = await supabase
+          .from('mesocycles')
+          .select('start_date, carryover_loads, starting_e1rms')
+          .eq('id', cycleId)
+          .maybeSingle();
+        setBlockE1rms(cycle?.starting_e1rms || {});
+        const trainedThisBlock = Boolean(prevLog?.ended_at && cycle?.start_date
+          && toLocalDateString(new Date(prevLog.ended_at)) >= cycle.start_date);
+        if (cycle?.carryover_loads && !trainedThisBlock) {
+          setPreviousLog({ ...previousLogMap, ...cycle.carryover_loads });
         }
       }
     } catch (err) {
@@ -252,19 +657,22 @@ function WorkoutLogPage() {
     } finally {
       setLoading(false);
     }
-  }, [routineId]);
+  }, [routineId, queueOp]);
 
   // --- USER SETTINGS: Fetch from user_profiles ---
   const fetchUserSettings = useCallback(async () => {
     if (!userId) return;
     const { data: profile, error } = await supabase
       .from('user_profiles')
-      .select('use_rpe, use_rest_timer')
+      .select('use_rpe, use_rest_timer, one_rm_formula, e1rm_rpe_adjusted, plate_settings')
       .eq('user_id', userId)
       .single();
     if (!error && profile) {
       setShowRpeModal(profile.use_rpe !== false);
       setShowRestTimer(profile.use_rest_timer !== false);
+      setOneRmFormula(profile.one_rm_formula || DEFAULT_ONE_RM_FORMULA);
+      setE1rmRpeAdjusted(profile.e1rm_rpe_adjusted === true);
+      setPlateSettings(normalizePlateSettings(profile.plate_settings));
     }
     setUserSettingsLoaded(true);
   }, [userId]);
@@ -292,7 +700,7 @@ function WorkoutLogPage() {
 
     if (userId && routineId) {
       const mesocycleSessionId = params.get('mesocycle_session_id');
-      fetchAndStartWorkout(userId, { mesocycleSessionId });
+      fetchAndStartWorkout(userId, { mesocycleSessionId, mesocycleWeekId: mwid });
     } else {
       setLoading(false);
     }
@@ -305,6 +713,10 @@ function WorkoutLogPage() {
     switch (metric) {
       case 'Weight Volume': metricType = 'weight_volume'; break;
       case 'Set Volume': metricType = 'set_volume'; break;
+      case 'Total Reps': metricType = 'total_reps'; break;
+      case 'Duration': metricType = 'total_duration'; break;
+      case 'Distance': metricType = 'total_distance'; break;
+      case 'Pace': metricType = 'best_pace'; break;
       case '1RM': default: metricType = '1rm'; break;
     }
 
@@ -314,7 +726,9 @@ function WorkoutLogPage() {
           metric: metricType,
           user_id: userId,
           exercise_id: exerciseId,
-          limit: 30
+          limit: 30,
+          formula: oneRmFormula,
+          rpe_adjusted: e1rmRpeAdjusted,
         }
       });
       if (error) throw error;
@@ -331,7 +745,7 @@ function WorkoutLogPage() {
     } finally {
       setChartLoading(false);
     }
-  }, [userId]);
+  }, [userId, oneRmFormula, e1rmRpeAdjusted]);
 
   useEffect(() => {
     if (activeView === 'chart' && selectedExercise) {
@@ -339,166 +753,183 @@ function WorkoutLogPage() {
     }
   }, [activeView, chartMetric, fetchChartDataForExercise, selectedExercise]);
 
+  /**
+   * Returns today's workout log id, queueing a new log when none exists yet.
+   * @param {string} nowIso - Timestamp used as started_at for a new log
+   * @returns {Promise<string>} Workout log id
+   */
+  const ensureWorkoutLog = async (nowIso) => {
+    if (workoutLogId) return workoutLogId;
+    const logId = createClientId();
+    await queueOp({
+      type: WORKOUT_OP.CREATE_LOG,
+      workoutLogId: logId,
+      payload: {
+        id: logId,
+        user_id: userId,
+        routine_id: routine.id,
+        is_complete: false,
+        started_at: nowIso,
+      },
+      meta: { matchCycleSessionDate: toLocalDateString(new Date()) },
+    });
+    setWorkoutLogId(logId);
+    localStorage.setItem('workoutLogId', logId);
+    return logId;
+  };
+
+  /**
+   * Moves the log along after a set (or a finished drop set): advances to the next
+   * exercise or superset partner once target sets are met, then opens RPE / rest timer.
+   * @param {Object} newTodaysLog - Today's entries including the new set
+   * @param {Object} entry - The top-level set just completed
+   * @param {number} exerciseIndex - Routine index of the exercise the set belongs to
+   */
+  const advanceAfterSet = (newTodaysLog, entry, exerciseIndex) => {
+    const currentRoutineExercise = routine.routine_exercises[exerciseIndex];
+    const currentExerciseId = currentRoutineExercise?.exercises?.id;
+    const setsForCurrent = getTopLevelSets(newTodaysLog[currentExerciseId]).length;
+    const targetSetsForCurrent = getTargetSets(currentRoutineExercise);
+    const isLastSetOfCurrent = setsForCurrent >= targetSetsForCurrent;
+    const isLastExercise = exerciseIndex === routine.routine_exercises.length - 1;
+    const currentSupersetId = currentRoutineExercise?.superset_id;
+
+    if (currentSupersetId) {
+      const supersetExercises = routine.routine_exercises
+        .map((ex, idx) => ({ ...ex, idx }))
+        .filter(ex => ex.superset_id === currentSupersetId);
+      const supersetIdx = supersetExercises.findIndex(ex => ex.idx === exerciseIndex);
+      const isLastSupersetExercise = supersetIdx === supersetExercises.length - 1;
+
+      if (!isLastSetOfCurrent) {
+        if (!isLastSupersetExercise) {
+          setSelectedExerciseIndex(supersetExercises[supersetIdx + 1].idx);
+        } else {
+          setSelectedExerciseIndex(supersetExercises[0].idx);
+        }
+      } else {
+        const allSupersetSetsComplete = supersetExercises.every(ex => {
+          const setsDone = getTopLevelSets(newTodaysLog[ex.exercises.id]).length;
+          const setsTarget = getTargetSets(ex);
+          return setsDone >= setsTarget;
+        });
+        if (allSupersetSetsComplete) {
+          const afterSupersetIdx = supersetExercises[supersetExercises.length - 1].idx + 1;
+          if (afterSupersetIdx < routine.routine_exercises.length) {
+            setSelectedExerciseIndex(afterSupersetIdx);
+          } else {
+            setIsWorkoutCompletable(true);
+          }
+        } else {
+          const firstIncomplete = supersetExercises.find(ex => {
+            const setsDone = getTopLevelSets(newTodaysLog[ex.exercises.id]).length;
+            const setsTarget = getTargetSets(ex);
+            return setsDone < setsTarget;
+          });
+          if (firstIncomplete) {
+            setSelectedExerciseIndex(firstIncomplete.idx);
+          } else {
+            setSelectedExerciseIndex(supersetExercises[0].idx);
+          }
+        }
+      }
+    } else {
+      if (isLastSetOfCurrent) {
+        if (!isLastExercise) {
+          setSelectedExerciseIndex(exerciseIndex + 1);
+        } else {
+          setIsWorkoutCompletable(true);
+        }
+      }
+    }
+    setPendingSetForRpe({ ...entry, _showRestTimer: true });
+    if (userSettingsLoaded && showRestTimer) {
+      restTimer.start(getPlannedRestSeconds(currentRoutineExercise), { workoutLogId: entry.workout_log_id });
+    }
+    
+    if (userSettingsLoaded && showRpeModal) {
+      setIsRpeModalOpen(true);
+    } else if (userSettingsLoaded && showRestTimer) {
+      setIsTimerOpen(true);
+    }
+  };
+
+  /**
+   * Rest taken before a set logged now, from the last set of this workout or its rest timer.
+   * @param {string} logId - Workout log the set belongs to
+   * @returns {{rest_before_seconds: number|null, rest_planned_seconds: number|null}} Entry columns
+   */
+  const measureRestBeforeSet = (logId) => measureRest({
+    entries: Object.values(todaysLog).flat(),
+    timer: restTimer.timer?.workoutLogId === logId ? restTimer.timer : null,
+  });
+
   const handleSaveSet = async () => {
-    if (!currentSet.reps || !currentSet.weight || !selectedExercise) return;
+    if (!selectedExercise || !isSetInputComplete(currentSet, loggingMode)) return;
     if (saveSetLoading) return;
     setSaveSetLoading(true);
     
     try {
-      let logIdToUse = workoutLogId;
-      
-      if (!logIdToUse) {
-        const now = new Date();
-        const startOfDayLocal = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0, 0);
-        const year = startOfDayLocal.getFullYear();
-        const month = String(startOfDayLocal.getMonth() + 1).padStart(2, '0');
-        const day = String(startOfDayLocal.getDate()).padStart(2, '0');
-        const scheduledDateStr = `${year}-${month}-${day}`;
-        
-        const payload = {
-          user_id: userId,
-          routine_id: routine.id,
-          is_complete: false,
-          started_at: new Date().toISOString(),
-        };
-        
-        const { data: matchingSession } = await supabase
-          .from('cycle_sessions')
-          .select('id,mesocycle_id')
-          .eq('user_id', userId)
-          .eq('routine_id', routine.id)
-          .eq('scheduled_date', scheduledDateStr)
-          .maybeSingle();
-          
-        if (matchingSession && matchingSession.id) {
-          payload.cycle_session_id = matchingSession.id;
-        }
-        
-        const { data: newLog, error: newLogError } = await supabase
-          .from('workout_logs')
-          .insert(payload)
-          .select('id')
-          .single();
-          
-        if (newLogError) {
-          console.error('[WorkoutLog] Failed to create log:', newLogError);
-          alert("Could not create workout log. Please try again.");
-          setSaveSetLoading(false);
-          return;
-        }
-        
-        logIdToUse = newLog.id;
-        setWorkoutLogId(logIdToUse);
-        if (logIdToUse) localStorage.setItem('workoutLogId', logIdToUse);
-        
-        if (matchingSession && matchingSession.id) {
-          setSessionMeta(prev => ({ ...(prev || {}), id: matchingSession.id, mesocycle_id: matchingSession.mesocycle_id }));
-        }
+      const nowIso = new Date().toISOString();
+      const logIdToUse = await ensureWorkoutLog(nowIso);
 
-      } else {
-        const isFirstSetOfWorkout = Object.keys(todaysLog).every(key => !todaysLog[key] || todaysLog[key].length === 0);
-        if (isFirstSetOfWorkout) {
-          const { error: updateError } = await supabase
-            .from('workout_logs')
-            .update({ started_at: new Date().toISOString() })
-            .eq('id', workoutLogId)
-            .is('started_at', null);
-          
-          if (updateError) {
-            console.warn('Could not set started_at:', updateError);
-          }
-        }
-      }
+      const isFirstSetOfWorkout = Object.keys(todaysLog).every(key => !todaysLog[key] || todaysLog[key].length === 0);
     
       const exId = String(selectedExercise.id);
-      const newSetPayload = {
+      const newEntry = {
+        id: createClientId(),
         workout_log_id: logIdToUse,
         exercise_id: selectedExercise.id,
-        set_number: (todaysLog[exId]?.length || 0) + 1,
-        reps_completed: parseInt(currentSet.reps, 10),
-        weight_lbs: parseInt(currentSet.weight, 10),
+        substituted_for_exercise_id: selectedRoutineExercise?.substituted_for?.id ?? null,
+        set_number: nextSetNumber(todaysLog[exId], {}),
+        ...buildSetColumns(currentSet, loggingMode, distanceUnit, {
+          bodyweightLbs: userWeightLbs,
+          loadFactor: selectedExercise.bodyweight_load_factor,
+        }),
+        eccentric_seconds: isNegativeExercise ? eccentricSeconds : null,
+        ...measureRestBeforeSet(logIdToUse),
+        created_at: nowIso,
       };
+      restTimer.dismiss();
       
-      const { data: newEntry, error } = await supabase.from('workout_log_entries').insert(newSetPayload).select().single();
-      
-      if (error) {
-        console.error('[WorkoutLog] Failed to save set:', error);
-        alert("Could not save set. Please try again." + (error?.message ? ` (${error.message})` : ''));
-        setSaveSetLoading(false);
-        return;
-      }
+      await queueOp({
+        type: WORKOUT_OP.INSERT_SET,
+        workoutLogId: logIdToUse,
+        entryId: newEntry.id,
+        payload: newEntry,
+        meta: isFirstSetOfWorkout ? { startedAt: nowIso } : {},
+      });
 
       const newTodaysLog = { ...todaysLog, [exId]: [...(todaysLog[exId] || []), newEntry] };
 
       setTodaysLog(newTodaysLog);
 
-      setCurrentSet({
-        weight: newEntry.weight_lbs?.toString() || '',
-        reps: newEntry.reps_completed?.toString() || ''
-      });
-
-      const currentRoutineExercise = routine.routine_exercises[selectedExerciseIndex];
-      const currentExerciseId = currentRoutineExercise?.exercises?.id;
-      const setsForCurrent = (newTodaysLog[currentExerciseId] || []).length;
-      const targetSetsForCurrent = Number(currentRoutineExercise?.target_sets) || 1;
-      const isLastSetOfCurrent = setsForCurrent >= targetSetsForCurrent;
-      const isLastExercise = selectedExerciseIndex === routine.routine_exercises.length - 1;
-      const currentSupersetId = currentRoutineExercise?.superset_id;
-
-      if (currentSupersetId) {
-        const supersetExercises = routine.routine_exercises
-          .map((ex, idx) => ({ ...ex, idx }))
-          .filter(ex => ex.superset_id === currentSupersetId);
-        const supersetIdx = supersetExercises.findIndex(ex => ex.idx === selectedExerciseIndex);
-        const isLastSupersetExercise = supersetIdx === supersetExercises.length - 1;
-
-        if (!isLastSetOfCurrent) {
-          if (!isLastSupersetExercise) {
-            setSelectedExerciseIndex(supersetExercises[supersetIdx + 1].idx);
-          } else {
-            setSelectedExerciseIndex(supersetExercises[0].idx);
-          }
-        } else {
-          const allSupersetSetsComplete = supersetExercises.every(ex => {
-            const setsDone = (newTodaysLog[ex.exercises.id] || []).length;
-            const setsTarget = Number(ex.target_sets) || 1;
-            return setsDone >= setsTarget;
-          });
-          if (allSupersetSetsComplete) {
-            const afterSupersetIdx = supersetExercises[supersetExercises.length - 1].idx + 1;
-            if (afterSupersetIdx < routine.routine_exercises.length) {
-              setSelectedExerciseIndex(afterSupersetIdx);
-            } else {
-              setIsWorkoutCompletable(true);
-            }
-          } else {
-            const firstIncomplete = supersetExercises.find(ex => {
-              const setsDone = (newTodaysLog[ex.exercises.id] || []).length;
-              const setsTarget = Number(ex.target_sets) || 1;
-              return setsDone < setsTarget;
-            });
-            if (firstIncomplete) {
-              setSelectedExerciseIndex(firstIncomplete.idx);
-            } else {
-              setSelectedExerciseIndex(supersetExercises[0].idx);
-            }
-          }
-        }
-      } else {
-        if (isLastSetOfCurrent) {
-          if (!isLastExercise) {
-            setSelectedExerciseIndex(selectedExerciseIndex + 1);
-          } else {
-            setIsWorkoutCompletable(true);
-          }
+      setCurrentSet(entryToInput(newEntry, distanceUnit));
+
+      // PR check against earlier sessions; the database trigger records the history
+      const newRecords = detectNewRecords(newEntry, personalBests[exId], newTodaysLog[exId], {
+        formula: oneRmFormula,
+        rpeAdjusted: e1rmRpeAdjusted,
+      })
+        .filter(record => record.type !== 'session_volume' || !celebratedSessionVolumeRef.current.has(exId));
+      if (newRecords.length > 0) {
+        if (newRecords.some(record => record.type === 'session_volume')) {
+          celebratedSessionVolumeRef.current.add(exId);
         }
+        setPersonalBests(prev => ({
+          ...prev,
+          [exId]: { ...prev[exId], ...Object.fromEntries(newRecords.map(record => [record.type, record.value])) },
+        }));
+        setRecordsBySetId(prev => ({ ...prev, [newEntry.id]: newRecords }));
+        setPrCelebration({ exerciseName: selectedExercise.name, records: newRecords });
       }
-      setPendingSetForRpe({ ...newEntry, _showRestTimer: true });
-      
-      if (userSettingsLoaded && showRpeModal) {
-        setIsRpeModalOpen(true);
-      } else if (userSettingsLoaded && showRestTimer) {
-        setIsTimerOpen(true);
+
+      if (isDropSetExercise) {
+        // Rest, RPE and auto-advance wait until the drops are finished
+        setActiveDrop({ parentEntry: newEntry, exerciseIndex: selectedExerciseIndex, dropCount: 0 });
+        setDropInput({ weight: String(calculateDropWeight(newEntry.weight_lbs, dropPercentage) || ''), reps: '' });
+      } else {
+        advanceAfterSet(newTodaysLog, newEntry, selectedExerciseIndex);
       }
       
       setSaveSetLoading(false);
@@ -509,18 +940,109 @@ function WorkoutLogPage() {
     }
   };
 
+  /**
+   * Logs the next drop of the active drop set as a sub-set of the top set, then
+   * proposes the following drop from drop_set_percentage.
+   */
+  const handleLogDropSet = async () => {
+    if (!activeDrop || saveSetLoading || !isSetInputComplete(dropInput, LOGGING_MODES.WEIGHT_REPS)) return;
+    setSaveSetLoading(true);
+    try {
+      const { parentEntry } = activeDrop;
+      const exId = String(parentEntry.exercise_id);
+      const dropEntry = {
+        id: createClientId(),
+        workout_log_id: parentEntry.workout_log_id,
+        exercise_id: parentEntry.exercise_id,
+        substituted_for_exercise_id: parentEntry.substituted_for_exercise_id ?? null,
+        parent_entry_id: parentEntry.id,
+        set_number: nextSetNumber(todaysLog[exId], { parent_entry_id: parentEntry.id }),
+        ...buildSetColumns(dropInput, LOGGING_MODES.WEIGHT_REPS, distanceUnit),
+        ...measureRestBeforeSet(parentEntry.workout_log_id),
+        created_at: new Date().toISOString(),
+      };
+
+      await queueOp({
+        type: WORKOUT_OP.INSERT_SET,
+        workoutLogId: dropEntry.workout_log_id,
+        entryId: dropEntry.id,
+        payload: dropEntry,
+      });
+
+      setTodaysLog(prev => ({ ...prev, [exId]: [...(prev[exId] || []), dropEntry] }));
+      setActiveDrop(prev => ({ ...prev, dropCount: prev.dropCount + 1 }));
+      setDropInput({ weight: String(calculateDropWeight(dropEntry.weight_lbs, dropPercentage) || ''), reps: '' });
+    } catch (err) {
+      console.error('[WorkoutLog] Error logging drop set:', err);
+      alert('Could not save drop. Please try again.');
+    } finally {
+      setSaveSetLoading(false);
+    }
+  };
+
+  const handleFinishDropSet = () => {
+    if (!activeDrop) return;
+    const { parentEntry, exerciseIndex } = activeDrop;
+    setActiveDrop(null);
+    advanceAfterSet(todaysLog, parentEntry, exerciseIndex);
+  };
+
+  /**
+   * Logs a warm-up set from the warm-up planner. Warm-ups skip RPE, rest timer,
+   * PR checks and exercise auto-advance, and never count toward target sets.
+   * @param {number} weightLbs - Warm-up load in lbs
+   * @param {number} reps - Warm-up reps
+   */
+  const handleLogWarmupSet = async (weightLbs, reps) => {
+    if (!selectedExercise || saveSetLoading) return;
+    setSaveSetLoading(true);
+    try {
+      const nowIso = new Date().toISOString();
+      const logIdToUse = await ensureWorkoutLog(nowIso);
+      const isFirstSetOfWorkout = Object.keys(todaysLog).every(key => !todaysLog[key] || todaysLog[key].length === 0);
+      const exId = String(selectedExercise.id);
+      const warmupEntry = {
+        id: createClientId(),
+        workout_log_id: logIdToUse,
+        exercise_id: selectedExercise.id,
+        substituted_for_exercise_id: selectedRoutineExercise?.substituted_for?.id ?? null,
+        set_number: nextSetNumber(todaysLog[exId], { is_warmup: true }),
+        ...buildSetColumns({ weight: String(weightLbs), reps: String(reps) }, LOGGING_MODES.WEIGHT_REPS, distanceUnit),
+        is_warmup: true,
+        ...measureRestBeforeSet(logIdToUse),
+        created_at: nowIso,
+      };
+
+      await queueOp({
+        type: WORKOUT_OP.INSERT_SET,
+        workoutLogId: logIdToUse,
+        entryId: warmupEntry.id,
+        payload: warmupEntry,
+        meta: isFirstSetOfWorkout ? { startedAt: nowIso } : {},
+      });
+
+      setTodaysLog(prev => ({ ...prev, [exId]: [...(prev[exId] || []), warmupEntry] }));
+    } catch (err) {
+      console.error('[WorkoutLog] Error logging warm-up set:', err);
+      alert('Could not save warm-up set. Please try again.');
+    } finally {
+      setSaveSetLoading(false);
+    }
+  };
+
   const handleRpeRating = async (rating) => {
     if (pendingSetForRpe && rating) {
-      const { error } = await supabase
-        .from('workout_log_entries')
-        .update({ rpe_rating: rating })
-        .eq('id', pendingSetForRpe.id);
-      if (error) {
-        console.error('[WorkoutLog] Failed to save RPE rating:', error);
-      } else {
+      try {
+        await queueOp({
+          type: WORKOUT_OP.UPDATE_SET,
+          workoutLogId: pendingSetForRpe.workout_log_id,
+          entryId: pendingSetForRpe.id,
+          payload: { rpe_rating: rating },
+        });
         setTodaysLog(prev => {
           const updated = { ...prev };
-          const exId = String(selectedExercise.id);
+          // The page may already have advanced to the next exercise, so key off the set itself
+          const exId = String(pendingSetForRpe.exercise_id);
           if (updated[exId]) {
             updated[exId] = updated[exId].map(entry => 
               entry.id === pendingSetForRpe.id 
@@ -530,6 +1052,8 @@ function WorkoutLogPage() {
           }
           return updated;
         });
+      } catch (error) {
+        console.error('[WorkoutLog] Failed to save RPE rating:', error);
       }
     }
     setIsRpeModalOpen(false);
@@ -558,101 +1082,112 @@ function WorkoutLogPage() {
     setPendingSetForRpe(null);
   };
 
+  // Closing the modal keeps the countdown (and its alerts) running; Skip ends the rest
   const handleTimerClose = () => {
     setIsTimerOpen(false);
   };
 
-  const handleFinishWorkout = async () => {
-    if (!workoutLogId) return;
+  const handleSkipRest = () => {
+    restTimer.dismiss();
     setIsTimerOpen(false);
+  };
 
-    try {
-      const { data: logData, error: fetchError } = await supabase.from('workout_logs').select('started_at, created_at').eq('id', workoutLogId).single();
-      if (fetchError) throw fetchError;
-
-      const startTime = logData.started_at ? new Date(logData.started_at) : new Date(logData.created_at);
-      const endTime = new Date();
-      const duration_minutes = Math.round((endTime.getTime() - startTime.getTime()) / 60000);
-      const MET_VALUE = 5.0;
-      const weight_kg = userWeightLbs * 0.453592;
-      const duration_hours = duration_minutes / 60;
-      const calories_burned = Math.round(MET_VALUE * weight_kg * duration_hours);
-
-      const updatePayload = {
-        is_complete: true,
-        duration_minutes,
-        ended_at: endTime.toISOString(),
-        notes: routine.routine_name,
-        calories_burned
-      };
+  useEffect(() => {
+    if (isTimerOpen && !isWorkoutCompletable && restTimer.remainingSeconds === 0) setIsTimerOpen(false);
+  }, [isTimerOpen, isWorkoutCompletable, restTimer.remainingSeconds]);
 
-      const { error: updateError } = await supabase.from('workout_logs').update(updatePayload).eq('id', workoutLogId).eq('user_id', userId);
-      if (updateError) throw updateError;
+  /**
+   * Swaps the selected routine exercise. A session swap only changes what is
+   * trained (and logged) today; a routine swap saves the routine through
+   * replace-routine-exercises (recording a new version) so future sessions use
+   * the substitute as well.
+   * @param {Object} substitute - exercises row to train instead
+   * @param {string} scope - SWAP_SCOPES value
+   */
+  const handleSwapExercise = async (substitute, scope) => {
+    const routineExercise = loadedRoutine?.routine_exercises?.[selectedExerciseIndex];
+    if (!routineExercise) return;
+
+    let nextSwaps = { ...sessionSwaps };
+    if (scope === SWAP_SCOPES.ROUTINE) {
+      const { routine_exercises: savedRows } = await swapRoutineExercise(loadedRoutine.id, routineExercise.id, substitute.id);
+      // The save re-creates the rows; match old rows to new ones by position
+      const byOrder = [...loadedRoutine.routine_exercises]
+        .sort((a, b) => (a.exercise_order ?? 0) - (b.exercise_order ?? 0));
+      const newRowFor = Object.fromEntries(byOrder.map((item, index) => [item.id, savedRows[index]]));
+      delete nextSwaps[routineExercise.id];
+      nextSwaps = Object.fromEntries(Object.entries(nextSwaps)
+        .filter(([oldId]) => newRowFor[oldId])
+        .map(([oldId, swap]) => [newRowFor[oldId].id, swap]));
+      setLoadedRoutine(prev => ({
+        ...prev,
+        routine_exercises: prev.routine_exercises.map(item => newRowFor[item.id] || item),
+      }));
+    } else if (substitute.id === routineExercise.exercises?.id) {
+      // Swapping back to the prescribed exercise
+      delete nextSwaps[routineExercise.id];
+    } else {
+      nextSwaps[routineExercise.id] = substitute;
+    }
 
-      if (mesocycleWeekId) {
-        try {
-          await supabase
-            .from('mesocycle_weeks')
-            .update({ 
-              is_complete: true, 
-              completed_at: endTime.toISOString() 
-            })
-            .eq('id', mesocycleWeekId);
-        } catch (err) {
-          console.error('[MESOCYCLE] Exception updating mesocycle_weeks:', err);
-        }
-      }
+    setSessionSwaps(nextSwaps);
+    if (workoutLogId) localStorage.setItem(swapStorageKey(workoutLogId), JSON.stringify(nextSwaps));
+    setCurrentSet({ weight: '', reps: '', duration: '', distance: '', assisted: false });
+  };
 
-      try {
-        if (sessionMeta?.id) {
-          if (userId) await supabase.from('cycle_sessions').update({ is_complete: true }).eq('id', sessionMeta.id).eq('user_id', userId);
-        } else {
-          const createdDate = new Date(logData.created_at);
-          const year = createdDate.getFullYear();
-          const month = String(createdDate.getMonth() + 1).padStart(2, '0');
-          const day = String(createdDate.getDate()).padStart(2, '0');
-          const startDateStr = `${year}-${month}-${day}`;
-          const { data: found } = await supabase.from('cycle_sessions').select('id').eq('user_id', userId).eq('routine_id', routineId).eq('scheduled_date', startDateStr).maybeSingle();
-          if (found && found.id) {
-            await supabase.from('cycle_sessions').update({ is_complete: true }).eq('id', found.id).eq('user_id', userId);
-          }
-        }
-      } catch (err) {
-        if (err?.code && err.code !== '42703') console.warn('Could not mark cycle_session complete:', err?.message ?? err);
-      }
+  const handleFinishWorkout = async () => {
+    if (!workoutLogId) return;
+    setIsTimerOpen(false);
 
-      setSuccessModalOpen(true);
+    try {
+      // Completion is queued like any other write so it replays after the last set
+      await queueOp({
+        type: WORKOUT_OP.COMPLETE_WORKOUT,
+        workoutLogId,
+        payload: {
+          userId,
+          routineId,
+          endedAt: new Date().toISOString(),
+          workoutName: routine.routine_name,
+          userWeightLbs,
+          mesocycleWeekId,
+          cycleSessionId: sessionMeta?.id || null,
+        },
+      });
+
+      restTimer.clear();
       localStorage.removeItem('workoutLogId');
+      localStorage.removeItem(swapStorageKey(workoutLogId));
+      navigate(`/workouts/summary/${workoutLogId}`);
     } catch (error) {
       alert(`Error finishing workout: ${error.message}`);
     }
   };
 
-  const handleCloseSuccessModal = () => {
-    setSuccessModalOpen(false);
-    navigate('/dashboard');
-  };
-
   const handleDeleteSet = async (entryId) => {
     if (rpcLoading) return;
     setRpcLoading(true);
     try {
-      const { error } = await supabase.functions.invoke('delete-workout-set', {
-        body: { entry_id: entryId }
+      await queueOp({
+        type: WORKOUT_OP.DELETE_SET,
+        workoutLogId,
+        entryId,
+        payload: {},
       });
-      if (error) {
-        console.error("Secure delete failed:", error);
-        return alert("Could not delete set." + (error?.message ? ` (${error.message})` : ''));
-      }
       
+      // Drops are deleted with their top set (ON DELETE CASCADE)
       setTodaysLog(prevLog => {
         const updatedLog = { ...prevLog };
         Object.keys(updatedLog).forEach(exerciseId => {
-          updatedLog[exerciseId] = updatedLog[exerciseId].filter(entry => entry.id !== entryId);
+          updatedLog[exerciseId] = updatedLog[exerciseId].filter(entry => entry.id !== entryId && entry.parent_entry_id !== entryId);
         });
         return updatedLog;
       });
+      if (activeDrop?.parentEntry.id === entryId) setActiveDrop(null);
 
+    } catch (error) {
+      console.error('[WorkoutLog] Failed to queue delete:', error);
+      alert("Could not delete set." + (error?.message ? ` (${error.message})` : ''));
     } finally {
       if (isMountedRef.current) setRpcLoading(false);
     }
@@ -660,7 +1195,7 @@ function WorkoutLogPage() {
 
   const handleEditSetClick = (set) => {
     setEditingSet({ entryId: set.id });
-    setEditSetValue({ weight: set.weight_lbs, reps: set.reps_completed });
+    setEditSetValue(entryToInput(set, distanceUnit));
   };
 
   const handleUpdateSet = async () => {
@@ -668,32 +1203,27 @@ function WorkoutLogPage() {
     if (rpcLoading) return;
     setRpcLoading(true);
     try {
-      const newWeight = parseInt(editSetValue.weight, 10);
-      const newReps = parseInt(editSetValue.reps, 10);
+      if (!isSetInputComplete(editSetValue, loggingMode)) return;
+      // Keep the bodyweight captured when the set was logged so history doesn't drift
+      const originalEntry = Object.values(todaysLog).flat().find(entry => entry.id === editingSet.entryId);
+      const updatedColumns = buildSetColumns(editSetValue, loggingMode, distanceUnit, {
+        bodyweightLbs: originalEntry?.bodyweight_lbs ?? userWeightLbs,
+        loadFactor: selectedExercise?.bodyweight_load_factor,
+      });
       
-      const { error } = await supabase.functions.invoke('update-workout-set', {
-        body: {
-          entry_id: editingSet.entryId,
-          weight_lbs: newWeight,
-          reps_completed: newReps
-        }
+      await queueOp({
+        type: WORKOUT_OP.UPDATE_SET,
+        workoutLogId,
+        entryId: editingSet.entryId,
+        payload: updatedColumns,
       });
 
-      if (error) {
-        console.error("Secure update failed:", error);
-        return alert("Could not update set." + (error?.message ? ` (${error.message})` : ''));
-      }
-
       setTodaysLog(prevLog => {
         const updatedLog = { ...prevLog };
         Object.keys(updatedLog).forEach(exerciseId => {
           updatedLog[exerciseId] = updatedLog[exerciseId].map(entry => {
             if (entry.id === editingSet.entryId) {
-              return {
-                ...entry,
-                weight_lbs: newWeight,
-                reps_completed: newReps
-              };
+              return { ...entry, ...updatedColumns };
             }
             return entry;
           });
@@ -726,6 +1256,9 @@ function WorkoutLogPage() {
   const queryParams = new URLSearchParams(location.search);
   const returnTo = queryParams.get('returnTo') || '/workouts/select-routine-log';
 
+  const selectedExerciseKey = String(selectedExercise?.id);
+  const selectedBarType = barTypeByExercise[selectedExerciseKey] ?? getBarTypeForExercise(selectedExercise);
+
   return (
     <div className="workout-log-page-container">
       <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
@@ -782,6 +1315,21 @@ function WorkoutLogPage() {
         </label>
       </div>
 
+      {(!isOnline || pendingCount > 0) && (
+        <div className={`sync-status-banner ${isOnline ? 'syncing' : 'offline'}`} role="status">
+          <CloudOff size={16} />
+          {isOnline
+            ? `${isSyncing ? 'Syncing' : 'Waiting to sync'} ${pendingCount} change${pendingCount === 1 ? '' : 's'}...`
+            : `Offline — ${pendingCount} change${pendingCount === 1 ? '' : 's'} saved on this device`}
+        </div>
+      )}
+
+      {restTimer.isRunning && !isTimerOpen && restTimer.timer.workoutLogId === workoutLogId && (
+        <button className="rest-indicator" onClick={() => setIsTimerOpen(true)}>
+          <Timer size={16} /> Rest {formatDuration(restTimer.remainingSeconds)}
+        </button>
+      )}
+
       <div className="log-toggle-header">
         <div className="log-toggle">
           <button className={`toggle-btn ${activeView === 'log' ? 'active' : ''}`} onClick={() => setActiveView('log')}>Log</button>
@@ -860,38 +1408,134 @@ function WorkoutLogPage() {
                 verticalAlign: 'middle',
               }}>Warmup</span>
             )}
-            {sessionMeta && sessionMeta.planned_volume_multiplier !== 1 && (
+            {adjustedTargetSets !== (Number(selectedRoutineExercise?.target_sets) || 1) && (
               <em style={{ marginLeft: '0.5rem', fontWeight: 400, fontSize: '0.85rem' }}> (base: {formatSetCount(selectedRoutineExercise?.target_sets)})</em>
             )}
           </span>
         )}
-        {sessionMeta?.is_deload && (
+        {isDeloadSession && (
           <div style={{ marginLeft: '0.5rem', color: '#92400e', fontSize: '0.85rem' }}>Deload week — volume reduced</div>
         )}
+        {loadingTargets && !selectedRoutineExercise?.is_warmup && (
+          <div className="loading-plan-targets">{describeSessionTargets(loadingTargets)}</div>
+        )}
+        {selectedRoutineExercise?.substituted_for && (
+          <div className="swap-note">Swapped for {selectedRoutineExercise.substituted_for.name} this session</div>
+        )}
       </h2>
+      {selectedExercise && (
+        <button className="swap-exercise-btn" onClick={() => setIsSwapOpen(true)} disabled={!!activeDrop}>
+          <Repeat size={14} /> Swap exercise
+        </button>
+      )}
 
       {activeView === 'log' ? (
         <>
-          <div className="log-inputs">
-            <div className="input-group">
-              <label>Weight</label>
-              <input type="text" inputMode="decimal" pattern="[0-9.]*" value={currentSet.weight} onChange={(e) => setCurrentSet(prev => ({ ...prev, weight: e.target.value.replace(/[^0-9.]/g, '').replace(/(\..*?)\./g, '$1') }))} placeholder="0" />
+          <SetInputFields
+            fields={loggingFields}
+            mode={loggingMode}
+            values={currentSet}
+            onChange={(field, value) => setCurrentSet(prev => ({ ...prev, [field]: value }))}
+            distanceUnit={distanceUnit}
+            onDistanceUnitChange={handleDistanceUnitChange}
+          />
+          {progression && (
+            <p className="progression-hint" title={`${progression.strategy} progression`}>
+              <TrendingUp size={14} /> Target {progression.weight} lb x {progression.reps} — {progression.explanation}
+            </p>
+          )}
+          {loggingMode === LOGGING_MODES.WEIGHT_REPS && !selectedRoutineExercise?.is_warmup && (
+            <WarmupPlanner
+              // A PR set since the block started beats the e1RM it was handed
+              e1rmLbs={Math.max(
+                Number(blockE1rms[selectedExerciseKey]) || 0,
+                Number(personalBests[selectedExerciseKey]?.e1rm) || 0,
+              ) || null}
+              intensityPct={plannedRoutineExercise?.target_intensity_pct}
+              fallbackWeightLbs={Number(currentSet.weight) || null}
+              barType={selectedBarType}
+              onBarTypeChange={(type) => setBarTypeByExercise(prev => ({ ...prev, [selectedExerciseKey]: type }))}
+              plateSettings={plateSettings}
+              warmupsLogged={(todaysLog[selectedExerciseKey] || []).filter(set => set.is_warmup).length}
+              onLogWarmup={handleLogWarmupSet}
+              disabled={saveSetLoading}
+            />
+          )}
+          {loggingMode === LOGGING_MODES.BODYWEIGHT_REPS && (
+            <p className="bodyweight-hint">
+              {userWeightLbs
+                ? `Bodyweight: ${userWeightLbs} lbs`
+                : 'Log your weight on the Profile page to track bodyweight load.'}
+            </p>
+          )}
+          {isNegativeExercise && (
+            <div className="negative-tempo-prompt">
+              <span>Negative — lower the weight over</span>
+              <div className="tempo-options">
+                {ECCENTRIC_TEMPO_OPTIONS.map(seconds => (
+                  <button
+                    key={seconds}
+                    className={eccentricSeconds === seconds ? 'active' : ''}
+                    onClick={() => setEccentricSeconds(seconds)}
+                    aria-pressed={eccentricSeconds === seconds}
+                  >
+                    {seconds}s
+                  </button>
+                ))}
+              </div>
+              <small>Get help on the way up, then fight the weight down for the full {eccentricSeconds} seconds.</small>
             </div>
-            <div className="input-group">
-              <label>Reps</label>
-              <input type="text" inputMode="numeric" pattern="[0-9]*" value={currentSet.reps} onChange={(e) => setCurrentSet(prev => ({ ...prev, reps: e.target.value.replace(/\D/g, '') }))} placeholder="0" />
+          )}
+          {activeDrop && String(activeDrop.parentEntry.exercise_id) === selectedExerciseKey ? (
+            <div className="drop-set-flow">
+              <p>
+                <ArrowDownCircle size={16} />
+                Drop {activeDrop.dropCount + 1}: strip {dropPercentage}% and go again — no rest
+              </p>
+              <SetInputFields
+                compact
+                fields={['weight', 'reps']}
+                mode={LOGGING_MODES.WEIGHT_REPS}
+                values={dropInput}
+                onChange={(field, value) => setDropInput(prev => ({ ...prev, [field]: value }))}
+              />
+              <div className="drop-set-actions">
+                <button className="save-set-button" onClick={handleLogDropSet} disabled={saveSetLoading}>
+                  {saveSetLoading ? 'Saving...' : 'Log Drop'}
+                </button>
+                <button className="drop-set-finish" onClick={handleFinishDropSet} disabled={saveSetLoading}>
+                  {activeDrop.dropCount > 0 ? 'Finish Drop Set' : 'Skip Drops'}
+                </button>
+              </div>
             </div>
-          </div>
-          <button className="save-set-button" onClick={handleSaveSet} disabled={saveSetLoading}>{saveSetLoading ? 'Saving...' : 'Save Set'}</button>
+          ) : (
+            <button className="save-set-button" onClick={handleSaveSet} disabled={saveSetLoading}>{saveSetLoading ? 'Saving...' : 'Save Set'}</button>
+          )}
+          {prCelebration && (
+            <div className="pr-celebration" role="status" onClick={() => setPrCelebration(null)}>
+              <Trophy size={20} />
+              <div>
+                <strong>New PR{prCelebration.records.length > 1 ? 's' : ''} — {prCelebration.exerciseName}</strong>
+                <ul>
+                  {prCelebration.records.map(record => (
+                    <li key={record.type}>
+                      {record.label}: {Math.round(record.value)} lbs <span className="pr-previous">(was {Math.round(record.previous)})</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
 
           <div className="log-history-container">
             <div className="log-history-column">
               <h3>Today</h3>
               <ul>
-                {(todaysLog[String(selectedExercise?.id)] || []).map((set) => (
+                {groupDropSets(todaysLog[selectedExerciseKey]).flatMap(group => [group, ...group.drops]).map((set) => (
                   <li
                     key={set.id}
-                    style={selectedExercise?.negative ? {
+                    className={set.parent_entry_id ? 'drop-set-entry' : undefined}
+                    style={set.eccentric_seconds ? {
                       background: '#fee2e2',
                       border: '1px solid #f87171',
                       borderRadius: 4,
@@ -900,18 +1544,35 @@ function WorkoutLogPage() {
                   >
                     {editingSet && editingSet.entryId === set.id ? (
                       <div className="edit-set-form">
-                        <input type="text" inputMode="decimal" pattern="[0-9.]*" value={editSetValue.weight} onChange={(e) => setEditSetValue(prev => ({ ...prev, weight: e.target.value.replace(/[^0-9.]/g, '').replace(/(\..*?)\./g, '$1') }))} />
-                        <span>lbs x</span>
-                        <input type="text" inputMode="numeric" pattern="[0-9]*" value={editSetValue.reps} onChange={(e) => setEditSetValue(prev => ({ ...prev, reps: e.target.value.replace(/\D/g, '') }))} />
+                        <SetInputFields
+                          compact
+                          fields={loggingFields}
+                          mode={loggingMode}
+                          values={editSetValue}
+                          onChange={(field, value) => setEditSetValue(prev => ({ ...prev, [field]: value }))}
+                          distanceUnit={distanceUnit}
+                        />
                         <button onClick={handleUpdateSet} className="edit-action-btn save" disabled={rpcLoading}><Check size={16} /></button>
                         <button onClick={handleCancelEdit} className="edit-action-btn cancel" disabled={rpcLoading}><X size={16} /></button>
                       </div>
                     ) : (
                       <>
                         <span>
-                          {set.weight_lbs} lbs x {set.reps_completed}
+                          {set.parent_entry_id && <span className="drop-set-label">↳ Drop</span>}
+                          {formatSetSummary(set, loggingMode, distanceUnit)}
+                          {set.is_warmup && <span className="warmup-set-badge">Warm-up</span>}
                           {set.rpe_rating && <span className="rpe-badge">RPE {set.rpe_rating}</span>}
-                          {selectedExercise?.negative && (
+                          {recordsBySetId[set.id] && (
+                            <span className="pr-badge" title={recordsBySetId[set.id].map(record => record.label).join(', ')}>
+                              <Trophy size={12} /> PR
+                            </span>
+                          )}
+                          {pendingEntryIds.has(set.id) && (
+                            <span className="pending-sync-badge" title="Saved on this device, not yet synced">
+                              <CloudOff size={12} /> Pending sync
+                            </span>
+                          )}
+                          {set.eccentric_seconds && (
                             <span className="negative-badge" style={{
                               background: '#fee2e2',
                               color: '#b91c1c',
@@ -922,7 +1583,7 @@ function WorkoutLogPage() {
                               fontWeight: 700,
                               fontSize: '0.85em',
                               verticalAlign: 'middle',
-                            }}>Negative</span>
+                            }}>Negative {set.eccentric_seconds}s</span>
                           )}
                         </span>
                         <div className="set-actions">
@@ -938,10 +1599,12 @@ function WorkoutLogPage() {
             <div className="log-history-column">
               <h3>Last Time</h3>
               <ul>
-                {(previousLog[String(selectedExercise?.id)] || []).map((set, index) => (
-                  <li key={index}>
+                {groupDropSets(previousLog[selectedExerciseKey]).flatMap(group => [group, ...group.drops]).map((set, index) => (
+                  <li key={index} className={set.parent_entry_id ? 'drop-set-entry' : undefined}>
                     <span>
-                      {set.weight_lbs} lbs x {set.reps_completed}
+                      {set.parent_entry_id && <span className="drop-set-label">↳ Drop</span>}
+                      {formatSetSummary(set, loggingMode, distanceUnit)}
+                      {set.is_warmup && <span className="warmup-set-badge">Warm-up</span>}
                       {set.rpe_rating && <span className="rpe-badge rpe-previous">RPE {set.rpe_rating}</span>}
                     </span>
                   </li>
@@ -953,9 +1616,9 @@ function WorkoutLogPage() {
       ) : (
         <div className="chart-view-container">
           <div className="chart-metric-selector">
-            <button className={chartMetric === '1RM' ? 'active' : ''} onClick={() => setChartMetric('1RM')}>1RM</button>
-            <button className={chartMetric === 'Weight Volume' ? 'active' : ''} onClick={() => setChartMetric('Weight Volume')}>Weight Volume</button>
-            <button className={chartMetric === 'Set Volume' ? 'active' : ''} onClick={() => setChartMetric('Set Volume')}>Set Volume</button>
+            {chartMetrics.map((metric) => (
+              <button key={metric} className={chartMetric === metric ? 'active' : ''} onClick={() => setChartMetric(metric)}>{metric}</button>
+            ))}
           </div>
           <div className="chart-container">
             {chartLoading ? (
@@ -969,8 +1632,8 @@ function WorkoutLogPage() {
                       <libs.LineChart data={chartData} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
                         <libs.CartesianGrid stroke="#4a5568" strokeDasharray="3 3" />
                         <libs.XAxis dataKey="date" stroke="#a0aec0" />
-                        <libs.YAxis stroke="#a0aec0" domain={["dataMin - 10", "dataMax + 10"]} />
-                        <libs.Tooltip contentStyle={{ backgroundColor: '#2d3748', border: '1px solid #4a5568' }} />
+                        <libs.YAxis stroke="#a0aec0" domain={["dataMin - 10", "dataMax + 10"]} tickFormatter={formatChartValue} reversed={chartMetric === 'Pace'} />
+                        <libs.Tooltip contentStyle={{ backgroundColor: '#2d3748', border: '1px solid #4a5568' }} formatter={(value) => formatChartValue(value)} />
                         <libs.Line type="monotone" dataKey="value" name={chartMetric} stroke="#f97316" strokeWidth={2} dot={{ r: 4 }} activeDot={{ r: 8 }} />
                       </libs.LineChart>
                     </libs.ResponsiveContainer>
@@ -989,19 +1652,23 @@ function WorkoutLogPage() {
         onSkip={handleSkipRpe}
       />
 
+      <ExerciseSwapModal
+        isOpen={isSwapOpen}
+        exercise={selectedExercise}
+        scopes={[SWAP_SCOPES.SESSION, SWAP_SCOPES.ROUTINE]}
+        onSwap={handleSwapExercise}
+        onClose={() => setIsSwapOpen(false)}
+      />
+
       <RestTimerModal
         isOpen={isTimerOpen}
         onClose={handleTimerClose}
+        onSkip={handleSkipRest}
+        remainingSeconds={restTimer.remainingSeconds}
+        onAdjust={restTimer.adjust}
         isWorkoutComplete={isWorkoutCompletable}
         onFinishWorkout={handleFinishWorkout}
       />
-
-      <SuccessModal
-        isOpen={isSuccessModalOpen}
-        onClose={handleCloseSuccessModal}
-        title="Workout Saved!"
-        message="Your progress has been saved successfully."
-      />
     </div>
   );
 }
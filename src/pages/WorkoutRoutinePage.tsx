@@ -30,12 +30,19 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { supabase } from '../supabaseClient.js';
 import SubPageHeader from '../components/SubPageHeader';
-import { Dumbbell, PlusCircle, Trash2, Edit, ToggleLeft, ToggleRight, Zap, Copy } from 'lucide-react';
+import ShareRoutineModal from '../components/ShareRoutineModal.jsx';
+import { Dumbbell, PlusCircle, Trash2, Edit, ToggleLeft, ToggleRight, Zap, Copy, Share2, Globe } from 'lucide-react';
 import { useAuth } from '../useAuth';
 import { Tables } from '../database.types.js';
 import './WorkoutRoutinePage.css';
 
-type Routine = Tables<'workout_routines'>;
+type Routine = Tables<'workout_routines'> & {
+  share_code?: string | null;
+  is_public?: boolean;
+  import_count?: number;
+  difficulty_level?: number | null;
+  routine_type?: string | null;
+};
 
 /**
  * WorkoutRoutinePage
@@ -48,6 +55,7 @@ function WorkoutRoutinePage() {
   const userId = user?.id;
   const [routines, setRoutines] = useState<Routine[]>([]);
   const [loading, setLoading] = useState(true);
+  const [sharingRoutine, setSharingRoutine] = useState<Routine | null>(null);
 
   /**
    * Fetches all workout routines for the current user from the database.
@@ -205,6 +213,15 @@ function WorkoutRoutinePage() {
     }
   };
 
+  /**
+   * Keeps the list in step with sharing changes made in the share modal.
+   * @param {Routine} updated - The routine row after sharing was changed
+   */
+  const handleSharingChange = (updated: Routine) => {
+    setRoutines(prev => prev.map(r => (r.id === updated.id ? { ...r, ...updated } : r)));
+    setSharingRoutine(prev => (prev ? { ...prev, ...updated } : prev));
+  };
+
   return (
     <div className="workout-routines-container">
       <SubPageHeader 
@@ -228,6 +245,10 @@ function WorkoutRoutinePage() {
           <PlusCircle size={20} />
           <span>Create Custom Routine</span>
         </Link>
+        <Link to="/workouts/routines/browse" className="action-button secondary browse">
+          <Globe size={20} />
+          <span>Browse Public Routines</span>
+        </Link>
       </div>
 
       <div className="routine-list">
@@ -239,6 +260,12 @@ function WorkoutRoutinePage() {
               <span className={`status-badge ${routine.is_active ? 'active' : 'inactive'}`}>
                 {routine.is_active ? '● Active' : '● Inactive'}
               </span>
+              {routine.share_code && (
+                <span className="status-badge shared">
+                  {routine.is_public ? 'Public' : 'Shared'}
+                  {routine.import_count ? ` · ${routine.import_count} imports` : ''}
+                </span>
+              )}
             </div>
             <div className="routine-actions">
               <button onClick={() => handleToggleActive(routine)} title={routine.is_active ? 'Deactivate' : 'Activate'}>
@@ -247,6 +274,9 @@ function WorkoutRoutinePage() {
               <button onClick={() => handleDuplicateRoutine(routine)} className="action-button" title="Duplicate">
                 <Copy size={20} />
               </button>
+              <button onClick={() => setSharingRoutine(routine)} className={`action-button${routine.share_code ? ' shared' : ''}`} title="Share">
+                <Share2 size={20} />
+              </button>
               <Link to={`/workouts/routines/${routine.id}`} className="action-button" title="Edit">
                 <Edit size={20} />
               </Link>
@@ -260,6 +290,13 @@ function WorkoutRoutinePage() {
           <p className="no-routines-message">You haven't created any routines yet. Click a button above to get started!</p>
         )}
       </div>
+
+      <ShareRoutineModal
+        isOpen={sharingRoutine !== null}
+        routine={sharingRoutine}
+        onChange={handleSharingChange}
+        onClose={() => setSharingRoutine(null)}
+      />
     </div>
   );
 }
@@ -0,0 +1,389 @@
+/**
+ * @file WorkoutSummaryPage.jsx
+ * @description Post-workout summary shown after finishing a workout. Reads the
+ * `workout_session_totals` and `workout_exercise_session_stats` views for
+ * duration, volume, sets, average RPE and per-exercise results, compares each
+ * exercise with the previous completed session of the same routine, lists the
+ * personal records set, and captures the session's mood and notes.
+ *
+ * Data flow
+ * - Completion is queued offline-first, so while this workout still has
+ *   pending queue operations the page shows a syncing state and loads once the
+ *   queue has replayed them.
+ * - Mood (`workout_logs.mood_rating`, 1-5) and notes are saved directly to the log.
+ * - "Share" renders the summary to a PNG (see utils/summaryShareImage.js).
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @since 2025-12-23
+ */
+import { Clock, Dumbbell, Flame, Layers, Share2, Trophy } from 'lucide-react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import SubPageHeader from '../components/SubPageHeader.jsx';
+import { useWorkoutSyncQueue } from '../hooks/useWorkoutSyncQueue.js';
+import { getPendingWorkoutOps } from '../services/workoutSyncQueue.js';
+import { supabase } from '../supabaseClient.js';
+import { useAuth } from '../useAuth';
+import { getRecordLabel } from '../utils/personalRecords.js';
+import { createSummaryImage, shareImage } from '../utils/summaryShareImage.js';
+import { buildExerciseComparisons, formatDelta, formatWhole, MOOD_OPTIONS } from '../utils/workoutSummary.js';
+import './WorkoutSummaryPage.css';
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? ''
+    : date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+const formatRpe = (value) => (value === null || value === undefined ? '—' : Number(value).toFixed(1));
+
+/**
+ * Summary page for a completed workout log
+ * @component
+ * @returns {JSX.Element}
+ */
+function WorkoutSummaryPage() {
+  const { workoutLogId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const userId = user?.id;
+  // Keeps replaying the queue (and re-renders on changes) so completion syncs while this page is open
+  const { pendingCount, isOnline } = useWorkoutSyncQueue();
+
+  const [loading, setLoading] = useState(true);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [error, setError] = useState(null);
+  const [log, setLog] = useState(null);
+  const [totals, setTotals] = useState(null);
+  const [exercises, setExercises] = useState([]);
+  const [previousLog, setPreviousLog] = useState(null);
+  const [records, setRecords] = useState([]);
+  const [mood, setMood] = useState(null);
+  const [notes, setNotes] = useState('');
+  // Unsaved mood/notes edits; reloads while the queue drains must not overwrite them
+  const reflectionDirtyRef = useRef(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [savedMessage, setSavedMessage] = useState('');
+  const [isSharing, setIsSharing] = useState(false);
+
+  const loadSummary = useCallback(async () => {
+    if (!userId || !workoutLogId) return;
+
+    // Wait until queued sets and the completion itself have reached the server
+    const pending = await getPendingWorkoutOps(workoutLogId);
+    if (pending.length > 0) {
+      setIsSyncing(true);
+      setLoading(false);
+      return;
+    }
+    setIsSyncing(false);
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [logRes, totalsRes, statsRes, recordsRes, swapsRes] = await Promise.all([
+        supabase
+          .from('workout_logs')
+          .select('id, routine_id, workout_name, log_date, created_at, ended_at, duration_minutes, calories_burned, mood_rating, notes')
+          .eq('id', workoutLogId)
+          .eq('user_id', userId)
+          .single(),
+        supabase.from('workout_session_totals').select('*').eq('workout_log_id', workoutLogId).maybeSingle(),
+        supabase.from('workout_exercise_session_stats').select('*').eq('workout_log_id', workoutLogId),
+        supabase
+          .from('personal_records')
+          .select('exercise_id, record_type, value, previous_value')
+          .eq('workout_log_id', workoutLogId)
+          .not('previous_value', 'is', null),
+        supabase
+          .from('workout_log_entries')
+          .select('exercise_id, substituted_for_exercise_id')
+          .eq('workout_log_id', workoutLogId)
+          .not('substituted_for_exercise_id', 'is', null),
+      ]);
+      if (logRes.error) throw logRes.error;
+      if (totalsRes.error) throw totalsRes.error;
+      if (statsRes.error) throw statsRes.error;
+      if (recordsRes.error) console.warn('[WorkoutSummary] Could not load personal records:', recordsRes.error);
+      if (swapsRes.error) console.warn('[WorkoutSummary] Could not load exercise swaps:', swapsRes.error);
+
+      // Exercises swapped in for this session, keyed by the substitute performed
+      const substitutions = {};
+      (swapsRes.data || []).forEach((row) => { substitutions[String(row.exercise_id)] = String(row.substituted_for_exercise_id); });
+
+      const logRow = logRes.data;
+      const currentStats = statsRes.data || [];
+      let previousStats = [];
+      let previous = null;
+      const order = {};
+
+      if (logRow.routine_id) {
+        let previousQuery = supabase
+          .from('workout_logs')
+          .select('id, log_date, ended_at')
+          .eq('user_id', userId)
+          .eq('routine_id', logRow.routine_id)
+          .eq('is_complete', true)
+          .neq('id', workoutLogId);
+        if (logRow.ended_at) previousQuery = previousQuery.lt('ended_at', logRow.ended_at);
+
+        const [previousRes, orderRes] = await Promise.all([
+          previousQuery.order('ended_at', { ascending: false }).limit(1).maybeSingle(),
+          supabase.from('routine_exercises').select('exercise_id, exercise_order').eq('routine_id', logRow.routine_id),
+        ]);
+        if (previousRes.error) console.warn('[WorkoutSummary] Could not load previous session:', previousRes.error);
+        previous = previousRes.data || null;
+        (orderRes.data || []).forEach((row) => { order[String(row.exercise_id)] = row.exercise_order; });
+
+        if (previous) {
+          const { data: prevStats, error: prevStatsError } = await supabase
+            .from('workout_exercise_session_stats')
+            .select('*')
+            .eq('workout_log_id', previous.id);
+          if (prevStatsError) console.warn('[WorkoutSummary] Could not load previous stats:', prevStatsError);
+          previousStats = prevStats || [];
+        }
+      }
+
+      const exerciseIds = [...new Set([
+        ...currentStats.map((row) => row.exercise_id),
+        ...(recordsRes.data || []).map((row) => row.exercise_id),
+        ...Object.values(substitutions),
+      ])];
+      const names = {};
+      if (exerciseIds.length > 0) {
+        const { data: exerciseRows } = await supabase.from('exercises').select('id, name').in('id', exerciseIds);
+        (exerciseRows || []).forEach((row) => { names[String(row.id)] = row.name; });
+      }
+
+      setLog(logRow);
+      setTotals(totalsRes.data);
+      setPreviousLog(previous);
+      setExercises(buildExerciseComparisons(currentStats, previousStats, { names, order, substitutions }));
+      setRecords((recordsRes.data || []).map((row) => ({ ...row, name: names[String(row.exercise_id)] || 'Exercise' })));
+      if (!reflectionDirtyRef.current) {
+        setMood(logRow.mood_rating ?? null);
+        setNotes(logRow.notes || '');
+      }
+    } catch (err) {
+      console.error('[WorkoutSummary] Failed to load summary:', err);
+      setError('Could not load this workout summary.');
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, workoutLogId]);
+
+  // Reload whenever the queue changes so the summary appears as soon as sync finishes
+  useEffect(() => {
+    loadSummary();
+  }, [loadSummary, pendingCount]);
+
+  const workoutName = log?.workout_name || 'Workout';
+  const sessionDate = formatDate(log?.ended_at || log?.created_at);
+  const totalVolumeDelta = useMemo(() => {
+    if (!previousLog) return null;
+    const compared = exercises.filter((row) => row.previous);
+    return compared.length ? compared.reduce((sum, row) => sum + row.volumeDelta, 0) : null;
+  }, [exercises, previousLog]);
+
+  const headlineStats = [
+    { key: 'duration', icon: <Clock size={18} />, label: 'Minutes', value: formatWhole(totals?.duration_minutes ?? log?.duration_minutes) },
+    { key: 'volume', icon: <Dumbbell size={18} />, label: 'Volume (lbs)', value: formatWhole(totals?.total_volume_lbs) },
+    { key: 'sets', icon: <Layers size={18} />, label: 'Sets', value: formatWhole(totals?.total_sets) },
+    { key: 'rpe', icon: <Flame size={18} />, label: 'Avg RPE', value: formatRpe(totals?.avg_rpe) },
+  ];
+
+  const handleSaveReflection = async () => {
+    setIsSaving(true);
+    setSavedMessage('');
+    try {
+      const { error: updateError } = await supabase
+        .from('workout_logs')
+        .update({ mood_rating: mood, notes: notes.trim() || null })
+        .eq('id', workoutLogId)
+        .eq('user_id', userId);
+      if (updateError) throw updateError;
+      reflectionDirtyRef.current = false;
+      setSavedMessage('Saved');
+    } catch (err) {
+      alert(`Could not save: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleShare = async () => {
+    setIsSharing(true);
+    try {
+      const blob = await createSummaryImage({
+        title: workoutName,
+        subtitle: sessionDate,
+        stats: headlineStats.map(({ label, value }) => ({ label, value })),
+        exercises: exercises.map((row) => ({
+          name: row.name,
+          detail: `${row.sets} sets · ${formatWhole(row.volume)} lbs · top ${formatWhole(row.maxWeight)} lbs`,
+          delta: formatDelta(row.volumeDelta, 'lbs'),
+        })),
+        records: records.map((r) => `${r.name}: ${getRecordLabel(r.record_type)} ${formatWhole(r.value)} lbs`),
+      });
+      await shareImage(blob, `workout-${log?.log_date || 'summary'}.png`, `${workoutName} — ${sessionDate}`);
+    } catch (err) {
+      // Cancelling the share sheet rejects with AbortError; nothing to report
+      if (err?.name !== 'AbortError') alert(`Could not share summary: ${err.message}`);
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="workout-summary-page"><SubPageHeader title="Workout Summary" backTo="/dashboard" /><p className="summary-status">Loading summary...</p></div>;
+  }
+
+  if (isSyncing) {
+    return (
+      <div className="workout-summary-page">
+        <SubPageHeader title="Workout Summary" backTo="/dashboard" />
+        <div className="summary-status">
+          <p>Workout saved on this device.</p>
+          <p>{isOnline ? 'Syncing your sets…' : 'Your summary will appear once you are back online.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !log) {
+    return (
+      <div className="workout-summary-page">
+        <SubPageHeader title="Workout Summary" backTo="/dashboard" />
+        <p className="summary-status">{error || 'Workout not found.'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="workout-summary-page">
+      <SubPageHeader title="Workout Summary" backTo="/dashboard" />
+
+      <div className="summary-heading">
+        <h2>{workoutName}</h2>
+        <span>{sessionDate}</span>
+      </div>
+
+      <div className="summary-stats-grid">
+        {headlineStats.map((stat) => (
+          <div key={stat.key} className="summary-stat-card">
+            {stat.icon}
+            <span className="summary-stat-value">{stat.value}</span>
+            <span className="summary-stat-label">{stat.label}</span>
+          </div>
+        ))}
+      </div>
+
+      {records.length > 0 && (
+        <section className="summary-section summary-records">
+          <h3><Trophy size={18} /> Personal Records</h3>
+          <ul>
+            {records.map((r) => (
+              <li key={`${r.exercise_id}-${r.record_type}`}>
+                <span>{r.name} · {getRecordLabel(r.record_type)}</span>
+                <span className="summary-record-value">
+                  {formatWhole(r.value)} lbs
+                  <span className="summary-delta up"> {formatDelta(Number(r.value) - Number(r.previous_value))}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <section className="summary-section">
+        <h3>Exercises</h3>
+        <p className="summary-compare-note">
+          {previousLog
+            ? `Compared with ${formatDate(previousLog.ended_at || previousLog.log_date)}`
+            : 'First time logging this routine — next time you will see a comparison.'}
+          {totalVolumeDelta !== null && (
+            <span className={`summary-delta ${totalVolumeDelta >= 0 ? 'up' : 'down'}`}> {formatDelta(totalVolumeDelta, 'lbs')} volume</span>
+          )}
+        </p>
+        {exercises.length === 0 && <p className="summary-empty">No working sets were logged.</p>}
+        {exercises.map((row) => (
+          <div key={row.exerciseId} className="summary-exercise-row">
+            <div className="summary-exercise-name">
+              {row.name}
+              {row.substitutedFor && <span className="summary-exercise-swap"> in place of {row.substitutedFor}</span>}
+            </div>
+            <div className="summary-exercise-metrics">
+              <span>{row.sets} sets</span>
+              <span>
+                {formatWhole(row.volume)} lbs
+                {row.volumeDelta !== null && (
+                  <span className={`summary-delta ${row.volumeDelta >= 0 ? 'up' : 'down'}`}> {formatDelta(row.volumeDelta)}</span>
+                )}
+              </span>
+              <span>
+                Top {formatWhole(row.maxWeight)} lbs
+                {row.maxWeightDelta !== null && (
+                  <span className={`summary-delta ${row.maxWeightDelta >= 0 ? 'up' : 'down'}`}> {formatDelta(row.maxWeightDelta)}</span>
+                )}
+              </span>
+              <span>
+                {row.totalReps} reps
+                {row.repsDelta !== null && (
+                  <span className={`summary-delta ${row.repsDelta >= 0 ? 'up' : 'down'}`}> {formatDelta(row.repsDelta)}</span>
+                )}
+              </span>
+              {row.avgRpe !== null && <span>RPE {formatRpe(row.avgRpe)}</span>}
+            </div>
+          </div>
+        ))}
+      </section>
+
+      <section className="summary-section">
+        <h3>How did it feel?</h3>
+        <div className="summary-mood-picker" role="radiogroup" aria-label="Workout mood">
+          {MOOD_OPTIONS.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              role="radio"
+              aria-checked={mood === option.value}
+              className={`summary-mood-option ${mood === option.value ? 'selected' : ''}`}
+              onClick={() => { setMood(option.value); reflectionDirtyRef.current = true; setSavedMessage(''); }}
+            >
+              <span className="summary-mood-emoji">{option.emoji}</span>
+              <span>{option.label}</span>
+            </button>
+          ))}
+        </div>
+        <textarea
+          className="summary-notes"
+          rows={3}
+          placeholder="Notes: energy, sleep, anything that stood out..."
+          value={notes}
+          onChange={(e) => { setNotes(e.target.value); reflectionDirtyRef.current = true; setSavedMessage(''); }}
+        />
+        <div className="summary-actions">
+          <button type="button" className="summary-button" onClick={handleSaveReflection} disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save'}
+          </button>
+          {savedMessage && <span className="summary-saved">{savedMessage}</span>}
+        </div>
+      </section>
+
+      <div className="summary-footer">
+        <button type="button" className="summary-button secondary" onClick={handleShare} disabled={isSharing}>
+          <Share2 size={18} /> {isSharing ? 'Preparing...' : 'Share'}
+        </button>
+        <button type="button" className="summary-button" onClick={() => navigate('/dashboard')}>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default WorkoutSummaryPage;
@@ -1,12 +1,14 @@
 /**
  * @file TrainerAdminPanel.tsx
- * @description Admin panel for trainers to manage pro-routines, meals, and exercises
+ * @description Admin panel for trainers to manage pro-routines, meals, and exercises,
+ * and to verify custom foods users submitted
  * Only accessible to users with is_admin = true in user_profiles table
  * @project Felony Fitness
  */
 
 import React, { useState, useEffect, useRef } from 'react';
 import { supabase } from '../../supabaseClient';
+import FoodVerificationQueue from '../../components/trainer/FoodVerificationQueue.jsx';
 import './TrainerAdminPanel.css';
 
 interface Meal {
@@ -76,7 +78,7 @@ const TrainerAdminPanel = () => {
   const [isAdmin, setIsAdmin] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [successMessage, setSuccessMessage] = useState<string | null>(null);
-  const [activeTab, setActiveTab] = useState<'meals' | 'routines' | 'exercises' | 'workoutlogs'>('meals');
+  const [activeTab, setActiveTab] = useState<'meals' | 'routines' | 'exercises' | 'workoutlogs' | 'foods'>('meals');
   const [loading, setLoading] = useState(false);
 
   // Meal form state
@@ -768,6 +770,12 @@ const TrainerAdminPanel = () => {
         >
           Workout Logs
         </button>
+        <button
+          className={`tab-button ${activeTab === 'foods' ? 'active' : ''}`}
+          onClick={() => setActiveTab('foods')}
+        >
+          Food Verification
+        </button>
       </div>
 
       <div className="admin-content">
@@ -1277,6 +1285,8 @@ const TrainerAdminPanel = () => {
           </form>
         )}
 
+        {activeTab === 'foods' && <FoodVerificationQueue />}
+
         {activeTab === 'workoutlogs' && (
           <form onSubmit={handleWorkoutLogSubmit} className="admin-form">
             <div className="form-row">
@@ -32,7 +32,8 @@ import ProgramBuilderModal from '../../components/trainer/ProgramBuilderModal';
 import ProgramEditorModal from '../../components/trainer/ProgramEditorModal';
 import CustomMuscleMap from '../../components/workout-builder/CustomMuscleMap';
 import { supabase } from '../../supabaseClient';
-import { generateRoutines } from '../../utils/routineGenerator';
+import { EXPERIENCE_LEVELS, SPLITS, generateRoutinesWithReport } from '../../utils/routineGenerator';
+import { getUniqueEquipmentTypes } from '../../utils/workoutBuilderUtils';
 import './TrainerPrograms.css';
 
 /**
@@ -62,6 +63,18 @@ import './TrainerPrograms.css';
  * @property {Array} equipment_needed - Required equipment list
  */
 
+/**
+ * Routine generator constraints before a trainer sets any
+ */
+const DEFAULT_CONSTRAINTS = {
+  split: '',
+  experienceLevel: '',
+  equipment: null,
+  maxSessionMinutes: '',
+  excludedMuscles: '',
+  seed: ''
+};
+
 /**
  * Main Program Library Component
  */
@@ -70,6 +83,8 @@ const ProgramLibrary = () => {
   const [programs, setPrograms] = useState([]);
   const [programRoutines, setProgramRoutines] = useState({}); // Generated routines by program ID
   const [programFrequencies, setProgramFrequencies] = useState({}); // Selected frequency for each program
+  const [programConstraints, setProgramConstraints] = useState({}); // Generator constraints by program ID
+  const [programExclusions, setProgramExclusions] = useState({}); // Pool exercises the constraints left out, by program ID
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [difficultyFilter, setDifficultyFilter] = useState('beginner');
@@ -164,7 +179,7 @@ const ProgramLibrary = () => {
       // Fetch all exercises in one query (without equipment_required - column doesn't exist)
       const { data: exercisesData, error: exercisesError } = await supabase
         .from('exercises')
-        .select('id, name, primary_muscle, secondary_muscle, tertiary_muscle, difficulty_level')
+        .select('id, name, primary_muscle, secondary_muscle, tertiary_muscle, difficulty_level, equipment_needed')
         .in('id', Array.from(allExerciseIds));
 
       if (exercisesError) {
@@ -434,18 +449,82 @@ const ProgramLibrary = () => {
       [programId]: frequency
     }));
 
-    // Generate routines from exercise pool
+    regenerateRoutines(program, frequency, getProgramConstraints(programId));
+  };
+
+  /**
+   * Update one generator constraint for a program and regenerate its routines
+   * @function handleConstraintChange
+   * @param {string} programId - Program ID
+   * @param {string} field - Constraint key (split, experienceLevel, equipment, maxSessionMinutes, excludedMuscles, seed)
+   * @param {*} value - New value
+   */
+  const handleConstraintChange = (programId, field, value) => {
+    const program = programs.find(p => p.id === programId);
+    if (!program) return;
+
+    const constraints = { ...getProgramConstraints(programId), [field]: value };
+    setProgramConstraints(prev => ({
+      ...prev,
+      [programId]: constraints
+    }));
+
+    regenerateRoutines(program, getProgramFrequency(programId), constraints);
+  };
+
+  /**
+   * Generate routines from a program's exercise pool under its constraints
+   * @function regenerateRoutines
+   * @param {Object} program - Program with hydrated exercise pool
+   * @param {number} frequency - Training days per week (2-7)
+   * @param {Object} constraints - Form values from the constraints panel
+   */
+  const regenerateRoutines = (program, frequency, constraints) => {
     try {
-      const routines = generateRoutines(program.exercise_pool, frequency);
+      const { routines, excluded } = generateRoutinesWithReport(program.exercise_pool, frequency, {
+        split: constraints.split || undefined,
+        experienceLevel: constraints.experienceLevel || undefined,
+        equipment: constraints.equipment || undefined,
+        maxSessionMinutes: Number(constraints.maxSessionMinutes) || undefined,
+        excludedMuscles: constraints.excludedMuscles.split(',').map(m => m.trim()).filter(Boolean),
+        seed: constraints.seed
+      });
       setProgramRoutines(prev => ({
         ...prev,
-        [programId]: routines
+        [program.id]: routines
+      }));
+      setProgramExclusions(prev => ({
+        ...prev,
+        [program.id]: excluded
       }));
     } catch (err) {
       console.error('Error generating routines:', err);
     }
   };
 
+  /**
+   * Get generator constraints for a program (no limits by default)
+   * @function getProgramConstraints
+   * @param {string} programId - Program ID
+   * @returns {Object} Constraint form values; `equipment` is null when all equipment is available
+   */
+  const getProgramConstraints = (programId) => {
+    return programConstraints[programId] || DEFAULT_CONSTRAINTS;
+  };
+
+  /**
+   * Toggle one piece of equipment in a program's available list
+   * @function handleEquipmentToggle
+   * @param {Object} program - Program
+   * @param {string} item - Equipment type
+   * @param {Array<string>} allEquipment - Every equipment type in the pool
+   */
+  const handleEquipmentToggle = (program, item, allEquipment) => {
+    const current = getProgramConstraints(program.id).equipment || allEquipment;
+    const next = current.includes(item) ? current.filter(e => e !== item) : [...current, item];
+    handleConstraintChange(program.id, 'equipment', next.length === allEquipment.length ? null : next);
+  };
+
   /**
    * Get selected frequency for a program (default to 3)
    * @function getProgramFrequency
@@ -628,7 +707,7 @@ const ProgramLibrary = () => {
 
       programs.forEach(program => {
         if (program.exercise_pool && program.exercise_pool.length > 0) {
-          const routines = generateRoutines(program.exercise_pool, defaultFrequency);
+          const { routines } = generateRoutinesWithReport(program.exercise_pool, defaultFrequency);
           newRoutines[program.id] = routines;
           newFrequencies[program.id] = defaultFrequency;
         }
@@ -636,6 +715,8 @@ const ProgramLibrary = () => {
 
       setProgramRoutines(newRoutines);
       setProgramFrequencies(newFrequencies);
+      setProgramConstraints({});
+      setProgramExclusions({});
     }
   }, [programs]);
 
@@ -815,6 +896,99 @@ const ProgramLibrary = () => {
                     </select>
                   </div>
 
+                  {/* Generator Constraints */}
+                  <details className="routine-constraints">
+                    <summary>Constraints</summary>
+                    <label>
+                      Split
+                      <select
+                        value={getProgramConstraints(program.id).split}
+                        onChange={(e) => handleConstraintChange(program.id, 'split', e.target.value)}
+                      >
+                        <option value="">Auto (big/little muscles)</option>
+                        {Object.entries(SPLITS).map(([key, split]) => (
+                          <option key={key} value={key}>{split.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      Experience
+                      <select
+                        value={getProgramConstraints(program.id).experienceLevel}
+                        onChange={(e) => handleConstraintChange(program.id, 'experienceLevel', e.target.value)}
+                      >
+                        <option value="">Any</option>
+                        {Object.entries(EXPERIENCE_LEVELS).map(([key, level]) => (
+                          <option key={key} value={key}>{level.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      Max minutes
+                      <input
+                        type="number"
+                        min="10"
+                        step="5"
+                        placeholder="No limit"
+                        value={getProgramConstraints(program.id).maxSessionMinutes}
+                        onChange={(e) => handleConstraintChange(program.id, 'maxSessionMinutes', e.target.value)}
+                      />
+                    </label>
+                    <label>
+                      Exclude muscles
+                      <input
+                        type="text"
+                        placeholder="e.g. Lower Back, Front Deltoids"
+                        value={getProgramConstraints(program.id).excludedMuscles}
+                        onChange={(e) => handleConstraintChange(program.id, 'excludedMuscles', e.target.value)}
+                      />
+                    </label>
+                    {(() => {
+                      const allEquipment = getUniqueEquipmentTypes((program.exercise_pool || []).map(ex => ex.exercise_data || ex));
+                      const available = getProgramConstraints(program.id).equipment || allEquipment;
+                      return allEquipment.length > 0 && (
+                        <fieldset className="constraint-equipment">
+                          <legend>Equipment</legend>
+                          {allEquipment.map(item => (
+                            <label key={item}>
+                              <input
+                                type="checkbox"
+                                checked={available.includes(item)}
+                                onChange={() => handleEquipmentToggle(program, item, allEquipment)}
+                              />
+                              {item}
+                            </label>
+                          ))}
+                        </fieldset>
+                      );
+                    })()}
+                    <label>
+                      Seed
+                      <span className="constraint-seed">
+                        <input
+                          type="text"
+                          placeholder="Pool order"
+                          value={getProgramConstraints(program.id).seed}
+                          onChange={(e) => handleConstraintChange(program.id, 'seed', e.target.value)}
+                        />
+                        <button
+                          type="button"
+                          title="Pick a new seed"
+                          onClick={() => handleConstraintChange(program.id, 'seed', String(Math.floor(Math.random() * 100000)))}
+                        >
+                          Shuffle
+                        </button>
+                      </span>
+                    </label>
+                    {(programExclusions[program.id] || []).length > 0 && (
+                      <ul className="constraint-exclusions">
+                        {programExclusions[program.id].map(item => (
+                          <li key={item.exercise_id}>{item.exercise_name}: {item.reason}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </details>
+
                   {/* Muscle Map Preview - Shows coverage gaps */}
                   <div className="muscle-map-section">
                     <div 
@@ -852,7 +1026,14 @@ const ProgramLibrary = () => {
                     <div className="routine-preview">
                       <div className="routine-grid">
                         {getProgramRoutines(program.id).map((routine, idx) => (
-                          <div key={idx} className="routine-card-mini">
+                          <div
+                            key={idx}
+                            className="routine-card-mini"
+                            title={[
+                              ...routine.exercises.map(ex => `${ex.exercise_name}: ${ex.reason}`),
+                              ...(routine.dropped || []).map(ex => `${ex.exercise_name}: ${ex.reason}`)
+                            ].join('\n')}
+                          >
                             <div className="routine-header-mini">
                               <span className="routine-day">Day {idx + 1}</span>
                               <span className="routine-name-mini">{routine.name}</span>
@@ -860,6 +1041,7 @@ const ProgramLibrary = () => {
                             <div className="routine-stats-mini">
                               <span>{routine.exercises.length} ex</span>
                               <span>{routine.total_sets} sets</span>
+                              <span>~{routine.estimated_minutes} min</span>
                             </div>
                           </div>
                         ))}
@@ -0,0 +1,163 @@
+/**
+ * @file customFoods.js
+ * @description Creating user foods from a nutrition label. The label gives
+ * amounts per serving; foods stores them per 100g, and the serving itself is
+ * saved as the food's default portion so logging "1 serving" matches the label.
+ * A scanned barcode that matched nothing can be attached to the new food so
+ * the next scan finds it.
+ *
+ * New foods are private to their creator. Submitting one for verification puts
+ * it in the admin review queue; approving it makes it public.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { supabase } from '../supabaseClient.js';
+import { attachBarcodeToFood } from '../utils/foodSearch.js';
+import { LABEL_NUTRIENTS, labelToPer100g, validateLabel } from '../utils/nutritionLabel.js';
+
+/**
+ * Create a USER_CUSTOM food (with its serving portion) from label values.
+ * @param {Object} params
+ * @param {string} params.userId - Current user's id
+ * @param {string} params.name - Product name
+ * @param {string} [params.brand] - Brand owner
+ * @param {number} params.servingGrams - Label serving size in grams
+ * @param {string} [params.servingDescription] - Label serving text, e.g. "1 bar"
+ * @param {number|null} [params.servingsPerContainer] - Label servings per container
+ * @param {Object} params.perServing - Nutrients per serving (see LABEL_NUTRIENTS)
+ * @param {boolean} [params.submitForVerification] - Put the food in the admin review queue
+ * @param {string|null} [params.gtin] - GTIN-14 to attach, from findFoodByBarcode
+ * @returns {Promise<import('../utils/foodSearch.js').FoodSearchResult>} The foods row with `portions`
+ * and `barcode_attached` (false when there was no gtin or attaching it failed)
+ * @throws {Error} When the label fails validateLabel
+ */
+export async function createFoodFromLabel({
+  userId,
+  name,
+  brand,
+  servingGrams,
+  servingDescription,
+  servingsPerContainer = null,
+  perServing,
+  submitForVerification = false,
+  gtin,
+}) {
+  const trimmedName = String(name || '').trim();
+  if (!trimmedName) throw new Error('Food name is required');
+  const { errors } = validateLabel(perServing, servingGrams);
+  if (errors.length > 0) throw new Error(errors.join('. '));
+  const per100g = labelToPer100g(perServing, servingGrams);
+  // Blank label fields stay NULL (unknown), not 0
+  const nutrients = Object.fromEntries(LABEL_NUTRIENTS.map(({ key }) => [key, per100g[key] ?? null]));
+
+  const { data: food, error: foodError } = await supabase
+    .from('foods')
+    .insert({
+      name: trimmedName,
+      brand_owner: brand?.trim() || null,
+      category: 'custom',
+      data_source: 'USER_CUSTOM',
+      created_by: userId,
+      is_private: true,
+      verification_status: submitForVerification ? 'pending' : 'unsubmitted',
+      submitted_at: submitForVerification ? new Date().toISOString() : null,
+      servings_per_container: Number(servingsPerContainer) > 0 ? Number(servingsPerContainer) : null,
+      ...nutrients,
+    })
+    .select()
+    .single();
+  if (foodError) throw foodError;
+
+  const portionRows = [{
+    food_id: food.id,
+    amount: 1,
+    measure_unit: 'serving',
+    gram_weight: Number(servingGrams),
+    portion_description: servingDescription?.trim() || `1 serving (${Number(servingGrams)}g)`,
+  }];
+  if (food.servings_per_container) {
+    const containerGrams = Math.round(Number(servingGrams) * food.servings_per_container * 10) / 10;
+    portionRows.push({
+      food_id: food.id,
+      amount: 1,
+      measure_unit: 'container',
+      gram_weight: containerGrams,
+      portion_description: `1 container (${containerGrams}g)`,
+    });
+  }
+  const { data: portions, error: portionError } = await supabase
+    .from('portions')
+    .insert(portionRows)
+    .select();
+  if (portionError) {
+    // A food without its serving portion can't be logged by serving; don't leave it behind
+    const { error: cleanupError } = await supabase.from('foods').delete().eq('id', food.id);
+    if (cleanupError) console.error('Could not remove food after portion insert failed', cleanupError.message);
+    throw portionError;
+  }
+  // Label serving first: callers treat portions[0] as the default
+  portions.sort((a, b) => Number(b.measure_unit === 'serving') - Number(a.measure_unit === 'serving'));
+
+  // The food is already saved; losing the barcode shouldn't fail the whole
+  // create, but callers can tell from barcode_attached
+  let barcodeAttached = false;
+  if (gtin) {
+    try {
+      await attachBarcodeToFood(gtin, food.id, userId);
+      barcodeAttached = true;
+    } catch (err) {
+      console.error('Could not attach barcode to new food', err?.message ?? err);
+    }
+  }
+
+  return { ...food, portions, barcode_attached: barcodeAttached };
+}
+
+/**
+ * Submit one of the user's private foods for admin verification.
+ * @param {number} foodId - foods.id
+ * @returns {Promise<void>}
+ */
+export async function submitFoodForVerification(foodId) {
+  const { error } = await supabase.rpc('submit_food_for_verification', { p_food_id: foodId });
+  if (error) throw error;
+}
+
+/**
+ * Foods waiting for admin review, oldest submission first, with the creator's name.
+ * @returns {Promise<Array<Object>>} foods rows with `portions` and `creator_name`
+ */
+export async function listPendingFoods() {
+  const { data, error } = await supabase
+    .from('foods')
+    .select('*, portions (*)')
+    .eq('verification_status', 'pending')
+    .order('submitted_at', { ascending: true });
+  if (error) throw error;
+
+  const creatorIds = [...new Set((data || []).map(food => food.created_by).filter(Boolean))];
+  const names = new Map();
+  if (creatorIds.length > 0) {
+    const { data: profiles } = await supabase
+      .from('user_profiles')
+      .select('id, first_name, last_name')
+      .in('id', creatorIds);
+    (profiles || []).forEach(p => names.set(p.id, [p.first_name, p.last_name].filter(Boolean).join(' ')));
+  }
+  return (data || []).map(food => ({ ...food, creator_name: names.get(food.created_by) || null }));
+}
+
+/**
+ * Approve (make public) or reject a pending food. Admins only.
+ * @param {number} foodId - foods.id
+ * @param {boolean} approve - Whether to verify the food
+ * @param {string} [note] - Shown to the creator, e.g. why it was rejected
+ * @returns {Promise<void>}
+ */
+export async function reviewCustomFood(foodId, approve, note = '') {
+  const { error } = await supabase.rpc('review_custom_food', { p_food_id: foodId, p_approve: approve, p_note: note });
+  if (error) throw error;
+}
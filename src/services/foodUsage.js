@@ -0,0 +1,147 @@
+/**
+ * @file foodUsage.js
+ * @description Per-user quick-log lists for the nutrition log: the foods a user
+ * logged most recently and most often in a meal slot, plus their starred
+ * favorites, each with the amount they last logged in that slot.
+ *
+ * user_food_usage is maintained by a trigger on nutrition_logs (see migrations
+ * 20260102000000_user_food_usage.sql and 20260106000000_user_food_usage_edits.sql,
+ * which covers edited and deleted entries), so nothing here scans the log itself.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { supabase } from '../supabaseClient.js';
+
+/** Foods shown per quick-log list */
+const LIST_LIMIT = 8;
+
+const FOOD_SELECT = 'foods (*, portions (*))';
+
+/**
+ * @typedef {Object} QuickLogFood
+ * @property {import('../utils/foodSearch.js').FoodSearchResult} food - foods row with portions
+ * @property {number} timesLogged - Times logged in this slot
+ * @property {string|null} lastLoggedAt
+ * @property {number|null} lastQuantityG - Grams logged last time in this slot
+ * @property {string|null} lastPortionId - Portion picked last time
+ * @property {boolean} isFavorite
+ */
+
+const toQuickLogFood = (usage, food, favoriteIds) => ({
+  food,
+  timesLogged: usage?.times_logged ?? 0,
+  lastLoggedAt: usage?.last_logged_at ?? null,
+  lastQuantityG: usage?.last_quantity_g != null ? Number(usage.last_quantity_g) : null,
+  lastPortionId: usage?.last_portion_id ?? null,
+  isFavorite: favoriteIds.has(food.id),
+});
+
+/**
+ * Load the recent, frequent and favorite lists for one meal slot.
+ * Foods the user can no longer see (e.g. another user's private food) are dropped.
+ * @param {string} userId
+ * @param {string} mealType - 'breakfast' | 'lunch' | 'dinner' | 'snack1' | 'snack2'
+ * @returns {Promise<{ recent: QuickLogFood[], frequent: QuickLogFood[], favorites: QuickLogFood[] }>}
+ */
+export async function fetchQuickLogFoods(userId, mealType) {
+  const [recentRes, frequentRes, favoritesRes] = await Promise.all([
+    supabase
+      .from('user_food_usage')
+      .select(`*, ${FOOD_SELECT}`)
+      .eq('user_id', userId)
+      .eq('meal_type', mealType)
+      .order('last_logged_at', { ascending: false })
+      .limit(LIST_LIMIT),
+    supabase
+      .from('user_food_usage')
+      .select(`*, ${FOOD_SELECT}`)
+      .eq('user_id', userId)
+      .eq('meal_type', mealType)
+      .gte('times_logged', 2)
+      .order('times_logged', { ascending: false })
+      .order('last_logged_at', { ascending: false })
+      .limit(LIST_LIMIT),
+    supabase
+      .from('user_favorite_foods')
+      .select(`food_id, created_at, ${FOOD_SELECT}`)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false }),
+  ]);
+
+  if (recentRes.error) throw recentRes.error;
+  if (frequentRes.error) throw frequentRes.error;
+  if (favoritesRes.error) throw favoritesRes.error;
+
+  const favoriteRows = (favoritesRes.data || []).filter(row => row.foods);
+  const favoriteIds = new Set(favoriteRows.map(row => row.food_id));
+
+  // Favorites still prefill with what was logged in this slot
+  let favoriteUsage = [];
+  if (favoriteRows.length > 0) {
+    const { data, error } = await supabase
+      .from('user_food_usage')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('meal_type', mealType)
+      .in('food_id', favoriteRows.map(row => row.food_id));
+    if (error) throw error;
+    favoriteUsage = data || [];
+  }
+
+  const fromUsage = rows => (rows || [])
+    .filter(row => row.foods)
+    .map(row => toQuickLogFood(row, row.foods, favoriteIds));
+
+  return {
+    recent: fromUsage(recentRes.data),
+    frequent: fromUsage(frequentRes.data),
+    favorites: favoriteRows.map(row => toQuickLogFood(
+      favoriteUsage.find(usage => usage.food_id === row.food_id),
+      row.foods,
+      favoriteIds,
+    )),
+  };
+}
+
+/**
+ * Star or unstar a food.
+ * @param {string} userId
+ * @param {number} foodId
+ * @param {boolean} favorite - true to star, false to unstar
+ * @returns {Promise<void>}
+ */
+export async function setFavoriteFood(userId, foodId, favorite) {
+  const { error } = favorite
+    ? await supabase
+      .from('user_favorite_foods')
+      .upsert({ user_id: userId, food_id: foodId }, { onConflict: 'user_id,food_id', ignoreDuplicates: true })
+    : await supabase
+      .from('user_favorite_foods')
+      .delete()
+      .eq('user_id', userId)
+      .eq('food_id', foodId);
+  if (error) throw error;
+}
+
+/**
+ * The amount to prefill for a quick-log food: the portion used last time (or
+ * the food's default portion) and how many of it make up the last grams.
+ * @param {QuickLogFood} item
+ * @returns {{ portion: Object|null, servings: number, grams: number }}
+ */
+export function quickLogAmount(item) {
+  const portions = item.food.portions || [];
+  const portion = portions.find(p => p.id === item.lastPortionId) || portions[0] || null;
+  const portionGrams = Number(portion?.gram_weight) || 100;
+  const grams = item.lastQuantityG || portionGrams;
+  return {
+    portion,
+    servings: Math.round((grams / portionGrams) * 100) / 100,
+    grams,
+  };
+}
+
+export default { fetchQuickLogFoods, setFavoriteFood, quickLogAmount };
@@ -0,0 +1,256 @@
+/**
+ * @file macrocycles.js
+ * @description Macrocycles: an ordered chain of mesocycles (e.g. accumulation →
+ * intensification → realization → deload) planned back from a target date such
+ * as a meet or photo shoot.
+ *
+ * - Blocks are mesocycles with macrocycle_id, macrocycle_order and phase set;
+ *   their start/end dates are laid out back-to-back so the last block ends on
+ *   the target date (planMacrocycleSchedule in lib/cycleUtils.js). Blocks that
+ *   already have training logged keep their dates.
+ * - When a block finishes (every session complete or skipped) it is marked
+ *   complete and the next block is activated, inheriting the finished block's
+ *   last e1RM per exercise (starting_e1rms) and last work sets (carryover_loads).
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { getDateForDayNumber, isMesocycleFinished, planMacrocycleSchedule } from '../lib/cycleUtils.js';
+import { supabase } from '../supabaseClient.js';
+import { DEFAULT_ONE_RM_FORMULA } from '../utils/fitnessCalculators.js';
+import { assignLogWeeks, buildE1rmChanges, getDeloadWeeks } from '../utils/mesocycleReport.js';
+import { computeCarryoverLoads } from './mesocycleTemplates.js';
+
+/**
+ * The user's macrocycles, soonest target first.
+ * @param {string} userId - Owner
+ * @returns {Promise<Array<Object>>} macrocycles rows with `blocks` (mesocycles in order)
+ */
+export const listMacrocycles = async (userId) => {
+  const { data, error } = await supabase
+    .from('macrocycles')
+    .select('*, blocks:mesocycles(id, name, weeks, phase, macrocycle_order, start_date, end_date, is_active, is_complete)')
+    .eq('user_id', userId)
+    .order('target_date', { ascending: true });
+  if (error) throw error;
+  return (data || []).map((m) => ({
+    ...m,
+    blocks: [...(m.blocks || [])].sort((a, b) => (a.macrocycle_order ?? 0) - (b.macrocycle_order ?? 0)),
+  }));
+};
+
+/**
+ * One macrocycle with its blocks in order.
+ * @param {string} macrocycleId - macrocycles.id
+ * @returns {Promise<{macrocycle: Object, blocks: Array<Object>}>}
+ */
+export const getMacrocycle = async (macrocycleId) => {
+  const { data: macrocycle, error } = await supabase.from('macrocycles').select('*').eq('id', macrocycleId).single();
+  if (error) throw error;
+  const { data: blocks, error: blocksError } = await supabase
+    .from('mesocycles')
+    .select('*')
+    .eq('macrocycle_id', macrocycleId)
+    .order('macrocycle_order', { ascending: true });
+  if (blocksError) throw blocksError;
+  return { macrocycle, blocks: blocks || [] };
+};
+
+/**
+ * Create an empty macrocycle.
+ * @param {Object} params
+ * @param {string} params.userId - Owner
+ * @param {string} params.name - Macrocycle name
+ * @param {string} params.targetDate - YYYY-MM-DD of the meet, shoot or test day
+ * @param {string} [params.goal] - Free-text goal
+ * @returns {Promise<string>} New macrocycle id
+ */
+export const createMacrocycle = async ({ userId, name, targetDate, goal = null }) => {
+  const { data, error } = await supabase
+    .from('macrocycles')
+    .insert({ user_id: userId, name: name.trim(), target_date: targetDate, goal: goal?.trim() || null })
+    .select('id')
+    .single();
+  if (error) throw error;
+  return data.id;
+};
+
+/**
+ * Update a macrocycle's name, goal or target date.
+ * @param {string} macrocycleId - macrocycles.id
+ * @param {Object} fields - { name?, goal?, target_date? }
+ * @returns {Promise<void>}
+ */
+export const updateMacrocycle = async (macrocycleId, fields) => {
+  const { error } = await supabase
+    .from('macrocycles')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', macrocycleId);
+  if (error) throw error;
+};
+
+/**
+ * Delete a macrocycle. Its mesocycles are kept and simply leave the chain.
+ * @param {string} macrocycleId - macrocycles.id
+ * @returns {Promise<void>}
+ */
+export const deleteMacrocycle = async (macrocycleId) => {
+  const { error } = await supabase.from('macrocycles').delete().eq('id', macrocycleId);
+  if (error) throw error;
+};
+
+/**
+ * Mesocycles with logged training (a completed or skipped day) keep their dates.
+ * @param {Array<string>} mesocycleIds - mesocycles ids
+ * @returns {Promise<Set<string>>} Ids of blocks that have started
+ */
+const findStartedBlocks = async (mesocycleIds) => {
+  if (mesocycleIds.length === 0) return new Set();
+  const { data, error } = await supabase
+    .from('mesocycle_weeks')
+    .select('mesocycle_id')
+    .in('mesocycle_id', mesocycleIds)
+    .or('is_complete.eq.true,skipped.eq.true');
+  if (error) throw error;
+  return new Set((data || []).map((r) => r.mesocycle_id));
+};
+
+/**
+ * Save the chain: which mesocycles belong to the macrocycle, in what order and
+ * phase, then lay out their dates back from the target date.
+ *
+ * @param {Object} params
+ * @param {Object} params.macrocycle - macrocycles row ({ id, target_date })
+ * @param {Array<{id: string, weeks: number, phase: string|null, is_complete?: boolean}>} params.blocks - New order
+ * @param {Array<string>} [params.removedIds] - Mesocycles leaving the chain
+ * @returns {Promise<{scheduled: number, locked: number}>} Blocks re-dated and blocks left as they were
+ */
+export const saveMacrocycleBlocks = async ({ macrocycle, blocks, removedIds = [] }) => {
+  if (removedIds.length > 0) {
+    const { error } = await supabase
+      .from('mesocycles')
+      .update({ macrocycle_id: null, macrocycle_order: null, phase: null })
+      .in('id', removedIds);
+    if (error) throw error;
+  }
+
+  const started = await findStartedBlocks(blocks.map((b) => b.id));
+  const schedule = planMacrocycleSchedule(blocks, macrocycle.target_date);
+  // Only the first unfinished block is active; the rest wait their turn
+  const currentId = blocks.find((b) => !b.is_complete)?.id ?? null;
+  let locked = 0;
+  for (const [index, block] of blocks.entries()) {
+    const update = {
+      macrocycle_id: macrocycle.id,
+      macrocycle_order: index + 1,
+      phase: block.phase || null,
+      is_active: block.id === currentId,
+    };
+    if (started.has(block.id)) {
+      locked += 1;
+    } else {
+      update.start_date = schedule[index].start_date;
+      update.end_date = schedule[index].end_date;
+    }
+    const { error } = await supabase.from('mesocycles').update(update).eq('id', block.id);
+    if (error) throw error;
+  }
+  return { scheduled: blocks.length - locked, locked };
+};
+
+/**
+ * Last e1RM per exercise from a block's final non-deload training week.
+ * @param {Object} mesocycle - mesocycles row
+ * @param {Array<Object>} rows - Its mesocycle_weeks rows
+ * @returns {Promise<Object|null>} { [exercise_id]: e1RM in lb }
+ */
+export const computeEndingE1rms = async (mesocycle, rows) => {
+  const routineIds = [...new Set(rows.map((r) => r.routine_id).filter(Boolean))];
+  if (!mesocycle.start_date || routineIds.length === 0) return null;
+  const weeks = mesocycle.weeks || 1;
+
+  const { data: logs, error: logsError } = await supabase
+    .from('workout_logs')
+    .select('id, log_date')
+    .eq('user_id', mesocycle.user_id)
+    .eq('is_complete', true)
+    .in('routine_id', routineIds)
+    .gte('log_date', mesocycle.start_date)
+    .lte('log_date', getDateForDayNumber(mesocycle.start_date, weeks * 7 - 1));
+  if (logsError) throw logsError;
+  if (!logs || logs.length === 0) return null;
+
+  const { data: stats, error: statsError } = await supabase
+    .from('workout_exercise_session_stats')
+    .select('workout_log_id, exercise_id, set_details')
+    .in('workout_log_id', logs.map((l) => l.id));
+  if (statsError) throw statsError;
+
+  const { data: profile } = await supabase
+    .from('user_profiles')
+    .select('one_rm_formula, e1rm_rpe_adjusted')
+    .eq('user_id', mesocycle.user_id)
+    .maybeSingle();
+
+  const changes = buildE1rmChanges(stats, assignLogWeeks(logs, mesocycle.start_date, weeks), {
+    deloadWeeks: getDeloadWeeks(rows, mesocycle.loading_plan),
+    formula: profile?.one_rm_formula || DEFAULT_ONE_RM_FORMULA,
+    rpeAdjusted: profile?.e1rm_rpe_adjusted === true,
+  });
+  if (changes.length === 0) return null;
+  return Object.fromEntries(changes.map((c) => [c.exerciseId, Math.round(c.last)]));
+};
+
+/**
+ * Mark a mesocycle complete once every session is complete or skipped and,
+ * when it belongs to a macrocycle, activate the next block with the finished
+ * block's e1RMs and last work sets. Safe to call repeatedly.
+ *
+ * @param {string} mesocycleId - mesocycles.id
+ * @returns {Promise<{completed: boolean, nextMesocycleId: string|null}>}
+ */
+export const completeMesocycleIfFinished = async (mesocycleId) => {
+  const { data: mesocycle, error } = await supabase.from('mesocycles').select('*').eq('id', mesocycleId).maybeSingle();
+  if (error) throw error;
+  if (!mesocycle || mesocycle.is_complete) return { completed: false, nextMesocycleId: null };
+
+  const { data: rows, error: rowsError } = await supabase
+    .from('mesocycle_weeks')
+    .select('*')
+    .eq('mesocycle_id', mesocycleId);
+  if (rowsError) throw rowsError;
+  if (!isMesocycleFinished(rows)) return { completed: false, nextMesocycleId: null };
+
+  const { error: completeError } = await supabase
+    .from('mesocycles')
+    .update({ is_complete: true, is_active: mesocycle.macrocycle_id ? false : mesocycle.is_active })
+    .eq('id', mesocycleId);
+  if (completeError) throw completeError;
+  if (!mesocycle.macrocycle_id) return { completed: true, nextMesocycleId: null };
+
+  const { data: next } = await supabase
+    .from('mesocycles')
+    .select('id, carryover_loads')
+    .eq('macrocycle_id', mesocycle.macrocycle_id)
+    .gt('macrocycle_order', mesocycle.macrocycle_order ?? 0)
+    .order('macrocycle_order', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  if (!next) return { completed: true, nextMesocycleId: null };
+
+  const startingE1rms = await computeEndingE1rms(mesocycle, rows);
+  const carryoverLoads = next.carryover_loads ?? await computeCarryoverLoads(mesocycle.user_id, rows);
+  const { error: nextError } = await supabase
+    .from('mesocycles')
+    .update({
+      is_active: true,
+      previous_mesocycle_id: mesocycle.id,
+      starting_e1rms: startingE1rms,
+      carryover_loads: carryoverLoads,
+    })
+    .eq('id', next.id);
+  if (nextError) throw nextError;
+  return { completed: true, nextMesocycleId: next.id };
+};
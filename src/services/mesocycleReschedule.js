@@ -0,0 +1,176 @@
+/**
+ * @file mesocycleReschedule.js
+ * @description Applies a reschedule plan from `planReschedule` (src/lib/cycleUtils.js)
+ * to `mesocycle_weeks`, `cycle_sessions` and the mesocycle length, and returns an
+ * undo snapshot that restores the previous schedule.
+ *
+ * The writes are sequential rather than transactional; if one fails part way the
+ * returned error leaves earlier writes in place, so callers should reload the
+ * schedule and offer undo of what was applied (see the `applied` snapshot on the error).
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { supabase } from '../supabaseClient.js';
+import { getDateForDayNumber } from '../lib/cycleUtils.js';
+
+/** Postgres "undefined table" — cycle_sessions is optional in older deployments */
+const MISSING_TABLE = '42P01';
+
+const emptyUndo = (mesocycle) => ({
+  mesocycleId: mesocycle.id,
+  previousWeeks: mesocycle.weeks,
+  previousEndDate: mesocycle.end_date ?? null,
+  weeksChanged: false,
+  rowUpdates: [],
+  insertedIds: [],
+  sessionUpdates: [],
+  skipIds: [],
+  sessionSkipIds: [],
+});
+
+/**
+ * Find the pending cycle_sessions row generated for a mesocycle_weeks slot.
+ * @returns {Promise<Object|null>} cycle_sessions row
+ */
+const findSessionForSlot = async (mesocycleId, slot, routineId) => {
+  const { data, error } = await supabase
+    .from('cycle_sessions')
+    .select('id, week_index, day_index, scheduled_date')
+    .eq('mesocycle_id', mesocycleId)
+    .eq('week_index', slot.week_index)
+    .eq('day_index', slot.day_index)
+    .eq('routine_id', routineId)
+    .eq('is_complete', false)
+    .limit(1)
+    .maybeSingle();
+  if (error) {
+    if (error.code === MISSING_TABLE) return null;
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * Write a reschedule plan.
+ *
+ * @param {Object} params
+ * @param {Object} params.mesocycle - mesocycles row ({ id, weeks, end_date })
+ * @param {Object} params.plan - Successful result of planReschedule
+ * @returns {Promise<Object>} Undo snapshot for undoReschedule
+ * @throws {Error} With `applied` (partial undo snapshot) when a write fails
+ */
+export const applyReschedule = async ({ mesocycle, plan }) => {
+  const undo = emptyUndo(mesocycle);
+  try {
+    // Drop: flag the day (and its generated session) as skipped
+    if (plan.skipIds.length > 0) {
+      const { data: skippedRows, error } = await supabase
+        .from('mesocycle_weeks')
+        .update({ skipped: true })
+        .in('id', plan.skipIds)
+        .select('id, week_index, day_index, routine_id');
+      if (error) throw error;
+      undo.skipIds = plan.skipIds;
+      for (const row of skippedRows || []) {
+        const session = await findSessionForSlot(mesocycle.id, row, row.routine_id);
+        if (!session) continue;
+        const { error: sessionError } = await supabase.from('cycle_sessions').update({ is_skipped: true }).eq('id', session.id);
+        if (sessionError) throw sessionError;
+        undo.sessionSkipIds.push(session.id);
+      }
+    }
+
+    if (plan.weeks !== mesocycle.weeks) {
+      const update = { weeks: plan.weeks };
+      if (mesocycle.end_date) {
+        update.end_date = getDateForDayNumber(mesocycle.end_date, (plan.weeks - mesocycle.weeks) * 7);
+      }
+      const { error } = await supabase.from('mesocycles').update(update).eq('id', mesocycle.id);
+      if (error) throw error;
+      undo.weeksChanged = true;
+    }
+
+    if (plan.inserts.length > 0) {
+      const { data: inserted, error } = await supabase
+        .from('mesocycle_weeks')
+        .insert(plan.inserts.map((row) => ({ ...row, mesocycle_id: mesocycle.id })))
+        .select('id');
+      if (error) throw error;
+      undo.insertedIds = (inserted || []).map((row) => row.id);
+    }
+
+    // Look sessions up before moving any, since moves can land on each other's slots
+    const sessions = [];
+    for (const move of plan.moves) {
+      sessions.push(await findSessionForSlot(mesocycle.id, move.from, move.routine_id));
+    }
+
+    for (const update of plan.updates) {
+      const { error } = await supabase.from('mesocycle_weeks').update(update.after).eq('id', update.id);
+      if (error) throw error;
+      undo.rowUpdates.push({ id: update.id, before: update.before });
+    }
+
+    for (let i = 0; i < plan.moves.length; i++) {
+      const move = plan.moves[i];
+      const session = sessions[i];
+      if (!session) continue;
+      const { error } = await supabase
+        .from('cycle_sessions')
+        .update({
+          week_index: move.to.week_index,
+          day_index: move.to.day_index,
+          scheduled_date: getDateForDayNumber(session.scheduled_date, move.toDay - move.fromDay),
+        })
+        .eq('id', session.id);
+      if (error) throw error;
+      undo.sessionUpdates.push({
+        id: session.id,
+        before: { week_index: session.week_index, day_index: session.day_index, scheduled_date: session.scheduled_date },
+      });
+    }
+
+    return undo;
+  } catch (err) {
+    err.applied = undo;
+    throw err;
+  }
+};
+
+/**
+ * Restore the schedule captured by applyReschedule.
+ * @param {Object} undo - Snapshot returned by applyReschedule
+ * @returns {Promise<void>}
+ */
+export const undoReschedule = async (undo) => {
+  for (const session of undo.sessionUpdates) {
+    const { error } = await supabase.from('cycle_sessions').update(session.before).eq('id', session.id);
+    if (error) throw error;
+  }
+  for (const row of undo.rowUpdates) {
+    const { error } = await supabase.from('mesocycle_weeks').update(row.before).eq('id', row.id);
+    if (error) throw error;
+  }
+  if (undo.insertedIds.length > 0) {
+    const { error } = await supabase.from('mesocycle_weeks').delete().in('id', undo.insertedIds);
+    if (error) throw error;
+  }
+  if (undo.weeksChanged) {
+    const { error } = await supabase
+      .from('mesocycles')
+      .update({ weeks: undo.previousWeeks, end_date: undo.previousEndDate })
+      .eq('id', undo.mesocycleId);
+    if (error) throw error;
+  }
+  if (undo.skipIds.length > 0) {
+    const { error } = await supabase.from('mesocycle_weeks').update({ skipped: false }).in('id', undo.skipIds);
+    if (error) throw error;
+  }
+  if (undo.sessionSkipIds.length > 0) {
+    const { error } = await supabase.from('cycle_sessions').update({ is_skipped: false }).in('id', undo.sessionSkipIds);
+    if (error) throw error;
+  }
+};
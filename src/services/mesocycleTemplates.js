@@ -0,0 +1,369 @@
+/**
+ * @file mesocycleTemplates.js
+ * @description Mesocycle template library: save a mesocycle as a reusable
+ * template, start a new mesocycle from a template, clone a finished mesocycle
+ * ("run it back") with its last loads carried forward, and publish templates to
+ * a trainer's clients.
+ *
+ * Templates snapshot the week/day layout, deloads, loading plan and the routines
+ * themselves (see the 20251225000000 migration for the shapes). Starting your own
+ * template reuses your routines; starting someone else's (a trainer's) copies the
+ * routines into your account first, since routines are private to their owner.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { supabase } from '../supabaseClient.js';
+import { recordInitialRoutineVersion } from './routineVersions.js';
+import { createClientId } from './workoutSyncQueue.js';
+
+/** Columns of a routine_exercises row that belong to the row rather than the prescription */
+const ROUTINE_EXERCISE_ROW_FIELDS = ['id', 'routine_id', 'created_at', 'updated_at'];
+
+/**
+ * Day type of a mesocycle_weeks row, as the builder derives it: explicit
+ * rest/deload notes win, otherwise a routine, otherwise rest.
+ * @param {Object} row - mesocycle_weeks row
+ * @returns {'routine'|'rest'|'deload'}
+ */
+const getDayType = (row) => {
+  if (row.notes === 'rest' || row.notes === 'deload') return row.notes;
+  return row.routine_id ? 'routine' : 'rest';
+};
+
+/**
+ * Load the routines used by a mesocycle with their exercises.
+ * @param {Array<string>} routineIds - workout_routines ids
+ * @returns {Promise<Array<Object>>} Template routine snapshots
+ */
+const snapshotRoutines = async (routineIds) => {
+  if (routineIds.length === 0) return [];
+  const { data: routines, error } = await supabase
+    .from('workout_routines')
+    .select('id, routine_name, name, description, routine_type')
+    .in('id', routineIds);
+  if (error) throw error;
+
+  const { data: exercises, error: exercisesError } = await supabase
+    .from('routine_exercises')
+    .select('*')
+    .in('routine_id', routineIds)
+    .order('exercise_order', { ascending: true });
+  if (exercisesError) throw exercisesError;
+
+  return (routines || []).map((routine) => ({
+    id: routine.id,
+    routine_name: routine.routine_name || routine.name || 'Routine',
+    description: routine.description ?? null,
+    routine_type: routine.routine_type ?? null,
+    exercises: (exercises || [])
+      .filter((ex) => ex.routine_id === routine.id)
+      .map((ex) => Object.fromEntries(Object.entries(ex).filter(([key]) => !ROUTINE_EXERCISE_ROW_FIELDS.includes(key)))),
+  }));
+};
+
+/**
+ * Build a template snapshot (not saved) from a mesocycle.
+ * @param {string} mesocycleId - mesocycles.id
+ * @returns {Promise<{mesocycle: Object, rows: Array<Object>, template: Object}>}
+ */
+export const buildTemplateFromMesocycle = async (mesocycleId) => {
+  const { data: mesocycle, error } = await supabase.from('mesocycles').select('*').eq('id', mesocycleId).single();
+  if (error) throw error;
+
+  const { data: rows, error: rowsError } = await supabase
+    .from('mesocycle_weeks')
+    .select('*')
+    .eq('mesocycle_id', mesocycleId)
+    .order('week_index', { ascending: true })
+    .order('day_index', { ascending: true });
+  if (rowsError) throw rowsError;
+
+  const routineIds = [...new Set((rows || []).map((r) => r.routine_id).filter(Boolean))];
+  const routines = await snapshotRoutines(routineIds);
+  const routineNames = new Map(routines.map((r) => [r.id, r.routine_name]));
+
+  const template = {
+    name: mesocycle.name,
+    focus: mesocycle.focus ?? null,
+    weeks: mesocycle.weeks,
+    loading_plan: mesocycle.loading_plan ?? null,
+    days: (rows || []).map((row) => ({
+      week_index: row.week_index,
+      day_index: row.day_index,
+      type: getDayType(row),
+      routine_id: row.routine_id ?? null,
+      routine_name: row.routine_id ? (routineNames.get(row.routine_id) ?? row.routine_name ?? null) : null,
+    })),
+    routines,
+  };
+  return { mesocycle, rows: rows || [], template };
+};
+
+/**
+ * Save a mesocycle to the template library.
+ * @param {Object} params
+ * @param {string} params.userId - Owner
+ * @param {string} params.mesocycleId - Mesocycle to snapshot
+ * @param {string} [params.name] - Template name (defaults to the mesocycle name)
+ * @param {string} [params.description]
+ * @returns {Promise<Object>} The saved mesocycle_templates row
+ */
+export const saveMesocycleAsTemplate = async ({ userId, mesocycleId, name, description = null }) => {
+  const { template } = await buildTemplateFromMesocycle(mesocycleId);
+  const { data, error } = await supabase
+    .from('mesocycle_templates')
+    .insert({
+      ...template,
+      name: name?.trim() || template.name || 'Untitled template',
+      description,
+      owner_id: userId,
+      source_mesocycle_id: mesocycleId,
+    })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Templates visible to the user: their own plus any published by their trainers
+ * (row-level security decides which).
+ * @param {string} userId - Current user
+ * @returns {Promise<Array<Object>>} Templates with an `isOwn` flag, newest first
+ */
+export const listTemplates = async (userId) => {
+  const { data, error } = await supabase
+    .from('mesocycle_templates')
+    .select('*')
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return (data || []).map((template) => ({ ...template, isOwn: template.owner_id === userId }));
+};
+
+/**
+ * Publish or unpublish a template to the owner's active clients.
+ * @param {string} templateId - mesocycle_templates.id
+ * @param {boolean} published - New state
+ * @returns {Promise<void>}
+ */
+export const setTemplatePublished = async (templateId, published) => {
+  const { error } = await supabase
+    .from('mesocycle_templates')
+    .update({ published_to_clients: published, updated_at: new Date().toISOString() })
+    .eq('id', templateId);
+  if (error) throw error;
+};
+
+/**
+ * Delete one of the user's templates. Mesocycles started from it are kept.
+ * @param {string} templateId - mesocycle_templates.id
+ * @returns {Promise<void>}
+ */
+export const deleteTemplate = async (templateId) => {
+  const { error } = await supabase.from('mesocycle_templates').delete().eq('id', templateId);
+  if (error) throw error;
+};
+
+/**
+ * Copy template routines into the user's account.
+ * @param {string} userId - New owner
+ * @param {Array<Object>} routines - Template routine snapshots
+ * @returns {Promise<Object>} Template routine id → new routine id
+ */
+const copyRoutines = async (userId, routines) => {
+  if (routines.length === 0) return {};
+  // Ids are assigned here so the map doesn't depend on the order rows come back in
+  const idMap = Object.fromEntries(routines.map((routine) => [routine.id, createClientId()]));
+  const { error } = await supabase
+    .from('workout_routines')
+    .insert(routines.map((routine) => ({
+      id: idMap[routine.id],
+      user_id: userId,
+      routine_name: routine.routine_name,
+      name: routine.routine_name,
+      description: routine.description,
+      routine_type: routine.routine_type,
+      is_active: true,
+      is_public: false,
+    })));
+  if (error) throw error;
+
+  const exercises = routines.flatMap((routine) => (routine.exercises || []).map((ex) => ({ ...ex, routine_id: idMap[routine.id] })));
+  if (exercises.length > 0) {
+    const { error: exercisesError } = await supabase.from('routine_exercises').insert(exercises);
+    if (exercisesError) {
+      // Rollback: don't leave empty routines behind
+      await supabase.from('workout_routines').delete().in('id', Object.values(idMap));
+      throw exercisesError;
+    }
+  }
+
+  // Start each copy's history, as a newly built routine does (non-fatal)
+  await Promise.all(routines.map(async (routine) => {
+    try {
+      await recordInitialRoutineVersion({
+        routineId: idMap[routine.id],
+        routineName: routine.routine_name,
+        items: [...(routine.exercises || [])].sort((a, b) => (a.exercise_order ?? 0) - (b.exercise_order ?? 0)),
+        userId,
+      });
+    } catch (versionError) {
+      console.warn('Failed to record first routine version:', versionError);
+    }
+  }));
+  return idMap;
+};
+
+/**
+ * Map template routine ids to routines the user can train. The user's own
+ * routines are reused; anything else (or anything since deleted) is copied.
+ * @returns {Promise<Object>} Template routine id → routine id
+ */
+const resolveRoutines = async (userId, routines) => {
+  const ids = routines.map((r) => r.id);
+  const { data: owned } = ids.length > 0
+    ? await supabase.from('workout_routines').select('id').eq('user_id', userId).in('id', ids)
+    : { data: [] };
+  const ownedIds = new Set((owned || []).map((r) => r.id));
+  const copied = await copyRoutines(userId, routines.filter((r) => !ownedIds.has(r.id)));
+  return { ...Object.fromEntries([...ownedIds].map((id) => [id, id])), ...copied };
+};
+
+/**
+ * Start a new mesocycle from a template (or from buildTemplateFromMesocycle's snapshot).
+ *
+ * @param {Object} params
+ * @param {string} params.userId - New mesocycle's owner
+ * @param {Object} params.template - Template row or snapshot ({ name, focus, weeks, days, routines, loading_plan })
+ * @param {string|null} params.startDate - YYYY-MM-DD
+ * @param {string} [params.name] - Mesocycle name (defaults to the template name)
+ * @param {Object} [params.extra] - Extra mesocycles columns (template_id, previous_mesocycle_id, carryover_loads)
+ * @returns {Promise<string>} New mesocycle id
+ */
+export const createMesocycleFromTemplate = async ({ userId, template, startDate, name, extra = {} }) => {
+  const routineIdMap = await resolveRoutines(userId, template.routines || []);
+
+  const { data: created, error } = await supabase
+    .from('mesocycles')
+    .insert({
+      name: name?.trim() || template.name,
+      focus: template.focus || 'Hypertrophy',
+      weeks: template.weeks,
+      start_date: startDate || null,
+      loading_plan: template.loading_plan ?? null,
+      user_id: userId,
+      ...extra,
+    })
+    .select('id')
+    .single();
+  if (error) throw error;
+
+  const rows = (template.days || []).map((day) => ({
+    mesocycle_id: created.id,
+    week_index: day.week_index,
+    day_index: day.day_index,
+    routine_id: day.routine_id ? (routineIdMap[day.routine_id] ?? null) : null,
+    notes: day.type === 'rest' || day.type === 'deload' ? day.type : null,
+    is_complete: false,
+    completed_at: null,
+    skipped: false,
+  }));
+  if (rows.length > 0) {
+    const { error: weeksError } = await supabase.from('mesocycle_weeks').insert(rows);
+    if (weeksError) {
+      await supabase.from('mesocycles').delete().eq('id', created.id);
+      throw weeksError;
+    }
+  }
+  return created.id;
+};
+
+/**
+ * Last work sets per exercise from a finished block: for each routine, the
+ * last session trained outside a deload. Later sessions win when an exercise
+ * appears in several routines.
+ *
+ * @param {string} userId - Lifter
+ * @param {Array<Object>} rows - mesocycle_weeks rows of the finished mesocycle
+ * @returns {Promise<Object|null>} { [exercise_id]: [{ set_number, weight_lbs, reps_completed, rpe_rating }] }
+ */
+export const computeCarryoverLoads = async (userId, rows) => {
+  const lastByRoutine = new Map();
+  rows
+    .filter((r) => r.routine_id && r.is_complete && r.completed_at && getDayType(r) !== 'deload' && r.day_type !== 'deload')
+    .forEach((r) => {
+      const prev = lastByRoutine.get(r.routine_id);
+      if (!prev || new Date(r.completed_at) > new Date(prev)) lastByRoutine.set(r.routine_id, r.completed_at);
+    });
+
+  const carryover = {};
+  const carriedAt = {};
+  for (const [routineId, completedAt] of lastByRoutine) {
+    const { data: log, error } = await supabase
+      .from('workout_logs')
+      .select('id, ended_at')
+      .eq('user_id', userId)
+      .eq('routine_id', routineId)
+      .eq('is_complete', true)
+      .lte('ended_at', completedAt)
+      .order('ended_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    if (!log) continue;
+
+    const { data: entries, error: entriesError } = await supabase
+      .from('workout_log_entries')
+      .select('exercise_id, set_number, weight_lbs, reps_completed, rpe_rating, is_warmup, parent_entry_id')
+      .eq('workout_log_id', log.id);
+    if (entriesError) throw entriesError;
+
+    const byExercise = {};
+    (entries || [])
+      .filter((e) => !e.is_warmup && !e.parent_entry_id && Number(e.weight_lbs) > 0 && Number(e.reps_completed) > 0)
+      .forEach((e) => {
+        if (!byExercise[e.exercise_id]) byExercise[e.exercise_id] = [];
+        byExercise[e.exercise_id].push({
+          set_number: e.set_number,
+          weight_lbs: Number(e.weight_lbs),
+          reps_completed: Number(e.reps_completed),
+          rpe_rating: e.rpe_rating ?? null,
+        });
+      });
+    Object.entries(byExercise).forEach(([exerciseId, sets]) => {
+      if (carriedAt[exerciseId] && new Date(carriedAt[exerciseId]) >= new Date(log.ended_at)) return;
+      carryover[exerciseId] = sets;
+      carriedAt[exerciseId] = log.ended_at;
+    });
+  }
+  return Object.keys(carryover).length > 0 ? carryover : null;
+};
+
+/**
+ * "Run it back": clone a finished mesocycle with a new start date, carrying
+ * its last loads forward so progression picks up where the block ended.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Owner
+ * @param {string} params.mesocycleId - Finished mesocycle
+ * @param {string|null} params.startDate - YYYY-MM-DD
+ * @returns {Promise<string>} New mesocycle id
+ */
+export const runItBack = async ({ userId, mesocycleId, startDate }) => {
+  const { mesocycle, rows, template } = await buildTemplateFromMesocycle(mesocycleId);
+  const carryoverLoads = await computeCarryoverLoads(userId, rows);
+  return createMesocycleFromTemplate({
+    userId,
+    template,
+    startDate,
+    name: `${mesocycle.name || 'Mesocycle'} (run it back)`,
+    extra: {
+      template_id: mesocycle.template_id ?? null,
+      previous_mesocycle_id: mesocycle.id,
+      carryover_loads: carryoverLoads,
+    },
+  });
+};
@@ -0,0 +1,91 @@
+/**
+ * @file nutritionLogCopy.js
+ * @description Copying nutrition log entries (one meal slot, a whole day, or
+ * picked entries) to another date and optionally another meal slot. Copies go
+ * through the copy_nutrition_logs RPC, which re-logs each entry with
+ * log_food_item so the nutrient snapshot is recomputed from the current food
+ * rather than duplicated.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { supabase } from '../supabaseClient.js';
+
+/**
+ * YYYY-MM-DD in the device's local timezone (log_date is a local date).
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+export function toLocalDateString(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Local date string for `days` days before `date`.
+ * @param {number} days
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+export function localDateDaysAgo(days, date = new Date()) {
+  const shifted = new Date(date);
+  shifted.setDate(shifted.getDate() - days);
+  return toLocalDateString(shifted);
+}
+
+/**
+ * Food entries (no water) the user logged on a date, oldest first.
+ * @param {string} userId
+ * @param {string} logDate - YYYY-MM-DD
+ * @returns {Promise<Array<Object>>} nutrition_logs rows with `foods(name, brand_owner)`
+ */
+export async function fetchFoodLogsForDate(userId, logDate) {
+  const { data, error } = await supabase
+    .from('nutrition_logs')
+    .select('id, meal_type, quantity_consumed, calories, log_date, foods(name, brand_owner)')
+    .eq('user_id', userId)
+    .eq('log_date', logDate)
+    .neq('meal_type', 'water')
+    .not('food_id', 'is', null)
+    .order('created_at');
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Copy entries to a date, keeping each entry's slot unless one is given.
+ * @param {string[]} logIds - nutrition_logs ids owned by the user
+ * @param {string} targetDate - YYYY-MM-DD
+ * @param {string|null} [targetMealType] - Slot for every copy, or null to keep each entry's slot
+ * @returns {Promise<number>} Number of entries copied
+ */
+export async function copyNutritionLogs(logIds, targetDate, targetMealType = null) {
+  if (!logIds.length) return 0;
+  const { data, error } = await supabase.rpc('copy_nutrition_logs', {
+    p_log_ids: logIds,
+    p_target_date: targetDate,
+    p_target_meal_type: targetMealType,
+  });
+  if (error) throw error;
+  return data ?? 0;
+}
+
+/**
+ * "Same as yesterday": copy yesterday's entries for a slot (or the whole day
+ * when mealType is null) into today.
+ * @param {string} userId
+ * @param {string|null} mealType - Slot to copy, or null for every slot
+ * @returns {Promise<number>} Number of entries copied (0 when yesterday is empty)
+ */
+export async function copyYesterday(userId, mealType) {
+  const logs = await fetchFoodLogsForDate(userId, localDateDaysAgo(1));
+  const ids = logs.filter(log => !mealType || log.meal_type === mealType).map(log => log.id);
+  return copyNutritionLogs(ids, toLocalDateString());
+}
+
+export default { toLocalDateString, localDateDaysAgo, fetchFoodLogsForDate, copyNutritionLogs, copyYesterday };
@@ -0,0 +1,67 @@
+/**
+ * @file recipeImport.js
+ * @description Matches parsed recipe ingredients (see utils/recipeParser.js)
+ * against the foods table using the same ranked search as food logging, and
+ * converts each ingredient's amount to grams for the best candidate. The
+ * results are suggestions for the user to review before a meal is saved.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { searchFoodsRanked } from '../utils/foodSearch.js';
+import { ingredientToGrams, parseRecipeText, searchTermsFor } from '../utils/recipeParser.js';
+
+/** Candidate foods kept per ingredient for the review step */
+const CANDIDATE_LIMIT = 5;
+
+/**
+ * @typedef {Object} IngredientMatch
+ * @property {ReturnType<typeof import('../utils/recipeParser.js').parseIngredientLine>} ingredient
+ * @property {Array<import('../utils/foodSearch.js').FoodSearchResult>} candidates - Best match first
+ * @property {import('../utils/foodSearch.js').FoodSearchResult|null} food - Selected candidate
+ * @property {number|null} grams - Amount of `food`, from ingredientToGrams
+ * @property {'mass'|'portion'|'density'|'estimate'|null} method - How grams were worked out
+ */
+
+/**
+ * Find candidate foods for one parsed ingredient, shortening the name until
+ * the search returns something.
+ * @param {ReturnType<typeof import('../utils/recipeParser.js').parseIngredientLine>} ingredient
+ * @returns {Promise<IngredientMatch>}
+ */
+export async function matchIngredient(ingredient) {
+  let candidates = [];
+  for (const term of searchTermsFor(ingredient.name)) {
+    candidates = (await searchFoodsRanked(term, { limit: CANDIDATE_LIMIT })) || [];
+    if (candidates.length > 0) break;
+  }
+
+  const food = candidates[0] || null;
+  const { grams, method } = food ? ingredientToGrams(ingredient, food) : { grams: null, method: null };
+  return { ingredient, candidates, food, grams, method };
+}
+
+/**
+ * Parse pasted recipe text and match every ingredient.
+ * Ingredients are searched one after another to keep the load on the foods
+ * table to one query at a time.
+ * @param {string} text - Pasted ingredient list
+ * @returns {Promise<{ matches: IngredientMatch[], servings: number|null }>}
+ * @throws {Error} When no ingredients could be read from the text
+ */
+export async function importRecipeText(text) {
+  const { ingredients, servings } = parseRecipeText(text);
+  if (ingredients.length === 0) {
+    throw new Error('No ingredients found. Put one ingredient per line, e.g. "2 cups cooked rice".');
+  }
+
+  const matches = [];
+  for (const ingredient of ingredients) {
+    matches.push(await matchIngredient(ingredient));
+  }
+  return { matches, servings };
+}
+
+export default { matchIngredient, importRecipeText };
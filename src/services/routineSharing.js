@@ -0,0 +1,184 @@
+/**
+ * @file routineSharing.js
+ * @description Sharing routines by link or code, and the public routine library.
+ *
+ * - Sharing gives a routine a share_code. The link `/routines/shared/<code>`
+ *   (or the bare code) lets anyone signed in preview it and import a copy
+ *   through the `shared-routine` edge function.
+ * - Shared routines that are also `is_public` are listed in the public library,
+ *   filterable by difficulty_level and routine_type, with their import_count.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { supabase } from '../supabaseClient.js';
+
+/** workout_routines.difficulty_level (1-5) labels */
+export const ROUTINE_DIFFICULTIES = [
+  { value: 1, label: 'Beginner' },
+  { value: 2, label: 'Novice' },
+  { value: 3, label: 'Intermediate' },
+  { value: 4, label: 'Advanced' },
+  { value: 5, label: 'Elite' },
+];
+
+/** workout_routines.routine_type values, as used for pro routines */
+export const ROUTINE_TYPES = ['Strength', 'Hypertrophy', 'Endurance', 'Interval', 'Bodyweight', 'Challenges'];
+
+// No 0/O or 1/I/L, so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const SHARE_PATH = '/routines/shared/';
+
+// Largest multiple of the alphabet size that fits in a byte; bytes at or above
+// it are redrawn so every character is equally likely
+const UNBIASED_BYTE_LIMIT = 256 - (256 % CODE_ALPHABET.length);
+
+/**
+ * Random share code.
+ * @returns {string}
+ */
+export const generateShareCode = () => {
+  let code = '';
+  const bytes = new Uint8Array(CODE_LENGTH);
+  while (code.length < CODE_LENGTH) {
+    crypto.getRandomValues(bytes);
+    for (const byte of bytes) {
+      if (byte < UNBIASED_BYTE_LIMIT && code.length < CODE_LENGTH) {
+        code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+      }
+    }
+  }
+  return code;
+};
+
+/**
+ * Link that opens the preview of a shared routine.
+ * @param {string} shareCode - workout_routines.share_code
+ * @returns {string}
+ */
+export const getShareLink = (shareCode) => `${window.location.origin}${SHARE_PATH}${shareCode}`;
+
+/**
+ * Share code from whatever the user pasted: a share link or the code itself.
+ * @param {string} input - Link or code
+ * @returns {string|null} Upper-cased code, or null when none is recognisable
+ */
+export const parseShareCode = (input) => {
+  const text = String(input || '').trim();
+  const fromLink = text.includes(SHARE_PATH) ? text.split(SHARE_PATH)[1].split(/[?#/]/)[0] : text;
+  const code = fromLink.toUpperCase();
+  return /^[A-Z0-9]{6,16}$/.test(code) ? code : null;
+};
+
+/**
+ * Label for a difficulty level.
+ * @param {number|null} level - workout_routines.difficulty_level
+ * @returns {string|null}
+ */
+export const getDifficultyLabel = (level) => ROUTINE_DIFFICULTIES.find(d => d.value === Number(level))?.label ?? null;
+
+/**
+ * Share a routine: give it a share code (kept if it already has one) and set
+ * whether it is listed in the public library.
+ * @param {Object} routine - workout_routines row (id, share_code)
+ * @param {Object} options
+ * @param {boolean} options.isPublic - List in the public library
+ * @param {number|null} [options.difficultyLevel] - 1-5
+ * @param {string|null} [options.routineType] - One of ROUTINE_TYPES
+ * @returns {Promise<Object>} The updated routine row
+ */
+export const shareRoutine = async (routine, { isPublic, difficultyLevel = null, routineType = null }) => {
+  const details = { is_public: isPublic, difficulty_level: difficultyLevel, routine_type: routineType };
+  if (routine.share_code) {
+    const { data, error } = await supabase.from('workout_routines').update(details).eq('id', routine.id).select('*').single();
+    if (error) throw error;
+    return data;
+  }
+  // A new code can collide with an existing one; retry a few times on unique violations
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data, error } = await supabase
+      .from('workout_routines')
+      .update({ ...details, share_code: generateShareCode(), shared_at: new Date().toISOString() })
+      .eq('id', routine.id)
+      .select('*')
+      .single();
+    if (!error) return data;
+    if (error.code !== '23505') throw error;
+  }
+  throw new Error('Could not create a unique share code. Please try again.');
+};
+
+/**
+ * Stop sharing a routine. The old link and code stop working.
+ * @param {string} routineId - workout_routines.id
+ * @returns {Promise<void>}
+ */
+export const unshareRoutine = async (routineId) => {
+  const { error } = await supabase
+    .from('workout_routines')
+    .update({ share_code: null, is_public: false })
+    .eq('id', routineId);
+  if (error) throw error;
+};
+
+/**
+ * Call the shared-routine edge function.
+ * @param {string} shareCode - Code to look up
+ * @param {'preview'|'import'} action
+ * @returns {Promise<Object>} Function response body
+ */
+const invokeSharedRoutine = async (shareCode, action) => {
+  const { data, error } = await supabase.functions.invoke('shared-routine', {
+    body: { share_code: shareCode, action },
+  });
+  if (error || data?.error) {
+    throw new Error(data?.error || error?.message || 'Unknown error');
+  }
+  return data;
+};
+
+/**
+ * A shared routine and its exercises, for previewing before import.
+ * @param {string} shareCode - workout_routines.share_code
+ * @returns {Promise<{routine: Object, is_owner: boolean}>}
+ */
+export const previewSharedRoutine = (shareCode) => invokeSharedRoutine(shareCode, 'preview');
+
+/**
+ * Import a copy of a shared routine into the current user's routines.
+ * @param {string} shareCode - workout_routines.share_code
+ * @returns {Promise<{routine_id: string, exercises_copied: number}>}
+ */
+export const importSharedRoutine = (shareCode) => invokeSharedRoutine(shareCode, 'import');
+
+/**
+ * Routines in the public library, most imported first.
+ * @param {Object} [filters]
+ * @param {number|null} [filters.difficultyLevel] - Only this difficulty
+ * @param {string|null} [filters.routineType] - Only this routine type
+ * @param {string} [filters.search] - Name contains
+ * @returns {Promise<Array<Object>>} workout_routines rows with `exercise_count`
+ */
+export const listPublicRoutines = async ({ difficultyLevel = null, routineType = null, search = '' } = {}) => {
+  let query = supabase
+    .from('workout_routines')
+    .select('id, user_id, routine_name, description, difficulty_level, routine_type, estimated_duration_minutes, import_count, share_code, shared_at, routine_exercises(count)')
+    .eq('is_public', true)
+    .not('share_code', 'is', null);
+  if (difficultyLevel) query = query.eq('difficulty_level', difficultyLevel);
+  if (routineType) query = query.eq('routine_type', routineType);
+  if (search.trim()) query = query.ilike('routine_name', `%${search.trim()}%`);
+
+  const { data, error } = await query
+    .order('import_count', { ascending: false })
+    .order('shared_at', { ascending: false })
+    .limit(50);
+  if (error) throw error;
+  return (data || []).map(({ routine_exercises: counts, ...routine }) => ({
+    ...routine,
+    exercise_count: counts?.[0]?.count ?? 0,
+  }));
+};
@@ -0,0 +1,181 @@
+/**
+ * @file routineVersions.js
+ * @description Routine version history. Every save through the
+ * `replace-routine-exercises` edge function records a routine_versions row (the
+ * full exercise list, who saved it and when); the newest row is the routine as
+ * it is now. Workout logs store the version they were performed from in
+ * workout_logs.routine_version_id.
+ *
+ * Restoring a version saves its exercises through the same edge function, so a
+ * restore is itself a new version and can be undone the same way.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { supabase } from '../supabaseClient.js';
+
+const VERSION_COLUMNS = 'id, routine_id, version_number, routine_name, items, created_by, restored_from_version_id, created_at';
+
+/**
+ * Display name for a user_profiles row.
+ * @param {Object|undefined} profile - { first_name, last_name }
+ * @returns {string|null}
+ */
+const formatAuthor = (profile) => {
+  const name = [profile?.first_name, profile?.last_name].filter(Boolean).join(' ').trim();
+  return name || null;
+};
+
+/**
+ * A routine's versions, newest first, with author names and how many logged
+ * sessions were performed from each.
+ * @param {string} routineId - workout_routines.id
+ * @returns {Promise<Array<Object>>} routine_versions rows plus `author_name` and `log_count`
+ */
+export const listRoutineVersions = async (routineId) => {
+  const { data: versions, error } = await supabase
+    .from('routine_versions')
+    .select(VERSION_COLUMNS)
+    .eq('routine_id', routineId)
+    .order('version_number', { ascending: false });
+  if (error) throw error;
+  if (!versions || versions.length === 0) return [];
+
+  const authorIds = [...new Set(versions.map(v => v.created_by).filter(Boolean))];
+  const [{ data: profiles }, { data: logs }] = await Promise.all([
+    authorIds.length > 0
+      ? supabase.from('user_profiles').select('id, first_name, last_name').in('id', authorIds)
+      : Promise.resolve({ data: [] }),
+    supabase
+      .from('workout_logs')
+      .select('routine_version_id')
+      .in('routine_version_id', versions.map(v => v.id)),
+  ]);
+  const profileById = Object.fromEntries((profiles || []).map(p => [p.id, p]));
+  const logCounts = {};
+  for (const log of logs || []) {
+    logCounts[log.routine_version_id] = (logCounts[log.routine_version_id] || 0) + 1;
+  }
+
+  return versions.map(v => ({
+    ...v,
+    items: [...(v.items || [])].sort((a, b) => (a.exercise_order ?? 0) - (b.exercise_order ?? 0)),
+    author_name: formatAuthor(profileById[v.created_by]),
+    log_count: logCounts[v.id] || 0,
+  }));
+};
+
+/**
+ * Id of a routine's newest version, for linking a new workout log to it.
+ * @param {string} routineId - workout_routines.id
+ * @returns {Promise<string|null>} Null when the routine has no history yet
+ */
+export const getLatestRoutineVersionId = async (routineId) => {
+  const { data, error } = await supabase
+    .from('routine_versions')
+    .select('id')
+    .eq('routine_id', routineId)
+    .order('version_number', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.id ?? null;
+};
+
+/**
+ * Record the first version of a newly created routine. Later saves go through
+ * `replace-routine-exercises`, which records their versions itself.
+ * @param {Object} params
+ * @param {string} params.routineId - workout_routines.id
+ * @param {string} params.routineName - Name at creation
+ * @param {Array<Object>} params.items - routine_exercises rows, with `exercise_name` where known
+ * @param {string} params.userId - Author
+ * @returns {Promise<Object>} The routine_versions row
+ */
+export const recordInitialRoutineVersion = async ({ routineId, routineName, items, userId }) => {
+  const { data, error } = await supabase
+    .from('routine_versions')
+    .insert({
+      routine_id: routineId,
+      version_number: 1,
+      routine_name: routineName,
+      items: (items || []).map((item, index) => ({ ...item, exercise_order: index })),
+      created_by: userId,
+    })
+    .select(VERSION_COLUMNS)
+    .single();
+  if (error) throw error;
+  return data;
+};
+
+/** routine_exercises columns sent back through replace-routine-exercises */
+const ITEM_FIELDS = [
+  'exercise_id', 'target_sets', 'target_reps', 'exercise_order', 'is_warmup', 'negative',
+  'drop_set', 'drop_set_percentage', 'superset_id', 'rest_seconds', 'target_intensity_pct', 'notes',
+];
+
+/**
+ * Permanently replace one exercise in a routine (e.g. a swap from the workout
+ * log). Saved through `replace-routine-exercises` like any other edit, so it is
+ * recorded as a new version. The function re-creates routine_exercises rows, so
+ * callers must reload them: the returned rows carry the new ids.
+ * @param {string} routineId - workout_routines.id
+ * @param {string} routineExerciseId - routine_exercises.id being replaced
+ * @param {string} exerciseId - exercises.id to use instead
+ * @returns {Promise<{version_id: string|null, routine_exercises: Array<Object>}>} Saved rows with `exercises(*)`, by exercise_order
+ */
+export const swapRoutineExercise = async (routineId, routineExerciseId, exerciseId) => {
+  const { data: routine, error: fetchError } = await supabase
+    .from('workout_routines')
+    .select('routine_name, routine_exercises(*)')
+    .eq('id', routineId)
+    .single();
+  if (fetchError) throw fetchError;
+
+  const items = [...(routine.routine_exercises || [])]
+    .sort((a, b) => (a.exercise_order ?? 0) - (b.exercise_order ?? 0))
+    .map((row, index) => ({
+      ...Object.fromEntries(ITEM_FIELDS.map(field => [field, row[field] ?? null])),
+      exercise_id: row.id === routineExerciseId ? exerciseId : row.exercise_id,
+      exercise_order: index,
+    }));
+
+  const { data, error } = await supabase.functions.invoke('replace-routine-exercises', {
+    body: { p_routine_id: routineId, p_name: routine.routine_name, p_items: items },
+  });
+  if (error || data?.error) {
+    throw new Error(error?.message || data?.error || 'Unknown error');
+  }
+
+  const { data: rows, error: reloadError } = await supabase
+    .from('routine_exercises')
+    .select('*, exercises(*)')
+    .eq('routine_id', routineId)
+    .order('exercise_order');
+  if (reloadError) throw reloadError;
+  return { version_id: data?.version_id ?? null, routine_exercises: rows || [] };
+};
+
+/**
+ * Make an earlier version the routine's current exercises again. Recorded as a
+ * new version that points back at the one restored.
+ * @param {Object} version - routine_versions row
+ * @returns {Promise<{version_id: string|null, version_number: number|null}>}
+ */
+export const restoreRoutineVersion = async (version) => {
+  const items = (version.items || []).map(({ exercise_name: _name, ...item }, index) => ({ ...item, exercise_order: index }));
+  const { data, error } = await supabase.functions.invoke('replace-routine-exercises', {
+    body: {
+      p_routine_id: version.routine_id,
+      p_name: version.routine_name,
+      p_items: items,
+      p_restored_from_version_id: version.id,
+    },
+  });
+  if (error || data?.error) {
+    throw new Error(error?.message || data?.error || 'Unknown error');
+  }
+  return { version_id: data?.version_id ?? null, version_number: data?.version_number ?? null };
+};
@@ -0,0 +1,534 @@
+/**
+ * @file workoutSyncQueue.js
+ * @description Offline-first persistence layer for workout logging.
+ *
+ * Every write made from the workout logger (set inserts, edits, deletes, workout
+ * creation and completion) is first appended to an IndexedDB-backed queue and then
+ * replayed against Supabase in strict insertion order once connectivity is available.
+ * Sets are created with client-generated UUIDs so a replay that already reached the
+ * server (but whose acknowledgement was lost) is idempotent.
+ *
+ * Conflict reconciliation rules:
+ * - insert_set: if another device already used the same set_number in the set's
+ *   sequence (working sets, warm-ups, or one top set's drops), the queued set is
+ *   renumbered to the next free slot.
+ * - update_set: if the row no longer exists on the server, the edit is dropped and
+ *   reported as a conflict.
+ * - delete_set: a missing row is treated as already deleted.
+ * - complete_workout: a log already completed on the server is left untouched.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { supabase } from '../supabaseClient';
+import { completeMesocycleIfFinished } from './macrocycles.js';
+import { isSameSetSequence, nextSetNumber } from '../utils/intensityTechniques.js';
+
+const DB_NAME = 'felony-fitness-offline';
+const DB_VERSION = 1;
+const STORE = 'workout_ops';
+
+/** Maximum replay attempts for a non-network failure before an op is dropped */
+const MAX_REPLAY_ATTEMPTS = 5;
+
+/**
+ * Supported queue operation types
+ * @readonly
+ * @enum {string}
+ */
+export const WORKOUT_OP = Object.freeze({
+  CREATE_LOG: 'create_log',
+  INSERT_SET: 'insert_set',
+  UPDATE_SET: 'update_set',
+  DELETE_SET: 'delete_set',
+  COMPLETE_WORKOUT: 'complete_workout',
+});
+
+const listeners = new Set();
+let dbPromise = null;
+let flushPromise = null;
+/** seq of the op currently being replayed; enqueueWorkoutOp never coalesces into it */
+let inFlightSeq = null;
+
+/**
+ * Generate a v4 UUID on the client so rows can be created while offline.
+ * Falls back to getRandomValues where randomUUID is unavailable (non-secure contexts).
+ * @returns {string} UUID string
+ */
+export const createClientId = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Heuristic for errors caused by missing connectivity rather than by the server
+ * rejecting the request.
+ * @param {unknown} error - Error returned by supabase-js or thrown by fetch
+ * @returns {boolean} True if the request should be retried later
+ */
+export const isNetworkError = (error) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  if (!error) return false;
+  if (error.name === 'FunctionsFetchError' || error instanceof TypeError) return true;
+  return /failed to fetch|networkerror|load failed|network request failed/i.test(error.message || '');
+};
+
+/**
+ * Open (once) the IndexedDB database backing the queue.
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+        store.createIndex('workout_log_id', 'workoutLogId', { unique: false });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+};
+
+/**
+ * Run a callback inside a single IndexedDB transaction on the queue store.
+ * @param {IDBTransactionMode} mode - 'readonly' | 'readwrite'
+ * @param {(store: IDBObjectStore) => any} work - Callback receiving the object store
+ * @returns {Promise<any>} Resolves with the callback's return value once the transaction completes
+ */
+const withStore = async (mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+    Promise.resolve(work(tx.objectStore(STORE))).then((value) => { result = value; }, reject);
+  });
+};
+
+/**
+ * Promisify an IDBRequest.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const notify = () => {
+  listeners.forEach((listener) => {
+    try {
+      listener();
+    } catch (err) {
+      console.error('[WorkoutSyncQueue] Listener failed:', err);
+    }
+  });
+};
+
+/**
+ * Subscribe to queue changes (enqueue, replay, drop).
+ * @param {Function} listener - Called with no arguments whenever the queue changes
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToWorkoutQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Read every queued operation in replay order.
+ * @param {string} [workoutLogId] - Optional filter by workout log
+ * @returns {Promise<Array<Object>>} Queued operations sorted by seq
+ */
+export const getPendingWorkoutOps = async (workoutLogId) => {
+  try {
+    const ops = await withStore('readonly', (store) => requestToPromise(store.getAll()));
+    const sorted = (ops || []).sort((a, b) => a.seq - b.seq);
+    return workoutLogId ? sorted.filter((op) => op.workoutLogId === workoutLogId) : sorted;
+  } catch (err) {
+    console.warn('[WorkoutSyncQueue] Could not read queue:', err?.message ?? err);
+    return [];
+  }
+};
+
+/**
+ * Append an operation to the queue, coalescing it with pending operations on the
+ * same set where that keeps the replay smaller:
+ * - edits to a set whose insert has not synced yet are folded into the insert;
+ * - deleting a set whose insert has not synced yet cancels both;
+ * - deleting a set drops the pending ops of its drop sets, which the server
+ *   deletes with it (ON DELETE CASCADE) or would reject for a missing parent;
+ * - consecutive edits to the same set are merged.
+ * An op that is being replayed right now is never merged into or cancelled; the
+ * new op is queued after it instead, so the change still reaches the server.
+ *
+ * @param {Object} op - Operation to queue
+ * @param {string} op.type - One of WORKOUT_OP
+ * @param {string} op.workoutLogId - Workout log the operation belongs to
+ * @param {string} [op.entryId] - Set id for set operations
+ * @param {Object} op.payload - Row data / fields for the operation
+ * @param {Object} [op.meta] - Extra replay context (e.g. first-set timestamp)
+ * @returns {Promise<void>}
+ */
+export const enqueueWorkoutOp = async (op) => {
+  const record = {
+    ...op,
+    payload: op.payload || {},
+    meta: op.meta || {},
+    attempts: 0,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+  };
+
+  await withStore('readwrite', async (store) => {
+    const existing = (await requestToPromise(store.getAll())).sort((a, b) => a.seq - b.seq);
+    const sameEntry = record.entryId
+      ? existing.filter((queued) => queued.entryId === record.entryId && queued.seq !== inFlightSeq)
+      : [];
+    const pendingInsert = sameEntry.find((queued) => queued.type === WORKOUT_OP.INSERT_SET);
+
+    if (record.type === WORKOUT_OP.DELETE_SET) {
+      const childIds = new Set(existing
+        .filter((queued) => queued.type === WORKOUT_OP.INSERT_SET && queued.payload?.parent_entry_id === record.entryId)
+        .map((queued) => queued.entryId));
+      const childOps = existing.filter((queued) => childIds.has(queued.entryId) && queued.seq !== inFlightSeq);
+      await Promise.all(childOps.map((queued) => requestToPromise(store.delete(queued.seq))));
+    }
+
+    if (record.type === WORKOUT_OP.UPDATE_SET && pendingInsert) {
+      pendingInsert.payload = { ...pendingInsert.payload, ...record.payload };
+      await requestToPromise(store.put(pendingInsert));
+      return;
+    }
+
+    if (record.type === WORKOUT_OP.DELETE_SET && pendingInsert) {
+      await Promise.all(sameEntry.map((queued) => requestToPromise(store.delete(queued.seq))));
+      return;
+    }
+
+    const pendingUpdate = sameEntry.find((queued) => queued.type === WORKOUT_OP.UPDATE_SET);
+    if (record.type === WORKOUT_OP.UPDATE_SET && pendingUpdate) {
+      pendingUpdate.payload = { ...pendingUpdate.payload, ...record.payload };
+      await requestToPromise(store.put(pendingUpdate));
+      return;
+    }
+
+    await requestToPromise(store.add(record));
+  });
+
+  notify();
+};
+
+/**
+ * Apply queued operations for a log on top of rows fetched from the server, so a
+ * page reloaded while offline still shows sets that have not synced yet.
+ *
+ * @param {Object<string, Array<Object>>} entriesByExercise - Server rows keyed by exercise_id
+ * @param {Array<Object>} ops - Pending operations for the same workout log
+ * @returns {Object<string, Array<Object>>} New map with pending changes applied
+ */
+export const applyPendingOpsToEntries = (entriesByExercise, ops) => {
+  const result = {};
+  Object.entries(entriesByExercise || {}).forEach(([exerciseId, entries]) => {
+    result[exerciseId] = [...entries];
+  });
+
+  ops.forEach((op) => {
+    if (op.type === WORKOUT_OP.INSERT_SET) {
+      const exId = String(op.payload.exercise_id);
+      const list = result[exId] || [];
+      if (!list.some((entry) => entry.id === op.entryId)) {
+        result[exId] = [...list, { ...op.payload }];
+      }
+    } else if (op.type === WORKOUT_OP.UPDATE_SET) {
+      Object.keys(result).forEach((exId) => {
+        result[exId] = result[exId].map((entry) => (
+          entry.id === op.entryId ? { ...entry, ...op.payload } : entry
+        ));
+      });
+    } else if (op.type === WORKOUT_OP.DELETE_SET) {
+      Object.keys(result).forEach((exId) => {
+        result[exId] = result[exId].filter((entry) => entry.id !== op.entryId && entry.parent_entry_id !== op.entryId);
+      });
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Read the HTTP status from a supabase-js FunctionsHttpError, if present.
+ * @param {unknown} error
+ * @returns {number|null}
+ */
+const getFunctionStatus = (error) => error?.context?.status ?? null;
+
+/**
+ * Replay handlers keyed by operation type. Each returns
+ * `{ status: 'applied' | 'conflict', row?, reason? }` or throws.
+ */
+const replayHandlers = {
+  async [WORKOUT_OP.CREATE_LOG](op) {
+    const payload = { ...op.payload };
+
+    // Link to the mesocycle session scheduled for the day the log was started
+    if (op.meta.matchCycleSessionDate && !payload.cycle_session_id) {
+      const { data: matchingSession } = await supabase
+        .from('cycle_sessions')
+        .select('id')
+        .eq('user_id', payload.user_id)
+        .eq('routine_id', payload.routine_id)
+        .eq('scheduled_date', op.meta.matchCycleSessionDate)
+        .maybeSingle();
+      if (matchingSession?.id) payload.cycle_session_id = matchingSession.id;
+    }
+
+    const { error } = await supabase
+      .from('workout_logs')
+      .upsert(payload, { onConflict: 'id', ignoreDuplicates: true });
+    if (error) throw error;
+    return { status: 'applied', row: payload };
+  },
+
+  async [WORKOUT_OP.INSERT_SET](op) {
+    const payload = { ...op.payload };
+
+    const { data: serverRows, error: fetchError } = await supabase
+      .from('workout_log_entries')
+      .select('*')
+      .eq('workout_log_id', payload.workout_log_id)
+      .eq('exercise_id', payload.exercise_id);
+    if (fetchError) throw fetchError;
+
+    const alreadyApplied = (serverRows || []).find((row) => row.id === payload.id);
+    if (alreadyApplied) return { status: 'applied', row: alreadyApplied };
+
+    let reason;
+    if ((serverRows || []).some((row) => isSameSetSequence(row, payload) && row.set_number === payload.set_number)) {
+      payload.set_number = nextSetNumber(serverRows, payload);
+      reason = 'renumbered';
+    }
+
+    if (op.meta.startedAt) {
+      const { error: startError } = await supabase
+        .from('workout_logs')
+        .update({ started_at: op.meta.startedAt })
+        .eq('id', payload.workout_log_id)
+        .is('started_at', null);
+      if (startError) console.warn('Could not set started_at:', startError);
+    }
+
+    const { data: row, error } = await supabase
+      .from('workout_log_entries')
+      .insert(payload)
+      .select()
+      .single();
+    if (error) throw error;
+    return { status: 'applied', row, reason };
+  },
+
+  async [WORKOUT_OP.UPDATE_SET](op) {
+    const { data, error } = await supabase.functions.invoke('update-workout-set', {
+      body: { entry_id: op.entryId, ...op.payload },
+    });
+    if (error) {
+      if (getFunctionStatus(error) === 404) {
+        return { status: 'conflict', reason: 'missing_on_server' };
+      }
+      throw error;
+    }
+    return { status: 'applied', row: data?.entry };
+  },
+
+  async [WORKOUT_OP.DELETE_SET](op) {
+    const { error } = await supabase.functions.invoke('delete-workout-set', {
+      body: { entry_id: op.entryId },
+    });
+    if (error && getFunctionStatus(error) !== 404) throw error;
+    return { status: 'applied' };
+  },
+
+  async [WORKOUT_OP.COMPLETE_WORKOUT](op) {
+    const { userId, routineId, workoutName, endedAt, userWeightLbs, mesocycleWeekId, cycleSessionId } = op.payload;
+
+    const { data: logData, error: fetchError } = await supabase
+      .from('workout_logs')
+      .select('started_at, created_at, is_complete')
+      .eq('id', op.workoutLogId)
+      .single();
+    if (fetchError) throw fetchError;
+    if (logData.is_complete) return { status: 'conflict', reason: 'already_complete' };
+
+    const startTime = logData.started_at ? new Date(logData.started_at) : new Date(logData.created_at);
+    const endTime = new Date(endedAt);
+    const duration_minutes = Math.max(0, Math.round((endTime.getTime() - startTime.getTime()) / 60000));
+    const MET_VALUE = 5.0;
+    // Without a known bodyweight leave calories empty rather than guessing
+    const calories_burned = userWeightLbs
+      ? Math.round(MET_VALUE * userWeightLbs * 0.453592 * (duration_minutes / 60))
+      : null;
+
+    const { error: updateError } = await supabase
+      .from('workout_logs')
+      .update({
+        is_complete: true,
+        duration_minutes,
+        ended_at: endTime.toISOString(),
+        workout_name: workoutName ?? null,
+        calories_burned,
+      })
+      .eq('id', op.workoutLogId)
+      .eq('user_id', userId);
+    if (updateError) throw updateError;
+
+    if (mesocycleWeekId) {
+      const { data: weekRow, error: weekError } = await supabase
+        .from('mesocycle_weeks')
+        .update({ is_complete: true, completed_at: endTime.toISOString() })
+        .eq('id', mesocycleWeekId)
+        .select('mesocycle_id')
+        .maybeSingle();
+      if (weekError) console.error('[MESOCYCLE] Exception updating mesocycle_weeks:', weekError);
+      // The last session of a block completes it and, in a macrocycle, starts the next block
+      if (weekRow?.mesocycle_id) {
+        try {
+          await completeMesocycleIfFinished(weekRow.mesocycle_id);
+        } catch (err) {
+          console.warn('[MESOCYCLE] Could not advance macrocycle:', err?.message ?? err);
+        }
+      }
+    }
+
+    try {
+      if (cycleSessionId) {
+        await supabase.from('cycle_sessions').update({ is_complete: true }).eq('id', cycleSessionId).eq('user_id', userId);
+      } else {
+        const createdDate = new Date(logData.created_at);
+        const year = createdDate.getFullYear();
+        const month = String(createdDate.getMonth() + 1).padStart(2, '0');
+        const day = String(createdDate.getDate()).padStart(2, '0');
+        const { data: found } = await supabase
+          .from('cycle_sessions')
+          .select('id')
+          .eq('user_id', userId)
+          .eq('routine_id', routineId)
+          .eq('scheduled_date', `${year}-${month}-${day}`)
+          .maybeSingle();
+        if (found?.id) {
+          await supabase.from('cycle_sessions').update({ is_complete: true }).eq('id', found.id).eq('user_id', userId);
+        }
+      }
+    } catch (err) {
+      if (err?.code && err.code !== '42703') console.warn('Could not mark cycle_session complete:', err?.message ?? err);
+    }
+
+    return { status: 'applied' };
+  },
+};
+
+/**
+ * Replay every queued operation in order. Only one flush runs at a time; concurrent
+ * callers share the in-flight promise. Replay stops at the first network failure so
+ * later operations never overtake earlier ones.
+ *
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onApplied] - (op, result) after an op reached the server
+ * @param {Function} [callbacks.onConflict] - (op, reason) when an op was dropped
+ * @returns {Promise<{applied: number, remaining: number}>}
+ */
+export const flushWorkoutQueue = (callbacks = {}) => {
+  if (flushPromise) return flushPromise;
+
+  flushPromise = (async () => {
+    let applied = 0;
+    let stopped = false;
+    const seen = new Set();
+
+    // Ops enqueued while replaying (e.g. an edit queued behind an in-flight
+    // insert) are picked up by another pass instead of waiting for the next flush
+    while (!stopped) {
+      const ops = (await getPendingWorkoutOps()).filter((op) => !seen.has(op.seq));
+      if (ops.length === 0) break;
+
+      for (const queued of ops) {
+        seen.add(queued.seq);
+        if (isNetworkError(null)) {
+          stopped = true;
+          break;
+        }
+
+        // Re-read the op (it may have been coalesced or cancelled since the snapshot)
+        // and mark it in flight in the same readwrite transaction, so an enqueue
+        // either lands before this read or sees the op as in flight.
+        const op = await withStore('readwrite', async (store) => {
+          const current = await requestToPromise(store.get(queued.seq));
+          inFlightSeq = current ? current.seq : null;
+          return current;
+        });
+        if (!op) continue;
+        const handler = replayHandlers[op.type];
+
+        try {
+          const result = handler ? await handler(op) : { status: 'conflict', reason: 'unknown_op' };
+          await withStore('readwrite', (store) => requestToPromise(store.delete(op.seq)));
+          if (result.status === 'applied') {
+            applied += 1;
+            callbacks.onApplied?.(op, result);
+          } else {
+            callbacks.onConflict?.(op, result.reason);
+          }
+          notify();
+        } catch (err) {
+          stopped = true;
+          if (isNetworkError(err)) break;
+
+          const attempts = (op.attempts || 0) + 1;
+          console.error(`[WorkoutSyncQueue] Replay of ${op.type} failed (attempt ${attempts}):`, err);
+          if (attempts >= MAX_REPLAY_ATTEMPTS) {
+            await withStore('readwrite', (store) => requestToPromise(store.delete(op.seq)));
+            callbacks.onConflict?.(op, 'failed');
+          } else {
+            await withStore('readwrite', (store) => requestToPromise(
+              store.put({ ...op, attempts, lastError: err?.message ?? String(err) })
+            ));
+          }
+          notify();
+          // Preserve ordering: later ops may depend on this one
+          break;
+        } finally {
+          inFlightSeq = null;
+        }
+      }
+    }
+
+    const remaining = (await getPendingWorkoutOps()).length;
+    return { applied, remaining };
+  })().finally(() => {
+    flushPromise = null;
+  });
+
+  return flushPromise;
+};
@@ -0,0 +1,88 @@
+/**
+ * @file barcode.js
+ * @description GTIN helpers for barcode food lookup. Packaged foods carry UPC-A
+ * (12 digits), EAN-13, EAN-8 or GTIN-14 codes; all of them are the same number
+ * once left-padded with zeros to 14 digits, which is how food_barcodes stores
+ * them. UPC-E (the 8-digit compressed UPC) is expanded to UPC-A first.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+/** BarcodeDetector formats that carry a GTIN */
+export const GTIN_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'itf'];
+
+/**
+ * GS1 mod-10 check digit for the digits before it.
+ * @param {string} body - Digits without the check digit
+ * @returns {number}
+ */
+export const computeCheckDigit = (body) => {
+  let sum = 0;
+  // Weights alternate 3,1,3,... starting from the rightmost digit of the body
+  for (let i = 0; i < body.length; i++) {
+    const digit = Number(body[body.length - 1 - i]);
+    sum += digit * (i % 2 === 0 ? 3 : 1);
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Whether a string of digits ends in a correct GS1 check digit.
+ * @param {string} digits
+ * @returns {boolean}
+ */
+export const hasValidCheckDigit = (digits) => /^[0-9]{8,14}$/.test(digits)
+  && computeCheckDigit(digits.slice(0, -1)) === Number(digits[digits.length - 1]);
+
+/**
+ * Expand a UPC-E code (number system 0 or 1) to its 12-digit UPC-A form.
+ * @param {string} upcE - 8 digits: number system, 6 data digits, check digit
+ * @returns {string|null} UPC-A, or null when it is not UPC-E
+ */
+export const expandUpcE = (upcE) => {
+  if (!/^[01][0-9]{7}$/.test(upcE)) return null;
+  const [numberSystem, d1, d2, d3, d4, d5, d6, check] = upcE;
+  let manufacturerAndProduct;
+  if (['0', '1', '2'].includes(d6)) manufacturerAndProduct = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+  else if (d6 === '3') manufacturerAndProduct = `${d1}${d2}${d3}00000${d4}${d5}`;
+  else if (d6 === '4') manufacturerAndProduct = `${d1}${d2}${d3}${d4}00000${d5}`;
+  else manufacturerAndProduct = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  const upcA = `${numberSystem}${manufacturerAndProduct}${check}`;
+  return hasValidCheckDigit(upcA) ? upcA : null;
+};
+
+/**
+ * Canonical GTIN-14 for a scanned or typed code.
+ * @param {string|number} input - Code as scanned or typed (spaces and dashes allowed)
+ * @param {Object} [options]
+ * @param {string|null} [options.format] - BarcodeDetector format, to tell UPC-E from EAN-8
+ * @returns {string|null} 14 digits, or null when the code is not a valid GTIN
+ *
+ * @example
+ * normalizeGtin('0 49000 02890 4') // '00049000028904'
+ */
+export const normalizeGtin = (input, { format } = {}) => {
+  let digits = String(input ?? '').replace(/[\s-]/g, '');
+  if (!/^[0-9]+$/.test(digits)) return null;
+  if (format === 'upc_e' || (digits.length === 8 && !hasValidCheckDigit(digits))) {
+    digits = expandUpcE(digits) ?? digits;
+  }
+  // Some sources drop the UPC check digit (11 digits); restore it
+  if (digits.length === 11) digits = `${digits}${computeCheckDigit(digits)}`;
+  if (![8, 12, 13, 14].includes(digits.length) || !hasValidCheckDigit(digits)) return null;
+  return digits.padStart(14, '0');
+};
+
+/**
+ * Short form for display: GTIN-14 without the zero padding (UPC-A or EAN-13).
+ * @param {string} gtin - GTIN-14
+ * @returns {string}
+ */
+export const formatGtin = (gtin) => {
+  const trimmed = String(gtin || '').replace(/^0+/, '');
+  return trimmed.length <= 12 ? trimmed.padStart(12, '0') : trimmed;
+};
+
+export default { normalizeGtin, formatGtin, hasValidCheckDigit };
@@ -0,0 +1,323 @@
+/**
+ * @file exerciseLogging.js
+ * @description Pure helpers for per-exercise logging modes (weight × reps, timed,
+ * distance, time + distance and bodyweight reps): which inputs to show, how to
+ * validate and serialize them into workout_log_entries columns, and pace/speed
+ * derivation for conditioning work.
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+/**
+ * Logging mode identifiers (mirrors the exercises.logging_mode check constraint)
+ * @readonly
+ * @enum {string}
+ */
+export const LOGGING_MODES = Object.freeze({
+  WEIGHT_REPS: 'weight_reps',
+  TIME: 'time',
+  DISTANCE: 'distance',
+  TIME_DISTANCE: 'time_distance',
+  BODYWEIGHT_REPS: 'bodyweight_reps',
+});
+
+/**
+ * Input fields and chart metrics available for each mode
+ * @type {Object<string, {label: string, fields: Array<string>, chartMetrics: Array<string>}>}
+ */
+export const LOGGING_MODE_CONFIG = {
+  [LOGGING_MODES.WEIGHT_REPS]: {
+    label: 'Weight × Reps',
+    fields: ['weight', 'reps'],
+    chartMetrics: ['1RM', 'Weight Volume', 'Set Volume'],
+  },
+  [LOGGING_MODES.BODYWEIGHT_REPS]: {
+    label: 'Bodyweight Reps',
+    fields: ['reps', 'weight'],
+    chartMetrics: ['Total Reps', 'Set Volume'],
+  },
+  [LOGGING_MODES.TIME]: {
+    label: 'Time',
+    fields: ['duration'],
+    chartMetrics: ['Duration', 'Set Volume'],
+  },
+  [LOGGING_MODES.DISTANCE]: {
+    label: 'Distance',
+    fields: ['distance', 'weight'],
+    chartMetrics: ['Distance', 'Set Volume'],
+  },
+  [LOGGING_MODES.TIME_DISTANCE]: {
+    label: 'Time + Distance',
+    fields: ['duration', 'distance'],
+    chartMetrics: ['Pace', 'Distance', 'Duration'],
+  },
+};
+
+/** Meters per supported distance unit */
+export const DISTANCE_UNITS = {
+  m: 1,
+  km: 1000,
+  mi: 1609.344,
+};
+
+/**
+ * Resolve the logging mode for an exercise. An explicit exercises.logging_mode wins;
+ * otherwise the mode is derived from exercise_type.
+ * @param {Object|null} exercise - Row from the exercises table
+ * @returns {string} One of LOGGING_MODES
+ *
+ * @example
+ * getLoggingMode({ exercise_type: 'Cardio' }) // 'time_distance'
+ * getLoggingMode({ exercise_type: 'Bodyweight' }) // 'bodyweight_reps'
+ */
+export const getLoggingMode = (exercise) => {
+  if (!exercise) return LOGGING_MODES.WEIGHT_REPS;
+  if (exercise.logging_mode && LOGGING_MODE_CONFIG[exercise.logging_mode]) {
+    return exercise.logging_mode;
+  }
+  switch (exercise.exercise_type) {
+    case 'Cardio': return LOGGING_MODES.TIME_DISTANCE;
+    case 'Bodyweight': return LOGGING_MODES.BODYWEIGHT_REPS;
+    default: return LOGGING_MODES.WEIGHT_REPS;
+  }
+};
+
+/**
+ * Parse a duration typed as "ss", "mm:ss" or "hh:mm:ss" into seconds.
+ * @param {string|number} value - User input
+ * @returns {number|null} Total seconds, or null if the input is empty/invalid
+ *
+ * @example
+ * parseDuration('1:30') // 90
+ * parseDuration('45') // 45
+ */
+export const parseDuration = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  const parts = String(value).trim().split(':');
+  if (parts.length > 3 || parts.some((p) => p === '' || isNaN(p))) return null;
+  const seconds = parts.reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds >= 0 ? Math.round(seconds) : null;
+};
+
+/**
+ * Format seconds as m:ss (or h:mm:ss for an hour or more).
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} Formatted duration, or '' for empty input
+ *
+ * @example
+ * formatDuration(95) // '1:35'
+ * formatDuration(3725) // '1:02:05'
+ */
+export const formatDuration = (totalSeconds) => {
+  if (totalSeconds === null || totalSeconds === undefined || isNaN(totalSeconds)) return '';
+  const secs = Math.max(0, Math.round(totalSeconds));
+  const hours = Math.floor(secs / 3600);
+  const minutes = Math.floor((secs % 3600) / 60);
+  const seconds = secs % 60;
+  const ss = String(seconds).padStart(2, '0');
+  if (hours > 0) return `${hours}:${String(minutes).padStart(2, '0')}:${ss}`;
+  return `${minutes}:${ss}`;
+};
+
+/**
+ * Convert a distance in the given unit to meters.
+ * @param {string|number} value - Distance value
+ * @param {string} [unit='m'] - Key of DISTANCE_UNITS
+ * @returns {number|null} Meters rounded to 2 decimals, or null for empty/invalid input
+ */
+export const toMeters = (value, unit = 'm') => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  if (isNaN(num) || num < 0) return null;
+  return Math.round(num * (DISTANCE_UNITS[unit] || 1) * 100) / 100;
+};
+
+/**
+ * Convert meters to the given unit.
+ * @param {number} meters - Distance in meters
+ * @param {string} [unit='m'] - Key of DISTANCE_UNITS
+ * @returns {number|null} Distance rounded to 2 decimals
+ */
+export const fromMeters = (meters, unit = 'm') => {
+  if (meters === null || meters === undefined || isNaN(meters)) return null;
+  return Math.round((Number(meters) / (DISTANCE_UNITS[unit] || 1)) * 100) / 100;
+};
+
+/**
+ * Derive pace and speed from a duration and distance.
+ * @param {number} durationSeconds - Time taken in seconds
+ * @param {number} distanceMeters - Distance covered in meters
+ * @returns {Object|null} Pace (seconds per km / mile / 500m) and speed (km/h, mph), or null if not derivable
+ *
+ * @example
+ * derivePace(1500, 5000)
+ * // { secondsPerKm: 300, secondsPerMile: 483, secondsPer500m: 150, kph: 12, mph: 7.46 }
+ */
+export const derivePace = (durationSeconds, distanceMeters) => {
+  const seconds = Number(durationSeconds);
+  const meters = Number(distanceMeters);
+  if (!seconds || !meters || seconds <= 0 || meters <= 0) return null;
+
+  const metersPerSecond = meters / seconds;
+  return {
+    secondsPerKm: Math.round(seconds / (meters / 1000)),
+    secondsPerMile: Math.round(seconds / (meters / DISTANCE_UNITS.mi)),
+    // Split per 500m is the standard unit on rowing ergometers
+    secondsPer500m: Math.round(seconds / (meters / 500)),
+    kph: Math.round(metersPerSecond * 3.6 * 100) / 100,
+    mph: Math.round(metersPerSecond * 2.236936 * 100) / 100,
+  };
+};
+
+/**
+ * Validate raw form input for the given mode.
+ * @param {Object} input - Form state ({ weight, reps, duration, distance })
+ * @param {string} mode - One of LOGGING_MODES
+ * @returns {boolean} True if the set can be saved
+ */
+export const isSetInputComplete = (input, mode) => {
+  switch (mode) {
+    case LOGGING_MODES.TIME:
+      return !!parseDuration(input.duration);
+    case LOGGING_MODES.DISTANCE:
+      return !!Number(input.distance);
+    case LOGGING_MODES.TIME_DISTANCE:
+      return !!parseDuration(input.duration) && !!Number(input.distance);
+    case LOGGING_MODES.BODYWEIGHT_REPS:
+      return !!Number(input.reps);
+    case LOGGING_MODES.WEIGHT_REPS:
+    default:
+      return !!input.reps && !!input.weight;
+  }
+};
+
+/**
+ * Effective load for a bodyweight set: the share of bodyweight moved, plus any
+ * added weight (belt, vest), minus any assistance (machine, bands).
+ * @param {Object} params
+ * @param {number} params.bodyweightLbs - Lifter bodyweight as of the log date
+ * @param {number} [params.addedLbs=0] - External load added to bodyweight
+ * @param {number} [params.assistanceLbs=0] - Assistance subtracted from bodyweight
+ * @param {number} [params.loadFactor=1] - exercises.bodyweight_load_factor (push-ups ≈ 0.64)
+ * @returns {number|null} Load in lbs rounded to 2 decimals, or null without a bodyweight
+ *
+ * @example
+ * calculateEffectiveLoad({ bodyweightLbs: 180, addedLbs: 25 }) // 205
+ * calculateEffectiveLoad({ bodyweightLbs: 180, assistanceLbs: 60 }) // 120
+ */
+export const calculateEffectiveLoad = ({ bodyweightLbs, addedLbs = 0, assistanceLbs = 0, loadFactor = 1 }) => {
+  const bodyweight = Number(bodyweightLbs);
+  if (!bodyweight || bodyweight <= 0) return null;
+  const factor = Number(loadFactor) > 0 ? Number(loadFactor) : 1;
+  const load = bodyweight * factor + (Number(addedLbs) || 0) - (Number(assistanceLbs) || 0);
+  return Math.max(0, Math.round(load * 100) / 100);
+};
+
+/**
+ * Map form input to workout_log_entries columns for the given mode.
+ * Fields that don't apply to the mode are written as null so edits can't leave stale data.
+ *
+ * In bodyweight mode the weight field holds added load, or assistance when
+ * `input.assisted` is set, and the set snapshots the lifter's bodyweight so its
+ * effective load doesn't drift when bodyweight changes later.
+ * @param {Object} input - Form state ({ weight, reps, duration, distance, assisted })
+ * @param {string} mode - One of LOGGING_MODES
+ * @param {string} [distanceUnit='m'] - Unit the distance was typed in
+ * @param {Object} [bodyweight] - Bodyweight context for bodyweight mode
+ * @param {number|null} [bodyweight.bodyweightLbs] - Bodyweight as of the log date
+ * @param {number|null} [bodyweight.loadFactor] - exercises.bodyweight_load_factor
+ * @returns {{weight_lbs: number|null, reps_completed: number|null, duration_seconds: number|null, distance_meters: number|null, bodyweight_lbs: number|null, assistance_lbs: number|null, effective_load_lbs: number|null}}
+ */
+export const buildSetColumns = (input, mode, distanceUnit = 'm', bodyweight = {}) => {
+  const fields = (LOGGING_MODE_CONFIG[mode] || LOGGING_MODE_CONFIG[LOGGING_MODES.WEIGHT_REPS]).fields;
+  const weight = input.weight === '' || input.weight === null || input.weight === undefined
+    ? null
+    : Number(input.weight);
+  const reps = input.reps === '' || input.reps === null || input.reps === undefined
+    ? null
+    : parseInt(input.reps, 10);
+  const load = fields.includes('weight') && weight !== null && !isNaN(weight) ? weight : null;
+
+  const columns = {
+    weight_lbs: load,
+    reps_completed: fields.includes('reps') && reps !== null && !isNaN(reps) ? reps : null,
+    duration_seconds: fields.includes('duration') ? parseDuration(input.duration) : null,
+    distance_meters: fields.includes('distance') ? toMeters(input.distance, distanceUnit) : null,
+    bodyweight_lbs: null,
+    assistance_lbs: null,
+    effective_load_lbs: null,
+  };
+
+  if (mode === LOGGING_MODES.BODYWEIGHT_REPS) {
+    const assisted = !!input.assisted && load !== null;
+    columns.weight_lbs = assisted ? null : load;
+    columns.assistance_lbs = assisted ? load : null;
+    columns.bodyweight_lbs = Number(bodyweight.bodyweightLbs) > 0 ? Number(bodyweight.bodyweightLbs) : null;
+    columns.effective_load_lbs = calculateEffectiveLoad({
+      bodyweightLbs: columns.bodyweight_lbs,
+      addedLbs: columns.weight_lbs || 0,
+      assistanceLbs: columns.assistance_lbs || 0,
+      loadFactor: bodyweight.loadFactor ?? 1,
+    });
+  }
+
+  return columns;
+};
+
+/**
+ * Convert a saved entry back into form input for the given mode (used for prefill and edit).
+ * @param {Object} entry - workout_log_entries row
+ * @param {string} [distanceUnit='m'] - Unit to show the distance in
+ * @returns {{weight: string, reps: string, duration: string, distance: string, assisted: boolean}}
+ */
+export const entryToInput = (entry, distanceUnit = 'm') => ({
+  weight: entry?.assistance_lbs
+    ? String(entry.assistance_lbs)
+    : entry?.weight_lbs !== null && entry?.weight_lbs !== undefined ? String(entry.weight_lbs) : '',
+  assisted: !!entry?.assistance_lbs,
+  reps: entry?.reps_completed !== null && entry?.reps_completed !== undefined ? String(entry.reps_completed) : '',
+  duration: entry?.duration_seconds ? formatDuration(entry.duration_seconds) : '',
+  distance: entry?.distance_meters ? String(fromMeters(entry.distance_meters, distanceUnit)) : '',
+});
+
+/**
+ * Human readable summary of a logged set for the history lists.
+ * @param {Object} entry - workout_log_entries row
+ * @param {string} mode - One of LOGGING_MODES
+ * @param {string} [distanceUnit='m'] - Unit to show distances in
+ * @returns {string} e.g. "185 lbs x 5", "12 reps +25 lbs (205 lbs)", "2:00", "2000 m in 7:45 (1:56/500m)"
+ */
+export const formatSetSummary = (entry, mode, distanceUnit = 'm') => {
+  if (!entry) return '';
+  const distance = entry.distance_meters ? `${fromMeters(entry.distance_meters, distanceUnit)} ${distanceUnit}` : '';
+  const duration = entry.duration_seconds ? formatDuration(entry.duration_seconds) : '';
+
+  switch (mode) {
+    case LOGGING_MODES.TIME:
+      return duration || '—';
+    case LOGGING_MODES.DISTANCE:
+      return entry.weight_lbs ? `${distance} @ ${entry.weight_lbs} lbs` : distance || '—';
+    case LOGGING_MODES.TIME_DISTANCE: {
+      const pace = derivePace(entry.duration_seconds, entry.distance_meters);
+      if (!pace) return [distance, duration].filter(Boolean).join(' in ') || '—';
+      const split = distanceUnit === 'mi'
+        ? `${formatDuration(pace.secondsPerMile)}/mi`
+        : distanceUnit === 'km'
+          ? `${formatDuration(pace.secondsPerKm)}/km`
+          : `${formatDuration(pace.secondsPer500m)}/500m`;
+      return `${distance} in ${duration} (${split})`;
+    }
+    case LOGGING_MODES.BODYWEIGHT_REPS: {
+      const modifier = entry.assistance_lbs
+        ? ` -${entry.assistance_lbs} lbs assist`
+        : entry.weight_lbs ? ` +${entry.weight_lbs} lbs` : '';
+      const effective = entry.effective_load_lbs ? ` (${Number(entry.effective_load_lbs)} lbs)` : '';
+      return `${entry.reps_completed} reps${modifier}${effective}`;
+    }
+    case LOGGING_MODES.WEIGHT_REPS:
+    default:
+      return `${entry.weight_lbs} lbs x ${entry.reps_completed}`;
+  }
+};
@@ -0,0 +1,209 @@
+/**
+ * @file exerciseSubstitution.js
+ * @description Ranks substitutes for an exercise when its equipment is taken or
+ * the lifter has a tweak. Candidates from the `exercises` table are scored on
+ * primary/secondary muscle overlap, movement pattern, equipment availability and
+ * difficulty, and each score carries the reasons behind it.
+ *
+ * Muscles are compared by exact name first, then by InteractiveMuscleMap region
+ * (toMuscleGroup) so "Latissimus Dorsi" and "Lats" still match. Movement pattern
+ * comes from exercises.movement_pattern, or is inferred from the exercise name
+ * when that column is empty.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { toMuscleGroup } from './muscleVolume.js';
+
+/** Where a swap applies: today's session only, or the routine itself */
+export const SWAP_SCOPES = Object.freeze({ SESSION: 'session', ROUTINE: 'routine' });
+
+/** Movement patterns stored in exercises.movement_pattern */
+export const MOVEMENT_PATTERNS = {
+  squat: 'Squat',
+  hinge: 'Hinge',
+  lunge: 'Lunge',
+  horizontal_push: 'Horizontal Push',
+  vertical_push: 'Vertical Push',
+  horizontal_pull: 'Horizontal Pull',
+  vertical_pull: 'Vertical Pull',
+  carry: 'Carry',
+  core: 'Core',
+  isolation: 'Isolation',
+  cardio: 'Cardio',
+};
+
+// Name keywords per pattern, checked in order: specific patterns before generic
+// ones (split squat is a lunge, an upright row is a vertical pull, a rowing
+// machine is cardio, and farmer's walks are carries). Keywords match whole words,
+// optionally plural, so "narrow" doesn't count as a row.
+const PATTERN_KEYWORDS = [
+  ['lunge', ['lunge', 'split squat', 'step-up', 'step up', 'bulgarian']],
+  ['hinge', ['deadlift', 'rdl', 'romanian', 'good morning', 'hip thrust', 'glute bridge', 'swing', 'hyperextension', 'back extension', 'pull-through']],
+  ['squat', ['squat', 'leg press', 'hack', 'wall sit']],
+  ['vertical_pull', ['pull-up', 'pullup', 'pull up', 'chin-up', 'chinup', 'chin up', 'pulldown', 'pull-down', 'upright row']],
+  ['carry', ['carry', 'farmer', 'suitcase']],
+  ['cardio', ['row erg', 'rowing machine', 'rower', 'ergometer', 'run', 'running', 'bike', 'cycle', 'cycling', 'elliptical', 'jump rope', 'sprint', 'walk', 'walking', 'stair', 'stairmaster']],
+  ['vertical_push', ['overhead press', 'shoulder press', 'military', 'push press', 'arnold', 'pike', 'handstand', 'landmine press']],
+  ['horizontal_push', ['bench', 'push-up', 'pushup', 'push up', 'chest press', 'dip', 'floor press']],
+  ['horizontal_pull', ['row', 'face pull', 'inverted']],
+  ['core', ['plank', 'crunch', 'sit-up', 'situp', 'leg raise', 'rollout', 'russian twist', 'dead bug', 'hollow', 'pallof', 'woodchop']],
+  ['isolation', ['curl', 'extension', 'raise', 'fly', 'flye', 'kickback', 'shrug', 'pullover', 'pushdown', 'crossover', 'adduction', 'adductor', 'abduction', 'abductor', 'calf']],
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const PATTERN_MATCHERS = PATTERN_KEYWORDS.map(([pattern, keywords]) => [
+  pattern,
+  new RegExp(`\\b(?:${keywords.map(escapeRegExp).join('|')})(?:s|es)?\\b`),
+]);
+
+// Score weights; a candidate needs to share a muscle or the movement pattern to be listed
+const WEIGHTS = {
+  samePrimary: 40,
+  sameRegion: 25,
+  secondaryOverlap: 10,
+  samePattern: 25,
+  sameEquipment: 5,
+  easier: 10,
+  harder: -15,
+  sameType: 5,
+};
+
+const DIFFICULTY_RANK = { beginner: 1, intermediate: 2, advanced: 3 };
+
+/**
+ * Movement pattern of an exercise: the stored column, or a guess from its name.
+ * @param {Object} exercise - exercises row
+ * @returns {string|null} Key of MOVEMENT_PATTERNS
+ */
+export const getMovementPattern = (exercise) => {
+  if (!exercise) return null;
+  if (exercise.movement_pattern && MOVEMENT_PATTERNS[exercise.movement_pattern]) return exercise.movement_pattern;
+  if (exercise.exercise_type === 'Cardio') return 'cardio';
+  const name = String(exercise.name || '').toLowerCase();
+  const match = PATTERN_MATCHERS.find(([, matcher]) => matcher.test(name));
+  return match ? match[0] : null;
+};
+
+/**
+ * Equipment an exercise needs, from the comma-separated equipment_needed column.
+ * Bodyweight exercises need none.
+ * @param {Object} exercise - exercises row
+ * @returns {Array<string>}
+ */
+export const getEquipmentList = (exercise) => String(exercise?.equipment_needed || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(item => item && !['none', 'bodyweight', 'body weight'].includes(item.toLowerCase()));
+
+/**
+ * Difficulty as a rank (1 beginner … 3 advanced); older rows store 1-5.
+ * @param {string|number|null} level - exercises.difficulty_level
+ * @returns {number|null}
+ */
+const getDifficultyRank = (level) => {
+  if (level === null || level === undefined || level === '') return null;
+  const numeric = Number(level);
+  if (Number.isFinite(numeric)) return Math.min(3, Math.max(1, Math.ceil(numeric * 3 / 5)));
+  return DIFFICULTY_RANK[String(level).toLowerCase()] ?? null;
+};
+
+const sameName = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Score one candidate as a substitute for an exercise.
+ * @param {Object} original - The exercise being replaced
+ * @param {Object} candidate - A possible substitute
+ * @param {Object} [options]
+ * @param {Array<string>} [options.unavailableEquipment=[]] - Equipment that is taken or missing
+ * @returns {{score: number, reasons: Array<string>, available: boolean}|null} Null when the
+ * candidate shares neither a muscle nor the movement pattern
+ */
+export const scoreSubstitute = (original, candidate, { unavailableEquipment = [] } = {}) => {
+  const reasons = [];
+  let score = 0;
+  let related = false;
+
+  const primaryRegion = toMuscleGroup(original.primary_muscle);
+  if (sameName(original.primary_muscle, candidate.primary_muscle)) {
+    score += WEIGHTS.samePrimary;
+    reasons.push(`Same primary muscle (${candidate.primary_muscle})`);
+    related = true;
+  } else if (primaryRegion && primaryRegion === toMuscleGroup(candidate.primary_muscle)) {
+    score += WEIGHTS.sameRegion;
+    reasons.push(`Also trains ${primaryRegion}`);
+    related = true;
+  }
+
+  const originalSecondary = [original.secondary_muscle, original.tertiary_muscle].filter(Boolean);
+  const candidateMuscles = [candidate.primary_muscle, candidate.secondary_muscle, candidate.tertiary_muscle].filter(Boolean);
+  const sharedSecondary = originalSecondary.filter(muscle => candidateMuscles.some(other => sameName(muscle, other)));
+  if (sharedSecondary.length > 0) {
+    score += WEIGHTS.secondaryOverlap * sharedSecondary.length;
+    reasons.push(`Shares ${sharedSecondary.join(', ')}`);
+    related = true;
+  }
+
+  const pattern = getMovementPattern(original);
+  if (pattern && pattern === getMovementPattern(candidate)) {
+    score += WEIGHTS.samePattern;
+    reasons.push(`${MOVEMENT_PATTERNS[pattern]} pattern`);
+    related = true;
+  }
+
+  if (!related) return null;
+
+  const taken = unavailableEquipment.map(item => item.toLowerCase());
+  const needed = getEquipmentList(candidate);
+  const blocked = needed.filter(item => taken.includes(item.toLowerCase()));
+  if (blocked.length > 0) {
+    reasons.push(`Needs ${blocked.join(', ')} (unavailable)`);
+  } else if (needed.length === 0) {
+    reasons.push('No equipment needed');
+  } else if (needed.every(item => getEquipmentList(original).some(other => sameName(item, other)))) {
+    score += WEIGHTS.sameEquipment;
+    reasons.push(`Same equipment (${needed.join(', ')})`);
+  }
+
+  const originalRank = getDifficultyRank(original.difficulty_level);
+  const candidateRank = getDifficultyRank(candidate.difficulty_level);
+  if (originalRank && candidateRank) {
+    if (candidateRank <= originalRank) {
+      score += WEIGHTS.easier;
+      if (candidateRank < originalRank) reasons.push('Easier to perform');
+    } else {
+      score += WEIGHTS.harder;
+      reasons.push('More technical');
+    }
+  }
+
+  if (original.exercise_type && original.exercise_type === candidate.exercise_type) {
+    score += WEIGHTS.sameType;
+  }
+
+  return { score, reasons, available: blocked.length === 0 };
+};
+
+/**
+ * Rank substitutes for an exercise, best first. Candidates that need unavailable
+ * equipment sort after every available one.
+ * @param {Object} original - The exercise being replaced
+ * @param {Array<Object>} candidates - exercises rows to consider
+ * @param {Object} [options] - See scoreSubstitute
+ * @param {number} [options.limit=10] - Most substitutes returned
+ * @returns {Array<{exercise: Object, score: number, reasons: Array<string>, available: boolean}>}
+ */
+export const rankSubstitutes = (original, candidates, { limit = 10, ...options } = {}) => {
+  if (!original) return [];
+  return (candidates || [])
+    .filter(candidate => candidate && candidate.id !== original.id)
+    .map(candidate => ({ exercise: candidate, ...scoreSubstitute(original, candidate, options) }))
+    .filter(result => result.score !== undefined)
+    .sort((a, b) => (b.available - a.available) || (b.score - a.score) || a.exercise.name.localeCompare(b.exercise.name))
+    .slice(0, limit);
+};
+
+export default { rankSubstitutes, scoreSubstitute, getMovementPattern };
@@ -7,20 +7,74 @@
  */
 
 /**
- * Calculate One Rep Max (1RM) using Epley Formula
+ * Published one-rep-max prediction equations.
+ * Each estimate takes the weight lifted and reps completed (reps > 1).
+ * @type {Object<string, {label: string, estimate: Function}>}
+ */
+export const ONE_RM_FORMULAS = {
+  epley: { label: 'Epley', estimate: (w, r) => w * (1 + r / 30) },
+  brzycki: { label: 'Brzycki', estimate: (w, r) => (w * 36) / (37 - Math.min(r, 36)) },
+  lombardi: { label: 'Lombardi', estimate: (w, r) => w * Math.pow(r, 0.1) },
+  mayhew: { label: 'Mayhew', estimate: (w, r) => (100 * w) / (52.2 + 41.9 * Math.exp(-0.055 * r)) },
+  oconner: { label: "O'Conner", estimate: (w, r) => w * (1 + 0.025 * r) },
+  wathan: { label: 'Wathan', estimate: (w, r) => (100 * w) / (48.8 + 53.8 * Math.exp(-0.075 * r)) },
+};
+
+/** Formula used when the user hasn't chosen one (matches user_profiles.one_rm_formula default) */
+export const DEFAULT_ONE_RM_FORMULA = 'epley';
+
+/**
+ * Calculate One Rep Max (1RM) with the chosen prediction formula
  * @param {number} weight - Weight lifted
  * @param {number} reps - Number of repetitions
+ * @param {string} [formula='epley'] - Key of ONE_RM_FORMULAS
  * @returns {number} Estimated 1RM
  * 
  * @example
- * calculate1RM(225, 5) // Returns 264
+ * calculate1RM(225, 5) // Returns 263
+ * calculate1RM(225, 5, 'brzycki') // Returns 253
  */
-export const calculate1RM = (weight, reps) => {
+export const calculate1RM = (weight, reps, formula = DEFAULT_ONE_RM_FORMULA) => {
   if (!weight || !reps || isNaN(weight) || isNaN(reps)) return 0;
   if (reps === 1) return weight;
-  return Math.round(weight * (1 + reps / 30));
+  const { estimate } = ONE_RM_FORMULAS[formula] || ONE_RM_FORMULAS[DEFAULT_ONE_RM_FORMULA];
+  return Math.round(estimate(weight, reps));
 };
 
+/**
+ * RPE/RIR-aware 1RM: reps in reserve (10 − RPE) are added to the reps completed
+ * before applying the formula, so 5 reps @ RPE 8 is treated as a 7-rep max.
+ * @param {number} weight - Weight lifted
+ * @param {number} reps - Number of repetitions
+ * @param {number|null} rpe - Rating of perceived exertion (1-10); ignored when missing
+ * @param {string} [formula='epley'] - Key of ONE_RM_FORMULAS
+ * @returns {number} Estimated 1RM
+ *
+ * @example
+ * calculateRpeAdjusted1RM(225, 5, 8) // Returns 278 (Epley on 7 reps)
+ */
+export const calculateRpeAdjusted1RM = (weight, reps, rpe, formula = DEFAULT_ONE_RM_FORMULA) => {
+  const rating = Number(rpe);
+  const repsInReserve = rating >= 1 && rating <= 10 ? 10 - rating : 0;
+  return calculate1RM(weight, Number(reps) + repsInReserve, formula);
+};
+
+/**
+ * Estimate 1RM for a logged set using the user's settings
+ * @param {number} weight - Weight lifted
+ * @param {number} reps - Number of repetitions
+ * @param {Object} [options]
+ * @param {string} [options.formula='epley'] - Key of ONE_RM_FORMULAS
+ * @param {number|null} [options.rpe] - The set's rpe_rating
+ * @param {boolean} [options.rpeAdjusted=false] - Apply the RPE/RIR adjustment when an RPE is present
+ * @returns {number} Estimated 1RM
+ */
+export const estimateOneRepMax = (weight, reps, { formula = DEFAULT_ONE_RM_FORMULA, rpe = null, rpeAdjusted = false } = {}) => (
+  rpeAdjusted && rpe
+    ? calculateRpeAdjusted1RM(weight, reps, rpe, formula)
+    : calculate1RM(weight, reps, formula)
+);
+
 /**
  * Generate percentage chart for training at different intensities
  * @param {number} oneRepMax - One rep max value
@@ -9,6 +9,7 @@
  */
 
 import { supabase } from '../supabaseClient.js';
+import { normalizeGtin } from './barcode.js';
 
 /**
  * @typedef {Object} Portion
@@ -28,6 +29,8 @@ import { supabase } from '../supabaseClient.js';
  * @property {number} carbs_g
  * @property {number} fat_g
  * @property {Array<Portion>} portions
+ * @property {boolean} [is_private] - User-created food only its creator (and trainers) can see
+ * @property {string|null} [verification_status] - Admin review state of a user-created food
  */
 
 /**
@@ -83,11 +86,51 @@ export const searchFoods = async (searchTerm) => {
   }
 };
 
+/** Name fragments that mark alcoholic drinks, which food logging leaves out */
+const EXCLUDED_NAME_PARTS = ['alcoholic', 'liqueur', 'wine', 'beer'];
+
+/**
+ * Search foods the way food logging ranks them: flexible name matching on
+ * name_simplified (so "chicken stew" finds "Stew, chicken"), most common foods
+ * first, alcoholic drinks left out.
+ *
+ * @param {string} searchTerm - Search query (minimum 3 characters)
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Maximum results
+ * @returns {Promise<Array<FoodSearchResult>>} Foods with portions, best match first
+ * @throws {Error} When the query fails
+ */
+export const searchFoodsRanked = async (searchTerm, { limit = 50 } = {}) => {
+  if (!searchTerm || searchTerm.trim().length < 3) {
+    return [];
+  }
+
+  // PostgREST reads commas as OR separators
+  const sanitizedTerm = searchTerm.trim().replace(/,/g, ' ').toLowerCase();
+
+  const { data, error } = await supabase
+    .from('foods')
+    .select(`
+      *,
+      portions (*)
+    `)
+    .or(`name_simplified.ilike.%${sanitizedTerm}%,brand_owner.ilike.%${sanitizedTerm}%`)
+    .order('commonness_score', { ascending: false })
+    .order('name')
+    .limit(limit * 2);
+
+  if (error) throw error;
+
+  return (data || [])
+    .filter(food => !EXCLUDED_NAME_PARTS.some(part => food.name.toLowerCase().includes(part)))
+    .slice(0, limit);
+};
+
 /**
  * Format food result for display in UI
  * 
  * @param {FoodSearchResult} food - Food object from database
- * @param {Portion} [selectedPortion] - Selected portion object
+ * @param {Portion|null} [selectedPortion] - Selected portion object
  * @returns {FormattedFood} Formatted food data for display
  * 
  * @example
@@ -161,8 +204,79 @@ export const getFoodPortions = async (foodId) => {
   }
 };
 
+/**
+ * Look up a food by its package barcode
+ *
+ * @param {string} code - Scanned or typed UPC/EAN/GTIN (any length, see normalizeGtin)
+ * @param {Object} [options]
+ * @param {string|null} [options.format] - BarcodeDetector format of a scanned code
+ * @param {string|null} [options.userId] - Current user's id, to prefer their own claim
+ * @returns {Promise<{ gtin: string|null, food: FoodSearchResult|null }>} gtin is null
+ * when the code is not a valid GTIN; food is null when no food has that barcode
+ *
+ * A GTIN can have one official row (USDA or admin) and one claim per user for
+ * their private foods; RLS only returns claims on foods the caller can see. The
+ * official row wins, then the caller's own claim.
+ *
+ * @example
+ * const { gtin, food } = await findFoodByBarcode('049000028904');
+ */
+export const findFoodByBarcode = async (code, { format, userId = null } = {}) => {
+  const gtin = normalizeGtin(code, { format });
+  if (!gtin) return { gtin: null, food: null };
+
+  const { data, error } = await supabase
+    .from('food_barcodes')
+    .select(`
+      gtin,
+      source,
+      created_by,
+      foods (
+        *,
+        portions (*)
+      )
+    `)
+    .eq('gtin', gtin);
+
+  if (error) throw error;
+  const rows = (data || []).filter(row => row.foods);
+  const match = rows.find(row => row.source !== 'user')
+    || rows.find(row => userId && row.created_by === userId)
+    || rows[0];
+  return { gtin, food: match?.foods ?? null };
+};
+
+/**
+ * Attach a barcode to a food the current user created. This is the user's own
+ * claim on the code (it replaces any earlier claim of theirs); it becomes the
+ * official mapping when the food is verified.
+ *
+ * @param {string} gtin - GTIN-14 from findFoodByBarcode
+ * @param {number} foodId - foods.id
+ * @param {string} userId - Current user's id
+ * @returns {Promise<void>}
+ */
+export const attachBarcodeToFood = async (gtin, foodId, userId) => {
+  const { error: deleteError } = await supabase
+    .from('food_barcodes')
+    .delete()
+    .eq('gtin', gtin)
+    .eq('source', 'user')
+    .eq('created_by', userId);
+  if (deleteError) throw deleteError;
+
+  const { error } = await supabase
+    .from('food_barcodes')
+    .insert({ gtin, food_id: foodId, source: 'user', created_by: userId });
+
+  if (error) throw error;
+};
+
 export default {
   searchFoods,
+  searchFoodsRanked,
   formatFoodForDisplay,
-  getFoodPortions
+  getFoodPortions,
+  findFoodByBarcode,
+  attachBarcodeToFood
 };
@@ -0,0 +1,104 @@
+/**
+ * @file intensityTechniques.js
+ * @description Pure helpers for drop sets and negatives: the next reduced
+ * weight from routine_exercises.drop_set_percentage, grouping drops under their
+ * parent (top) set, which sets count toward an exercise's target sets, and
+ * set numbering.
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { roundToIncrement } from './progressionEngine.js';
+
+/** Weight removed per drop when the routine doesn't specify drop_set_percentage */
+export const DEFAULT_DROP_PERCENTAGE = 20;
+
+/** Eccentric (lowering) durations offered for negatives, in seconds */
+export const ECCENTRIC_TEMPO_OPTIONS = [3, 4, 5, 6];
+
+/** Default eccentric duration for negatives */
+export const DEFAULT_ECCENTRIC_SECONDS = 4;
+
+/**
+ * Percentage to drop per step for a routine exercise. Accepts whole percentages
+ * (20) as saved by the routine editor, or fractions (0.2).
+ * @param {Object|null} routineExercise - routine_exercises row
+ * @returns {number} Percentage between 1 and 90
+ */
+export const getDropPercentage = (routineExercise) => {
+  const raw = Number(routineExercise?.drop_set_percentage);
+  if (!(raw > 0)) return DEFAULT_DROP_PERCENTAGE;
+  const pct = raw <= 1 ? raw * 100 : raw;
+  return Math.min(90, Math.max(1, pct));
+};
+
+/**
+ * Next weight in a drop set.
+ * @param {number} weight - Weight of the previous set or drop
+ * @param {number} percentage - Percentage to remove (see getDropPercentage)
+ * @param {number} [step=2.5] - Smallest loadable change
+ * @returns {number} Reduced weight, or 0 when nothing sensible remains
+ *
+ * @example
+ * calculateDropWeight(200, 20) // 160
+ */
+export const calculateDropWeight = (weight, percentage, step = 2.5) => {
+  const reduced = roundToIncrement(Number(weight) * (1 - percentage / 100), step);
+  return reduced > 0 && reduced < Number(weight) ? reduced : 0;
+};
+
+/**
+ * Sets that count toward target sets: top-level working sets (no warm-ups, no drops).
+ * @param {Array<Object>} entries - workout_log_entries rows
+ * @returns {Array<Object>} Top-level sets in their original order
+ */
+export const getTopLevelSets = (entries) =>
+  (entries || []).filter((entry) => !entry.is_warmup && !entry.parent_entry_id);
+
+/**
+ * Whether two sets are numbered in the same sequence. Working sets, warm-ups
+ * and each top set's drops are numbered separately, so "set 3" is the third
+ * working set however many warm-ups came before it.
+ * @param {Object} a - workout_log_entries row
+ * @param {Object} b - workout_log_entries row
+ * @returns {boolean}
+ */
+export const isSameSetSequence = (a, b) => (a.parent_entry_id ?? null) === (b.parent_entry_id ?? null)
+  && (a.parent_entry_id ? true : Boolean(a.is_warmup) === Boolean(b.is_warmup));
+
+/**
+ * set_number for a new set: one past the sets already logged in its sequence
+ * (see isSameSetSequence).
+ * @param {Array<Object>} entries - The exercise's workout_log_entries rows
+ * @param {Object} entry - The new set (is_warmup / parent_entry_id)
+ * @returns {number}
+ *
+ * @example
+ * nextSetNumber([{ is_warmup: true, set_number: 1 }, { set_number: 1 }, { set_number: 2 }], {}) // 3
+ */
+export const nextSetNumber = (entries, entry) =>
+  Math.max(0, ...(entries || []).filter((other) => isSameSetSequence(other, entry)).map((other) => Number(other.set_number) || 0)) + 1;
+
+/**
+ * Nest drop sets under their parent set for display. Drops whose parent isn't in
+ * the list (e.g. deleted) are shown as top-level sets rather than hidden.
+ * @param {Array<Object>} entries - An exercise's workout_log_entries rows
+ * @returns {Array<Object>} Top-level entries, each with a `drops` array ordered by set_number
+ */
+export const groupDropSets = (entries) => {
+  const list = entries || [];
+  const ids = new Set(list.map((entry) => entry.id));
+  const dropsByParent = {};
+  list.forEach((entry) => {
+    if (entry.parent_entry_id && ids.has(entry.parent_entry_id)) {
+      (dropsByParent[entry.parent_entry_id] = dropsByParent[entry.parent_entry_id] || []).push(entry);
+    }
+  });
+  return list
+    .filter((entry) => !entry.parent_entry_id || !ids.has(entry.parent_entry_id))
+    .map((entry) => ({
+      ...entry,
+      drops: (dropsByParent[entry.id] || []).sort((a, b) => (a.set_number || 0) - (b.set_number || 0)),
+    }));
+};
@@ -0,0 +1,298 @@
+/**
+ * @file loadingPlans.js
+ * @description Pure helpers for mesocycle loading plans (`mesocycles.loading_plan`):
+ * per-week intensity %, set-count ramp and RPE targets, deload volume/intensity
+ * multipliers, and presets for linear, daily undulating (DUP) and block
+ * periodization. WorkoutLogPage turns the plan into the session's targets with
+ * getSessionTargets + applyLoadingTargets.
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ *
+ * Plan shape:
+ * {
+ *   preset: 'linear' | 'undulating' | 'block' | 'custom',
+ *   deload: { volume_multiplier, intensity_multiplier },
+ *   session_pattern: [{ label, intensity_offset, rpe_offset }],  // DUP only, rotates through the week's sessions
+ *   weeks: [{ week_index, intensity_pct, set_delta, rpe_target, is_deload, label? }]
+ * }
+ */
+
+/** Available presets in display order */
+export const LOADING_PLAN_PRESETS = [
+  { id: 'linear', label: 'Linear', description: 'Load climbs a little every week, sets build up, effort rises toward the deload.' },
+  { id: 'undulating', label: 'Undulating (DUP)', description: 'Heavy, moderate and light days rotate within each week on a slowly rising base.' },
+  { id: 'block', label: 'Block', description: 'Accumulation (volume), intensification (load), then realization (peak) phases.' },
+];
+
+/** Deload defaults: half the sets at 85% of the planned load */
+export const DEFAULT_DELOAD = Object.freeze({ volume_multiplier: 0.5, intensity_multiplier: 0.85 });
+
+/** Heavy / moderate / light rotation used by the DUP preset */
+export const DUP_SESSION_PATTERN = [
+  { label: 'Heavy', intensity_offset: 7.5, rpe_offset: 1 },
+  { label: 'Moderate', intensity_offset: 0, rpe_offset: 0 },
+  { label: 'Light', intensity_offset: -10, rpe_offset: -1 },
+];
+
+const MIN_INTENSITY = 40;
+const MAX_INTENSITY = 95;
+const DELOAD_RPE = 6;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const roundHalf = (value) => Math.round(value * 2) / 2;
+
+/**
+ * Split weeks into training blocks separated by deload weeks.
+ * @param {number} weeks - Mesocycle length
+ * @param {Array<number>} deloadWeeks - 1-based deload week numbers
+ * @returns {Array<{week_index: number, is_deload: boolean, block: number, position: number, blockLength: number}>}
+ */
+const layoutWeeks = (weeks, deloadWeeks) => {
+  const deloads = new Set(deloadWeeks);
+  const rows = [];
+  let block = 0;
+  let current = [];
+  const closeBlock = () => {
+    current.forEach((row, position) => rows.push({ ...row, block, position, blockLength: current.length }));
+    current = [];
+  };
+  for (let w = 1; w <= weeks; w++) {
+    if (deloads.has(w)) {
+      closeBlock();
+      rows.push({ week_index: w, is_deload: true, block, position: 0, blockLength: 0 });
+      block += 1;
+    } else {
+      current.push({ week_index: w, is_deload: false });
+    }
+  }
+  closeBlock();
+  return rows.sort((a, b) => a.week_index - b.week_index);
+};
+
+const PRESET_WEEK_BUILDERS = {
+  // +2.5% a week, one extra set every two weeks (max +2), RPE 7 rising by 0.5
+  linear: ({ block, position }) => ({
+    intensity_pct: 70 + block * 2.5 + position * 2.5,
+    set_delta: Math.min(2, Math.floor(position / 2)),
+    rpe_target: 7 + position * 0.5,
+  }),
+  // Gentler weekly rise; the daily heavy/moderate/light swing comes from session_pattern
+  undulating: ({ block, position }) => ({
+    intensity_pct: 72.5 + block * 2.5 + position * 1.25,
+    set_delta: Math.min(2, Math.floor(position / 2)),
+    rpe_target: 7.5 + position * 0.5,
+  }),
+  // Roughly 40% accumulation, 40% intensification, the rest realization
+  block: ({ block, position, blockLength }) => {
+    const accumulation = Math.max(1, Math.floor(blockLength * 0.4));
+    const intensification = Math.max(1, Math.floor(blockLength * 0.4));
+    const base = block * 2.5;
+    if (position < accumulation) {
+      return { label: 'Accumulation', intensity_pct: 67.5 + base + position * 2.5, set_delta: 2, rpe_target: 7 };
+    }
+    if (position < accumulation + intensification) {
+      const step = position - accumulation;
+      return { label: 'Intensification', intensity_pct: 77.5 + base + step * 2.5, set_delta: 1, rpe_target: 8 };
+    }
+    const step = position - accumulation - intensification;
+    return { label: 'Realization', intensity_pct: 87.5 + base + step * 2.5, set_delta: -1, rpe_target: 9 };
+  },
+};
+
+/**
+ * Build a plan from a preset.
+ *
+ * @param {string} preset - One of LOADING_PLAN_PRESETS ids
+ * @param {Object} options
+ * @param {number} options.weeks - Mesocycle length in weeks
+ * @param {Array<number>} [options.deloadWeeks=[]] - Deload week numbers (e.g. from the week editor)
+ * @param {{volume_multiplier: number, intensity_multiplier: number}} [options.deload] - Deload multipliers to keep
+ * @returns {Object|null} Loading plan, or null for an unknown preset
+ *
+ * @example
+ * generateLoadingPlan('linear', { weeks: 5, deloadWeeks: [5] }).weeks.map(w => w.intensity_pct)
+ * // [70, 72.5, 75, 77.5, 77.5]
+ */
+export const generateLoadingPlan = (preset, { weeks, deloadWeeks = [], deload = DEFAULT_DELOAD }) => {
+  const buildWeek = PRESET_WEEK_BUILDERS[preset];
+  if (!buildWeek) return null;
+
+  const rows = [];
+  let lastTraining = null;
+  layoutWeeks(Math.max(1, Number(weeks) || 1), deloadWeeks).forEach((slot) => {
+    if (slot.is_deload) {
+      // A deload repeats the preceding week; the deload multipliers are applied on top
+      const base = lastTraining || { intensity_pct: 70, set_delta: 0 };
+      rows.push({ week_index: slot.week_index, intensity_pct: base.intensity_pct, set_delta: 0, rpe_target: DELOAD_RPE, is_deload: true, label: 'Deload' });
+      return;
+    }
+    const built = buildWeek(slot);
+    const row = {
+      week_index: slot.week_index,
+      intensity_pct: clamp(roundHalf(built.intensity_pct), MIN_INTENSITY, MAX_INTENSITY),
+      set_delta: built.set_delta,
+      rpe_target: clamp(roundHalf(built.rpe_target), 5, 10),
+      is_deload: false,
+      ...(built.label ? { label: built.label } : {}),
+    };
+    rows.push(row);
+    lastTraining = row;
+  });
+
+  return {
+    preset,
+    deload: { ...DEFAULT_DELOAD, ...deload },
+    session_pattern: preset === 'undulating' ? DUP_SESSION_PATTERN.map((s) => ({ ...s })) : [],
+    weeks: rows,
+  };
+};
+
+/**
+ * Validate a stored plan, dropping malformed weeks. Returns null when there is no usable plan.
+ * @param {Object|null} raw - mesocycles.loading_plan
+ * @returns {Object|null} Normalized plan
+ */
+export const normalizeLoadingPlan = (raw) => {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.weeks)) return null;
+  const weeks = raw.weeks
+    .filter((w) => Number(w?.week_index) > 0)
+    .map((w) => ({
+      week_index: Number(w.week_index),
+      intensity_pct: Number(w.intensity_pct) > 0 ? clamp(Number(w.intensity_pct), MIN_INTENSITY, 100) : null,
+      set_delta: Math.round(Number(w.set_delta) || 0),
+      rpe_target: Number(w.rpe_target) > 0 ? clamp(Number(w.rpe_target), 1, 10) : null,
+      is_deload: !!w.is_deload,
+      ...(w.label ? { label: String(w.label) } : {}),
+    }))
+    .sort((a, b) => a.week_index - b.week_index);
+  if (weeks.length === 0) return null;
+
+  const volume = Number(raw.deload?.volume_multiplier);
+  const intensity = Number(raw.deload?.intensity_multiplier);
+  return {
+    preset: raw.preset || 'custom',
+    deload: {
+      volume_multiplier: volume > 0 && volume <= 1 ? volume : DEFAULT_DELOAD.volume_multiplier,
+      intensity_multiplier: intensity > 0 && intensity <= 1 ? intensity : DEFAULT_DELOAD.intensity_multiplier,
+    },
+    session_pattern: Array.isArray(raw.session_pattern)
+      ? raw.session_pattern.filter((s) => s && s.label).map((s) => ({
+        label: String(s.label),
+        intensity_offset: Number(s.intensity_offset) || 0,
+        rpe_offset: Number(s.rpe_offset) || 0,
+      }))
+      : [],
+    weeks,
+  };
+};
+
+/**
+ * Fit a plan to a new mesocycle length / deload layout. Presets are regenerated;
+ * custom plans keep their rows, are truncated, or are extended by repeating the
+ * last training week. is_deload is re-derived for every week from deloadWeeks:
+ * weeks that became deloads get deload targets, and former deloads repeat the
+ * last training week.
+ *
+ * @param {Object|null} plan - Current plan
+ * @param {number} weeks - Mesocycle length
+ * @param {Array<number>} [deloadWeeks=[]] - Deload week numbers
+ * @returns {Object|null} Resized plan
+ */
+export const resizeLoadingPlan = (plan, weeks, deloadWeeks = []) => {
+  if (!plan) return null;
+  if (plan.preset !== 'custom') {
+    return generateLoadingPlan(plan.preset, { weeks, deloadWeeks, deload: plan.deload }) || plan;
+  }
+  const byIndex = new Map(plan.weeks.map((w) => [w.week_index, w]));
+  const rows = [];
+  let lastTraining = null;
+  for (let w = 1; w <= weeks; w++) {
+    const existing = byIndex.get(w);
+    const isDeload = deloadWeeks.includes(w);
+    let row;
+    if (existing && existing.is_deload === isDeload) {
+      row = existing;
+    } else if (isDeload) {
+      // Same shape as a preset deload: repeats the preceding training week's load
+      const base = lastTraining || existing || { intensity_pct: 70 };
+      row = { week_index: w, intensity_pct: base.intensity_pct, set_delta: 0, rpe_target: DELOAD_RPE, is_deload: true, label: 'Deload' };
+    } else {
+      // New week, or a deload turned back into training: repeat the last training week
+      const { label, ...base } = lastTraining || existing || { intensity_pct: 70, set_delta: 0, rpe_target: 8 };
+      row = { ...base, ...(label && label !== 'Deload' ? { label } : {}), week_index: w, is_deload: false };
+    }
+    rows.push(row);
+    if (!row.is_deload) lastTraining = row;
+  }
+  return { ...plan, weeks: rows };
+};
+
+/**
+ * Targets for one session of the plan.
+ *
+ * @param {Object|null} plan - Normalized loading plan
+ * @param {number} weekIndex - cycle_sessions.week_index (1-based)
+ * @param {number} [sessionOrdinal=0] - 0-based position of the session among the week's training sessions (DUP rotation)
+ * @returns {Object|null} { week_index, intensity_pct, set_delta, rpe_target, is_deload,
+ *   volume_multiplier, intensity_multiplier, label } or null when the plan doesn't cover the week
+ */
+export const getSessionTargets = (plan, weekIndex, sessionOrdinal = 0) => {
+  const week = plan?.weeks?.find((w) => w.week_index === Number(weekIndex));
+  if (!week) return null;
+
+  const pattern = !week.is_deload && plan.session_pattern?.length
+    ? plan.session_pattern[Math.max(0, sessionOrdinal) % plan.session_pattern.length]
+    : null;
+  const volumeMultiplier = week.is_deload ? plan.deload.volume_multiplier : 1;
+  const intensityMultiplier = week.is_deload ? plan.deload.intensity_multiplier : 1;
+  const intensity = week.intensity_pct === null
+    ? null
+    : clamp(roundHalf((week.intensity_pct + (pattern?.intensity_offset || 0)) * intensityMultiplier), MIN_INTENSITY, 100);
+  const rpe = week.rpe_target === null ? null : clamp(roundHalf(week.rpe_target + (pattern?.rpe_offset || 0)), 5, 10);
+
+  return {
+    week_index: week.week_index,
+    intensity_pct: intensity,
+    set_delta: week.set_delta,
+    rpe_target: rpe,
+    is_deload: week.is_deload,
+    volume_multiplier: volumeMultiplier,
+    intensity_multiplier: intensityMultiplier,
+    label: [week.label, pattern?.label].filter(Boolean).join(' · ') || null,
+  };
+};
+
+/**
+ * Apply session targets to a routine exercise. Warm-up exercises are left as programmed.
+ *
+ * @param {Object|null} routineExercise - routine_exercises row
+ * @param {Object|null} targets - From getSessionTargets
+ * @returns {Object|null} Copy with target_sets / target_intensity_pct adjusted and target_rpe added
+ *   (the original row when there are no targets)
+ */
+export const applyLoadingTargets = (routineExercise, targets) => {
+  if (!routineExercise || !targets || routineExercise.is_warmup) return routineExercise;
+  const baseSets = Number(routineExercise.target_sets) || 1;
+  return {
+    ...routineExercise,
+    target_sets: Math.max(1, Math.round((baseSets + targets.set_delta) * targets.volume_multiplier)),
+    target_intensity_pct: targets.intensity_pct ?? routineExercise.target_intensity_pct,
+    target_rpe: targets.rpe_target,
+  };
+};
+
+/**
+ * Short description of session targets, e.g. "Week 3 · Heavy · 80% · RPE 8.5 · +1 set".
+ * @param {Object} targets - From getSessionTargets
+ * @returns {string} Summary line
+ */
+export const describeSessionTargets = (targets) => {
+  const parts = [`Week ${targets.week_index}`];
+  if (targets.label) parts.push(targets.label);
+  if (targets.intensity_pct !== null) parts.push(`${targets.intensity_pct}%`);
+  if (targets.rpe_target !== null) parts.push(`RPE ${targets.rpe_target}`);
+  if (targets.set_delta) parts.push(`${targets.set_delta > 0 ? '+' : '−'}${Math.abs(targets.set_delta)} set${Math.abs(targets.set_delta) === 1 ? '' : 's'}`);
+  if (targets.is_deload) parts.push(`${Math.round(targets.volume_multiplier * 100)}% volume`);
+  return parts.join(' · ');
+};
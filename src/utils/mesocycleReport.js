@@ -0,0 +1,274 @@
+/**
+ * @file mesocycleReport.js
+ * @description Pure helpers for the end-of-mesocycle report: which week each
+ * workout fell in, per-exercise e1RM change from the first to the last week,
+ * weekly sets and volume per muscle group, adherence, RPE drift, body-weight
+ * change, and a CSV export of the whole report.
+ *
+ * Inputs are plain rows (mesocycle_weeks, workout_logs, workout_exercise_session_stats,
+ * exercises, body_metrics) so the page can load them however it likes.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { getDayNumber } from '../lib/cycleUtils.js';
+import { DEFAULT_ONE_RM_FORMULA, estimateOneRepMax } from './fitnessCalculators.js';
+import { getMuscleCredits } from './muscleVolume.js';
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Parse 'YYYY-MM-DD' as a local date.
+ * @param {string} iso - Date string
+ * @returns {Date}
+ */
+const parseLocalDate = (iso) => {
+  const [y, m, d] = String(iso).slice(0, 10).split('-').map(Number);
+  return new Date(y, (m || 1) - 1, d || 1);
+};
+
+/**
+ * Week of the mesocycle (1-based) a date falls in.
+ * @param {string} startDate - mesocycles.start_date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Week index (may be < 1 or > weeks for dates outside the block)
+ */
+export const getWeekForDate = (startDate, date) => Math.floor(getDayNumber(startDate, parseLocalDate(date)) / 7) + 1;
+
+/**
+ * Deload weeks of a mesocycle, from day rows marked deload or the loading plan.
+ * @param {Array<Object>} rows - mesocycle_weeks rows
+ * @param {Object|null} [loadingPlan] - mesocycles.loading_plan
+ * @returns {Set<number>} Week indexes
+ */
+export const getDeloadWeeks = (rows, loadingPlan = null) => {
+  const weeks = new Set((rows || [])
+    .filter((r) => r.notes === 'deload' || r.day_type === 'deload')
+    .map((r) => r.week_index));
+  (loadingPlan?.weeks || []).filter((w) => w.is_deload).forEach((w) => weeks.add(w.week_index));
+  return weeks;
+};
+
+/**
+ * Map workout_log_id → week index for logs inside the block.
+ * @param {Array<{id: string, log_date: string}>} logs - workout_logs rows
+ * @param {string} startDate - mesocycles.start_date
+ * @param {number} weeks - Mesocycle length
+ * @returns {Map<string, number>}
+ */
+export const assignLogWeeks = (logs, startDate, weeks) => new Map((logs || [])
+  .map((log) => [log.id, getWeekForDate(startDate, log.log_date)])
+  .filter(([, week]) => week >= 1 && week <= weeks));
+
+/**
+ * Best e1RM among a session's working sets (set_details from workout_exercise_session_stats).
+ * @param {Array<Object>} setDetails - [{ reps, weight, effective_load, rpe }]
+ * @param {Object} oneRmOptions - { formula, rpeAdjusted }
+ * @returns {number|null}
+ */
+const bestSessionE1rm = (setDetails, oneRmOptions) => {
+  let best = null;
+  (setDetails || []).forEach((set) => {
+    const load = toNumber(set.effective_load) ?? toNumber(set.weight);
+    const reps = toNumber(set.reps);
+    if (!load || !reps) return;
+    const e1rm = estimateOneRepMax(load, reps, { ...oneRmOptions, rpe: toNumber(set.rpe) });
+    if (best === null || e1rm > best) best = e1rm;
+  });
+  return best;
+};
+
+/**
+ * Per-exercise e1RM in the first and last week the exercise was trained.
+ * Deload weeks are left out so a lighter final week doesn't read as lost strength.
+ *
+ * @param {Array<Object>} stats - workout_exercise_session_stats rows for the block
+ * @param {Map<string, number>} logWeeks - From assignLogWeeks
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.names] - Exercise names by id
+ * @param {Set<number>} [options.deloadWeeks] - Weeks to leave out
+ * @param {string} [options.formula] - Key of ONE_RM_FORMULAS
+ * @param {boolean} [options.rpeAdjusted=false] - Use RPE-adjusted e1RM
+ * @returns {Array<Object>} [{ exerciseId, name, firstWeek, lastWeek, first, last, change, changePct }] sorted by change %
+ */
+export const buildE1rmChanges = (stats, logWeeks, { names = {}, deloadWeeks = new Set(), formula = DEFAULT_ONE_RM_FORMULA, rpeAdjusted = false } = {}) => {
+  const byExercise = new Map();
+  (stats || []).forEach((row) => {
+    const week = logWeeks.get(row.workout_log_id);
+    if (!week || deloadWeeks.has(week)) return;
+    const e1rm = bestSessionE1rm(row.set_details, { formula, rpeAdjusted });
+    if (!e1rm) return;
+    const exerciseId = String(row.exercise_id);
+    const weeksBest = byExercise.get(exerciseId) || new Map();
+    weeksBest.set(week, Math.max(weeksBest.get(week) || 0, e1rm));
+    byExercise.set(exerciseId, weeksBest);
+  });
+
+  return [...byExercise.entries()]
+    .map(([exerciseId, weeksBest]) => {
+      const trained = [...weeksBest.keys()].sort((a, b) => a - b);
+      const firstWeek = trained[0];
+      const lastWeek = trained[trained.length - 1];
+      const first = weeksBest.get(firstWeek);
+      const last = weeksBest.get(lastWeek);
+      return {
+        exerciseId,
+        name: names[exerciseId] || 'Exercise',
+        firstWeek,
+        lastWeek,
+        first,
+        last,
+        change: firstWeek === lastWeek ? null : last - first,
+        changePct: firstWeek === lastWeek || !first ? null : round1(((last - first) / first) * 100),
+      };
+    })
+    .sort((a, b) => (b.changePct ?? -Infinity) - (a.changePct ?? -Infinity));
+};
+
+/**
+ * Working sets and volume per muscle group per week, credited the same way as
+ * weekly volume tracking (see getMuscleCredits in muscleVolume.js).
+ *
+ * @param {Array<Object>} stats - workout_exercise_session_stats rows for the block
+ * @param {Map<string, number>} logWeeks - From assignLogWeeks
+ * @param {Object<string, {primary_muscle?: string, secondary_muscle?: string, tertiary_muscle?: string}>} exerciseMuscles - By exercise id
+ * @param {number} weeks - Mesocycle length
+ * @returns {{muscles: Array<string>, byMuscle: Object<string, Array<{sets: number, volume: number}>>}}
+ *   byMuscle[muscle][week - 1]; muscles ordered by total sets
+ */
+export const buildWeeklyMuscleVolume = (stats, logWeeks, exerciseMuscles, weeks) => {
+  const byMuscle = {};
+  const credit = (muscle, week, share, sets, volume) => {
+    if (!byMuscle[muscle]) byMuscle[muscle] = Array.from({ length: weeks }, () => ({ sets: 0, volume: 0 }));
+    byMuscle[muscle][week - 1].sets += sets * share;
+    byMuscle[muscle][week - 1].volume += volume * share;
+  };
+
+  (stats || []).forEach((row) => {
+    const week = logWeeks.get(row.workout_log_id);
+    if (!week) return;
+    const sets = toNumber(row.sets_completed) || 0;
+    const volume = toNumber(row.total_volume_lbs) || 0;
+    getMuscleCredits(exerciseMuscles[String(row.exercise_id)]).forEach(({ muscle, share }) => {
+      credit(muscle, week, share, sets, volume);
+    });
+  });
+
+  const total = (muscle) => byMuscle[muscle].reduce((sum, w) => sum + w.sets, 0);
+  const muscles = Object.keys(byMuscle).sort((a, b) => total(b) - total(a));
+  muscles.forEach((muscle) => {
+    byMuscle[muscle] = byMuscle[muscle].map((w) => ({ sets: round1(w.sets), volume: Math.round(w.volume) }));
+  });
+  return { muscles, byMuscle };
+};
+
+/**
+ * Adherence from the block's planned sessions.
+ * @param {Array<Object>} rows - mesocycle_weeks rows
+ * @returns {{planned: number, completed: number, skipped: number, missed: number, rate: number|null}}
+ *   missed = neither complete nor skipped; rate = completed / planned (%)
+ */
+export const buildAdherence = (rows) => {
+  const planned = (rows || []).filter((r) => r.routine_id);
+  const completed = planned.filter((r) => r.is_complete).length;
+  const skipped = planned.filter((r) => !r.is_complete && r.skipped).length;
+  return {
+    planned: planned.length,
+    completed,
+    skipped,
+    missed: planned.length - completed - skipped,
+    rate: planned.length > 0 ? Math.round((completed / planned.length) * 100) : null,
+  };
+};
+
+/**
+ * Average working-set RPE per week and how it moved across the block.
+ * @param {Array<Object>} stats - workout_exercise_session_stats rows for the block
+ * @param {Map<string, number>} logWeeks - From assignLogWeeks
+ * @param {number} weeks - Mesocycle length
+ * @param {Set<number>} [deloadWeeks] - Weeks left out of the drift (still listed in `weekly`)
+ * @returns {{weekly: Array<number|null>, drift: number|null}} drift = last rated week − first rated week
+ */
+export const buildRpeDrift = (stats, logWeeks, weeks, deloadWeeks = new Set()) => {
+  const sums = Array.from({ length: weeks }, () => ({ total: 0, count: 0 }));
+  (stats || []).forEach((row) => {
+    const week = logWeeks.get(row.workout_log_id);
+    if (!week) return;
+    (row.set_details || []).forEach((set) => {
+      const rpe = toNumber(set.rpe);
+      if (!rpe) return;
+      sums[week - 1].total += rpe;
+      sums[week - 1].count += 1;
+    });
+  });
+  const weekly = sums.map((s) => (s.count > 0 ? round1(s.total / s.count) : null));
+  const rated = weekly.filter((v, i) => v !== null && !deloadWeeks.has(i + 1));
+  return { weekly, drift: rated.length > 1 ? round1(rated[rated.length - 1] - rated[0]) : null };
+};
+
+/**
+ * Body-weight change across the block from body_metrics entries.
+ * @param {Array<{measurement_date: string, weight_lbs: number}>} metrics - Entries, any order
+ * @returns {{start: number, end: number, change: number, startDate: string, endDate: string}|null}
+ */
+export const buildBodyWeightChange = (metrics) => {
+  const weighed = (metrics || [])
+    .filter((m) => toNumber(m.weight_lbs))
+    .sort((a, b) => String(a.measurement_date).localeCompare(String(b.measurement_date)));
+  if (weighed.length < 2) return null;
+  const first = weighed[0];
+  const last = weighed[weighed.length - 1];
+  return {
+    start: Number(first.weight_lbs),
+    end: Number(last.weight_lbs),
+    change: round1(Number(last.weight_lbs) - Number(first.weight_lbs)),
+    startDate: first.measurement_date,
+    endDate: last.measurement_date,
+  };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const csvRow = (cells) => cells.map(csvCell).join(',');
+
+/**
+ * Flatten a report into CSV, one section per block separated by blank lines.
+ * @param {Object} report - { mesocycle, e1rm, muscleVolume, adherence, rpe, bodyWeight }
+ * @returns {string} CSV text
+ */
+export const reportToCsv = ({ mesocycle, e1rm, muscleVolume, adherence, rpe, bodyWeight }) => {
+  const weeks = mesocycle.weeks || 0;
+  const weekHeaders = Array.from({ length: weeks }, (_, i) => `Week ${i + 1}`);
+  const lines = [
+    csvRow(['Mesocycle', mesocycle.name]),
+    csvRow(['Focus', mesocycle.focus]),
+    csvRow(['Start date', mesocycle.start_date]),
+    csvRow(['Weeks', weeks]),
+    '',
+    csvRow(['Adherence', 'Planned', 'Completed', 'Skipped', 'Missed', 'Completion %']),
+    csvRow(['', adherence.planned, adherence.completed, adherence.skipped, adherence.missed, adherence.rate]),
+    '',
+    csvRow(['Exercise', 'First week', 'First e1RM (lb)', 'Last week', 'Last e1RM (lb)', 'Change (lb)', 'Change %']),
+    ...e1rm.map((row) => csvRow([row.name, row.firstWeek, row.first, row.lastWeek, row.last, row.change, row.changePct])),
+    '',
+    csvRow(['Muscle group (sets)', ...weekHeaders]),
+    ...muscleVolume.muscles.map((muscle) => csvRow([muscle, ...muscleVolume.byMuscle[muscle].map((w) => w.sets)])),
+    '',
+    csvRow(['Muscle group (volume lb)', ...weekHeaders]),
+    ...muscleVolume.muscles.map((muscle) => csvRow([muscle, ...muscleVolume.byMuscle[muscle].map((w) => w.volume)])),
+    '',
+    csvRow(['Average RPE', ...weekHeaders, 'Drift']),
+    csvRow(['', ...rpe.weekly, rpe.drift]),
+  ];
+  if (bodyWeight) {
+    lines.push('', csvRow(['Body weight', 'Start (lb)', 'Start date', 'End (lb)', 'End date', 'Change (lb)']));
+    lines.push(csvRow(['', bodyWeight.start, bodyWeight.startDate, bodyWeight.end, bodyWeight.endDate, bodyWeight.change]));
+  }
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,205 @@
+/**
+ * @file muscleVolume.js
+ * @description Pure helpers for weekly per-muscle volume: hard sets per muscle
+ * group from logged sets, compared with volume landmarks (MV/MEV/MAV/MRV).
+ *
+ * Muscle groups are the regions of InteractiveMuscleMap, so a status can be
+ * painted straight onto the map. The free-text exercises.primary_muscle /
+ * secondary_muscle / tertiary_muscle values are folded into those regions by
+ * toMuscleGroup.
+ *
+ * Landmarks (weekly hard sets)
+ * - MV: maintenance volume, below it the muscle loses ground
+ * - MEV: minimum effective volume, the least that still drives growth
+ * - MAV: maximum adaptive volume, the top of the productive range
+ * - MRV: maximum recoverable volume, beyond it fatigue outruns recovery
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+/**
+ * Hard sets credited to a muscle per working set of an exercise, by the role
+ * the muscle plays in it.
+ * @type {{primary: number, secondary: number, tertiary: number}}
+ */
+export const HARD_SET_CREDIT = Object.freeze({ primary: 1, secondary: 0.5, tertiary: 0.25 });
+
+/** Landmark keys, lowest first */
+export const VOLUME_LANDMARK_KEYS = ['mv', 'mev', 'mav', 'mrv'];
+
+/**
+ * Starting landmarks per muscle group in weekly hard sets, after commonly
+ * published hypertrophy guidelines. Users can override them in settings.
+ * @type {Object<string, {mv: number, mev: number, mav: number, mrv: number}>}
+ */
+export const DEFAULT_VOLUME_LANDMARKS = {
+  Chest: { mv: 4, mev: 6, mav: 16, mrv: 22 },
+  Lats: { mv: 6, mev: 10, mav: 18, mrv: 25 },
+  'Traps (Upper)': { mv: 0, mev: 0, mav: 14, mrv: 26 },
+  Rhomboids: { mv: 0, mev: 4, mav: 12, mrv: 20 },
+  'Lower Back': { mv: 0, mev: 0, mav: 6, mrv: 12 },
+  'Front Delts': { mv: 0, mev: 0, mav: 8, mrv: 12 },
+  'Side Delts': { mv: 0, mev: 8, mav: 19, mrv: 26 },
+  'Rear Delts': { mv: 0, mev: 6, mav: 18, mrv: 26 },
+  Biceps: { mv: 5, mev: 8, mav: 17, mrv: 26 },
+  Triceps: { mv: 4, mev: 6, mav: 12, mrv: 18 },
+  Forearms: { mv: 0, mev: 2, mav: 12, mrv: 25 },
+  Abs: { mv: 0, mev: 0, mav: 20, mrv: 25 },
+  Obliques: { mv: 0, mev: 0, mav: 12, mrv: 20 },
+  Quadriceps: { mv: 6, mev: 8, mav: 15, mrv: 20 },
+  Hamstrings: { mv: 3, mev: 4, mav: 12, mrv: 20 },
+  Glutes: { mv: 0, mev: 0, mav: 8, mrv: 16 },
+  'Hip Flexors': { mv: 0, mev: 0, mav: 6, mrv: 12 },
+  Calves: { mv: 6, mev: 8, mav: 14, mrv: 20 },
+};
+
+/** Muscle groups in display order */
+export const MUSCLE_GROUPS = Object.keys(DEFAULT_VOLUME_LANDMARKS);
+
+/** Groups drawn on each view of InteractiveMuscleMap */
+export const MAP_VIEW_GROUPS = {
+  front: ['Chest', 'Front Delts', 'Side Delts', 'Biceps', 'Forearms', 'Abs', 'Obliques', 'Hip Flexors', 'Quadriceps', 'Calves'],
+  back: ['Traps (Upper)', 'Lats', 'Rear Delts', 'Rhomboids', 'Lower Back', 'Glutes', 'Hamstrings', 'Calves', 'Triceps'],
+};
+
+/**
+ * Where weekly sets sit against the landmarks
+ * @type {Object<string, {label: string}>}
+ */
+export const VOLUME_STATUS = {
+  under: { label: 'Below MV' },
+  maintenance: { label: 'Maintenance' },
+  productive: { label: 'Productive' },
+  high: { label: 'Above MAV' },
+  over: { label: 'Above MRV' },
+};
+
+// Lower-cased exercise muscle names → map region
+const MUSCLE_ALIASES = {
+  chest: 'Chest', 'upper chest': 'Chest', 'middle chest': 'Chest', 'lower chest': 'Chest', pecs: 'Chest', pectorals: 'Chest',
+  back: 'Lats', 'upper back': 'Lats', lats: 'Lats', 'latissimus dorsi': 'Lats',
+  traps: 'Traps (Upper)', trapezius: 'Traps (Upper)', 'upper traps': 'Traps (Upper)', 'lower trapezius': 'Traps (Upper)',
+  rhomboids: 'Rhomboids',
+  'lower back': 'Lower Back', 'erector spinae': 'Lower Back',
+  shoulders: 'Front Delts', deltoids: 'Front Delts', 'front delts': 'Front Delts', 'front deltoids': 'Front Delts',
+  'side delts': 'Side Delts', 'side deltoids': 'Side Delts', 'lateral deltoid': 'Side Delts', 'lateral delts': 'Side Delts',
+  'rear delts': 'Rear Delts', 'rear deltoids': 'Rear Delts', 'rotator cuff': 'Rear Delts',
+  biceps: 'Biceps', bicep: 'Biceps', brachialis: 'Biceps',
+  triceps: 'Triceps', tricep: 'Triceps',
+  forearms: 'Forearms', forearm: 'Forearms',
+  abs: 'Abs', abdominals: 'Abs', 'upper abdominals': 'Abs', 'lower abdominals': 'Abs', core: 'Abs',
+  obliques: 'Obliques',
+  quadriceps: 'Quadriceps', quads: 'Quadriceps', legs: 'Quadriceps', 'hip adductors': 'Quadriceps',
+  hamstrings: 'Hamstrings', hams: 'Hamstrings',
+  glutes: 'Glutes', gluteus: 'Glutes', 'hip abductors': 'Glutes',
+  'hip flexors': 'Hip Flexors',
+  calves: 'Calves', calf: 'Calves',
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Fold a free-text exercise muscle into a map region.
+ * @param {string|null} name - e.g. 'Latissimus Dorsi', 'Upper Chest'
+ * @returns {string|null} Muscle group, or null when the name isn't tracked
+ */
+export const toMuscleGroup = (name) => {
+  if (!name) return null;
+  return MUSCLE_ALIASES[String(name).trim().toLowerCase()] || null;
+};
+
+/**
+ * Fill in missing or invalid pieces of a stored user_profiles.volume_landmarks value.
+ * Landmarks are kept in order (mv ≤ mev ≤ mav ≤ mrv).
+ * @param {Object|null} raw - Stored landmarks by muscle group
+ * @returns {Object<string, {mv: number, mev: number, mav: number, mrv: number}>} Complete landmarks
+ */
+export const normalizeVolumeLandmarks = (raw) => Object.fromEntries(MUSCLE_GROUPS.map((muscle) => {
+  const defaults = DEFAULT_VOLUME_LANDMARKS[muscle];
+  let floor = 0;
+  const landmarks = {};
+  VOLUME_LANDMARK_KEYS.forEach((key) => {
+    const stored = Number(raw?.[muscle]?.[key]);
+    const value = raw?.[muscle]?.[key] !== undefined && stored >= 0 ? stored : defaults[key];
+    landmarks[key] = Math.max(floor, value);
+    floor = landmarks[key];
+  });
+  return [muscle, landmarks];
+}));
+
+/**
+ * A logged set that counts toward weekly volume: completed, not a warm-up and
+ * not a drop-set continuation (those belong to their parent set).
+ * @param {Object} entry - workout_log_entries row
+ * @returns {boolean}
+ */
+export const isHardSet = (entry) => Boolean(entry)
+  && entry.completed !== false
+  && !entry.is_warmup
+  && !entry.parent_entry_id;
+
+/**
+ * Muscle groups an exercise trains and the share of each working set they are
+ * credited. A muscle listed in more than one role is credited once, at its highest role.
+ * @param {{primary_muscle?: string, secondary_muscle?: string, tertiary_muscle?: string}} exercise
+ * @returns {Array<{muscle: string, share: number}>}
+ */
+export const getMuscleCredits = (exercise) => {
+  if (!exercise) return [];
+  const credits = [];
+  [
+    [exercise.primary_muscle, HARD_SET_CREDIT.primary],
+    [exercise.secondary_muscle, HARD_SET_CREDIT.secondary],
+    [exercise.tertiary_muscle, HARD_SET_CREDIT.tertiary],
+  ].forEach(([name, share]) => {
+    const muscle = toMuscleGroup(name);
+    if (!muscle || credits.some(credit => credit.muscle === muscle)) return;
+    credits.push({ muscle, share });
+  });
+  return credits;
+};
+
+/**
+ * Hard sets per muscle group, with fractional credit for secondary and tertiary muscles.
+ *
+ * @param {Array<Object>} entries - workout_log_entries rows ({ exercise_id, completed, is_warmup, parent_entry_id })
+ * @param {Object<string, {primary_muscle?: string, secondary_muscle?: string, tertiary_muscle?: string}>} exercisesById
+ * @returns {Object<string, number>} Sets by muscle group (one decimal)
+ */
+export const countHardSetsByMuscle = (entries, exercisesById) => {
+  const sets = {};
+  (entries || []).filter(isHardSet).forEach((entry) => {
+    getMuscleCredits(exercisesById[String(entry.exercise_id)]).forEach(({ muscle, share }) => {
+      sets[muscle] = (sets[muscle] || 0) + share;
+    });
+  });
+  Object.keys(sets).forEach((muscle) => { sets[muscle] = round1(sets[muscle]); });
+  return sets;
+};
+
+/**
+ * Where a week's sets sit against a muscle's landmarks.
+ * @param {number} sets - Weekly hard sets
+ * @param {{mv: number, mev: number, mav: number, mrv: number}} landmarks
+ * @returns {'under'|'maintenance'|'productive'|'high'|'over'} Key of VOLUME_STATUS
+ */
+export const classifyVolume = (sets, { mv, mev, mav, mrv }) => {
+  if (sets < mv) return 'under';
+  if (sets < mev || sets === 0) return 'maintenance';
+  if (sets <= mav) return 'productive';
+  if (sets <= mrv) return 'high';
+  return 'over';
+};
+
+/**
+ * Weekly sets, landmarks and status for every muscle group.
+ * @param {Object<string, number>} setsByMuscle - From countHardSetsByMuscle
+ * @param {Object} landmarks - From normalizeVolumeLandmarks
+ * @returns {Array<{muscle: string, sets: number, landmarks: Object, status: string}>} In MUSCLE_GROUPS order
+ */
+export const buildVolumeStatus = (setsByMuscle, landmarks) => MUSCLE_GROUPS.map((muscle) => {
+  const sets = setsByMuscle[muscle] || 0;
+  return { muscle, sets, landmarks: landmarks[muscle], status: classifyVolume(sets, landmarks[muscle]) };
+});
@@ -0,0 +1,87 @@
+/**
+ * @file nutritionLabel.js
+ * @description Converts what a packaged-food nutrition label says (amounts per
+ * serving, with the serving size in grams) into the per-100g values the foods
+ * table stores, and sanity-checks the label before it is saved.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { nutritionAPI } from './nutritionAPI.js';
+
+/**
+ * Label fields, in the order a US nutrition facts panel lists them. `key` is
+ * the foods column; `macro` fields are always shown, the rest are optional.
+ */
+export const LABEL_NUTRIENTS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal', macro: true },
+  { key: 'fat_g', label: 'Total fat', unit: 'g', macro: true },
+  { key: 'cholesterol_mg', label: 'Cholesterol', unit: 'mg' },
+  { key: 'sodium_mg', label: 'Sodium', unit: 'mg' },
+  { key: 'carbs_g', label: 'Total carbohydrate', unit: 'g', macro: true },
+  { key: 'fiber_g', label: 'Dietary fiber', unit: 'g' },
+  { key: 'sugar_g', label: 'Total sugars', unit: 'g' },
+  { key: 'protein_g', label: 'Protein', unit: 'g', macro: true },
+  { key: 'vitamin_d_mcg', label: 'Vitamin D', unit: 'mcg' },
+  { key: 'calcium_mg', label: 'Calcium', unit: 'mg' },
+  { key: 'iron_mg', label: 'Iron', unit: 'mg' },
+  { key: 'potassium_mg', label: 'Potassium', unit: 'mg' },
+];
+
+const isBlank = (value) => value === '' || value === null || value === undefined || Number.isNaN(Number(value));
+
+/**
+ * Scale per-serving label values to per 100g.
+ * @param {Object} perServing - Nutrient values keyed like LABEL_NUTRIENTS; blanks are skipped
+ * @param {number} servingGrams - Serving size in grams (must be > 0)
+ * @returns {Object} Per-100g values rounded to 2 decimals
+ *
+ * @example
+ * labelToPer100g({ calories: 140, protein_g: 3 }, 28) // { calories: 500, protein_g: 10.71 }
+ */
+export const labelToPer100g = (perServing, servingGrams) => {
+  const grams = Number(servingGrams);
+  if (!(grams > 0)) throw new Error('Serving size must be greater than 0 g');
+  const factor = 100 / grams;
+  return Object.fromEntries(
+    Object.entries(perServing)
+      .filter(([, value]) => !isBlank(value))
+      .map(([key, value]) => [key, Math.round(Number(value) * factor * 100) / 100]),
+  );
+};
+
+/**
+ * Sanity-check a label before saving. Runs NutritionAPI.validateNutrition on
+ * the per-serving values (range checks and the 4-4-9 calorie check) and adds
+ * checks that only make sense with the serving weight and label breakdown.
+ * @param {Object} perServing - Nutrient values per serving, keyed like LABEL_NUTRIENTS
+ * @param {number} servingGrams - Serving size in grams
+ * @returns {{ isValid: boolean, errors: string[], warnings: string[] }}
+ */
+export const validateLabel = (perServing, servingGrams) => {
+  const values = Object.fromEntries(
+    Object.entries(perServing)
+      .filter(([, value]) => !isBlank(value))
+      .map(([key, value]) => [key, Number(value)]),
+  );
+  const { errors, warnings } = nutritionAPI.validateNutrition(values);
+
+  if (isBlank(values.calories)) errors.push('Calories are required');
+  Object.entries(values).forEach(([key, value]) => {
+    if (value < 0) errors.push(`${key} can't be negative`);
+  });
+
+  const grams = Number(servingGrams);
+  const macroGrams = (values.protein_g || 0) + (values.carbs_g || 0) + (values.fat_g || 0);
+  if (grams > 0 && macroGrams > grams * 1.05) {
+    errors.push(`Protein, carbs and fat add up to ${Math.round(macroGrams)}g, more than the ${grams}g serving`);
+  }
+  if ((values.sugar_g || 0) > (values.carbs_g || 0)) errors.push('Sugars can\'t be more than total carbohydrate');
+  if ((values.fiber_g || 0) > (values.carbs_g || 0)) errors.push('Fiber can\'t be more than total carbohydrate');
+
+  return { isValid: errors.length === 0, errors, warnings };
+};
+
+export default { LABEL_NUTRIENTS, labelToPer100g, validateLabel };
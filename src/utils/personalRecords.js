@@ -0,0 +1,116 @@
+/**
+ * @file personalRecords.js
+ * @description Pure helpers for personal record detection. Mirrors the
+ * personal_record_candidates() SQL function so a saved set can be celebrated
+ * instantly (even offline) while the database trigger keeps the authoritative
+ * PR history in the personal_records table.
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { estimateOneRepMax } from './fitnessCalculators.js';
+
+/**
+ * Record types in display order (mirrors the personal_records.record_type check constraint)
+ * @type {Array<{type: string, label: string, unit: string, minReps?: number}>}
+ */
+export const RECORD_TYPES = [
+  { type: 'e1rm', label: 'Est. 1RM', unit: 'lbs' },
+  { type: '1rm', label: '1RM', unit: 'lbs', minReps: 1 },
+  { type: '3rm', label: '3RM', unit: 'lbs', minReps: 3 },
+  { type: '5rm', label: '5RM', unit: 'lbs', minReps: 5 },
+  { type: '10rm', label: '10RM', unit: 'lbs', minReps: 10 },
+  { type: 'set_volume', label: 'Best Set Volume', unit: 'lbs' },
+  { type: 'session_volume', label: 'Best Session Volume', unit: 'lbs' },
+];
+
+/**
+ * Label for a record type
+ * @param {string} type - Record type key
+ * @returns {string} Display label
+ */
+export const getRecordLabel = (type) => RECORD_TYPES.find((r) => r.type === type)?.label || type;
+
+/**
+ * Load moved in a set: effective load for bodyweight sets, otherwise the bar weight.
+ * @param {Object} entry - workout_log_entries row
+ * @returns {number} Load in lbs (0 when unknown)
+ */
+export const getSetLoad = (entry) => Number(entry?.effective_load_lbs ?? entry?.weight_lbs) || 0;
+
+/**
+ * Candidate record values for a single set. Warm-up sets never set records.
+ * @param {Object} entry - workout_log_entries row
+ * @param {Object} [oneRmOptions] - User's e1RM settings
+ * @param {string} [oneRmOptions.formula] - Key of ONE_RM_FORMULAS
+ * @param {boolean} [oneRmOptions.rpeAdjusted] - Add reps in reserve from the set's rpe_rating
+ * @returns {Object<string, number>} Map of record type to value (set-level types only)
+ *
+ * @example
+ * getSetRecordCandidates({ weight_lbs: 225, reps_completed: 5 })
+ * // { '1rm': 225, '3rm': 225, '5rm': 225, e1rm: 263, set_volume: 1125 }
+ */
+export const getSetRecordCandidates = (entry, oneRmOptions = {}) => {
+  const load = getSetLoad(entry);
+  const reps = Number(entry?.reps_completed) || 0;
+  if (entry?.is_warmup || load <= 0 || reps <= 0) return {};
+
+  const e1rm = estimateOneRepMax(load, reps, { ...oneRmOptions, rpe: entry.rpe_rating });
+  const candidates = { e1rm, set_volume: load * reps };
+  RECORD_TYPES.filter((r) => r.minReps && reps >= r.minReps).forEach((r) => {
+    candidates[r.type] = load;
+  });
+  return candidates;
+};
+
+/**
+ * Total volume of an exercise's working sets in the current session.
+ * @param {Array<Object>} sessionEntries - Today's entries for the exercise
+ * @returns {number} Sum of load × reps, excluding warm-ups
+ */
+export const getSessionVolume = (sessionEntries) =>
+  (sessionEntries || [])
+    .filter((e) => !e.is_warmup)
+    .reduce((sum, e) => sum + getSetLoad(e) * (Number(e.reps_completed) || 0), 0);
+
+/**
+ * Records broken by a newly saved set. Only records with an existing best are
+ * reported so a lifter's first ever session doesn't trigger a wall of "PRs".
+ *
+ * @param {Object} entry - The set just saved
+ * @param {Object<string, number>} bests - Current best value per record type
+ * @param {Array<Object>} sessionEntries - Today's entries for the exercise, including `entry`
+ * @param {Object} [oneRmOptions] - User's e1RM settings ({ formula, rpeAdjusted })
+ * @returns {Array<{type: string, label: string, value: number, previous: number}>} New records
+ *
+ * @example
+ * detectNewRecords({ weight_lbs: 230, reps_completed: 5 }, { '5rm': 225 }, [...])
+ * // [{ type: '5rm', label: '5RM', value: 230, previous: 225 }]
+ */
+export const detectNewRecords = (entry, bests = {}, sessionEntries = [], oneRmOptions = {}) => {
+  const candidates = {
+    ...getSetRecordCandidates(entry, oneRmOptions),
+    session_volume: getSessionVolume(sessionEntries),
+  };
+
+  return RECORD_TYPES
+    .filter(({ type }) => {
+      const previous = Number(bests?.[type]);
+      return previous > 0 && candidates[type] > previous;
+    })
+    .map(({ type, label }) => ({ type, label, value: candidates[type], previous: Number(bests[type]) }));
+};
+
+/**
+ * Reduce personal_records rows to the best value per exercise and record type.
+ * @param {Array<Object>} rows - personal_records rows ({ exercise_id, record_type, value })
+ * @returns {Object<string, Object<string, number>>} Bests keyed by exercise id, then record type
+ */
+export const groupBestsByExercise = (rows) => (rows || []).reduce((acc, row) => {
+  const exId = String(row.exercise_id);
+  const value = Number(row.value);
+  if (!acc[exId]) acc[exId] = {};
+  if (!(acc[exId][row.record_type] >= value)) acc[exId][row.record_type] = value;
+  return acc;
+}, {});
@@ -0,0 +1,242 @@
+/**
+ * @file progressionEngine.js
+ * @description Pure helpers that turn the previous session's sets into today's
+ * proposed load and reps for an exercise. Supports double progression (rep ranges),
+ * linear increments (fixed rep targets) and RPE-based auto-regulation, using the
+ * routine's target_reps and target_intensity_pct.
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+import { DEFAULT_ONE_RM_FORMULA, ONE_RM_FORMULAS, calculateRpeAdjusted1RM } from './fitnessCalculators.js';
+
+/**
+ * Progression strategy identifiers
+ * @readonly
+ * @enum {string}
+ */
+export const PROGRESSION_STRATEGIES = Object.freeze({
+  DOUBLE: 'double',
+  LINEAR: 'linear',
+  RPE: 'rpe',
+});
+
+/** Sets within this share of the heaviest set count as work sets (the rest are ramp-up sets) */
+const WORK_SET_THRESHOLD = 0.9;
+
+/** Largest single-session change the RPE strategy may propose */
+const MAX_RPE_ADJUSTMENT = 0.1;
+
+/** Muscles whose barbell lifts progress in 10 lb jumps instead of 5 lb */
+const LOWER_BODY_MUSCLES = ['quadriceps', 'quads', 'glutes', 'hamstrings', 'lower back'];
+
+/**
+ * Parse a routine rep target such as "8-12", "10" or "5x5".
+ * @param {string|number} targetReps - routine_exercises.target_reps
+ * @returns {{min: number, max: number}|null} Rep range, or null when not numeric (e.g. "AMRAP")
+ *
+ * @example
+ * parseRepTarget('8-12') // { min: 8, max: 12 }
+ * parseRepTarget('5') // { min: 5, max: 5 }
+ */
+export const parseRepTarget = (targetReps) => {
+  if (targetReps === null || targetReps === undefined) return null;
+  const text = String(targetReps).trim();
+  const range = text.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+    return min > 0 ? { min, max } : null;
+  }
+  // "5x5" style targets carry the reps after the x
+  const single = text.match(/^(?:\d+\s*x\s*)?(\d+)$/i);
+  if (single && Number(single[1]) > 0) return { min: Number(single[1]), max: Number(single[1]) };
+  return null;
+};
+
+/**
+ * Default load jump for an exercise: 10 lb for lower-body free-weight lifts, otherwise 5 lb.
+ * @param {Object|null} exercise - Row from the exercises table
+ * @returns {number} Increment in lbs
+ */
+export const getLoadIncrement = (exercise) => {
+  const muscle = String(exercise?.primary_muscle || '').toLowerCase();
+  const isLowerBody = LOWER_BODY_MUSCLES.some((m) => muscle.includes(m));
+  return isLowerBody && exercise?.exercise_type === 'Free Weight' ? 10 : 5;
+};
+
+/**
+ * Round a load down to the nearest loadable step.
+ * @param {number} weight - Load in lbs
+ * @param {number} [step=2.5] - Smallest loadable change
+ * @returns {number} Rounded load
+ */
+export const roundToIncrement = (weight, step = 2.5) => {
+  if (!weight || weight <= 0) return 0;
+  return Math.floor(weight / step + 1e-9) * step;
+};
+
+/**
+ * Target RPE for working at a percentage of 1RM for a given number of reps.
+ * Uses the Epley relationship (reps possible ≈ 30 × (1/pct − 1)) to estimate
+ * reps in reserve, then maps RIR to RPE (RPE = 10 − RIR).
+ * @param {number} intensityPct - routine_exercises.target_intensity_pct
+ * @param {number} reps - Target reps per set
+ * @returns {number} Target RPE between 6 and 9 (defaults to 8 without an intensity)
+ *
+ * @example
+ * targetRpeForIntensity(75, 8) // 8
+ */
+export const targetRpeForIntensity = (intensityPct, reps) => {
+  const pct = Number(intensityPct) / 100;
+  if (!pct || pct <= 0 || pct >= 1 || !reps) return 8;
+  const repsPossible = 30 * (1 / pct - 1);
+  const rpe = Math.round(10 - (repsPossible - reps));
+  return Math.min(9, Math.max(6, rpe));
+};
+
+/**
+ * Share of 1RM that a rep max represents under a formula, inverted: 1RM / load.
+ * Every formula in ONE_RM_FORMULAS scales linearly with the load.
+ * @param {number} reps - Reps to failure (reps + reps in reserve)
+ * @param {string} formula - Key of ONE_RM_FORMULAS
+ * @returns {number} Multiplier from load to estimated 1RM
+ */
+const oneRmMultiplier = (reps, formula) => {
+  if (reps <= 1) return 1;
+  const { estimate } = ONE_RM_FORMULAS[formula] || ONE_RM_FORMULAS[DEFAULT_ONE_RM_FORMULA];
+  return estimate(1, reps);
+};
+
+/**
+ * Pick work sets from the previous session (heaviest load and anything close to it, never warm-ups or drops).
+ * @param {Array<Object>} sets - workout_log_entries rows
+ * @returns {Array<Object>} Work sets ordered by set_number
+ */
+const getWorkSets = (sets) => {
+  const valid = (sets || []).filter((s) => !s.is_warmup && !s.parent_entry_id && Number(s.weight_lbs) > 0 && Number(s.reps_completed) > 0);
+  if (valid.length === 0) return [];
+  const top = Math.max(...valid.map((s) => Number(s.weight_lbs)));
+  return valid
+    .filter((s) => Number(s.weight_lbs) >= top * WORK_SET_THRESHOLD)
+    .sort((a, b) => (a.set_number || 0) - (b.set_number || 0));
+};
+
+/**
+ * Choose a strategy from the data available: RPE when every work set was rated,
+ * double progression for rep ranges, otherwise linear increments.
+ * @param {Array<Object>} workSets - Work sets from the previous session
+ * @param {{min: number, max: number}|null} repTarget - Parsed rep target
+ * @returns {string} One of PROGRESSION_STRATEGIES
+ */
+export const chooseStrategy = (workSets, repTarget) => {
+  if (workSets.length > 0 && workSets.every((s) => Number(s.rpe_rating) > 0)) return PROGRESSION_STRATEGIES.RPE;
+  if (repTarget && repTarget.max > repTarget.min) return PROGRESSION_STRATEGIES.DOUBLE;
+  return PROGRESSION_STRATEGIES.LINEAR;
+};
+
+/**
+ * Describe the previous session compactly, e.g. "3x10" or "10/9/8".
+ * @param {Array<Object>} workSets - Work sets
+ * @returns {string} Rep scheme
+ */
+const describeReps = (workSets) => {
+  const reps = workSets.map((s) => Number(s.reps_completed));
+  return reps.every((r) => r === reps[0]) ? `${reps.length}x${reps[0]}` : reps.join('/');
+};
+
+/**
+ * Propose today's load and reps for an exercise from its previous session.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.lastSets - Previous session's workout_log_entries for this exercise
+ * @param {Object} [params.routineExercise] - routine_exercises row (target_reps, target_intensity_pct)
+ * @param {Object} [params.exercise] - exercises row (used for the default increment)
+ * @param {string} [params.strategy] - Force a strategy; chosen automatically when omitted
+ * @param {number} [params.increment] - Load jump in lbs; derived from the exercise when omitted
+ * @param {boolean} [params.isDeload=false] - Deload session: hold reps, drop load ~10%
+ * @param {number} [params.deloadLoadMultiplier=0.9] - Share of last load kept in a deload (e.g. from the mesocycle loading plan)
+ * @param {number} [params.targetRpe] - Planned RPE for the RPE strategy; derived from target_intensity_pct when omitted
+ * @param {string} [params.formula='epley'] - User's 1RM formula (key of ONE_RM_FORMULAS) for the RPE strategy
+ * @returns {{weight: number, reps: number, strategy: string, explanation: string}|null}
+ *   Proposal, or null when there is no usable previous session
+ *
+ * @example
+ * proposeProgression({
+ *   lastSets: [{ weight_lbs: 135, reps_completed: 12 }, { weight_lbs: 135, reps_completed: 12 }],
+ *   routineExercise: { target_reps: '8-12' },
+ * })
+ * // { weight: 140, reps: 8, strategy: 'double', explanation: 'hit 2x12 last time → +5 lb' }
+ */
+export const proposeProgression = ({
+  lastSets,
+  routineExercise = {},
+  exercise = null,
+  strategy,
+  increment,
+  isDeload = false,
+  deloadLoadMultiplier = 0.9,
+  targetRpe: plannedRpe,
+  formula = DEFAULT_ONE_RM_FORMULA,
+}) => {
+  const workSets = getWorkSets(lastSets);
+  if (workSets.length === 0) return null;
+
+  const step = Number(increment) > 0 ? Number(increment) : getLoadIncrement(exercise);
+  const lastWeight = Number(workSets[0].weight_lbs);
+  const repsDone = workSets.map((s) => Number(s.reps_completed));
+  const lowestReps = Math.min(...repsDone);
+  const repTarget = parseRepTarget(routineExercise?.target_reps)
+    || { min: Math.max(...repsDone), max: Math.max(...repsDone) };
+  const scheme = describeReps(workSets);
+  const chosen = strategy || chooseStrategy(workSets, repTarget);
+
+  if (isDeload) {
+    const weight = roundToIncrement(lastWeight * deloadLoadMultiplier) || lastWeight;
+    const cut = Math.round((1 - deloadLoadMultiplier) * 100);
+    return { weight, reps: repTarget.min, strategy: chosen, explanation: `deload week → ${weight} lb (−${cut}%)` };
+  }
+
+  if (chosen === PROGRESSION_STRATEGIES.RPE) {
+    const targetReps = repTarget.min;
+    const targetRpe = Number(plannedRpe) > 0
+      ? Number(plannedRpe)
+      : targetRpeForIntensity(routineExercise?.target_intensity_pct, targetReps);
+    const setE1rm = (s) => calculateRpeAdjusted1RM(Number(s.weight_lbs), Number(s.reps_completed), s.rpe_rating, formula);
+    const best = workSets.reduce((a, b) => (setE1rm(b) > setE1rm(a) ? b : a));
+    const ideal = setE1rm(best) / oneRmMultiplier(targetReps + (10 - targetRpe), formula);
+    const bounded = Math.min(lastWeight * (1 + MAX_RPE_ADJUSTMENT), Math.max(lastWeight * (1 - MAX_RPE_ADJUSTMENT), ideal));
+    const weight = roundToIncrement(bounded) || lastWeight;
+    const delta = weight - lastWeight;
+    const change = delta === 0 ? `hold ${weight} lb` : `${delta > 0 ? '+' : '−'}${Math.abs(delta)} lb`;
+    return {
+      weight,
+      reps: targetReps,
+      strategy: chosen,
+      explanation: `${scheme} @ RPE ${best.rpe_rating} last time → ${change} for ${targetReps} @ RPE ${targetRpe}`,
+    };
+  }
+
+  if (chosen === PROGRESSION_STRATEGIES.DOUBLE) {
+    if (lowestReps >= repTarget.max) {
+      return { weight: lastWeight + step, reps: repTarget.min, strategy: chosen, explanation: `hit ${scheme} last time → +${step} lb` };
+    }
+    if (lowestReps < repTarget.min - 2) {
+      const weight = Math.max(0, lastWeight - step);
+      return { weight, reps: repTarget.min, strategy: chosen, explanation: `${scheme} is well under ${repTarget.min} reps → −${step} lb` };
+    }
+    const reps = Math.min(repTarget.max, Math.max(repTarget.min, lowestReps + 1));
+    return { weight: lastWeight, reps, strategy: chosen, explanation: `${scheme} last time → stay at ${lastWeight} lb, aim for ${reps} reps` };
+  }
+
+  // Linear: add load whenever every work set reached the target
+  if (lowestReps >= repTarget.min) {
+    return { weight: lastWeight + step, reps: repTarget.min, strategy: chosen, explanation: `hit ${scheme} last time → +${step} lb` };
+  }
+  const averageReps = repsDone.reduce((a, b) => a + b, 0) / repsDone.length;
+  if (averageReps < repTarget.min * 0.7) {
+    const weight = roundToIncrement(lastWeight * 0.9) || lastWeight;
+    return { weight, reps: repTarget.min, strategy: chosen, explanation: `${scheme} fell well short of ${repTarget.min} reps → −10% to ${weight} lb` };
+  }
+  return { weight: lastWeight, reps: repTarget.min, strategy: chosen, explanation: `${scheme} missed ${repTarget.min} reps → repeat ${lastWeight} lb` };
+};
@@ -0,0 +1,246 @@
+/**
+ * @file recipeParser.js
+ * @description Parses a pasted recipe ingredient list ("2 cups cooked rice,
+ * 6 oz chicken breast, 1 tbsp olive oil") into quantity, unit and food text,
+ * and converts a parsed ingredient to grams for a matched food using its
+ * portions (portions.gram_weight per portions.amount of measure_unit).
+ *
+ * Conversion order: mass units convert directly; a portion whose unit matches
+ * is used next; other volume portions of the same food give a density; a
+ * count with no unit uses the food's first portion. As a last resort volume is
+ * treated as water (1 g/ml) and flagged as an estimate.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+/** Grams per unit for mass units */
+const MASS_UNITS = { g: 1, kg: 1000, mg: 0.001, oz: 28.3495, lb: 453.592 };
+
+/** Millilitres per unit for volume units */
+const VOLUME_UNITS = {
+  ml: 1, l: 1000, pinch: 0.308, dash: 0.616, tsp: 4.92892, tbsp: 14.7868, floz: 29.5735, cup: 236.588, pint: 473.176, quart: 946.353,
+};
+
+/** Spellings found in recipes, mapped to the canonical unit */
+const UNIT_ALIASES = {
+  g: 'g', gram: 'g', grams: 'g', gr: 'g',
+  kg: 'kg', kilogram: 'kg', kilograms: 'kg',
+  mg: 'mg',
+  oz: 'oz', ounce: 'oz', ounces: 'oz',
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+  ml: 'ml', milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  l: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  tsp: 'tsp', teaspoon: 'tsp', teaspoons: 'tsp', t: 'tsp',
+  tbsp: 'tbsp', tbs: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp', T: 'tbsp',
+  cup: 'cup', cups: 'cup', c: 'cup',
+  pint: 'pint', pints: 'pint', pt: 'pint',
+  quart: 'quart', quarts: 'quart', qt: 'quart',
+  pinch: 'pinch', pinches: 'pinch', dash: 'dash', dashes: 'dash',
+  slice: 'slice', slices: 'slice',
+  piece: 'piece', pieces: 'piece',
+  clove: 'clove', cloves: 'clove',
+  can: 'can', cans: 'can',
+  scoop: 'scoop', scoops: 'scoop',
+  large: 'large', medium: 'medium', small: 'small',
+};
+
+const UNICODE_FRACTIONS = { '½': 0.5, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 0.25, '¾': 0.75, '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875 };
+
+/** Words that describe preparation, not a separate ingredient ("1 onion, diced") */
+const PREP_NOTE = /^(diced|chopped|minced|sliced|grated|shredded|cubed|crushed|peeled|melted|softened|divided|drained|rinsed|optional|to taste|for garnish|finely \w+|roughly \w+|thinly \w+|cut into .+)$/i;
+
+/** "Serves 4", "Makes 6 servings", "Yield: 8" */
+const SERVINGS_LINE = /^\s*(?:serves|servings|makes|yield)\s*:?\s*(\d+)/i;
+
+const QUANTITY = String.raw`(?:\d+\s+\d+\/\d+|\d+\/\d+|\d*\.?\d+\s*[${Object.keys(UNICODE_FRACTIONS).join('')}]?|[${Object.keys(UNICODE_FRACTIONS).join('')}])`;
+const LEADING_QUANTITY = new RegExp(String.raw`^(${QUANTITY})(?:\s*(?:-|–|to)\s*(${QUANTITY}))?\s*`);
+
+/**
+ * Parse a quantity token: "2", "1.5", "1/2", "1 1/2", "1½", "½".
+ * @param {string} token
+ * @returns {number|null}
+ */
+export const parseQuantity = (token) => {
+  const text = String(token || '').trim();
+  if (!text) return null;
+  const unicode = text.match(/^(\d*)\s*([½⅓⅔¼¾⅛⅜⅝⅞])$/);
+  if (unicode) return (Number(unicode[1]) || 0) + UNICODE_FRACTIONS[unicode[2]];
+  const mixed = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  const fraction = text.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return Number(fraction[2]) ? Number(fraction[1]) / Number(fraction[2]) : null;
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Parse one ingredient line.
+ * @param {string} line - e.g. "2 cups cooked rice" or "1 (15 oz) can black beans"
+ * @returns {{ original: string, quantity: number|null, unit: string|null, name: string, note: string }}
+ */
+export const parseIngredientLine = (line) => {
+  const original = line.trim();
+  let rest = original.replace(/^[-*••]\s*/, '');
+  let quantity = null;
+  let unit = null;
+
+  const match = rest.match(LEADING_QUANTITY);
+  if (match) {
+    const low = parseQuantity(match[1]);
+    const high = match[2] ? parseQuantity(match[2]) : null;
+    // Ranges ("2-3 cloves") use the midpoint
+    quantity = high ? (low + high) / 2 : low;
+    rest = rest.slice(match[0].length);
+  } else if (/^an?\s+/i.test(rest)) {
+    quantity = 1;
+    rest = rest.replace(/^an?\s+/i, '');
+  }
+
+  // "1 (15 oz) can": the package size in brackets is the amount
+  const packageSize = rest.match(/^\((\S+)\s*([a-z.]+)\)\s*(?:can|cans|package|packages|jar|jars|bag|bags|box|boxes)?\s*/i);
+  if (packageSize && UNIT_ALIASES[packageSize[2].replace(/\.$/, '')] && parseQuantity(packageSize[1])) {
+    quantity = (quantity || 1) * parseQuantity(packageSize[1]);
+    unit = UNIT_ALIASES[packageSize[2].replace(/\.$/, '')];
+    rest = rest.slice(packageSize[0].length);
+  }
+
+  if (!unit) {
+    const flOz = rest.match(/^fl\.?\s*oz\.?\s+/i) || rest.match(/^fluid\s+ounces?\s+/i);
+    if (flOz) {
+      unit = 'floz';
+      rest = rest.slice(flOz[0].length);
+    } else {
+      const word = rest.match(/^([A-Za-z]+)\.?\s+/);
+      // "T"/"t" are only units when written that way; otherwise compare lowercased
+      const alias = word && (UNIT_ALIASES[word[1]] && /^[Tt]$/.test(word[1]) ? UNIT_ALIASES[word[1]] : UNIT_ALIASES[word[1].toLowerCase()]);
+      if (alias && quantity !== null) {
+        unit = alias;
+        rest = rest.slice(word[0].length);
+      }
+    }
+  }
+
+  rest = rest.replace(/^of\s+/i, '');
+  const notes = [];
+  rest = rest.replace(/\(([^)]*)\)/g, (_, inner) => {
+    notes.push(inner.trim());
+    return ' ';
+  });
+  const [name, ...trailing] = rest.split(/\s*[;,]\s*/);
+  notes.push(...trailing);
+  const trailingNote = name.match(/\s+(to taste|for garnish|optional|for serving)$/i);
+  if (trailingNote) notes.unshift(trailingNote[1]);
+
+  return {
+    original,
+    quantity,
+    unit,
+    name: (trailingNote ? name.slice(0, trailingNote.index) : name).replace(/\s+/g, ' ').trim(),
+    note: notes.filter(Boolean).join(', '),
+  };
+};
+
+/**
+ * Split a pasted ingredient list into parsed ingredients. One ingredient per
+ * line; a single line is split on commas instead, with preparation words
+ * ("diced", "to taste") kept as the previous ingredient's note.
+ * @param {string} text - Pasted recipe text
+ * @returns {{ ingredients: Array<ReturnType<typeof parseIngredientLine>>, servings: number|null }}
+ */
+export const parseRecipeText = (text) => {
+  let servings = null;
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => {
+      const yieldMatch = line.match(SERVINGS_LINE);
+      if (yieldMatch) servings = Number(yieldMatch[1]);
+      return line && !yieldMatch && !/^ingredients:?$/i.test(line);
+    });
+
+  const pieces = lines.length === 1
+    ? lines[0].split(/\s*,\s*|\s+and\s+(?=\d)/).reduce((acc, piece) => {
+      if (acc.length > 0 && PREP_NOTE.test(piece)) acc[acc.length - 1] += `, ${piece}`;
+      else if (piece) acc.push(piece);
+      return acc;
+    }, [])
+    : lines;
+
+  return {
+    ingredients: pieces.map(parseIngredientLine).filter(ingredient => ingredient.name),
+    servings,
+  };
+};
+
+const portionUnit = (portion) => {
+  const text = `${portion.measure_unit || ''} ${portion.portion_description || ''}`.toLowerCase();
+  if (/fl\.?\s*oz/.test(text)) return 'floz';
+  const word = text.match(/[a-z]+/g)?.find(token => UNIT_ALIASES[token]);
+  return word ? UNIT_ALIASES[word] : null;
+};
+
+/** Grams for one `unit` of a portion, accounting for portions.amount ("2 tbsp" = 30g) */
+const gramsPerPortionUnit = (portion) => Number(portion.gram_weight) / (Number(portion.amount) || 1);
+
+/**
+ * Grams of a food for a parsed ingredient.
+ * @param {{ quantity: number|null, unit: string|null }} ingredient
+ * @param {{ portions?: Array<{ amount?: number, measure_unit?: string, portion_description?: string, gram_weight: number }> }} food
+ * @returns {{ grams: number|null, method: 'mass'|'portion'|'density'|'estimate'|null, portion: Object|null }}
+ */
+export const ingredientToGrams = (ingredient, food) => {
+  const quantity = ingredient.quantity ?? 1;
+  const { unit } = ingredient;
+  const portions = (food?.portions || []).filter(p => Number(p.gram_weight) > 0);
+  const round = (grams) => Math.round(grams * 10) / 10;
+
+  if (unit && MASS_UNITS[unit]) return { grams: round(quantity * MASS_UNITS[unit]), method: 'mass', portion: null };
+
+  const exact = portions.find(p => portionUnit(p) === (unit || null))
+    || (!unit && portions.find(p => ['large', 'medium', 'piece'].includes(portionUnit(p))));
+  if (exact) return { grams: round(quantity * gramsPerPortionUnit(exact)), method: 'portion', portion: exact };
+
+  if (unit && VOLUME_UNITS[unit]) {
+    const volumePortion = portions.find(p => VOLUME_UNITS[portionUnit(p)]);
+    if (volumePortion) {
+      const gramsPerMl = gramsPerPortionUnit(volumePortion) / VOLUME_UNITS[portionUnit(volumePortion)];
+      return { grams: round(quantity * VOLUME_UNITS[unit] * gramsPerMl), method: 'density', portion: volumePortion };
+    }
+    return { grams: round(quantity * VOLUME_UNITS[unit]), method: 'estimate', portion: null };
+  }
+
+  if (portions.length > 0) return { grams: round(quantity * gramsPerPortionUnit(portions[0])), method: 'estimate', portion: portions[0] };
+  return { grams: null, method: null, portion: null };
+};
+
+/**
+ * user_meal_foods.quantity for an ingredient weight. The column is a multiple
+ * of the food's per-100g values (see calculateMealNutrition), not grams.
+ * @param {number} grams
+ * @returns {number} Quantity rounded to 3 decimals
+ *
+ * @example
+ * gramsToMealQuantity(170) // 1.7
+ */
+export const gramsToMealQuantity = (grams) => Math.round((Number(grams) || 0) * 10) / 1000;
+
+/**
+ * Shorter search terms to try when the full ingredient name finds nothing:
+ * drop leading descriptors one word at a time ("boneless skinless chicken
+ * breast" -> "skinless chicken breast" -> "chicken breast" -> "breast").
+ * @param {string} name
+ * @returns {string[]}
+ */
+export const searchTermsFor = (name) => {
+  const words = name.toLowerCase().replace(/[^a-z0-9\s'-]/g, ' ').split(/\s+/).filter(Boolean);
+  const terms = [];
+  for (let i = 0; i < words.length; i++) {
+    const term = words.slice(i).join(' ');
+    if (term.length >= 3) terms.push(term);
+  }
+  return terms;
+};
+
+export default { parseQuantity, parseIngredientLine, parseRecipeText, ingredientToGrams, gramsToMealQuantity, searchTermsFor };
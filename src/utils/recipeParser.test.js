@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { gramsToMealQuantity, ingredientToGrams, parseRecipeText } from './recipeParser.js';
+import { calculateMealNutrition } from '../constants/mealPlannerConstants.js';
+
+const rice = {
+  id: 1,
+  name: 'Rice, white, cooked',
+  calories: 130,
+  protein_g: 2.7,
+  carbs_g: 28.2,
+  fat_g: 0.3,
+  portions: [{ amount: 1, measure_unit: 'cup', gram_weight: 158 }],
+};
+
+const chicken = {
+  id: 2,
+  name: 'Chicken breast, cooked',
+  calories: 165,
+  protein_g: 31,
+  carbs_g: 0,
+  fat_g: 3.6,
+  portions: [],
+};
+
+describe('gramsToMealQuantity', () => {
+  it('expresses grams as a multiple of the per-100g values', () => {
+    expect(gramsToMealQuantity(100)).toBe(1);
+    expect(gramsToMealQuantity(170)).toBe(1.7);
+    expect(gramsToMealQuantity(0)).toBe(0);
+    expect(gramsToMealQuantity(null)).toBe(0);
+  });
+});
+
+describe('imported recipe nutrition', () => {
+  it('round-trips through calculateMealNutrition at the ingredient weights', () => {
+    const { ingredients } = parseRecipeText('2 cups cooked rice\n6 oz chicken breast');
+    const foods = [rice, chicken];
+    // Same shape MealBuilder saves to user_meal_foods
+    const mealFoods = ingredients.map((ingredient, i) => {
+      const { grams } = ingredientToGrams(ingredient, foods[i]);
+      return { food_id: foods[i].id, quantity: gramsToMealQuantity(grams), foods: foods[i] };
+    });
+
+    const riceGrams = 2 * 158;
+    const chickenGrams = 6 * 28.3495;
+    const expectedCalories = (riceGrams * rice.calories + chickenGrams * chicken.calories) / 100;
+    const expectedProtein = (riceGrams * rice.protein_g + chickenGrams * chicken.protein_g) / 100;
+
+    const totals = calculateMealNutrition(mealFoods);
+    expect(totals.calories).toBeCloseTo(expectedCalories, 0);
+    expect(totals.protein).toBeCloseTo(expectedProtein, 0);
+  });
+});
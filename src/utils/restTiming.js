@@ -0,0 +1,53 @@
+/**
+ * @file restTiming.js
+ * @description Pure helpers for rest periods: the planned rest for a routine
+ * exercise and the rest actually taken before a set, recorded on
+ * workout_log_entries for later analysis.
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+/** Rest used when a routine exercise has no rest_seconds */
+export const DEFAULT_REST_SECONDS = 90;
+
+/** Longer gaps are breaks, not rest between sets, and aren't recorded */
+export const MAX_RECORDED_REST_SECONDS = 3600;
+
+/**
+ * Planned rest after a set of a routine exercise.
+ * @param {Object|null} routineExercise - routine_exercises row
+ * @returns {number} Rest in seconds
+ */
+export const getPlannedRestSeconds = (routineExercise) => {
+  const seconds = Number(routineExercise?.rest_seconds);
+  return seconds > 0 ? Math.round(seconds) : DEFAULT_REST_SECONDS;
+};
+
+/**
+ * Rest taken before a set: time since the previous set was logged (or since the
+ * rest timer started, whichever is later), plus the planned rest when the timer
+ * belonged to that gap.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.entries - Today's entries across all exercises
+ * @param {{startedAt: number, plannedSeconds: number}|null} params.timer - Rest timer for this workout
+ * @param {number} [params.now=Date.now()] - Time the new set is logged (ms)
+ * @returns {{rest_before_seconds: number|null, rest_planned_seconds: number|null}} Entry columns
+ *
+ * @example
+ * measureRest({ entries: [{ created_at: '2025-12-22T10:00:00Z' }], timer: null, now: Date.parse('2025-12-22T10:02:00Z') })
+ * // { rest_before_seconds: 120, rest_planned_seconds: null }
+ */
+export const measureRest = ({ entries, timer, now = Date.now() }) => {
+  const lastLoggedAt = Math.max(0, ...(entries || []).map((entry) => Date.parse(entry.created_at) || 0));
+  const timerStartedAt = Number(timer?.startedAt) || 0;
+  const restStartedAt = Math.max(lastLoggedAt, timerStartedAt);
+  if (!restStartedAt) return { rest_before_seconds: null, rest_planned_seconds: null };
+
+  const seconds = Math.round((now - restStartedAt) / 1000);
+  return {
+    rest_before_seconds: seconds >= 0 && seconds <= MAX_RECORDED_REST_SECONDS ? seconds : null,
+    rest_planned_seconds: timerStartedAt && timerStartedAt >= lastLoggedAt ? timer.plannedSeconds : null,
+  };
+};
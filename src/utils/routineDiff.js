@@ -0,0 +1,157 @@
+/**
+ * @file routineDiff.js
+ * @description Compares two versions of a routine (routine_versions.items, or
+ * routine_exercises rows) and reports what changed: exercises added, removed or
+ * moved, and per-exercise changes to sets, reps, rest and intensity techniques.
+ *
+ * Exercises are matched by exercise_id; a routine that lists the same exercise
+ * twice matches them by occurrence (first with first). An exercise counts as
+ * moved only when its order relative to the other kept exercises changed, so
+ * adding one exercise at the top does not flag everything below it.
+ *
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+/** Per-exercise fields compared between versions, in display order */
+export const DIFF_FIELDS = [
+  { key: 'target_sets', label: 'Sets' },
+  { key: 'target_reps', label: 'Reps' },
+  { key: 'rest_seconds', label: 'Rest', format: (value) => (value ? `${value}s` : 'default') },
+  { key: 'is_warmup', label: 'Warm-up', format: (value) => (value ? 'yes' : 'no') },
+  { key: 'negative', label: 'Negatives', format: (value) => (value ? 'yes' : 'no') },
+  { key: 'drop_set', label: 'Drop set', format: (value) => (value ? 'yes' : 'no') },
+  { key: 'drop_set_percentage', label: 'Drop %', format: (value) => (value ? `${value}%` : 'none') },
+  { key: 'target_intensity_pct', label: 'Intensity', format: (value) => (value ? `${value}%` : 'none') },
+  { key: 'notes', label: 'Notes', format: (value) => value || 'none' },
+];
+
+// Booleans default to false and numbers are compared as numbers ("3" equals 3)
+const normalizeValue = (key, value) => {
+  if (['is_warmup', 'negative', 'drop_set'].includes(key)) return Boolean(value);
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  return key !== 'target_reps' && Number.isFinite(numeric) ? numeric : String(value).trim();
+};
+
+const sortByOrder = (items) => [...(items || [])]
+  .map((item, index) => ({ ...item, exercise_order: item.exercise_order ?? index }))
+  .sort((a, b) => a.exercise_order - b.exercise_order);
+
+// Key for matching: exercise id plus which occurrence of it this is
+const withMatchKeys = (items) => {
+  const seen = {};
+  return sortByOrder(items).map((item, position) => {
+    const id = String(item.exercise_id);
+    seen[id] = (seen[id] || 0) + 1;
+    return { item, position, key: `${id}#${seen[id]}` };
+  });
+};
+
+// Longest common subsequence of two key lists; keys outside it were moved
+const longestCommonSubsequence = (a, b) => {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const common = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      common.add(a[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return common;
+};
+
+/**
+ * Display name for a routine item.
+ * @param {Object} item - Version item or routine_exercises row
+ * @returns {string}
+ */
+export const getItemName = (item) => item?.exercise_name || item?.exercises?.name || item?.name || 'Unknown exercise';
+
+/**
+ * Diff two versions of a routine.
+ * @param {Array<Object>} before - Older items (exercise_id, target_sets, target_reps, ...)
+ * @param {Array<Object>} after - Newer items
+ * @returns {{
+ *   added: Array<{item: Object, position: number}>,
+ *   removed: Array<{item: Object, position: number}>,
+ *   moved: Array<{item: Object, from: number, to: number}>,
+ *   changed: Array<{item: Object, position: number, changes: Array<{key: string, label: string, from: string, to: string}>}>,
+ *   unchanged: number,
+ *   isEmpty: boolean
+ * }} Positions are 1-based
+ */
+export const diffRoutineVersions = (before, after) => {
+  const oldItems = withMatchKeys(before);
+  const newItems = withMatchKeys(after);
+  const oldByKey = new Map(oldItems.map(entry => [entry.key, entry]));
+  const newKeys = new Set(newItems.map(entry => entry.key));
+
+  const added = newItems.filter(entry => !oldByKey.has(entry.key)).map(({ item, position }) => ({ item, position: position + 1 }));
+  const removed = oldItems.filter(entry => !newKeys.has(entry.key)).map(({ item, position }) => ({ item, position: position + 1 }));
+
+  const keptOld = oldItems.filter(entry => newKeys.has(entry.key)).map(entry => entry.key);
+  const keptNew = newItems.filter(entry => oldByKey.has(entry.key));
+  const inPlace = longestCommonSubsequence(keptOld, keptNew.map(entry => entry.key));
+
+  const moved = [];
+  const changed = [];
+  let unchanged = 0;
+  keptNew.forEach(({ item: current, position, key }) => {
+    const previous = oldByKey.get(key);
+    // Keep the older name when the newer snapshot has none (e.g. exercise since deleted)
+    const item = current.exercise_name ? current : { ...current, exercise_name: previous.item.exercise_name };
+    const isMoved = !inPlace.has(key);
+    if (isMoved) moved.push({ item, from: previous.position + 1, to: position + 1 });
+
+    const changes = DIFF_FIELDS
+      .filter(({ key: field }) => normalizeValue(field, previous.item[field]) !== normalizeValue(field, item[field]))
+      .map(({ key: field, label, format = (value) => (value ?? '—') }) => ({
+        key: field,
+        label,
+        from: String(format(normalizeValue(field, previous.item[field]))),
+        to: String(format(normalizeValue(field, item[field]))),
+      }));
+    if (changes.length > 0) changed.push({ item, position: position + 1, changes });
+    if (!isMoved && changes.length === 0) unchanged += 1;
+  });
+
+  return {
+    added,
+    removed,
+    moved,
+    changed,
+    unchanged,
+    isEmpty: added.length + removed.length + moved.length + changed.length === 0,
+  };
+};
+
+/**
+ * One-line summary of a diff, e.g. "2 added, 1 removed, 3 changed".
+ * @param {ReturnType<typeof diffRoutineVersions>} diff
+ * @returns {string}
+ */
+export const summarizeRoutineDiff = (diff) => {
+  if (!diff || diff.isEmpty) return 'No exercise changes';
+  return [
+    diff.added.length && `${diff.added.length} added`,
+    diff.removed.length && `${diff.removed.length} removed`,
+    diff.moved.length && `${diff.moved.length} moved`,
+    diff.changed.length && `${diff.changed.length} changed`,
+  ].filter(Boolean).join(', ');
+};
+
+export default { diffRoutineVersions, summarizeRoutineDiff };
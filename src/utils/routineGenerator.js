@@ -1,7 +1,8 @@
 /**
  * @fileoverview Intelligent Routine Generation from Exercise Pools
  * @description Generates workout routines by intelligently distributing exercises
- * across training days based on muscle groups and training frequency.
+ * across training days based on muscle groups, training frequency and the
+ * trainer's constraints.
  * 
  * @author Felony Fitness Development Team
  * @version 2.0.0
@@ -15,6 +16,9 @@
  * - Duplicated routines: Same exercises, reversed order, -10% intensity
  * - Names based on actual muscle groups in routine
  * - NO empty days
+ * - Constraints (equipment, excluded muscles, experience level, session length,
+ *   preferred split) filter and trim; every exercise records why it was chosen
+ * - Same pool + options + seed → same routines
  */
 
 // Muscle group categorization
@@ -28,15 +32,145 @@ const _LITTLE_MUSCLES = ['Biceps', 'Triceps', 'Forearms', 'Brachialis',
 const WARMUP_TYPES = ['Cardio', 'Warmup', 'Mobility', 'Dynamic Stretching'];
 const COOLDOWN_TYPES = ['Stretching', 'Cooldown', 'Static Stretching', 'Flexibility'];
 
+/**
+ * Experience levels: how many exercises each muscle slot gets, the working
+ * intensity, and the hardest exercise difficulty allowed.
+ */
+export const EXPERIENCE_LEVELS = {
+  beginner: { label: 'Beginner', perSlot: 1, intensity: 70, rank: 1 },
+  intermediate: { label: 'Intermediate', perSlot: 2, intensity: 80, rank: 2 },
+  advanced: { label: 'Advanced', perSlot: 3, intensity: 85, rank: 3 }
+};
+
+/**
+ * Preferred splits. Each day is an ordered list of muscle slots; days repeat
+ * in order until the weekly frequency is filled. `volumeScale` shrinks the
+ * per-slot exercise count for splits that hit every muscle each session.
+ */
+export const SPLITS = {
+  full_body: {
+    label: 'Full Body',
+    volumeScale: 0.5,
+    days: [
+      {
+        name: 'Full Body',
+        slots: [
+          { label: 'Legs', muscles: ['Quadriceps', 'Glutes'] },
+          { label: 'Chest', muscles: ['Chest'] },
+          { label: 'Back', muscles: ['Back', 'Latissimus Dorsi', 'Rhomboids'] },
+          { label: 'Hamstrings', muscles: ['Hamstrings'] },
+          { label: 'Shoulders', muscles: ['Deltoids'] },
+          { label: 'Arms', muscles: ['Biceps', 'Triceps'] },
+          { label: 'Core', muscles: ['Abdominals', 'Obliques'] }
+        ]
+      }
+    ]
+  },
+  upper_lower: {
+    label: 'Upper / Lower',
+    volumeScale: 1,
+    days: [
+      {
+        name: 'Upper Body',
+        slots: [
+          { label: 'Chest', muscles: ['Chest'] },
+          { label: 'Back', muscles: ['Back', 'Latissimus Dorsi'] },
+          { label: 'Shoulders', muscles: ['Deltoids'] },
+          { label: 'Biceps', muscles: ['Biceps'] },
+          { label: 'Triceps', muscles: ['Triceps'] }
+        ]
+      },
+      {
+        name: 'Lower Body',
+        slots: [
+          { label: 'Quadriceps', muscles: ['Quadriceps'] },
+          { label: 'Glutes & Hamstrings', muscles: ['Glutes', 'Hamstrings'] },
+          { label: 'Calves', muscles: ['Calves'] },
+          { label: 'Core', muscles: ['Abdominals', 'Obliques'] }
+        ]
+      }
+    ]
+  },
+  ppl: {
+    label: 'Push / Pull / Legs',
+    volumeScale: 1,
+    days: [
+      {
+        name: 'Push',
+        slots: [
+          { label: 'Chest', muscles: ['Chest'] },
+          { label: 'Shoulders', muscles: ['Front Deltoids', 'Side Deltoids'] },
+          { label: 'Triceps', muscles: ['Triceps'] }
+        ]
+      },
+      {
+        name: 'Pull',
+        slots: [
+          { label: 'Back', muscles: ['Back', 'Latissimus Dorsi', 'Trapezius', 'Rhomboids'] },
+          { label: 'Rear Delts', muscles: ['Rear Deltoids'] },
+          { label: 'Biceps', muscles: ['Biceps', 'Brachialis', 'Forearms'] }
+        ]
+      },
+      {
+        name: 'Legs',
+        slots: [
+          { label: 'Quadriceps', muscles: ['Quadriceps'] },
+          { label: 'Glutes & Hamstrings', muscles: ['Hamstrings', 'Glutes'] },
+          { label: 'Calves', muscles: ['Calves'] },
+          { label: 'Core', muscles: ['Abdominals', 'Obliques'] }
+        ]
+      }
+    ]
+  },
+  bro: {
+    label: 'Bro Split',
+    volumeScale: 1,
+    days: [
+      { name: 'Chest', slots: [{ label: 'Chest', muscles: ['Chest'] }] },
+      { name: 'Back', slots: [{ label: 'Back', muscles: ['Back', 'Latissimus Dorsi', 'Trapezius', 'Rhomboids', 'Erector Spinae'] }] },
+      {
+        name: 'Legs',
+        slots: [
+          { label: 'Quadriceps', muscles: ['Quadriceps'] },
+          { label: 'Glutes & Hamstrings', muscles: ['Hamstrings', 'Glutes'] },
+          { label: 'Calves', muscles: ['Calves'] }
+        ]
+      },
+      {
+        name: 'Shoulders',
+        slots: [
+          { label: 'Shoulders', muscles: ['Deltoids'] },
+          { label: 'Core', muscles: ['Abdominals', 'Obliques'] }
+        ]
+      },
+      {
+        name: 'Arms',
+        slots: [
+          { label: 'Biceps', muscles: ['Biceps', 'Brachialis'] },
+          { label: 'Triceps', muscles: ['Triceps'] },
+          { label: 'Forearms', muscles: ['Forearms'] }
+        ]
+      }
+    ]
+  }
+};
+
+// Session length estimate: seconds under load per set, minutes for a warm-up or cool-down
+const WORK_SECONDS_PER_SET = 40;
+const DEFAULT_REST_SECONDS = 90;
+const BOOKEND_MINUTES = 5;
+
 /**
  * Generate workout routines from an exercise pool based on training frequency
  * 
  * @description Distributes exercises intelligently across training days following
  * the Big Muscle → Little Muscle pattern with proper warmup/cooldown structure.
  * Duplicates routines with reduced intensity when needed to fill all days.
+ * Every exercise carries a `reason` explaining why it was picked.
  * 
  * @param {Array<Object>} exercisePool - Array of exercises with muscle group data
  * @param {number} frequency - Training days per week (2-7)
+ * @param {Object} [options] - Constraints; see generateRoutinesWithReport
  * 
  * @returns {Array<Object>} Array of routine objects with proper structure
  * 
@@ -47,30 +181,252 @@ const COOLDOWN_TYPES = ['Stretching', 'Cooldown', 'Static Stretching', 'Flexibil
  * //   { name: "Chest & Triceps", exercises: [...], target_intensity_pct: 80 }
  * // ]
  */
-export function generateRoutines(exercisePool, frequency) {
+export function generateRoutines(exercisePool, frequency, options = {}) {
+  return generateRoutinesWithReport(exercisePool, frequency, options).routines;
+}
+
+/**
+ * Generate routines under trainer constraints and report what was left out
+ * 
+ * @description Filters the pool by equipment, excluded muscles and experience
+ * level, lays the remaining exercises out in the preferred split, and trims each
+ * session to the time limit. With the same pool, options and seed the result is
+ * identical, so a trainer can reproduce it; without a seed, exercises keep their
+ * pool order.
+ * 
+ * @param {Array<Object>} exercisePool - Array of exercises with muscle group data
+ * @param {number} frequency - Training days per week (2-7)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.equipment] - Available equipment, matched against `equipment_needed`; omit for no limit
+ * @param {number} [options.maxSessionMinutes] - Longest session allowed
+ * @param {Array<string>} [options.excludedMuscles] - Injured or excluded muscles (primary or secondary)
+ * @param {string} [options.experienceLevel] - Key of EXPERIENCE_LEVELS
+ * @param {string} [options.split] - Key of SPLITS; omit for the default big/little muscle layout
+ * @param {number|string} [options.seed] - Seed for tie-breaking between equally ranked exercises
+ * 
+ * @returns {{routines: Array<Object>, excluded: Array<{exercise_id: string, exercise_name: string, reason: string}>, seed: (number|null)}}
+ * Routines also carry `estimated_minutes` and `dropped` (exercises trimmed to fit the session).
+ */
+export function generateRoutinesWithReport(exercisePool, frequency, options = {}) {
+  const seed = normalizeSeed(options.seed);
+
   // Validate inputs
   if (!exercisePool || exercisePool.length === 0) {
-    return [];
+    return { routines: [], excluded: [], seed };
   }
 
   if (frequency < 2 || frequency > 7) {
     throw new Error('Frequency must be between 2 and 7 days per week');
   }
 
+  if (options.split && !SPLITS[options.split]) {
+    throw new Error(`Unknown split "${options.split}"`);
+  }
+
+  if (options.experienceLevel && !EXPERIENCE_LEVELS[options.experienceLevel]) {
+    throw new Error(`Unknown experience level "${options.experienceLevel}"`);
+  }
+
+  const { allowed, excluded } = applyConstraints(exercisePool, options);
+  const random = seed === null ? null : mulberry32(seed);
+
   // Categorize exercises by type
-  const categorized = categorizeExercises(exercisePool);
+  const categorized = categorizeExercises(allowed);
   
-  // Sort exercises: compound first, then isolation
-  categorized.bigMuscles = sortByCompound(categorized.bigMuscles);
-  categorized.littleMuscles = sortByCompound(categorized.littleMuscles);
+  // Sort exercises: compound first, then isolation (seeded shuffle breaks ties)
+  categorized.bigMuscles = sortByCompound(shuffle(categorized.bigMuscles, random));
+  categorized.littleMuscles = sortByCompound(shuffle(categorized.littleMuscles, random));
 
-  // Generate base routines based on frequency
-  const baseRoutines = generateBaseRoutines(categorized, frequency);
+  const level = EXPERIENCE_LEVELS[options.experienceLevel] || null;
+  let allRoutines;
 
-  // Fill remaining days with duplicates (reversed order, -10% intensity)
-  const allRoutines = fillRemainingDays(baseRoutines, frequency);
+  if (options.split) {
+    allRoutines = generateSplitRoutines(categorized, frequency, SPLITS[options.split], level || EXPERIENCE_LEVELS.intermediate);
+  } else {
+    // Generate base routines based on frequency
+    const baseRoutines = generateBaseRoutines(categorized, frequency, level);
 
-  return allRoutines;
+    // Fill remaining days with duplicates (reversed order, -10% intensity)
+    allRoutines = fillRemainingDays(baseRoutines, frequency);
+  }
+
+  const routines = allRoutines.map(routine => fitToSession(routine, options.maxSessionMinutes));
+
+  return { routines, excluded, seed };
+}
+
+/**
+ * Drop exercises the constraints rule out, recording why
+ * @private
+ */
+function applyConstraints(exercisePool, options) {
+  const allowed = [];
+  const excluded = [];
+  const level = EXPERIENCE_LEVELS[options.experienceLevel];
+  const equipment = Array.isArray(options.equipment)
+    ? options.equipment.map(item => item.trim().toLowerCase()).filter(Boolean)
+    : null;
+  const excludedMuscles = (options.excludedMuscles || [])
+    .map(muscle => muscle.trim().toLowerCase())
+    .filter(Boolean);
+
+  exercisePool.forEach(exercise => {
+    const reason = getExclusionReason(exercise, { equipment, excludedMuscles, level });
+    if (reason) {
+      excluded.push({ exercise_id: exercise.exercise_id, exercise_name: getExerciseName(exercise), reason });
+    } else {
+      allowed.push(exercise);
+    }
+  });
+
+  return { allowed, excluded };
+}
+
+/**
+ * Why an exercise can't be used under the constraints, or null if it can
+ * @private
+ */
+function getExclusionReason(exercise, { equipment, excludedMuscles, level }) {
+  const worked = [
+    ...(exercise.muscle_groups?.primary || []),
+    ...(exercise.muscle_groups?.secondary || [])
+  ].filter(Boolean);
+  // Exact names only: excluding "Back" must not drop "Lower Back" work
+  const hitMuscle = worked.find(muscle => excludedMuscles.includes(muscle.trim().toLowerCase()));
+  if (hitMuscle) {
+    return `Works ${hitMuscle}, which is excluded`;
+  }
+
+  if (equipment) {
+    const missing = getEquipmentNeeded(exercise).filter(item => !equipment.includes(item.toLowerCase()));
+    if (missing.length > 0) {
+      return `Needs ${missing.join(', ')}, which isn't available`;
+    }
+  }
+
+  const difficulty = (exercise.difficulty_level || exercise.exercise_data?.difficulty_level || '').toLowerCase();
+  if (level && EXPERIENCE_LEVELS[difficulty] && EXPERIENCE_LEVELS[difficulty].rank > level.rank) {
+    return `${EXPERIENCE_LEVELS[difficulty].label} exercise, above ${level.label.toLowerCase()} level`;
+  }
+
+  return null;
+}
+
+/**
+ * Equipment an exercise needs; bodyweight exercises need none
+ * @private
+ */
+function getEquipmentNeeded(exercise) {
+  const raw = exercise.equipment_needed ?? exercise.exercise_data?.equipment_needed;
+  const items = Array.isArray(raw) ? raw : String(raw || '').split(',');
+  return items
+    .map(item => String(item).trim())
+    .filter(item => item && !['none', 'bodyweight', 'body weight'].includes(item.toLowerCase()));
+}
+
+/**
+ * @private
+ */
+function getExerciseName(exercise) {
+  return exercise.exercise_name || exercise.name || 'Exercise';
+}
+
+/**
+ * Coerce a seed to an unsigned 32-bit integer; strings are hashed
+ * @private
+ */
+function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') return null;
+  const numeric = Number(seed);
+  if (Number.isFinite(numeric)) return Math.abs(Math.trunc(numeric)) >>> 0;
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1)
+ * @private
+ */
+function mulberry32(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle with a seeded PRNG; returns a copy in pool order without one
+ * @private
+ */
+function shuffle(exercises, random) {
+  const copy = [...exercises];
+  if (!random) return copy;
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Estimated session length in minutes
+ * @private
+ */
+function estimateMinutes(exercises) {
+  const seconds = exercises.reduce((total, ex) => {
+    if (ex.is_warmup || ex.is_cooldown) return total + BOOKEND_MINUTES * 60;
+    const sets = ex.sets || 3;
+    return total + sets * (WORK_SECONDS_PER_SET + (ex.rest_seconds ?? DEFAULT_REST_SECONDS));
+  }, 0);
+  return Math.ceil(seconds / 60);
+}
+
+/**
+ * Trim a routine to the session limit, isolation work first and always keeping
+ * one working exercise
+ * @private
+ */
+function fitToSession(routine, maxSessionMinutes) {
+  const exercises = [...routine.exercises];
+  const dropped = [];
+  const isWorking = ex => !ex.is_warmup && !ex.is_cooldown;
+
+  while (maxSessionMinutes > 0 && estimateMinutes(exercises) > maxSessionMinutes
+    && exercises.filter(isWorking).length > 1) {
+    let index = findLastIndex(exercises, ex => isWorking(ex) && !isCompound(ex));
+    if (index === -1) index = findLastIndex(exercises, isWorking);
+    const [removed] = exercises.splice(index, 1);
+    dropped.push({
+      exercise_id: removed.exercise_id,
+      exercise_name: getExerciseName(removed),
+      reason: `Dropped to fit a ${maxSessionMinutes}-minute session`
+    });
+  }
+
+  return {
+    ...routine,
+    exercises,
+    total_sets: exercises.reduce((total, ex) => total + (ex.sets || (isWorking(ex) ? 3 : 1)), 0),
+    estimated_minutes: estimateMinutes(exercises),
+    dropped
+  };
+}
+
+/**
+ * @private
+ */
+function findLastIndex(list, predicate) {
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (predicate(list[i])) return i;
+  }
+  return -1;
 }
 
 /**
@@ -111,14 +467,22 @@ function categorizeExercises(exercisePool) {
   return categorized;
 }
 
+/**
+ * Whether an exercise is a compound movement
+ * @private
+ */
+function isCompound(exercise) {
+  return Boolean(exercise.is_compound || exercise.type?.toLowerCase().includes('compound'));
+}
+
 /**
  * Sort exercises with compound movements first
  * @private
  */
 function sortByCompound(exercises) {
   return exercises.sort((a, b) => {
-    const aIsCompound = a.is_compound || a.type?.toLowerCase().includes('compound') || false;
-    const bIsCompound = b.is_compound || b.type?.toLowerCase().includes('compound') || false;
+    const aIsCompound = isCompound(a);
+    const bIsCompound = isCompound(b);
     
     // Compound exercises first
     if (aIsCompound && !bIsCompound) return -1;
@@ -131,84 +495,114 @@ function sortByCompound(exercises) {
  * Generate base routines before duplication
  * @private
  */
-function generateBaseRoutines(categorized, frequency) {
+function generateBaseRoutines(categorized, frequency, level) {
   const routines = [];
+  const intensity = level?.intensity ?? 80;
+  const perSlot = level?.perSlot ?? Infinity;
+  const big = muscles => ({ source: 'bigMuscles', label: muscles[0], muscles });
+  const little = muscles => ({ source: 'littleMuscles', label: muscles[0], muscles });
   
   // For 2-day split: Upper (Back + Chest) and Lower (Legs)
   if (frequency === 2) {
-    routines.push(createRoutine(
-      categorized,
-      ['Back', 'Latissimus Dorsi'], // Big muscle 1
-      ['Biceps'], // Little muscle 1
-      ['Chest'], // Big muscle 2
-      ['Triceps'], // Little muscle 2
-      80 // intensity
-    ));
+    routines.push(createRoutine(categorized, [
+      big(['Back', 'Latissimus Dorsi']),
+      little(['Biceps']),
+      big(['Chest']),
+      little(['Triceps'])
+    ], intensity, { perSlot }));
     
-    routines.push(createRoutine(
-      categorized,
-      ['Quadriceps'], // Big muscle 1
-      ['Front Deltoids', 'Side Deltoids'], // Little muscle 1
-      ['Glutes', 'Hamstrings'], // Big muscle 2
-      ['Forearms'], // Little muscle 2
-      80 // intensity
-    ));
+    routines.push(createRoutine(categorized, [
+      big(['Quadriceps']),
+      little(['Front Deltoids', 'Side Deltoids']),
+      big(['Glutes', 'Hamstrings']),
+      little(['Forearms'])
+    ], intensity, { perSlot }));
   }
   
   // For 3+ day splits: Push/Pull/Legs pattern
   else if (frequency >= 3) {
     // Day 1: Back & Biceps
-    routines.push(createRoutine(
-      categorized,
-      ['Back', 'Latissimus Dorsi', 'Trapezius'],
-      ['Biceps', 'Brachialis'],
-      null,
-      ['Forearms'],
-      80
-    ));
+    routines.push(createRoutine(categorized, [
+      big(['Back', 'Latissimus Dorsi', 'Trapezius']),
+      little(['Biceps', 'Brachialis']),
+      little(['Forearms'])
+    ], intensity, { perSlot }));
     
     // Day 2: Chest & Triceps
-    routines.push(createRoutine(
-      categorized,
-      ['Chest'],
-      ['Triceps'],
-      null,
-      ['Front Deltoids'],
-      80
-    ));
+    routines.push(createRoutine(categorized, [
+      big(['Chest']),
+      little(['Triceps']),
+      little(['Front Deltoids'])
+    ], intensity, { perSlot }));
     
     // Day 3: Legs & Shoulders
-    routines.push(createRoutine(
-      categorized,
-      ['Quadriceps', 'Glutes'],
-      ['Side Deltoids', 'Rear Deltoids'],
-      ['Hamstrings'],
-      ['Upper Abdominals', 'Lower Abdominals', 'Obliques'],
-      80
-    ));
+    routines.push(createRoutine(categorized, [
+      big(['Quadriceps', 'Glutes']),
+      little(['Side Deltoids', 'Rear Deltoids']),
+      big(['Hamstrings']),
+      little(['Upper Abdominals', 'Lower Abdominals', 'Obliques'])
+    ], intensity, { perSlot }));
     
     // Day 4 (if 4+): Upper Power
     if (frequency >= 4) {
-      routines.push(createRoutine(
-        categorized,
-        ['Chest'],
-        ['Front Deltoids'],
-        ['Back', 'Latissimus Dorsi'],
-        ['Biceps'],
-        80
-      ));
+      routines.push(createRoutine(categorized, [
+        big(['Chest']),
+        little(['Front Deltoids']),
+        big(['Back', 'Latissimus Dorsi']),
+        little(['Biceps'])
+      ], intensity, { perSlot }));
     }
   }
 
   return routines;
 }
 
+/**
+ * Generate routines for a preferred split, cycling its days to fill the week.
+ * A day that repeats picks the next-ranked exercises for each slot, so the
+ * second Push day isn't a copy of the first.
+ * @private
+ */
+function generateSplitRoutines(categorized, frequency, split, level) {
+  const working = sortByCompound([...categorized.bigMuscles, ...categorized.littleMuscles]);
+  const perSlot = Math.max(1, Math.round(level.perSlot * split.volumeScale));
+  const slotsFor = day => day.slots.map(slot => ({ ...slot, source: 'working' }));
+
+  // Skip days the constrained pool can't fill (NO empty days)
+  const days = split.days.filter(day =>
+    day.slots.some(slot => findExercisesForMuscles(working, slot.muscles).length > 0)
+  );
+  if (days.length === 0) return [];
+
+  const pools = { ...categorized, working };
+  const occurrences = days.map((_, index) => Math.ceil((frequency - index) / days.length));
+  const routines = [];
+
+  for (let i = 0; i < frequency; i++) {
+    const dayIndex = i % days.length;
+    const day = days[dayIndex];
+    const rotation = Math.floor(i / days.length);
+    const routine = createRoutine(pools, slotsFor(day), level.intensity, { perSlot, rotation, dayName: day.name });
+    const suffix = occurrences[dayIndex] > 1 ? ` ${String.fromCharCode(65 + rotation)}` : '';
+    routines.push({ ...routine, name: `${day.name}${suffix}` });
+  }
+
+  return routines;
+}
 
 /**
  * Create a single routine with proper structure
+ * 
+ * @param {Object} categorized - Exercise lists keyed by category
+ * @param {Array<{source: string, label: string, muscles: Array<string>}>} slots - Muscle slots in order
+ * @param {number} intensity - Working intensity (% 1RM)
+ * @param {Object} [context]
+ * @param {number} [context.perSlot=Infinity] - Most exercises per slot
+ * @param {number} [context.rotation=0] - How many times this day has already appeared this week
+ * @param {string} [context.dayName] - Split day name used in reasons
  * @private
  */
-function createRoutine(categorized, bigMuscle1, littleMuscle1, bigMuscle2, littleMuscle2, intensity) {
+function createRoutine(categorized, slots, intensity, { perSlot = Infinity, rotation = 0, dayName } = {}) {
   const routine = {
     name: '',
     exercises: [],
@@ -218,54 +612,39 @@ function createRoutine(categorized, bigMuscle1, littleMuscle1, bigMuscle2, littl
   };
 
   const musclesUsed = new Set();
+  const exerciseIds = new Set();
 
   // 1. Add warmup
   if (categorized.warmup.length > 0) {
-    const warmup = categorized.warmup[0];
-    routine.exercises.push({ ...warmup, is_warmup: true, target_intensity_pct: 50 });
+    const warmup = categorized.warmup[rotation % categorized.warmup.length];
+    routine.exercises.push({ ...warmup, is_warmup: true, target_intensity_pct: 50, reason: 'Warm-up from the pool' });
     routine.total_sets += warmup.sets || 1;
   }
 
-  // 2. Add Big Muscle 1 exercises
-  const bigEx1 = findExercisesForMuscles(categorized.bigMuscles, bigMuscle1);
-  bigEx1.forEach(ex => {
-    routine.exercises.push({ ...ex, target_intensity_pct: intensity });
-    routine.total_sets += ex.sets || 3;
-    ex.muscle_groups?.primary?.forEach(m => musclesUsed.add(m));
-  });
-
-  // 3. Add Little Muscle 1 exercises
-  const littleEx1 = findExercisesForMuscles(categorized.littleMuscles, littleMuscle1);
-  littleEx1.forEach(ex => {
-    routine.exercises.push({ ...ex, target_intensity_pct: intensity });
-    routine.total_sets += ex.sets || 3;
-    ex.muscle_groups?.primary?.forEach(m => musclesUsed.add(m));
-  });
-
-  // 4. Add Big Muscle 2 exercises (if provided)
-  if (bigMuscle2) {
-    const bigEx2 = findExercisesForMuscles(categorized.bigMuscles, bigMuscle2);
-    bigEx2.forEach(ex => {
-      routine.exercises.push({ ...ex, target_intensity_pct: intensity });
-      routine.total_sets += ex.sets || 3;
-      ex.muscle_groups?.primary?.forEach(m => musclesUsed.add(m));
-    });
-  }
-
-  // 5. Add Little Muscle 2 exercises (if provided)
-  if (littleMuscle2) {
-    const littleEx2 = findExercisesForMuscles(categorized.littleMuscles, littleMuscle2);
-    littleEx2.forEach(ex => {
-      routine.exercises.push({ ...ex, target_intensity_pct: intensity });
+  // 2. Big → little muscle slots in order
+  slots.forEach(slot => {
+    const candidates = findExercisesForMuscles(categorized[slot.source], slot.muscles)
+      .filter(ex => !exerciseIds.has(ex.exercise_id ?? ex));
+    const start = candidates.length > 0 ? (rotation * Math.min(perSlot, candidates.length)) % candidates.length : 0;
+    const rotated = [...candidates.slice(start), ...candidates.slice(0, start)];
+    const picked = rotated.slice(0, perSlot);
+
+    picked.forEach((ex, index) => {
+      exerciseIds.add(ex.exercise_id ?? ex);
+      routine.exercises.push({
+        ...ex,
+        target_intensity_pct: intensity,
+        reason: describeChoice(ex, slot, { index, rotation, dayName })
+      });
       routine.total_sets += ex.sets || 3;
       ex.muscle_groups?.primary?.forEach(m => musclesUsed.add(m));
     });
-  }
+  });
 
-  // 6. Add cooldown
+  // 3. Add cooldown
   if (categorized.cooldown.length > 0) {
-    const cooldown = categorized.cooldown[0];
-    routine.exercises.push({ ...cooldown, is_warmup: false, target_intensity_pct: 30 });
+    const cooldown = categorized.cooldown[rotation % categorized.cooldown.length];
+    routine.exercises.push({ ...cooldown, is_warmup: false, is_cooldown: true, target_intensity_pct: 30, reason: 'Cool-down from the pool' });
     routine.total_sets += cooldown.sets || 1;
   }
 
@@ -276,6 +655,19 @@ function createRoutine(categorized, bigMuscle1, littleMuscle1, bigMuscle2, littl
   return routine;
 }
 
+/**
+ * Explain why an exercise fills a slot
+ * @private
+ */
+function describeChoice(exercise, slot, { index, rotation, dayName }) {
+  const kind = isCompound(exercise) ? 'Compound' : 'Isolation';
+  const where = dayName ? ` on ${dayName} day` : '';
+  const rank = rotation > 0
+    ? 'next in rotation so repeat days vary'
+    : `${index === 0 ? 'top-ranked' : `#${index + 1}`} match for ${slot.muscles.join('/')}`;
+  return `${kind} ${slot.label} exercise${where} (${rank})`;
+}
+
 /**
  * Find exercises that target specific muscles
  * @private
@@ -297,6 +689,7 @@ function findExercisesForMuscles(exercisePool, targetMuscles) {
  */
 function fillRemainingDays(baseRoutines, frequency) {
   const allRoutines = [...baseRoutines];
+  if (baseRoutines.length === 0) return allRoutines;
   
   while (allRoutines.length < frequency) {
     // Get the next base routine to duplicate (cycle through)
@@ -309,7 +702,8 @@ function fillRemainingDays(baseRoutines, frequency) {
       name: sourceRoutine.name + ' (Volume)',
       exercises: [...sourceRoutine.exercises].reverse().map(ex => ({
         ...ex,
-        target_intensity_pct: ex.is_warmup ? ex.target_intensity_pct : Math.max(40, ex.target_intensity_pct - 10)
+        target_intensity_pct: ex.is_warmup ? ex.target_intensity_pct : Math.max(40, ex.target_intensity_pct - 10),
+        reason: ex.is_warmup || ex.is_cooldown ? ex.reason : `${ex.reason}; repeated from ${sourceRoutine.name} at -10% intensity`
       })),
       target_intensity_pct: Math.max(40, sourceRoutine.target_intensity_pct - 10)
     };
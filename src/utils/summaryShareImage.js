@@ -0,0 +1,141 @@
+/**
+ * @file summaryShareImage.js
+ * @description Draws a workout summary onto a canvas and shares it as a PNG via
+ * the Web Share API, falling back to a download where file sharing isn't
+ * supported. Drawn by hand so no screenshot library is needed.
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+const WIDTH = 1080;
+const PADDING = 72;
+const COLORS = {
+  background: '#1a202c',
+  card: '#2d3748',
+  accent: '#f97316',
+  text: '#ffffff',
+  muted: '#a0aec0',
+  up: '#68d391',
+  down: '#fc8181',
+  gold: '#eab308',
+};
+
+/** Max exercises / PRs drawn so the image keeps a shareable aspect ratio */
+const MAX_EXERCISES = 8;
+const MAX_RECORDS = 4;
+
+const deltaColor = (text) => (text.startsWith('+') ? COLORS.up : text.startsWith('−') ? COLORS.down : COLORS.muted);
+
+/**
+ * Render the summary to a PNG.
+ *
+ * @param {Object} summary
+ * @param {string} summary.title - Workout name
+ * @param {string} summary.subtitle - Date line
+ * @param {Array<{label: string, value: string}>} summary.stats - Headline stats (up to 4)
+ * @param {Array<{name: string, detail: string, delta: string}>} summary.exercises - Exercise rows
+ * @param {Array<string>} summary.records - PR lines
+ * @returns {Promise<Blob>} PNG image
+ */
+export const createSummaryImage = ({ title, subtitle, stats, exercises, records }) => {
+  const rows = (exercises || []).slice(0, MAX_EXERCISES);
+  const prs = (records || []).slice(0, MAX_RECORDS);
+  const height = 420 + rows.length * 84 + (prs.length ? 110 + prs.length * 56 : 0) + 120;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = COLORS.background;
+  ctx.fillRect(0, 0, WIDTH, height);
+  ctx.fillStyle = COLORS.accent;
+  ctx.fillRect(0, 0, WIDTH, 12);
+
+  let y = PADDING + 40;
+  ctx.fillStyle = COLORS.text;
+  ctx.font = 'bold 56px system-ui, sans-serif';
+  ctx.fillText(title, PADDING, y);
+  y += 52;
+  ctx.fillStyle = COLORS.muted;
+  ctx.font = '32px system-ui, sans-serif';
+  ctx.fillText(subtitle, PADDING, y);
+
+  // Headline stat cards
+  y += 48;
+  const cardWidth = (WIDTH - PADDING * 2 - 24 * 3) / 4;
+  (stats || []).slice(0, 4).forEach((stat, index) => {
+    const x = PADDING + index * (cardWidth + 24);
+    ctx.fillStyle = COLORS.card;
+    ctx.fillRect(x, y, cardWidth, 150);
+    ctx.fillStyle = COLORS.text;
+    ctx.font = 'bold 44px system-ui, sans-serif';
+    ctx.fillText(stat.value, x + 20, y + 70);
+    ctx.fillStyle = COLORS.muted;
+    ctx.font = '26px system-ui, sans-serif';
+    ctx.fillText(stat.label, x + 20, y + 120);
+  });
+  y += 150 + 70;
+
+  rows.forEach((row) => {
+    ctx.fillStyle = COLORS.text;
+    ctx.font = 'bold 34px system-ui, sans-serif';
+    ctx.fillText(row.name, PADDING, y);
+    ctx.fillStyle = COLORS.muted;
+    ctx.font = '28px system-ui, sans-serif';
+    ctx.fillText(row.detail, PADDING, y + 38);
+    if (row.delta) {
+      ctx.fillStyle = deltaColor(row.delta);
+      ctx.font = 'bold 30px system-ui, sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(row.delta, WIDTH - PADDING, y + 18);
+      ctx.textAlign = 'left';
+    }
+    y += 84;
+  });
+
+  if (prs.length) {
+    y += 40;
+    ctx.fillStyle = COLORS.gold;
+    ctx.font = 'bold 38px system-ui, sans-serif';
+    ctx.fillText('🏆 Personal Records', PADDING, y);
+    y += 56;
+    ctx.fillStyle = COLORS.text;
+    ctx.font = '30px system-ui, sans-serif';
+    prs.forEach((line) => {
+      ctx.fillText(line, PADDING, y);
+      y += 56;
+    });
+  }
+
+  ctx.fillStyle = COLORS.accent;
+  ctx.font = 'bold 30px system-ui, sans-serif';
+  ctx.fillText('FELONY FITNESS', PADDING, height - PADDING + 10);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not render image'))), 'image/png');
+  });
+};
+
+/**
+ * Share an image with the native share sheet, or download it when file sharing isn't available.
+ * @param {Blob} blob - PNG image
+ * @param {string} filename - File name for the share/download
+ * @param {string} [text] - Accompanying share text
+ * @returns {Promise<'shared'|'downloaded'>} How the image was delivered
+ */
+export const shareImage = async (blob, filename, text = '') => {
+  const file = new File([blob], filename, { type: 'image/png' });
+  if (navigator.canShare?.({ files: [file] })) {
+    await navigator.share({ files: [file], text });
+    return 'shared';
+  }
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  return 'downloaded';
+};
@@ -0,0 +1,203 @@
+/**
+ * @file warmupPlanner.js
+ * @description Pure helpers for warm-up ramps and barbell plate loading: the
+ * working weight from e1RM × target intensity, a ramp of lighter sets toward it,
+ * and the plates to load per side for the lifter's bar, plates and unit system.
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+/** Kilograms per pound */
+export const KG_PER_LB = 0.45359237;
+
+/**
+ * Bar types a lifter can configure
+ * @type {Object<string, {label: string}>}
+ */
+export const BAR_TYPES = {
+  barbell: { label: 'Barbell' },
+  ez: { label: 'EZ Bar' },
+  trap: { label: 'Trap Bar' },
+};
+
+/** Common plate denominations per unit system, heaviest first */
+export const STANDARD_PLATES = {
+  lb: [45, 35, 25, 10, 5, 2.5],
+  kg: [25, 20, 15, 10, 5, 2.5, 1.25],
+};
+
+/** Typical bar weights per unit system */
+export const STANDARD_BARS = {
+  lb: { barbell: 45, ez: 25, trap: 60 },
+  kg: { barbell: 20, ez: 10, trap: 25 },
+};
+
+/**
+ * Warm-up ramp as a fraction of the working weight. 0 means the empty bar.
+ * @type {Array<{pct: number, reps: number}>}
+ */
+export const WARMUP_RAMP = [
+  { pct: 0, reps: 10 },
+  { pct: 0.4, reps: 5 },
+  { pct: 0.6, reps: 3 },
+  { pct: 0.8, reps: 2 },
+];
+
+/** Fallback when a routine exercise has no target_intensity_pct (matches the column default) */
+const DEFAULT_INTENSITY_PCT = 75;
+
+/**
+ * Defaults for a unit system
+ * @param {'lb'|'kg'} [unit='lb'] - Unit system
+ * @returns {{unit: string, plates: Array<number>, bars: Object<string, number>}} Plate settings
+ */
+export const getDefaultPlateSettings = (unit = 'lb') => {
+  const system = unit === 'kg' ? 'kg' : 'lb';
+  return { unit: system, plates: [...STANDARD_PLATES[system]], bars: { ...STANDARD_BARS[system] } };
+};
+
+/**
+ * Fill in missing or invalid pieces of a stored user_profiles.plate_settings value.
+ * @param {Object|null} raw - Stored settings ({ unit, plates, bars })
+ * @returns {{unit: string, plates: Array<number>, bars: Object<string, number>}} Complete settings
+ */
+export const normalizePlateSettings = (raw) => {
+  const defaults = getDefaultPlateSettings(raw?.unit);
+  const plates = Array.isArray(raw?.plates)
+    ? raw.plates.map(Number).filter((p) => p > 0).sort((a, b) => b - a)
+    : defaults.plates;
+  const bars = { ...defaults.bars };
+  Object.keys(BAR_TYPES).forEach((type) => {
+    const weight = Number(raw?.bars?.[type]);
+    if (weight > 0) bars[type] = weight;
+  });
+  return { unit: defaults.unit, plates: plates.length > 0 ? plates : defaults.plates, bars };
+};
+
+/**
+ * Convert pounds to the display unit
+ * @param {number} lbs - Weight in lbs
+ * @param {'lb'|'kg'} unit - Display unit
+ * @returns {number} Weight in the display unit
+ */
+export const fromPounds = (lbs, unit) => (unit === 'kg' ? lbs * KG_PER_LB : lbs);
+
+/**
+ * Convert a display-unit weight to pounds (2 decimals, as stored in weight_lbs)
+ * @param {number} value - Weight in the display unit
+ * @param {'lb'|'kg'} unit - Display unit
+ * @returns {number} Weight in lbs
+ */
+export const toPounds = (value, unit) => Math.round((unit === 'kg' ? value / KG_PER_LB : value) * 100) / 100;
+
+/**
+ * Smallest change the lifter can load: a pair of their lightest plates.
+ * @param {Array<number>} plates - Available plate denominations
+ * @returns {number} Increment in the plates' unit
+ */
+export const getPlateIncrement = (plates) => {
+  const lightest = Math.min(...(plates || []).filter((p) => p > 0));
+  return Number.isFinite(lightest) ? lightest * 2 : 5;
+};
+
+/**
+ * Which bar an exercise is loaded on, guessed from its name.
+ * @param {Object|null} exercise - Row from the exercises table
+ * @returns {string|null} Key of BAR_TYPES, or null when the lift isn't plate-loaded on a bar
+ */
+export const getBarTypeForExercise = (exercise) => {
+  if (exercise?.exercise_type !== 'Free Weight') return null;
+  const name = String(exercise.name || '').toLowerCase();
+  if (/dumbbell|kettlebell|\bdb\b|\bkb\b/.test(name)) return null;
+  if (/\bez\b|ez[- ]?bar|preacher|skull/.test(name)) return 'ez';
+  if (/trap[- ]?bar|hex[- ]?bar/.test(name)) return 'trap';
+  return 'barbell';
+};
+
+/**
+ * Working weight for today from an e1RM and the routine's target intensity.
+ * @param {number} e1rm - Estimated 1RM
+ * @param {number|null} intensityPct - routine_exercises.target_intensity_pct (0-100)
+ * @param {number} [increment=5] - Round down to this step
+ * @returns {number} Working weight (0 when unknown)
+ *
+ * @example
+ * calculateWorkingWeight(300, 75, 5) // 225
+ */
+export const calculateWorkingWeight = (e1rm, intensityPct, increment = 5) => {
+  if (!(e1rm > 0)) return 0;
+  const pct = Number(intensityPct) > 0 ? Number(intensityPct) : DEFAULT_INTENSITY_PCT;
+  return Math.floor((e1rm * pct) / 100 / increment + 1e-9) * increment;
+};
+
+/**
+ * Ramp of warm-up sets toward a working weight. Steps that round to the same or
+ * a heavier load than the step after them are dropped, so light working weights
+ * get a shorter ramp.
+ *
+ * @param {number} workingWeight - Working set load
+ * @param {Object} [options]
+ * @param {number} [options.barWeight=0] - Empty bar weight (0 for dumbbells/machines)
+ * @param {number} [options.increment=5] - Round warm-up loads to this step
+ * @returns {Array<{weight: number, reps: number, pct: number}>} Warm-up sets, lightest first
+ *
+ * @example
+ * generateWarmupSets(225, { barWeight: 45, increment: 5 })
+ * // [{ weight: 45, reps: 10, pct: 0.2 }, { weight: 90, reps: 5, pct: 0.4 },
+ * //  { weight: 135, reps: 3, pct: 0.6 }, { weight: 180, reps: 2, pct: 0.8 }]
+ */
+export const generateWarmupSets = (workingWeight, { barWeight = 0, increment = 5 } = {}) => {
+  if (!(workingWeight > 0)) return [];
+  const sets = [];
+  WARMUP_RAMP.forEach(({ pct, reps }) => {
+    const raw = pct === 0 ? barWeight : workingWeight * pct;
+    const weight = Math.max(barWeight, Math.round(raw / increment) * increment);
+    const previous = sets[sets.length - 1];
+    if (weight <= 0 || weight >= workingWeight || (previous && weight <= previous.weight)) return;
+    sets.push({ weight, reps, pct: Math.round((weight / workingWeight) * 100) / 100 });
+  });
+  return sets;
+};
+
+/**
+ * Plates to load on each side of a bar for a target weight (heaviest plates first).
+ *
+ * @param {number} targetWeight - Total weight including the bar
+ * @param {number} barWeight - Empty bar weight
+ * @param {Array<number>} plates - Available plate denominations (unlimited pairs)
+ * @returns {{perSide: Array<{plate: number, count: number}>, loadedWeight: number, remainder: number}}
+ *   remainder is the amount that couldn't be loaded with the available plates
+ *
+ * @example
+ * calculatePlates(225, 45, [45, 25, 10, 5, 2.5])
+ * // { perSide: [{ plate: 45, count: 2 }], loadedWeight: 225, remainder: 0 }
+ */
+export const calculatePlates = (targetWeight, barWeight, plates) => {
+  // Work in hundredths so 1.25 kg / 2.5 lb plates don't accumulate float error
+  let perSideCents = Math.round(((targetWeight - barWeight) / 2) * 100);
+  const perSide = [];
+  if (perSideCents > 0) {
+    [...(plates || [])].sort((a, b) => b - a).forEach((plate) => {
+      const plateCents = Math.round(plate * 100);
+      const count = Math.floor(perSideCents / plateCents);
+      if (count > 0) {
+        perSide.push({ plate, count });
+        perSideCents -= count * plateCents;
+      }
+    });
+  }
+  const loadedPerSide = perSide.reduce((sum, { plate, count }) => sum + plate * count, 0);
+  const loadedWeight = Math.round((barWeight + loadedPerSide * 2) * 100) / 100;
+  return { perSide, loadedWeight, remainder: Math.max(0, Math.round((targetWeight - loadedWeight) * 100) / 100) };
+};
+
+/**
+ * Short per-side description, e.g. "45 + 25 + 2.5"
+ * @param {Array<{plate: number, count: number}>} perSide - From calculatePlates
+ * @returns {string} Plates per side, or "empty bar"
+ */
+export const formatPlates = (perSide) => {
+  if (!perSide || perSide.length === 0) return 'empty bar';
+  return perSide.map(({ plate, count }) => (count > 1 ? `${count}×${plate}` : String(plate))).join(' + ');
+};
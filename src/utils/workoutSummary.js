@@ -0,0 +1,96 @@
+/**
+ * @file workoutSummary.js
+ * @description Pure helpers for the post-workout summary: per-exercise
+ * comparison against the previous session of the same routine (from
+ * workout_exercise_session_stats rows) and display formatting.
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ * @project Felony Fitness
+ */
+
+/**
+ * workout_logs.mood_rating options (1-5)
+ * @type {Array<{value: number, emoji: string, label: string}>}
+ */
+export const MOOD_OPTIONS = [
+  { value: 1, emoji: '😫', label: 'Drained' },
+  { value: 2, emoji: '😕', label: 'Off' },
+  { value: 3, emoji: '😐', label: 'Okay' },
+  { value: 4, emoji: '🙂', label: 'Good' },
+  { value: 5, emoji: '🔥', label: 'Great' },
+];
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Compare this session's exercises with the previous session of the same routine.
+ *
+ * @param {Array<Object>} currentStats - workout_exercise_session_stats rows for this workout
+ * @param {Array<Object>} previousStats - Rows for the previous session (may be empty)
+ * @param {Object} [lookup]
+ * @param {Object<string, string>} [lookup.names] - Exercise names by id
+ * @param {Object<string, number>} [lookup.order] - routine_exercises.exercise_order by exercise id
+ * @param {Object<string, string>} [lookup.substitutions] - Prescribed exercise id by the id of the
+ *   substitute performed in its place; substitutes sort into the prescribed exercise's slot
+ * @returns {Array<Object>} One row per exercise: { exerciseId, name, substitutedFor, sets, volume, maxWeight,
+ *   totalReps, avgRpe, previous, volumeDelta, maxWeightDelta, repsDelta } (deltas null without a previous session)
+ */
+export const buildExerciseComparisons = (currentStats, previousStats, { names = {}, order = {}, substitutions = {} } = {}) => {
+  const slotOf = (exerciseId) => order[exerciseId] ?? order[substitutions[exerciseId]] ?? Infinity;
+
+  const previousById = new Map((previousStats || []).map((row) => [String(row.exercise_id), row]));
+
+  return (currentStats || [])
+    .map((row) => {
+      const exerciseId = String(row.exercise_id);
+      const prev = previousById.get(exerciseId) || null;
+      const current = {
+        sets: toNumber(row.sets_completed) || 0,
+        volume: toNumber(row.total_volume_lbs) || 0,
+        maxWeight: toNumber(row.max_weight_lbs),
+        totalReps: toNumber(row.total_reps) || 0,
+        avgRpe: toNumber(row.avg_rpe),
+      };
+      const previous = prev ? {
+        sets: toNumber(prev.sets_completed) || 0,
+        volume: toNumber(prev.total_volume_lbs) || 0,
+        maxWeight: toNumber(prev.max_weight_lbs),
+        totalReps: toNumber(prev.total_reps) || 0,
+      } : null;
+
+      return {
+        exerciseId,
+        name: names[exerciseId] || 'Exercise',
+        substitutedFor: substitutions[exerciseId] ? names[substitutions[exerciseId]] || 'Exercise' : null,
+        ...current,
+        previous,
+        volumeDelta: previous ? current.volume - previous.volume : null,
+        maxWeightDelta: previous && current.maxWeight !== null && previous.maxWeight !== null
+          ? current.maxWeight - previous.maxWeight
+          : null,
+        repsDelta: previous ? current.totalReps - previous.totalReps : null,
+      };
+    })
+    .sort((a, b) => slotOf(a.exerciseId) - slotOf(b.exerciseId));
+};
+
+/**
+ * Signed change for display, e.g. "+120 lbs", "−5 lbs" or "±0".
+ * @param {number|null} delta - Change vs. last session
+ * @param {string} [unit=''] - Unit suffix
+ * @returns {string} Formatted delta ('' when there is nothing to compare)
+ */
+export const formatDelta = (delta, unit = '') => {
+  if (delta === null || delta === undefined || Number.isNaN(delta)) return '';
+  const rounded = Math.round(delta * 10) / 10;
+  const suffix = unit ? ` ${unit}` : '';
+  if (rounded === 0) return `±0${suffix}`;
+  return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded).toLocaleString()}${suffix}`;
+};
+
+/**
+ * Whole-number formatting with thousands separators ("12,450").
+ * @param {number|null} value - Number to format
+ * @returns {string} Formatted value or "—"
+ */
+export const formatWhole = (value) => (value === null || value === undefined ? '—' : Math.round(Number(value)).toLocaleString());
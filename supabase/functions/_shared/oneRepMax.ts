@@ -0,0 +1,48 @@
+/**
+ * @file supabase/functions/_shared/oneRepMax.ts
+ * One-rep-max prediction formulas shared by edge functions.
+ * Mirrors ONE_RM_FORMULAS in src/utils/fitnessCalculators.js and the
+ * estimate_one_rep_max() SQL function so every surface agrees on e1RM.
+ */
+
+export type OneRepMaxFormula = "epley" | "brzycki" | "lombardi" | "mayhew" | "oconner" | "wathan";
+
+export const ONE_RM_FORMULAS: Record<OneRepMaxFormula, (weight: number, reps: number) => number> = {
+  epley: (w, r) => w * (1 + r / 30),
+  brzycki: (w, r) => (w * 36) / (37 - Math.min(r, 36)),
+  lombardi: (w, r) => w * Math.pow(r, 0.1),
+  mayhew: (w, r) => (100 * w) / (52.2 + 41.9 * Math.exp(-0.055 * r)),
+  oconner: (w, r) => w * (1 + 0.025 * r),
+  wathan: (w, r) => (100 * w) / (48.8 + 53.8 * Math.exp(-0.075 * r)),
+};
+
+/**
+ * Check whether a value names a supported formula
+ * @param {unknown} value - Candidate formula key
+ * @returns {boolean} True for a key of ONE_RM_FORMULAS
+ */
+export const isOneRepMaxFormula = (value: unknown): value is OneRepMaxFormula =>
+  typeof value === "string" && value in ONE_RM_FORMULAS;
+
+/**
+ * Estimate 1RM for a set, optionally adding reps in reserve (10 - RPE) first
+ * @param {number} weight - Load lifted
+ * @param {number} reps - Reps completed
+ * @param {OneRepMaxFormula} [formula="epley"] - Prediction formula
+ * @param {number|null} [rpe] - Set RPE; only used when rpeAdjusted is true
+ * @param {boolean} [rpeAdjusted=false] - Apply the RPE/RIR adjustment
+ * @returns {number} Estimated 1RM (0 for invalid input)
+ */
+export function estimateOneRepMax(
+  weight: number,
+  reps: number,
+  formula: OneRepMaxFormula = "epley",
+  rpe: number | null = null,
+  rpeAdjusted = false,
+): number {
+  if (!weight || !reps || weight <= 0 || reps <= 0) return 0;
+  const repsInReserve = rpeAdjusted && rpe && rpe >= 1 && rpe <= 10 ? 10 - rpe : 0;
+  const effectiveReps = reps + repsInReserve;
+  if (effectiveReps === 1) return weight;
+  return ONE_RM_FORMULAS[formula](weight, effectiveReps);
+}
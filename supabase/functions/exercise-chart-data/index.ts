@@ -14,14 +14,18 @@
  * @workflow
  * 1. Validates user authentication via Authorization header
  * 2. Receives metric type, user_id, and exercise_id
- * 3. Queries workout_log_entries with appropriate calculations
+ * 3. Queries workout_log_entries (working sets only, warm-ups excluded) with appropriate calculations
  * 4. Groups data by workout date
  * 5. Returns time-series data for charting
  * 
  * @metrics
  * - **weight_volume**: Total weight lifted per session (sum of weight × reps for all sets)
  * - **set_volume**: Total number of sets performed per session
- * - **1rm**: Estimated one-rep max using Epley formula: weight × (1 + reps/30)
+ * - **1rm**: Estimated one-rep max using the user's formula (Epley by default), optionally RPE-adjusted
+ * - **total_reps**: Total reps per session (bodyweight exercises)
+ * - **total_duration**: Total time under work per session in seconds (planks, holds, cardio)
+ * - **total_distance**: Total distance per session in meters (carries, rows, runs)
+ * - **best_pace**: Fastest pace of the session in seconds per km (time + distance sets)
  * 
  * @security
  * - Requires valid JWT token in Authorization header
@@ -30,10 +34,14 @@
  * - Filters by user ownership automatically
  * 
  * @param {Object} body - Request body
- * @param {string} body.metric - Metric type: 'weight_volume' | 'set_volume' | '1rm'
+ * @param {string} body.metric - Metric type: 'weight_volume' | 'set_volume' | '1rm' |
+ *   'total_reps' | 'total_duration' | 'total_distance' | 'best_pace'
  * @param {string} body.user_id - UUID of the user (must match authenticated user)
  * @param {string} body.exercise_id - UUID of the exercise to get data for
  * @param {number} [body.limit=30] - Maximum number of data points to return (default: 30)
+ * @param {string} [body.formula] - 1RM formula for the '1rm' metric; defaults to user_profiles.one_rm_formula
+ * @param {boolean} [body.rpe_adjusted] - Add reps in reserve (10 - RPE) before estimating;
+ *   defaults to user_profiles.e1rm_rpe_adjusted
  * 
  * @returns {Response} JSON response with chart data or error
  * @returns {Object} response.body - Response body
@@ -68,6 +76,7 @@
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.7";
+import { estimateOneRepMax, isOneRepMaxFormula, type OneRepMaxFormula } from "../_shared/oneRepMax.ts";
 
 /**
  * CORS headers for cross-origin requests
@@ -81,7 +90,15 @@ const corsHeaders = {
 /**
  * Valid metric types for chart data calculation
  */
-const VALID_METRICS = ['weight_volume', 'set_volume', '1rm'] as const;
+const VALID_METRICS = [
+  'weight_volume',
+  'set_volume',
+  '1rm',
+  'total_reps',
+  'total_duration',
+  'total_distance',
+  'best_pace',
+] as const;
 type MetricType = typeof VALID_METRICS[number];
 
 /**
@@ -110,6 +127,7 @@ async function calculateWeightVolume(supabase: unknown, userId: string, exercise
     .eq("exercise_id", exerciseId)
     .eq("workout_logs.user_id", userId)
     .eq("workout_logs.is_complete", true)
+    .eq("is_warmup", false)
     .not("weight_lbs", "is", null)
     .not("reps_completed", "is", null)
     .order("workout_logs(log_date)", { ascending: false });
@@ -156,6 +174,7 @@ async function calculateSetVolume(supabase: unknown, userId: string, exerciseId:
     .eq("exercise_id", exerciseId)
     .eq("workout_logs.user_id", userId)
     .eq("workout_logs.is_complete", true)
+    .eq("is_warmup", false)
     .order("workout_logs(log_date)", { ascending: false });
 
   if (error) throw error;
@@ -177,21 +196,31 @@ async function calculateSetVolume(supabase: unknown, userId: string, exerciseId:
 
 /**
  * Calculate estimated 1RM (one-rep max) for a workout session
- * Formula: MAX(weight_lbs × (1 + reps_completed/30)) - Epley formula
+ * Formula: MAX(estimated 1RM) per session using the chosen prediction formula
  * 
  * @param {unknown} supabase - Supabase client instance
  * @param {string} userId - User ID
  * @param {string} exerciseId - Exercise ID
  * @param {number} limit - Maximum data points
+ * @param {OneRepMaxFormula} formula - Prediction formula (see _shared/oneRepMax.ts)
+ * @param {boolean} rpeAdjusted - Add reps in reserve from rpe_rating before estimating
  * @returns {Promise<Array>} Array of {log_date, value} objects
  */
-async function calculate1RM(supabase: unknown, userId: string, exerciseId: string, limit: number) {
+async function calculate1RM(
+  supabase: unknown,
+  userId: string,
+  exerciseId: string,
+  limit: number,
+  formula: OneRepMaxFormula,
+  rpeAdjusted: boolean,
+) {
   const { data, error } = await supabase
     .from("workout_log_entries")
     .select(`
       log_id,
       weight_lbs,
       reps_completed,
+      rpe_rating,
       workout_logs!inner (
         log_date,
         user_id,
@@ -201,6 +230,7 @@ async function calculate1RM(supabase: unknown, userId: string, exerciseId: strin
     .eq("exercise_id", exerciseId)
     .eq("workout_logs.user_id", userId)
     .eq("workout_logs.is_complete", true)
+    .eq("is_warmup", false)
     .not("weight_lbs", "is", null)
     .not("reps_completed", "is", null)
     .order("workout_logs(log_date)", { ascending: false });
@@ -215,8 +245,7 @@ async function calculate1RM(supabase: unknown, userId: string, exerciseId: strin
     const weight = entry.weight_lbs || 0;
     const reps = entry.reps_completed || 0;
 
-    // Epley formula: 1RM = weight × (1 + reps/30)
-    const estimated1RM = weight * (1 + reps / 30);
+    const estimated1RM = estimateOneRepMax(weight, reps, formula, entry.rpe_rating, rpeAdjusted);
 
     oneRMByDate[date] = Math.max(oneRMByDate[date] || 0, estimated1RM);
   });
@@ -228,6 +257,115 @@ async function calculate1RM(supabase: unknown, userId: string, exerciseId: strin
     .slice(-limit);
 }
 
+/**
+ * Fetch completed-workout entries for an exercise with the given numeric column present
+ *
+ * @param {unknown} supabase - Supabase client instance
+ * @param {string} userId - User ID
+ * @param {string} exerciseId - Exercise ID
+ * @param {Array<string>} columns - Entry columns to select; all must be non-null
+ * @returns {Promise<Array>} Entries joined with workout_logs.log_date
+ */
+async function fetchCompletedEntries(supabase: unknown, userId: string, exerciseId: string, columns: string[]) {
+  let query = supabase
+    .from("workout_log_entries")
+    .select(`
+      log_id,
+      ${columns.join(",\n      ")},
+      workout_logs!inner (
+        log_date,
+        user_id,
+        is_complete
+      )
+    `)
+    .eq("exercise_id", exerciseId)
+    .eq("workout_logs.user_id", userId)
+    .eq("workout_logs.is_complete", true)
+    .eq("is_warmup", false);
+
+  for (const column of columns) {
+    query = query.not(column, "is", null);
+  }
+
+  const { data, error } = await query.order("workout_logs(log_date)", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Group entries by log_date using a reducer and return the latest `limit` points in date order
+ *
+ * @param {Array} entries - Entries from fetchCompletedEntries
+ * @param {Function} valueOf - Maps an entry to its numeric contribution (or null to skip)
+ * @param {Function} combine - Combines the running value with a new value (e.g. sum, min)
+ * @param {number} limit - Maximum data points
+ * @returns {Array<{log_date: string, value: number}>}
+ */
+function groupByDate(
+  entries: unknown[],
+  valueOf: (entry: unknown) => number | null,
+  combine: (current: number, next: number) => number,
+  limit: number,
+) {
+  const byDate: Record<string, number> = {};
+
+  entries.forEach((entry: unknown) => {
+    const value = valueOf(entry);
+    if (value === null || !isFinite(value)) return;
+    const date = entry.workout_logs.log_date;
+    byDate[date] = date in byDate ? combine(byDate[date], value) : value;
+  });
+
+  return Object.entries(byDate)
+    .map(([log_date, value]) => ({ log_date, value: Math.round(value * 10) / 10 }))
+    .sort((a, b) => new Date(a.log_date).getTime() - new Date(b.log_date).getTime())
+    .slice(-limit);
+}
+
+const sum = (a: number, b: number) => a + b;
+
+/**
+ * Total reps per session. Formula: SUM(reps_completed)
+ */
+async function calculateTotalReps(supabase: unknown, userId: string, exerciseId: string, limit: number) {
+  const entries = await fetchCompletedEntries(supabase, userId, exerciseId, ["reps_completed"]);
+  return groupByDate(entries, (entry: unknown) => entry.reps_completed, sum, limit);
+}
+
+/**
+ * Total work time per session in seconds. Formula: SUM(duration_seconds)
+ */
+async function calculateTotalDuration(supabase: unknown, userId: string, exerciseId: string, limit: number) {
+  const entries = await fetchCompletedEntries(supabase, userId, exerciseId, ["duration_seconds"]);
+  return groupByDate(entries, (entry: unknown) => entry.duration_seconds, sum, limit);
+}
+
+/**
+ * Total distance per session in meters. Formula: SUM(distance_meters)
+ */
+async function calculateTotalDistance(supabase: unknown, userId: string, exerciseId: string, limit: number) {
+  const entries = await fetchCompletedEntries(supabase, userId, exerciseId, ["distance_meters"]);
+  return groupByDate(entries, (entry: unknown) => Number(entry.distance_meters), sum, limit);
+}
+
+/**
+ * Best (fastest) pace per session in seconds per km.
+ * Formula: MIN(duration_seconds / (distance_meters / 1000))
+ */
+async function calculateBestPace(supabase: unknown, userId: string, exerciseId: string, limit: number) {
+  const entries = await fetchCompletedEntries(supabase, userId, exerciseId, ["duration_seconds", "distance_meters"]);
+  return groupByDate(
+    entries,
+    (entry: unknown) => {
+      const meters = Number(entry.distance_meters);
+      if (!meters || !entry.duration_seconds) return null;
+      return entry.duration_seconds / (meters / 1000);
+    },
+    Math.min,
+    limit,
+  );
+}
+
 /**
  * Main Edge Function handler for exercise chart data
  */
@@ -303,8 +441,37 @@ serve(async (req) => {
       case 'set_volume':
         chartData = await calculateSetVolume(supabase, user_id, exercise_id, limit);
         break;
-      case '1rm':
-        chartData = await calculate1RM(supabase, user_id, exercise_id, limit);
+      case '1rm': {
+        // Explicit request options win; otherwise use the user's saved preference
+        let formula: OneRepMaxFormula = isOneRepMaxFormula(payload.formula) ? payload.formula : "epley";
+        let rpeAdjusted = typeof payload.rpe_adjusted === "boolean" ? payload.rpe_adjusted : false;
+        if (!isOneRepMaxFormula(payload.formula) || typeof payload.rpe_adjusted !== "boolean") {
+          const { data: profile } = await supabase
+            .from("user_profiles")
+            .select("one_rm_formula, e1rm_rpe_adjusted")
+            .eq("id", user_id)
+            .maybeSingle();
+          if (!isOneRepMaxFormula(payload.formula) && isOneRepMaxFormula(profile?.one_rm_formula)) {
+            formula = profile.one_rm_formula;
+          }
+          if (typeof payload.rpe_adjusted !== "boolean") {
+            rpeAdjusted = profile?.e1rm_rpe_adjusted === true;
+          }
+        }
+        chartData = await calculate1RM(supabase, user_id, exercise_id, limit, formula, rpeAdjusted);
+        break;
+      }
+      case 'total_reps':
+        chartData = await calculateTotalReps(supabase, user_id, exercise_id, limit);
+        break;
+      case 'total_duration':
+        chartData = await calculateTotalDuration(supabase, user_id, exercise_id, limit);
+        break;
+      case 'total_distance':
+        chartData = await calculateTotalDistance(supabase, user_id, exercise_id, limit);
+        break;
+      case 'best_pace':
+        chartData = await calculateBestPace(supabase, user_id, exercise_id, limit);
         break;
       default:
         throw new Error("Invalid metric type");
@@ -14,6 +14,9 @@
  * 3. Updates the routine name in the workout_routines table
  * 4. Deletes all existing exercises for this routine from routine_exercises table
  * 5. Inserts the new set of exercises with their order and target sets
+ * 6. Records the saved routine as a new row in routine_versions (author and
+ *    timestamp). A routine with no history first gets its pre-edit exercises
+ *    recorded, so nothing is lost on its first save.
  * 
  * @security
  * - Requires valid JWT token in Authorization header
@@ -27,10 +30,13 @@
  * @param {string} body.p_items[].exercise_id - UUID of the exercise
  * @param {number} body.p_items[].target_sets - Number of sets for this exercise
  * @param {number} body.p_items[].exercise_order - Position order in the routine (0-indexed)
+ * @param {string} [body.p_restored_from_version_id] - routine_versions.id when this save restores an earlier version
  * 
  * @returns {Response} JSON response with success status or detailed error message
  * @returns {Object} response.body - Response body
  * @returns {boolean} response.body.success - True if operation succeeded
+ * @returns {string|null} response.body.version_id - routine_versions.id of the saved version
+ * @returns {number|null} response.body.version_number - Its version number
  * @returns {string} response.body.error - Error message if operation failed
  * 
  * @example
@@ -47,7 +53,7 @@
  * }
  * 
  * // Success Response (200)
- * { success: true }
+ * { success: true, version_id: "...", version_number: 4 }
  * 
  * // Error Response (400/401/500)
  * { error: "Insert failed: new row violates row-level security policy" }
@@ -68,6 +74,60 @@ const corsHeaders = {
   "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
 };
 
+/** routine_exercises columns kept in each routine_versions.items entry */
+const VERSION_FIELDS = [
+  "exercise_id", "target_sets", "target_reps", "exercise_order", "is_warmup", "negative",
+  "drop_set", "drop_set_percentage", "superset_id", "rest_seconds", "target_intensity_pct", "notes",
+];
+
+/**
+ * Snapshot entry for one routine exercise, with the exercise name so history
+ * still reads correctly if the exercise is later renamed or deleted.
+ */
+function toVersionItem(row: Record<string, unknown>, names: Record<string, string>) {
+  const item: Record<string, unknown> = {};
+  for (const field of VERSION_FIELDS) item[field] = row[field] ?? null;
+  item.exercise_name = names[row.exercise_id as string] ?? null;
+  return item;
+}
+
+/** exercises.name by id for the given exercise ids */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+async function getExerciseNames(supabase: any, ids: Array<string | undefined>) {
+  const uniqueIds = [...new Set(ids.filter(Boolean))];
+  if (uniqueIds.length === 0) return {};
+  const { data } = await supabase.from("exercises").select("id, name").in("id", uniqueIds);
+  return Object.fromEntries((data || []).map((row: { id: string; name: string }) => [row.id, row.name]));
+}
+
+/**
+ * Record a routine's current exercises as version 1. Used for routines saved
+ * before history was kept; the author is unknown, so created_by stays null.
+ * @returns Error message, or null on success
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+async function recordBaselineVersion(supabase: any, routineId: string): Promise<string | null> {
+  const { data: routine, error: routineError } = await supabase
+    .from("workout_routines")
+    .select("routine_name, created_at, routine_exercises(*)")
+    .eq("id", routineId)
+    .single();
+  if (routineError) return routineError.message;
+
+  const rows = [...(routine.routine_exercises || [])]
+    .sort((a: { exercise_order?: number }, b: { exercise_order?: number }) => (a.exercise_order ?? 0) - (b.exercise_order ?? 0));
+  const names = await getExerciseNames(supabase, rows.map((row: { exercise_id?: string }) => row.exercise_id));
+  const { error } = await supabase.from("routine_versions").insert({
+    routine_id: routineId,
+    version_number: 1,
+    routine_name: routine.routine_name,
+    items: rows.map((row: Record<string, unknown>) => toVersionItem(row, names)),
+    created_by: null,
+    created_at: routine.created_at ?? new Date().toISOString(),
+  });
+  return error ? error.message : null;
+}
+
 serve(async (req: Request) => {
   // Handle CORS preflight requests (OPTIONS method)
   // Returns 204 No Content with CORS headers to allow browser preflight checks
@@ -88,7 +148,7 @@ serve(async (req: Request) => {
 
     // Parse and validate request body
     const payload = await req.json();
-    const { p_routine_id, p_name, p_items } = payload;
+    const { p_routine_id, p_name, p_items, p_restored_from_version_id } = payload;
 
     // Validate required fields
     if (!p_routine_id || !p_name || !Array.isArray(p_items)) {
@@ -109,6 +169,42 @@ serve(async (req: Request) => {
       global: { headers: { Authorization: authHeader } },
     });
 
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return new Response(
+        JSON.stringify({ error: "Not authenticated" }),
+        { status: 401, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    // Step 0: Make sure the routine as it is now is in its history before we overwrite it
+    const { data: latestVersion, error: versionFetchError } = await supabase
+      .from("routine_versions")
+      .select("version_number")
+      .eq("routine_id", p_routine_id)
+      .order("version_number", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (versionFetchError) {
+      return new Response(
+        JSON.stringify({ error: `Version lookup failed: ${versionFetchError.message}` }),
+        { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    let nextVersionNumber = (latestVersion?.version_number ?? 0) + 1;
+    if (!latestVersion) {
+      const baselineError = await recordBaselineVersion(supabase, p_routine_id);
+      if (baselineError) {
+        // Nothing has been changed yet, so the routine is left as it was
+        return new Response(
+          JSON.stringify({ error: `Could not record routine history: ${baselineError}` }),
+          { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        );
+      }
+      nextVersionNumber = 2;
+    }
+
     // Step 1: Update the routine name
     // RLS policy ensures user can only update their own routines
     const { error: routineError } = await supabase
@@ -136,7 +232,10 @@ serve(async (req: Request) => {
         negative: (item as { negative?: boolean })?.negative || false,
         drop_set: (item as { drop_set?: boolean })?.drop_set || false,
         drop_set_percentage: (item as { drop_set_percentage?: number | null })?.drop_set_percentage ?? null,
-        superset_id: (item as { superset_id?: string | null })?.superset_id ?? null
+        superset_id: (item as { superset_id?: string | null })?.superset_id ?? null,
+        rest_seconds: (item as { rest_seconds?: number | null })?.rest_seconds ?? null,
+        target_intensity_pct: (item as { target_intensity_pct?: number | null })?.target_intensity_pct ?? null,
+        notes: (item as { notes?: string | null })?.notes ?? null
       }));
     }
 
@@ -239,9 +338,33 @@ serve(async (req: Request) => {
       }
     }
 
+    // Step 6: Record the saved routine as the newest version
+    // The routine itself is already saved, so a failure here is reported but not fatal
+    const names = await getExerciseNames(supabase, itemsToInsert.map(item => (item as { exercise_id?: string }).exercise_id));
+    const { data: version, error: versionError } = await supabase
+      .from("routine_versions")
+      .insert({
+        routine_id: p_routine_id,
+        version_number: nextVersionNumber,
+        routine_name: p_name,
+        items: itemsToInsert.map((item, index) => toVersionItem({ ...(item as Record<string, unknown>), exercise_order: index }, names)),
+        created_by: user.id,
+        restored_from_version_id: p_restored_from_version_id ?? null,
+      })
+      .select("id, version_number")
+      .single();
+    if (versionError) {
+      console.error("Failed to record routine version:", versionError);
+    }
+
     // Success - all operations completed successfully
     return new Response(
-      JSON.stringify({ success: true }),
+      JSON.stringify({
+        success: true,
+        version_id: version?.id ?? null,
+        version_number: version?.version_number ?? null,
+        ...(versionError ? { version_error: versionError.message } : {}),
+      }),
       { status: 200, headers: { ...corsHeaders, "Content-Type": "application/json" } }
     );
   } catch (err: unknown) {
@@ -0,0 +1,225 @@
+/**
+ * @file supabase/functions/shared-routine/index.ts
+ * @description Edge Function to preview or import a routine shared by code.
+ *
+ * A shared routine has a `share_code` (see the public_routines migration). Anyone
+ * signed in who has the code can see the routine and its exercises, and import
+ * a copy into their own library. Import uses the same copy semantics as
+ * `copy_pro_routine_to_user`: a new workout_routines row owned by the caller and
+ * a fresh routine_exercises row (new UUID) for every exercise.
+ *
+ * @project Felony Fitness
+ * @author Felony Fitness Development Team
+ * @version 1.0.0
+ *
+ * @workflow
+ * 1. Resolves the caller from the Authorization header
+ * 2. Looks up the routine by share_code (service role, so unlisted routines work)
+ * 3. preview: returns the routine, its exercises and the sharer's name
+ * 4. import: copies the routine and exercises to the caller (removing the copy
+ *    again if its exercises fail to insert), records version 1 of the copy, and
+ *    increments the source routine's import_count atomically
+ *
+ * @security
+ * - Requires a valid JWT; the copy is always owned by the caller, never a body field
+ * - Only routines with a share_code are readable; the owner's id is not returned
+ *
+ * @param {Object} body - Request body
+ * @param {string} body.share_code - Code of the shared routine
+ * @param {'preview'|'import'} [body.action='preview'] - What to do
+ *
+ * @returns {Response} JSON response
+ * @returns {Object} response.body.routine - preview: the routine with `exercises`
+ * @returns {string} response.body.routine_id - import: id of the new copy
+ * @returns {string} response.body.error - Error message if the request failed
+ *
+ * @example
+ * // Request
+ * POST /functions/v1/shared-routine
+ * Body: { share_code: "K7QX2M9P", action: "import" }
+ *
+ * // Success Response
+ * { success: true, routine_id: "new-789", exercises_copied: 6 }
+ */
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+
+/** Routine columns exposed in a preview */
+const PREVIEW_COLUMNS = 'id, user_id, routine_name, description, difficulty_level, routine_type, estimated_duration_minutes, import_count, shared_at, is_public';
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  });
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const authHeader = req.headers.get('Authorization');
+    if (!authHeader) return jsonResponse({ error: 'Missing authorization header' }, 401);
+
+    const { share_code, action = 'preview' } = await req.json();
+    const code = String(share_code || '').trim().toUpperCase();
+    if (!code || !['preview', 'import'].includes(action)) {
+      return jsonResponse({ error: 'Missing share_code or unknown action' }, 400);
+    }
+
+    const supabaseUser = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      { global: { headers: { Authorization: authHeader } } }
+    );
+    const { data: { user } } = await supabaseUser.auth.getUser();
+    if (!user) return jsonResponse({ error: 'Not authenticated' }, 401);
+
+    const supabaseAdmin = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    );
+
+    const { data: routine, error: fetchError } = await supabaseAdmin
+      .from('workout_routines')
+      .select(`${PREVIEW_COLUMNS}, routine_exercises(*, exercises(name, primary_muscle, thumbnail_url))`)
+      .eq('share_code', code)
+      .maybeSingle();
+    if (fetchError || !routine) {
+      return jsonResponse({ error: 'Shared routine not found' }, 404);
+    }
+
+    const exercises = [...(routine.routine_exercises || [])]
+      .sort((a, b) => (a.exercise_order ?? 0) - (b.exercise_order ?? 0));
+
+    if (action === 'preview') {
+      const { data: author } = await supabaseAdmin
+        .from('user_profiles')
+        .select('first_name, last_name')
+        .eq('id', routine.user_id)
+        .maybeSingle();
+      const { user_id: ownerId, routine_exercises: _rows, ...details } = routine;
+      return jsonResponse({
+        routine: {
+          ...details,
+          share_code: code,
+          author_name: [author?.first_name, author?.last_name].filter(Boolean).join(' ') || null,
+          exercises: exercises.map(ex => ({
+            exercise_id: ex.exercise_id,
+            exercise_name: ex.exercises?.name ?? null,
+            primary_muscle: ex.exercises?.primary_muscle ?? null,
+            thumbnail_url: ex.exercises?.thumbnail_url ?? null,
+            target_sets: ex.target_sets,
+            target_reps: ex.target_reps,
+            target_intensity_pct: ex.target_intensity_pct,
+            rest_seconds: ex.rest_seconds,
+            is_warmup: ex.is_warmup,
+            exercise_order: ex.exercise_order,
+          })),
+        },
+        is_owner: ownerId === user.id,
+      });
+    }
+
+    // Import: new routine owned by the caller
+    const newRoutineId = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const { error: insertError } = await supabaseAdmin
+      .from('workout_routines')
+      .insert([{
+        id: newRoutineId,
+        user_id: user.id,
+        routine_name: routine.routine_name,
+        description: routine.description,
+        difficulty_level: routine.difficulty_level,
+        routine_type: routine.routine_type,
+        estimated_duration_minutes: routine.estimated_duration_minutes,
+        is_active: true,
+        is_public: false,
+        imported_from_routine_id: routine.id,
+        created_at: now,
+        updated_at: now,
+      }]);
+    if (insertError) return jsonResponse({ error: insertError.message }, 500);
+
+    // Supersets are groups by a shared id; give the copy its own ids
+    const supersetIds: Record<string, string> = {};
+    const newExercises = exercises.map(ex => ({
+      id: crypto.randomUUID(),
+      routine_id: newRoutineId,
+      exercise_id: ex.exercise_id,
+      target_sets: ex.target_sets,
+      sets: ex.sets,
+      reps: ex.reps,
+      weight_kg: ex.weight_kg,
+      rest_seconds: ex.rest_seconds,
+      notes: ex.notes,
+      exercise_order: ex.exercise_order,
+      is_warmup: ex.is_warmup,
+      target_reps: ex.target_reps,
+      target_intensity_pct: ex.target_intensity_pct,
+      negative: ex.negative,
+      drop_set: ex.drop_set,
+      drop_set_percentage: ex.drop_set_percentage,
+      superset_id: ex.superset_id ? (supersetIds[ex.superset_id] ??= crypto.randomUUID()) : null,
+      created_at: now,
+    }));
+
+    if (newExercises.length > 0) {
+      const { error: exerciseInsertError } = await supabaseAdmin
+        .from('routine_exercises')
+        .insert(newExercises);
+      if (exerciseInsertError) {
+        console.error('Error inserting routine exercises:', exerciseInsertError);
+        // Don't leave an empty copy behind
+        const { error: cleanupError } = await supabaseAdmin
+          .from('workout_routines')
+          .delete()
+          .eq('id', newRoutineId);
+        if (cleanupError) console.error('Error removing partial import:', cleanupError);
+        return jsonResponse({ error: 'Could not copy the routine\'s exercises: ' + exerciseInsertError.message }, 500);
+      }
+    }
+
+    // Start the copy's version history (non-fatal)
+    const { error: versionError } = await supabaseAdmin.from('routine_versions').insert({
+      routine_id: newRoutineId,
+      version_number: 1,
+      routine_name: routine.routine_name,
+      items: newExercises.map((ex, index) => ({
+        exercise_id: ex.exercise_id,
+        exercise_name: exercises[index].exercises?.name ?? null,
+        target_sets: ex.target_sets,
+        target_reps: ex.target_reps,
+        exercise_order: ex.exercise_order,
+        is_warmup: ex.is_warmup ?? false,
+        negative: ex.negative ?? false,
+        drop_set: ex.drop_set ?? false,
+        drop_set_percentage: ex.drop_set_percentage ?? null,
+        superset_id: ex.superset_id,
+        rest_seconds: ex.rest_seconds ?? null,
+        target_intensity_pct: ex.target_intensity_pct ?? null,
+        notes: ex.notes ?? null,
+      })),
+      created_by: user.id,
+    });
+    if (versionError) console.error('Error recording first version of import:', versionError);
+
+    // Owners re-importing their own routine don't count
+    if (routine.user_id !== user.id) {
+      const { error: countError } = await supabaseAdmin
+        .rpc('increment_routine_import_count', { p_routine_id: routine.id });
+      if (countError) console.error('Error updating import count:', countError);
+    }
+
+    return jsonResponse({
+      success: true,
+      routine_id: newRoutineId,
+      exercises_copied: newExercises.length,
+    });
+  } catch (err) {
+    return jsonResponse({ error: err.message }, 400);
+  }
+});
@@ -3,7 +3,8 @@
  * @description Edge Function to update workout set entry data with authentication and RLS enforcement.
  * 
  * This function safely updates a workout log entry (set) in the workout_log_entries
- * table. It allows modification of weight lifted and reps completed while enforcing
+ * table. It allows modification of weight lifted, reps completed, RPE, duration and
+ * distance (for timed / cardio exercises) while enforcing
  * security by verifying the user owns the workout log that contains the entry.
  * 
  * @project Felony Fitness
@@ -29,6 +30,12 @@
  * @param {string} body.entry_id - UUID of the workout set entry to update
  * @param {number} body.weight_lbs - Weight in pounds (must be positive)
  * @param {number} body.reps_completed - Number of reps completed (must be positive integer)
+ * @param {number} [body.rpe_rating] - Rate of perceived exertion (integer 1-10)
+ * @param {number} [body.duration_seconds] - Set duration in seconds (non-negative integer)
+ * @param {number} [body.distance_meters] - Distance covered in meters (non-negative)
+ * @param {number} [body.bodyweight_lbs] - Bodyweight snapshot for bodyweight sets (non-negative)
+ * @param {number} [body.assistance_lbs] - Assistance subtracted from bodyweight (non-negative)
+ * @param {number} [body.effective_load_lbs] - Bodyweight × load factor + added weight − assistance
  * 
  * @returns {Response} JSON response with updated entry or error
  * @returns {Object} response.body - Response body
@@ -102,7 +109,10 @@ serve(async (req) => {
 
     // Parse request body
     const payload = await req.json();
-    const { entry_id, weight_lbs, reps_completed } = payload;
+    const {
+      entry_id, weight_lbs, reps_completed, rpe_rating, duration_seconds, distance_meters,
+      bodyweight_lbs, assistance_lbs, effective_load_lbs,
+    } = payload;
 
     // Validate required parameters
     if (!entry_id) {
@@ -133,10 +143,55 @@ serve(async (req) => {
       }
     }
 
+    if (rpe_rating !== undefined && rpe_rating !== null) {
+      const rpe = Number(rpe_rating);
+      if (!Number.isInteger(rpe) || rpe < 1 || rpe > 10) {
+        return new Response(
+          JSON.stringify({ error: "Invalid rpe_rating: must be an integer between 1 and 10" }),
+          { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        );
+      }
+    }
+
+    if (duration_seconds !== undefined && duration_seconds !== null) {
+      const duration = Number(duration_seconds);
+      if (isNaN(duration) || duration < 0 || !Number.isInteger(duration)) {
+        return new Response(
+          JSON.stringify({ error: "Invalid duration_seconds: must be a non-negative integer" }),
+          { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        );
+      }
+    }
+
+    if (distance_meters !== undefined && distance_meters !== null) {
+      const distance = Number(distance_meters);
+      if (isNaN(distance) || distance < 0) {
+        return new Response(
+          JSON.stringify({ error: "Invalid distance_meters: must be a non-negative number" }),
+          { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        );
+      }
+    }
+
+    // Bodyweight load columns share the same non-negative rule
+    const bodyweightColumns = { bodyweight_lbs, assistance_lbs, effective_load_lbs };
+    for (const [column, value] of Object.entries(bodyweightColumns)) {
+      if (value !== undefined && value !== null && (isNaN(Number(value)) || Number(value) < 0)) {
+        return new Response(
+          JSON.stringify({ error: `Invalid ${column}: must be a non-negative number` }),
+          { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        );
+      }
+    }
+
     // At least one field must be provided for update
-    if (weight_lbs === undefined && reps_completed === undefined) {
+    if (
+      weight_lbs === undefined && reps_completed === undefined && rpe_rating === undefined &&
+      duration_seconds === undefined && distance_meters === undefined &&
+      Object.values(bodyweightColumns).every((value) => value === undefined)
+    ) {
       return new Response(
-        JSON.stringify({ error: "At least one of weight_lbs or reps_completed must be provided" }),
+        JSON.stringify({ error: "At least one updatable set field must be provided" }),
         { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
       );
     }
@@ -193,18 +248,41 @@ serve(async (req) => {
       );
     }
 
-    // Build update object with only provided fields
+    // Build update object with only provided fields.
+    // An explicit null clears a column (e.g. removing added weight from a bodyweight set).
     interface UpdateData {
-      weight_lbs?: number;
-      reps_completed?: number;
+      weight_lbs?: number | null;
+      reps_completed?: number | null;
+      rpe_rating?: number | null;
+      duration_seconds?: number | null;
+      distance_meters?: number | null;
+      bodyweight_lbs?: number | null;
+      assistance_lbs?: number | null;
+      effective_load_lbs?: number | null;
     }
 
+    const toNullableNumber = (value: unknown) => (value === null ? null : Number(value));
+
     const updateData: UpdateData = {};
-    if (weight_lbs !== undefined && weight_lbs !== null) {
-      updateData.weight_lbs = Number(weight_lbs);
+    if (weight_lbs !== undefined) {
+      updateData.weight_lbs = toNullableNumber(weight_lbs);
     }
-    if (reps_completed !== undefined && reps_completed !== null) {
-      updateData.reps_completed = Number(reps_completed);
+    if (reps_completed !== undefined) {
+      updateData.reps_completed = toNullableNumber(reps_completed);
+    }
+    if (rpe_rating !== undefined) {
+      updateData.rpe_rating = toNullableNumber(rpe_rating);
+    }
+    if (duration_seconds !== undefined) {
+      updateData.duration_seconds = toNullableNumber(duration_seconds);
+    }
+    if (distance_meters !== undefined) {
+      updateData.distance_meters = toNullableNumber(distance_meters);
+    }
+    for (const [column, value] of Object.entries(bodyweightColumns)) {
+      if (value !== undefined) {
+        updateData[column as keyof typeof bodyweightColumns] = toNullableNumber(value);
+      }
     }
 
     // Update the entry
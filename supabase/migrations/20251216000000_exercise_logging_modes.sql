@@ -0,0 +1,43 @@
+-- Per-exercise logging modes for cardio, timed and distance work
+-- Date: December 16, 2025
+--
+-- workout_log_entries already stores duration_seconds and distance_meters; this
+-- migration lets an exercise declare which fields the logger should capture.
+
+-- Allow a dedicated Cardio exercise type (rowers, bikes, runs, sled pushes)
+ALTER TABLE exercises DROP CONSTRAINT IF EXISTS exercises_exercise_type_check;
+ALTER TABLE exercises
+ADD CONSTRAINT exercises_exercise_type_check CHECK (
+    exercise_type = ANY (ARRAY['Free Weight', 'Machine', 'Bodyweight', 'Cable', 'Cardio'])
+  );
+
+-- Optional override; NULL means "derive from exercise_type"
+ALTER TABLE exercises
+ADD COLUMN IF NOT EXISTS logging_mode text CHECK (
+    logging_mode IS NULL
+    OR logging_mode IN ('weight_reps', 'time', 'distance', 'time_distance', 'bodyweight_reps')
+  );
+
+COMMENT ON COLUMN exercises.logging_mode IS 'How sets are logged: weight_reps, time, distance, time_distance or bodyweight_reps. NULL derives from exercise_type (Cardio = time_distance, Bodyweight = bodyweight_reps, otherwise weight_reps)';
+
+-- Sensible defaults for well-known timed / distance movements already in the library
+UPDATE exercises SET logging_mode = 'time'
+WHERE logging_mode IS NULL
+  AND (name ILIKE '%plank%' OR name ILIKE '%wall sit%' OR name ILIKE '%dead hang%' OR name ILIKE '%hollow hold%');
+
+UPDATE exercises SET logging_mode = 'time_distance'
+WHERE logging_mode IS NULL
+  AND (name ILIKE '%row%erg%' OR name ILIKE '%rowing machine%' OR name ILIKE '%treadmill%'
+    OR name ILIKE '%running%' OR name ILIKE '%bike%' OR name ILIKE '%cycling%' OR name ILIKE '%ski erg%');
+
+UPDATE exercises SET logging_mode = 'distance'
+WHERE logging_mode IS NULL
+  AND (name ILIKE '%farmer%carry%' OR name ILIKE '%sled%');
+
+-- Sanity checks for the cardio columns
+ALTER TABLE workout_log_entries DROP CONSTRAINT IF EXISTS workout_log_entries_duration_check;
+ALTER TABLE workout_log_entries
+ADD CONSTRAINT workout_log_entries_duration_check CHECK (duration_seconds IS NULL OR duration_seconds >= 0);
+ALTER TABLE workout_log_entries DROP CONSTRAINT IF EXISTS workout_log_entries_distance_check;
+ALTER TABLE workout_log_entries
+ADD CONSTRAINT workout_log_entries_distance_check CHECK (distance_meters IS NULL OR distance_meters >= 0);
@@ -0,0 +1,155 @@
+-- Real bodyweight for bodyweight and assisted/weighted-bodyweight sets
+-- Date: December 17, 2025
+--
+-- Bodyweight sets previously stored only the added weight in weight_lbs, so a
+-- 10-rep set of pull-ups contributed 0 volume. Each set now snapshots the
+-- lifter's bodyweight as of the log date plus any machine/band assistance, and
+-- stores the resulting effective load so history stays correct as weight changes.
+
+-- Fraction of bodyweight actually moved (push-ups ~0.64, pull-ups/dips 1.0)
+ALTER TABLE exercises
+ADD COLUMN IF NOT EXISTS bodyweight_load_factor numeric(3,2) CHECK (
+    bodyweight_load_factor IS NULL
+    OR (bodyweight_load_factor > 0 AND bodyweight_load_factor <= 1)
+  );
+
+COMMENT ON COLUMN exercises.bodyweight_load_factor IS 'Share of bodyweight moved on bodyweight exercises. NULL means 1.0 (full bodyweight)';
+
+UPDATE exercises SET bodyweight_load_factor = 0.64
+WHERE bodyweight_load_factor IS NULL
+  AND name ILIKE '%push%up%'
+  AND name NOT ILIKE '%handstand%';
+
+-- Per-set snapshot columns
+ALTER TABLE workout_log_entries
+ADD COLUMN IF NOT EXISTS bodyweight_lbs numeric(6,2) CHECK (bodyweight_lbs IS NULL OR bodyweight_lbs > 0),
+ADD COLUMN IF NOT EXISTS assistance_lbs numeric(6,2) CHECK (assistance_lbs IS NULL OR assistance_lbs >= 0),
+ADD COLUMN IF NOT EXISTS effective_load_lbs numeric(7,2) CHECK (effective_load_lbs IS NULL OR effective_load_lbs >= 0);
+
+COMMENT ON COLUMN workout_log_entries.bodyweight_lbs IS 'Lifter bodyweight (latest body_metrics.weight_lbs as of the log date) captured when the set was logged';
+COMMENT ON COLUMN workout_log_entries.assistance_lbs IS 'Assistance subtracted from bodyweight (assisted pull-up machine, bands)';
+COMMENT ON COLUMN workout_log_entries.effective_load_lbs IS 'Load actually moved: bodyweight x load factor + weight_lbs - assistance_lbs. NULL for non-bodyweight sets';
+
+-- volume_lbs must use the effective load when present. Generated columns can't
+-- be altered in place, so drop the dependent views/index and rebuild them.
+DROP VIEW IF EXISTS workout_exercise_session_stats;
+DROP VIEW IF EXISTS workout_session_totals;
+DROP INDEX IF EXISTS idx_workout_log_entries_volume;
+
+ALTER TABLE workout_log_entries DROP COLUMN IF EXISTS volume_lbs;
+ALTER TABLE workout_log_entries
+ADD COLUMN volume_lbs numeric(10,2) GENERATED ALWAYS AS (
+    CASE
+      WHEN reps_completed IS NOT NULL AND COALESCE(effective_load_lbs, weight_lbs) IS NOT NULL
+        THEN COALESCE(effective_load_lbs, weight_lbs) * reps_completed::numeric
+      ELSE 0::numeric
+    END
+  ) STORED;
+
+CREATE INDEX idx_workout_log_entries_volume ON workout_log_entries USING btree (volume_lbs DESC)
+WHERE volume_lbs > 0::numeric;
+
+CREATE VIEW workout_exercise_session_stats WITH (security_invoker = 'true') AS
+SELECT wle.workout_log_id,
+  wle.exercise_id,
+  wl.user_id,
+  wl.log_date,
+  count(*) AS sets_completed,
+  sum(wle.volume_lbs) AS total_volume_lbs,
+  avg(wle.volume_lbs) FILTER (WHERE wle.volume_lbs > 0::numeric) AS avg_volume_per_set,
+  max(wle.volume_lbs) AS max_volume_single_set,
+  max(wle.weight_lbs) AS max_weight_lbs,
+  avg(wle.weight_lbs) FILTER (WHERE wle.weight_lbs > 0::numeric) AS avg_weight_lbs,
+  min(wle.weight_lbs) FILTER (WHERE wle.weight_lbs > 0::numeric) AS min_weight_lbs,
+  sum(wle.reps_completed) AS total_reps,
+  avg(wle.reps_completed) AS avg_reps,
+  max(wle.reps_completed) AS max_reps,
+  min(wle.reps_completed) AS min_reps,
+  avg(wle.rpe_rating) FILTER (WHERE wle.rpe_rating IS NOT NULL) AS avg_rpe,
+  array_agg(jsonb_build_object(
+    'set_number', wle.set_number,
+    'reps', wle.reps_completed,
+    'weight', wle.weight_lbs,
+    'effective_load', wle.effective_load_lbs,
+    'volume', wle.volume_lbs,
+    'rpe', wle.rpe_rating
+  ) ORDER BY wle.set_number) AS set_details
+FROM workout_log_entries wle
+  JOIN workout_logs wl ON wle.workout_log_id = wl.id
+WHERE wle.completed = true
+GROUP BY wle.workout_log_id, wle.exercise_id, wl.user_id, wl.log_date;
+
+COMMENT ON VIEW workout_exercise_session_stats IS 'Exercise-specific statistics within each workout session. Used for progress tracking and charts.';
+
+CREATE VIEW workout_session_totals WITH (security_invoker = 'true') AS
+SELECT wl.id AS workout_log_id,
+  wl.user_id,
+  wl.routine_id,
+  wl.log_date,
+  wl.duration_minutes,
+  wl.calories_burned,
+  wl.is_complete,
+  count(DISTINCT wle.exercise_id) AS unique_exercises,
+  count(*) AS total_sets,
+  sum(wle.volume_lbs) AS total_volume_lbs,
+  avg(wle.volume_lbs) FILTER (WHERE wle.volume_lbs > 0::numeric) AS avg_volume_per_set,
+  max(wle.volume_lbs) AS max_volume_single_set,
+  max(wle.weight_lbs) AS max_weight_lbs,
+  avg(wle.weight_lbs) FILTER (WHERE wle.weight_lbs > 0::numeric) AS avg_weight_lbs,
+  sum(wle.reps_completed) AS total_reps,
+  avg(wle.reps_completed) AS avg_reps_per_set,
+  avg(wle.rpe_rating) FILTER (WHERE wle.rpe_rating IS NOT NULL) AS avg_rpe,
+  max(wle.rpe_rating) AS max_rpe,
+  min(wle.created_at) AS first_set_time,
+  max(wle.created_at) AS last_set_time
+FROM workout_logs wl
+  LEFT JOIN workout_log_entries wle ON wl.id = wle.workout_log_id
+GROUP BY wl.id, wl.user_id, wl.routine_id, wl.log_date, wl.duration_minutes, wl.calories_burned, wl.is_complete;
+
+COMMENT ON VIEW workout_session_totals IS 'Pre-aggregated workout session statistics for performance. Eliminates client-side calculations.';
+
+-- Latest bodyweight on or before a date, falling back to the profile weight
+CREATE OR REPLACE FUNCTION get_bodyweight_as_of(p_user_id uuid, p_date date DEFAULT CURRENT_DATE)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  SELECT COALESCE(
+    (
+      SELECT bm.weight_lbs
+      FROM body_metrics bm
+      WHERE bm.user_id = p_user_id
+        AND bm.weight_lbs IS NOT NULL
+        AND bm.measurement_date <= p_date
+      ORDER BY bm.measurement_date DESC, bm.created_at DESC
+      LIMIT 1
+    ),
+    (
+      SELECT COALESCE(up.current_weight_lbs, up.weight_lbs)
+      FROM user_profiles up
+      WHERE up.id = p_user_id
+    )
+  );
+$$;
+
+COMMENT ON FUNCTION get_bodyweight_as_of(uuid, date) IS 'Latest body_metrics.weight_lbs on or before p_date, falling back to user_profiles current/profile weight';
+
+GRANT EXECUTE ON FUNCTION get_bodyweight_as_of(uuid, date) TO authenticated;
+
+-- Backfill existing bodyweight sets with the bodyweight recorded as of their log date
+UPDATE workout_log_entries wle
+SET bodyweight_lbs = bw.weight_lbs,
+  effective_load_lbs = GREATEST(
+    0,
+    bw.weight_lbs * COALESCE(e.bodyweight_load_factor, 1) + COALESCE(wle.weight_lbs, 0)
+  )
+FROM workout_logs wl,
+  exercises e,
+  LATERAL (SELECT get_bodyweight_as_of(wl.user_id, wl.log_date) AS weight_lbs) bw
+WHERE wle.workout_log_id = wl.id
+  AND wle.exercise_id = e.id
+  AND wle.bodyweight_lbs IS NULL
+  AND bw.weight_lbs IS NOT NULL
+  AND COALESCE(e.logging_mode, CASE WHEN e.exercise_type = 'Bodyweight' THEN 'bodyweight_reps' END) = 'bodyweight_reps';
@@ -0,0 +1,263 @@
+-- Personal records: rep maxes, estimated 1RM and volume records per exercise
+-- Date: December 18, 2025
+--
+-- user_stats.prs_by_exercise only keeps a single "best" per exercise. This adds a
+-- queryable PR history: one row per (user, exercise, record type, session) each
+-- time a session beat every earlier session. Records are written by a trigger on
+-- workout_log_entries so sets replayed from the offline queue are evaluated too.
+--
+-- Record types
+--   1rm / 3rm / 5rm / 10rm  heaviest load lifted for at least N reps
+--   e1rm                    best Epley estimated 1RM (load × (1 + reps / 30))
+--   set_volume              best load × reps in a single set
+--   session_volume          best total volume for the exercise in one session
+-- Load is effective_load_lbs for bodyweight sets, otherwise weight_lbs.
+
+CREATE TABLE IF NOT EXISTS personal_records (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  exercise_id uuid NOT NULL REFERENCES exercises(id) ON DELETE CASCADE,
+  record_type text NOT NULL CHECK (
+    record_type IN ('1rm', '3rm', '5rm', '10rm', 'e1rm', 'set_volume', 'session_volume')
+  ),
+  value numeric(10,2) NOT NULL CHECK (value > 0),
+  weight_lbs numeric(7,2),
+  reps integer,
+  previous_value numeric(10,2),
+  workout_log_id uuid NOT NULL REFERENCES workout_logs(id) ON DELETE CASCADE,
+  workout_log_entry_id uuid REFERENCES workout_log_entries(id) ON DELETE SET NULL,
+  achieved_on date NOT NULL DEFAULT CURRENT_DATE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT personal_records_session_unique UNIQUE (user_id, exercise_id, record_type, workout_log_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_personal_records_lookup
+ON personal_records (user_id, exercise_id, record_type, value DESC);
+
+CREATE INDEX IF NOT EXISTS idx_personal_records_recent
+ON personal_records (user_id, achieved_on DESC);
+
+COMMENT ON TABLE personal_records IS 'PR history: one row per exercise/record type for each session that set a new best';
+COMMENT ON COLUMN personal_records.previous_value IS 'Best value before this record (NULL for the first recorded value)';
+
+ALTER TABLE personal_records ENABLE ROW LEVEL SECURITY;
+
+-- Rows are written by the trigger below; users can only read their own
+CREATE POLICY "Users can view own personal records" ON personal_records
+FOR SELECT USING (auth.uid() = user_id);
+
+-- Current best per exercise and record type
+CREATE OR REPLACE VIEW exercise_personal_bests WITH (security_invoker = 'true') AS
+SELECT DISTINCT ON (user_id, exercise_id, record_type)
+  user_id,
+  exercise_id,
+  record_type,
+  value,
+  weight_lbs,
+  reps,
+  workout_log_id,
+  achieved_on
+FROM personal_records
+ORDER BY user_id, exercise_id, record_type, value DESC, achieved_on ASC;
+
+COMMENT ON VIEW exercise_personal_bests IS 'Current personal best for each user/exercise/record type';
+
+-- Candidate record values for a single set
+CREATE OR REPLACE FUNCTION personal_record_candidates(p_load numeric, p_reps integer)
+RETURNS TABLE (record_type text, value numeric)
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT c.record_type, c.value
+  FROM (
+    VALUES
+      ('1rm', CASE WHEN p_reps >= 1 THEN p_load END),
+      ('3rm', CASE WHEN p_reps >= 3 THEN p_load END),
+      ('5rm', CASE WHEN p_reps >= 5 THEN p_load END),
+      ('10rm', CASE WHEN p_reps >= 10 THEN p_load END),
+      ('e1rm', CASE WHEN p_reps = 1 THEN p_load ELSE round(p_load * (1 + p_reps / 30.0)) END),
+      ('set_volume', p_load * p_reps)
+  ) AS c(record_type, value)
+  WHERE p_load > 0 AND p_reps > 0 AND c.value IS NOT NULL;
+$$;
+
+-- Re-evaluates one exercise within one session. Edits and deletes rebuild that
+-- session's rows so a corrected typo doesn't leave a phantom record behind.
+CREATE OR REPLACE FUNCTION record_personal_records()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_log_id uuid := COALESCE(NEW.workout_log_id, OLD.workout_log_id);
+  v_exercise_id uuid := COALESCE(NEW.exercise_id, OLD.exercise_id);
+  v_user_id uuid;
+  v_log_date date;
+  v_session_volume numeric;
+  v_candidate record;
+  v_previous numeric;
+BEGIN
+  IF v_log_id IS NULL OR v_exercise_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT user_id, log_date INTO v_user_id, v_log_date
+  FROM workout_logs
+  WHERE id = v_log_id;
+
+  IF v_user_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP <> 'INSERT' THEN
+    DELETE FROM personal_records
+    WHERE workout_log_id = v_log_id
+      AND exercise_id = v_exercise_id;
+  END IF;
+
+  -- Best candidate of each type among this session's sets
+  FOR v_candidate IN
+    SELECT DISTINCT ON (c.record_type)
+      c.record_type,
+      c.value,
+      wle.id AS entry_id,
+      COALESCE(wle.effective_load_lbs, wle.weight_lbs) AS load,
+      wle.reps_completed AS reps
+    FROM workout_log_entries wle
+      CROSS JOIN LATERAL personal_record_candidates(COALESCE(wle.effective_load_lbs, wle.weight_lbs), wle.reps_completed) c
+    WHERE wle.workout_log_id = v_log_id
+      AND wle.exercise_id = v_exercise_id
+      AND wle.completed IS NOT FALSE
+    ORDER BY c.record_type, c.value DESC
+  LOOP
+    SELECT max(value) INTO v_previous
+    FROM personal_records
+    WHERE user_id = v_user_id
+      AND exercise_id = v_exercise_id
+      AND record_type = v_candidate.record_type
+      AND workout_log_id <> v_log_id;
+
+    IF v_previous IS NULL OR v_candidate.value > v_previous THEN
+      INSERT INTO personal_records (
+        user_id, exercise_id, record_type, value, weight_lbs, reps, previous_value,
+        workout_log_id, workout_log_entry_id, achieved_on
+      )
+      VALUES (
+        v_user_id, v_exercise_id, v_candidate.record_type, v_candidate.value, v_candidate.load, v_candidate.reps,
+        v_previous, v_log_id, v_candidate.entry_id, COALESCE(v_log_date, CURRENT_DATE)
+      )
+      ON CONFLICT (user_id, exercise_id, record_type, workout_log_id) DO UPDATE SET
+        value = EXCLUDED.value,
+        weight_lbs = EXCLUDED.weight_lbs,
+        reps = EXCLUDED.reps,
+        workout_log_entry_id = EXCLUDED.workout_log_entry_id,
+        updated_at = now();
+    END IF;
+  END LOOP;
+
+  SELECT sum(volume_lbs) INTO v_session_volume
+  FROM workout_log_entries
+  WHERE workout_log_id = v_log_id
+    AND exercise_id = v_exercise_id
+    AND completed IS NOT FALSE;
+
+  IF v_session_volume > 0 THEN
+    SELECT max(value) INTO v_previous
+    FROM personal_records
+    WHERE user_id = v_user_id
+      AND exercise_id = v_exercise_id
+      AND record_type = 'session_volume'
+      AND workout_log_id <> v_log_id;
+
+    IF v_previous IS NULL OR v_session_volume > v_previous THEN
+      INSERT INTO personal_records (
+        user_id, exercise_id, record_type, value, previous_value, workout_log_id, achieved_on
+      )
+      VALUES (
+        v_user_id, v_exercise_id, 'session_volume', v_session_volume, v_previous,
+        v_log_id, COALESCE(v_log_date, CURRENT_DATE)
+      )
+      ON CONFLICT (user_id, exercise_id, record_type, workout_log_id) DO UPDATE SET
+        value = EXCLUDED.value,
+        updated_at = now();
+    END IF;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_record_personal_records ON workout_log_entries;
+CREATE TRIGGER trg_record_personal_records
+AFTER INSERT OR DELETE OR UPDATE OF weight_lbs, reps_completed, effective_load_lbs, completed
+ON workout_log_entries
+FOR EACH ROW
+EXECUTE FUNCTION record_personal_records();
+
+-- Backfill chronological PR history from existing completed sets
+WITH set_candidates AS (
+  SELECT wl.user_id,
+    wle.exercise_id,
+    wle.workout_log_id,
+    wle.id AS entry_id,
+    COALESCE(wl.log_date, wl.created_at::date) AS log_date,
+    COALESCE(wle.effective_load_lbs, wle.weight_lbs) AS load,
+    wle.reps_completed AS reps,
+    c.record_type,
+    c.value
+  FROM workout_log_entries wle
+    JOIN workout_logs wl ON wl.id = wle.workout_log_id
+    CROSS JOIN LATERAL personal_record_candidates(COALESCE(wle.effective_load_lbs, wle.weight_lbs), wle.reps_completed) c
+  WHERE wle.completed IS NOT FALSE
+    AND wle.exercise_id IS NOT NULL
+    AND wl.user_id IS NOT NULL
+),
+session_sets AS (
+  SELECT DISTINCT ON (user_id, exercise_id, record_type, workout_log_id)
+    user_id, exercise_id, record_type, workout_log_id, entry_id, log_date, load, reps, value
+  FROM set_candidates
+  ORDER BY user_id, exercise_id, record_type, workout_log_id, value DESC
+),
+session_volume AS (
+  SELECT wl.user_id,
+    wle.exercise_id,
+    'session_volume'::text AS record_type,
+    wle.workout_log_id,
+    NULL::uuid AS entry_id,
+    COALESCE(wl.log_date, wl.created_at::date) AS log_date,
+    NULL::numeric AS load,
+    NULL::integer AS reps,
+    sum(wle.volume_lbs) AS value
+  FROM workout_log_entries wle
+    JOIN workout_logs wl ON wl.id = wle.workout_log_id
+  WHERE wle.completed IS NOT FALSE
+    AND wle.exercise_id IS NOT NULL
+    AND wl.user_id IS NOT NULL
+  GROUP BY wl.user_id, wle.exercise_id, wle.workout_log_id, COALESCE(wl.log_date, wl.created_at::date)
+  HAVING sum(wle.volume_lbs) > 0
+),
+session_bests AS (
+  SELECT * FROM session_sets
+  UNION ALL
+  SELECT * FROM session_volume
+),
+ranked AS (
+  SELECT sb.*,
+    max(value) OVER (
+      PARTITION BY user_id, exercise_id, record_type
+      ORDER BY log_date, workout_log_id
+      ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+    ) AS previous_value
+  FROM session_bests sb
+)
+INSERT INTO personal_records (
+  user_id, exercise_id, record_type, value, weight_lbs, reps, previous_value,
+  workout_log_id, workout_log_entry_id, achieved_on
+)
+SELECT user_id, exercise_id, record_type, value, load, reps, previous_value,
+  workout_log_id, entry_id, log_date
+FROM ranked
+WHERE previous_value IS NULL OR value > previous_value
+ON CONFLICT (user_id, exercise_id, record_type, workout_log_id) DO NOTHING;
@@ -0,0 +1,279 @@
+-- Selectable one-rep-max formulas and RPE-adjusted e1RM
+-- Date: December 19, 2025
+--
+-- Users pick the 1RM prediction equation used for charts, the strength calculator
+-- and e1RM personal records, and can opt in to an RPE/RIR adjustment
+-- (reps + (10 - rpe_rating)). Changing either setting rebuilds that user's e1RM
+-- record history so old and new sessions are compared like for like.
+
+ALTER TABLE user_profiles
+ADD COLUMN IF NOT EXISTS one_rm_formula text NOT NULL DEFAULT 'epley' CHECK (
+    one_rm_formula IN ('epley', 'brzycki', 'lombardi', 'mayhew', 'oconner', 'wathan')
+  ),
+ADD COLUMN IF NOT EXISTS e1rm_rpe_adjusted boolean NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN user_profiles.one_rm_formula IS 'Preferred 1RM prediction formula: epley, brzycki, lombardi, mayhew, oconner or wathan';
+COMMENT ON COLUMN user_profiles.e1rm_rpe_adjusted IS 'When true, e1RM adds reps in reserve (10 - rpe_rating) to reps completed';
+
+-- Mirrors ONE_RM_FORMULAS in src/utils/fitnessCalculators.js
+CREATE OR REPLACE FUNCTION estimate_one_rep_max(p_load numeric, p_reps numeric, p_formula text DEFAULT 'epley')
+RETURNS numeric
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_load IS NULL OR p_reps IS NULL OR p_load <= 0 OR p_reps <= 0 THEN NULL
+    WHEN p_reps = 1 THEN p_load
+    ELSE round(CASE p_formula
+      WHEN 'brzycki' THEN p_load * 36 / (37 - LEAST(p_reps, 36))
+      WHEN 'lombardi' THEN p_load * power(p_reps, 0.1)
+      WHEN 'mayhew' THEN 100 * p_load / (52.2 + 41.9 * exp(-0.055 * p_reps))
+      WHEN 'oconner' THEN p_load * (1 + 0.025 * p_reps)
+      WHEN 'wathan' THEN 100 * p_load / (48.8 + 53.8 * exp(-0.075 * p_reps))
+      ELSE p_load * (1 + p_reps / 30.0)
+    END)
+  END;
+$$;
+
+-- Candidate values now honour the formula and optional RPE adjustment
+DROP FUNCTION IF EXISTS personal_record_candidates(numeric, integer);
+
+CREATE OR REPLACE FUNCTION personal_record_candidates(
+  p_load numeric,
+  p_reps integer,
+  p_rpe integer DEFAULT NULL,
+  p_formula text DEFAULT 'epley',
+  p_rpe_adjusted boolean DEFAULT false
+)
+RETURNS TABLE (record_type text, value numeric)
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT c.record_type, c.value
+  FROM (
+    VALUES
+      ('1rm', CASE WHEN p_reps >= 1 THEN p_load END),
+      ('3rm', CASE WHEN p_reps >= 3 THEN p_load END),
+      ('5rm', CASE WHEN p_reps >= 5 THEN p_load END),
+      ('10rm', CASE WHEN p_reps >= 10 THEN p_load END),
+      ('e1rm', estimate_one_rep_max(
+        p_load,
+        p_reps + CASE WHEN p_rpe_adjusted AND p_rpe BETWEEN 1 AND 10 THEN 10 - p_rpe ELSE 0 END,
+        p_formula
+      )),
+      ('set_volume', p_load * p_reps)
+  ) AS c(record_type, value)
+  WHERE p_load > 0 AND p_reps > 0 AND c.value IS NOT NULL;
+$$;
+
+CREATE OR REPLACE FUNCTION record_personal_records()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_log_id uuid := COALESCE(NEW.workout_log_id, OLD.workout_log_id);
+  v_exercise_id uuid := COALESCE(NEW.exercise_id, OLD.exercise_id);
+  v_user_id uuid;
+  v_log_date date;
+  v_formula text;
+  v_rpe_adjusted boolean;
+  v_session_volume numeric;
+  v_candidate record;
+  v_previous numeric;
+BEGIN
+  IF v_log_id IS NULL OR v_exercise_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT user_id, log_date INTO v_user_id, v_log_date
+  FROM workout_logs
+  WHERE id = v_log_id;
+
+  IF v_user_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT one_rm_formula, e1rm_rpe_adjusted INTO v_formula, v_rpe_adjusted
+  FROM user_profiles
+  WHERE id = v_user_id
+  LIMIT 1;
+
+  IF TG_OP <> 'INSERT' THEN
+    DELETE FROM personal_records
+    WHERE workout_log_id = v_log_id
+      AND exercise_id = v_exercise_id;
+  END IF;
+
+  -- Best candidate of each type among this session's sets
+  FOR v_candidate IN
+    SELECT DISTINCT ON (c.record_type)
+      c.record_type,
+      c.value,
+      wle.id AS entry_id,
+      COALESCE(wle.effective_load_lbs, wle.weight_lbs) AS load,
+      wle.reps_completed AS reps
+    FROM workout_log_entries wle
+      CROSS JOIN LATERAL personal_record_candidates(
+        COALESCE(wle.effective_load_lbs, wle.weight_lbs),
+        wle.reps_completed,
+        wle.rpe_rating,
+        COALESCE(v_formula, 'epley'),
+        COALESCE(v_rpe_adjusted, false)
+      ) c
+    WHERE wle.workout_log_id = v_log_id
+      AND wle.exercise_id = v_exercise_id
+      AND wle.completed IS NOT FALSE
+    ORDER BY c.record_type, c.value DESC
+  LOOP
+    SELECT max(value) INTO v_previous
+    FROM personal_records
+    WHERE user_id = v_user_id
+      AND exercise_id = v_exercise_id
+      AND record_type = v_candidate.record_type
+      AND workout_log_id <> v_log_id;
+
+    IF v_previous IS NULL OR v_candidate.value > v_previous THEN
+      INSERT INTO personal_records (
+        user_id, exercise_id, record_type, value, weight_lbs, reps, previous_value,
+        workout_log_id, workout_log_entry_id, achieved_on
+      )
+      VALUES (
+        v_user_id, v_exercise_id, v_candidate.record_type, v_candidate.value, v_candidate.load, v_candidate.reps,
+        v_previous, v_log_id, v_candidate.entry_id, COALESCE(v_log_date, CURRENT_DATE)
+      )
+      ON CONFLICT (user_id, exercise_id, record_type, workout_log_id) DO UPDATE SET
+        value = EXCLUDED.value,
+        weight_lbs = EXCLUDED.weight_lbs,
+        reps = EXCLUDED.reps,
+        workout_log_entry_id = EXCLUDED.workout_log_entry_id,
+        updated_at = now();
+    END IF;
+  END LOOP;
+
+  SELECT sum(volume_lbs) INTO v_session_volume
+  FROM workout_log_entries
+  WHERE workout_log_id = v_log_id
+    AND exercise_id = v_exercise_id
+    AND completed IS NOT FALSE;
+
+  IF v_session_volume > 0 THEN
+    SELECT max(value) INTO v_previous
+    FROM personal_records
+    WHERE user_id = v_user_id
+      AND exercise_id = v_exercise_id
+      AND record_type = 'session_volume'
+      AND workout_log_id <> v_log_id;
+
+    IF v_previous IS NULL OR v_session_volume > v_previous THEN
+      INSERT INTO personal_records (
+        user_id, exercise_id, record_type, value, previous_value, workout_log_id, achieved_on
+      )
+      VALUES (
+        v_user_id, v_exercise_id, 'session_volume', v_session_volume, v_previous,
+        v_log_id, COALESCE(v_log_date, CURRENT_DATE)
+      )
+      ON CONFLICT (user_id, exercise_id, record_type, workout_log_id) DO UPDATE SET
+        value = EXCLUDED.value,
+        updated_at = now();
+    END IF;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+-- RPE is usually rated after the set is saved, so re-evaluate when it arrives
+DROP TRIGGER IF EXISTS trg_record_personal_records ON workout_log_entries;
+CREATE TRIGGER trg_record_personal_records
+AFTER INSERT OR DELETE OR UPDATE OF weight_lbs, reps_completed, effective_load_lbs, rpe_rating, completed
+ON workout_log_entries
+FOR EACH ROW
+EXECUTE FUNCTION record_personal_records();
+
+-- Recompute a user's e1RM record history with their current formula settings
+CREATE OR REPLACE FUNCTION rebuild_e1rm_records(p_user_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_formula text;
+  v_rpe_adjusted boolean;
+BEGIN
+  SELECT one_rm_formula, e1rm_rpe_adjusted INTO v_formula, v_rpe_adjusted
+  FROM user_profiles
+  WHERE id = p_user_id
+  LIMIT 1;
+
+  DELETE FROM personal_records
+  WHERE user_id = p_user_id
+    AND record_type = 'e1rm';
+
+  WITH session_bests AS (
+    SELECT DISTINCT ON (wle.exercise_id, wle.workout_log_id)
+      wle.exercise_id,
+      wle.workout_log_id,
+      wle.id AS entry_id,
+      COALESCE(wl.log_date, wl.created_at::date) AS log_date,
+      COALESCE(wle.effective_load_lbs, wle.weight_lbs) AS load,
+      wle.reps_completed AS reps,
+      c.value
+    FROM workout_log_entries wle
+      JOIN workout_logs wl ON wl.id = wle.workout_log_id
+      CROSS JOIN LATERAL personal_record_candidates(
+        COALESCE(wle.effective_load_lbs, wle.weight_lbs),
+        wle.reps_completed,
+        wle.rpe_rating,
+        COALESCE(v_formula, 'epley'),
+        COALESCE(v_rpe_adjusted, false)
+      ) c
+    WHERE wl.user_id = p_user_id
+      AND wle.completed IS NOT FALSE
+      AND wle.exercise_id IS NOT NULL
+      AND c.record_type = 'e1rm'
+    ORDER BY wle.exercise_id, wle.workout_log_id, c.value DESC
+  ),
+  ranked AS (
+    SELECT sb.*,
+      max(value) OVER (
+        PARTITION BY exercise_id
+        ORDER BY log_date, workout_log_id
+        ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+      ) AS previous_value
+    FROM session_bests sb
+  )
+  INSERT INTO personal_records (
+    user_id, exercise_id, record_type, value, weight_lbs, reps, previous_value,
+    workout_log_id, workout_log_entry_id, achieved_on
+  )
+  SELECT p_user_id, exercise_id, 'e1rm', value, load, reps, previous_value,
+    workout_log_id, entry_id, log_date
+  FROM ranked
+  WHERE previous_value IS NULL OR value > previous_value;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION rebuild_e1rm_records_on_settings_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.one_rm_formula IS DISTINCT FROM OLD.one_rm_formula
+    OR NEW.e1rm_rpe_adjusted IS DISTINCT FROM OLD.e1rm_rpe_adjusted THEN
+    PERFORM rebuild_e1rm_records(NEW.id);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_rebuild_e1rm_records ON user_profiles;
+CREATE TRIGGER trg_rebuild_e1rm_records
+AFTER UPDATE OF one_rm_formula, e1rm_rpe_adjusted
+ON user_profiles
+FOR EACH ROW
+EXECUTE FUNCTION rebuild_e1rm_records_on_settings_change();
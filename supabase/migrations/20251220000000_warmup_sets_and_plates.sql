@@ -0,0 +1,297 @@
+-- Warm-up sets and plate/bar settings
+-- Date: December 20, 2025
+--
+-- Warm-up ramps logged from the workout page are stored as regular sets flagged
+-- is_warmup so they appear in the session but never count toward volume, set
+-- totals, user_stats or personal records. Lifters also store the plates, bar
+-- weights and unit system used for the per-side plate breakdown.
+
+ALTER TABLE workout_log_entries
+ADD COLUMN IF NOT EXISTS is_warmup boolean NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN workout_log_entries.is_warmup IS 'Warm-up set: shown in the log but excluded from volume, set counts and personal records';
+
+ALTER TABLE user_profiles
+ADD COLUMN IF NOT EXISTS plate_settings jsonb;
+
+COMMENT ON COLUMN user_profiles.plate_settings IS 'Plate calculator settings: {"unit": "lb"|"kg", "plates": [45, 35, ...], "bars": {"barbell": 45, "ez": 25, "trap": 60}}. NULL uses the standard set for lb';
+
+-- volume_lbs is 0 for warm-ups. Generated columns can't be altered in place, so
+-- drop the dependent views/index and rebuild them.
+DROP VIEW IF EXISTS workout_exercise_session_stats;
+DROP VIEW IF EXISTS workout_session_totals;
+DROP INDEX IF EXISTS idx_workout_log_entries_volume;
+
+ALTER TABLE workout_log_entries DROP COLUMN IF EXISTS volume_lbs;
+ALTER TABLE workout_log_entries
+ADD COLUMN volume_lbs numeric(10,2) GENERATED ALWAYS AS (
+    CASE
+      WHEN NOT is_warmup AND reps_completed IS NOT NULL AND COALESCE(effective_load_lbs, weight_lbs) IS NOT NULL
+        THEN COALESCE(effective_load_lbs, weight_lbs) * reps_completed::numeric
+      ELSE 0::numeric
+    END
+  ) STORED;
+
+CREATE INDEX idx_workout_log_entries_volume ON workout_log_entries USING btree (volume_lbs DESC)
+WHERE volume_lbs > 0::numeric;
+
+CREATE VIEW workout_exercise_session_stats WITH (security_invoker = 'true') AS
+SELECT wle.workout_log_id,
+  wle.exercise_id,
+  wl.user_id,
+  wl.log_date,
+  count(*) AS sets_completed,
+  sum(wle.volume_lbs) AS total_volume_lbs,
+  avg(wle.volume_lbs) FILTER (WHERE wle.volume_lbs > 0::numeric) AS avg_volume_per_set,
+  max(wle.volume_lbs) AS max_volume_single_set,
+  max(wle.weight_lbs) AS max_weight_lbs,
+  avg(wle.weight_lbs) FILTER (WHERE wle.weight_lbs > 0::numeric) AS avg_weight_lbs,
+  min(wle.weight_lbs) FILTER (WHERE wle.weight_lbs > 0::numeric) AS min_weight_lbs,
+  sum(wle.reps_completed) AS total_reps,
+  avg(wle.reps_completed) AS avg_reps,
+  max(wle.reps_completed) AS max_reps,
+  min(wle.reps_completed) AS min_reps,
+  avg(wle.rpe_rating) FILTER (WHERE wle.rpe_rating IS NOT NULL) AS avg_rpe,
+  array_agg(jsonb_build_object(
+    'set_number', wle.set_number,
+    'reps', wle.reps_completed,
+    'weight', wle.weight_lbs,
+    'effective_load', wle.effective_load_lbs,
+    'volume', wle.volume_lbs,
+    'rpe', wle.rpe_rating
+  ) ORDER BY wle.set_number) AS set_details
+FROM workout_log_entries wle
+  JOIN workout_logs wl ON wle.workout_log_id = wl.id
+WHERE wle.completed = true
+  AND NOT wle.is_warmup
+GROUP BY wle.workout_log_id, wle.exercise_id, wl.user_id, wl.log_date;
+
+COMMENT ON VIEW workout_exercise_session_stats IS 'Exercise-specific statistics within each workout session. Used for progress tracking and charts.';
+
+CREATE VIEW workout_session_totals WITH (security_invoker = 'true') AS
+SELECT wl.id AS workout_log_id,
+  wl.user_id,
+  wl.routine_id,
+  wl.log_date,
+  wl.duration_minutes,
+  wl.calories_burned,
+  wl.is_complete,
+  count(DISTINCT wle.exercise_id) AS unique_exercises,
+  count(*) AS total_sets,
+  sum(wle.volume_lbs) AS total_volume_lbs,
+  avg(wle.volume_lbs) FILTER (WHERE wle.volume_lbs > 0::numeric) AS avg_volume_per_set,
+  max(wle.volume_lbs) AS max_volume_single_set,
+  max(wle.weight_lbs) AS max_weight_lbs,
+  avg(wle.weight_lbs) FILTER (WHERE wle.weight_lbs > 0::numeric) AS avg_weight_lbs,
+  sum(wle.reps_completed) AS total_reps,
+  avg(wle.reps_completed) AS avg_reps_per_set,
+  avg(wle.rpe_rating) FILTER (WHERE wle.rpe_rating IS NOT NULL) AS avg_rpe,
+  max(wle.rpe_rating) AS max_rpe,
+  min(wle.created_at) AS first_set_time,
+  max(wle.created_at) AS last_set_time
+FROM workout_logs wl
+  LEFT JOIN workout_log_entries wle ON wl.id = wle.workout_log_id AND NOT wle.is_warmup
+GROUP BY wl.id, wl.user_id, wl.routine_id, wl.log_date, wl.duration_minutes, wl.calories_burned, wl.is_complete;
+
+COMMENT ON VIEW workout_session_totals IS 'Pre-aggregated workout session statistics for performance. Eliminates client-side calculations.';
+
+-- Lifetime totals and XP PRs in user_stats ignore warm-ups
+DROP TRIGGER IF EXISTS set_logged_stats_trigger ON workout_log_entries;
+CREATE TRIGGER set_logged_stats_trigger
+AFTER INSERT ON workout_log_entries
+FOR EACH ROW
+WHEN (NOT NEW.is_warmup)
+EXECUTE FUNCTION update_stats_on_set_logged();
+
+-- Personal records are only set by working sets
+CREATE OR REPLACE FUNCTION record_personal_records()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_log_id uuid := COALESCE(NEW.workout_log_id, OLD.workout_log_id);
+  v_exercise_id uuid := COALESCE(NEW.exercise_id, OLD.exercise_id);
+  v_user_id uuid;
+  v_log_date date;
+  v_formula text;
+  v_rpe_adjusted boolean;
+  v_session_volume numeric;
+  v_candidate record;
+  v_previous numeric;
+BEGIN
+  IF v_log_id IS NULL OR v_exercise_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT user_id, log_date INTO v_user_id, v_log_date
+  FROM workout_logs
+  WHERE id = v_log_id;
+
+  IF v_user_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT one_rm_formula, e1rm_rpe_adjusted INTO v_formula, v_rpe_adjusted
+  FROM user_profiles
+  WHERE id = v_user_id
+  LIMIT 1;
+
+  IF TG_OP <> 'INSERT' THEN
+    DELETE FROM personal_records
+    WHERE workout_log_id = v_log_id
+      AND exercise_id = v_exercise_id;
+  END IF;
+
+  -- Best candidate of each type among this session's sets
+  FOR v_candidate IN
+    SELECT DISTINCT ON (c.record_type)
+      c.record_type,
+      c.value,
+      wle.id AS entry_id,
+      COALESCE(wle.effective_load_lbs, wle.weight_lbs) AS load,
+      wle.reps_completed AS reps
+    FROM workout_log_entries wle
+      CROSS JOIN LATERAL personal_record_candidates(
+        COALESCE(wle.effective_load_lbs, wle.weight_lbs),
+        wle.reps_completed,
+        wle.rpe_rating,
+        COALESCE(v_formula, 'epley'),
+        COALESCE(v_rpe_adjusted, false)
+      ) c
+    WHERE wle.workout_log_id = v_log_id
+      AND wle.exercise_id = v_exercise_id
+      AND wle.completed IS NOT FALSE
+      AND NOT wle.is_warmup
+    ORDER BY c.record_type, c.value DESC
+  LOOP
+    SELECT max(value) INTO v_previous
+    FROM personal_records
+    WHERE user_id = v_user_id
+      AND exercise_id = v_exercise_id
+      AND record_type = v_candidate.record_type
+      AND workout_log_id <> v_log_id;
+
+    IF v_previous IS NULL OR v_candidate.value > v_previous THEN
+      INSERT INTO personal_records (
+        user_id, exercise_id, record_type, value, weight_lbs, reps, previous_value,
+        workout_log_id, workout_log_entry_id, achieved_on
+      )
+      VALUES (
+        v_user_id, v_exercise_id, v_candidate.record_type, v_candidate.value, v_candidate.load, v_candidate.reps,
+        v_previous, v_log_id, v_candidate.entry_id, COALESCE(v_log_date, CURRENT_DATE)
+      )
+      ON CONFLICT (user_id, exercise_id, record_type, workout_log_id) DO UPDATE SET
+        value = EXCLUDED.value,
+        weight_lbs = EXCLUDED.weight_lbs,
+        reps = EXCLUDED.reps,
+        workout_log_entry_id = EXCLUDED.workout_log_entry_id,
+        updated_at = now();
+    END IF;
+  END LOOP;
+
+  SELECT sum(volume_lbs) INTO v_session_volume
+  FROM workout_log_entries
+  WHERE workout_log_id = v_log_id
+    AND exercise_id = v_exercise_id
+    AND completed IS NOT FALSE
+    AND NOT is_warmup;
+
+  IF v_session_volume > 0 THEN
+    SELECT max(value) INTO v_previous
+    FROM personal_records
+    WHERE user_id = v_user_id
+      AND exercise_id = v_exercise_id
+      AND record_type = 'session_volume'
+      AND workout_log_id <> v_log_id;
+
+    IF v_previous IS NULL OR v_session_volume > v_previous THEN
+      INSERT INTO personal_records (
+        user_id, exercise_id, record_type, value, previous_value, workout_log_id, achieved_on
+      )
+      VALUES (
+        v_user_id, v_exercise_id, 'session_volume', v_session_volume, v_previous,
+        v_log_id, COALESCE(v_log_date, CURRENT_DATE)
+      )
+      ON CONFLICT (user_id, exercise_id, record_type, workout_log_id) DO UPDATE SET
+        value = EXCLUDED.value,
+        updated_at = now();
+    END IF;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_record_personal_records ON workout_log_entries;
+CREATE TRIGGER trg_record_personal_records
+AFTER INSERT OR DELETE OR UPDATE OF weight_lbs, reps_completed, effective_load_lbs, rpe_rating, completed, is_warmup
+ON workout_log_entries
+FOR EACH ROW
+EXECUTE FUNCTION record_personal_records();
+
+-- Recompute a user's e1RM record history with their current formula settings
+CREATE OR REPLACE FUNCTION rebuild_e1rm_records(p_user_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_formula text;
+  v_rpe_adjusted boolean;
+BEGIN
+  SELECT one_rm_formula, e1rm_rpe_adjusted INTO v_formula, v_rpe_adjusted
+  FROM user_profiles
+  WHERE id = p_user_id
+  LIMIT 1;
+
+  DELETE FROM personal_records
+  WHERE user_id = p_user_id
+    AND record_type = 'e1rm';
+
+  WITH session_bests AS (
+    SELECT DISTINCT ON (wle.exercise_id, wle.workout_log_id)
+      wle.exercise_id,
+      wle.workout_log_id,
+      wle.id AS entry_id,
+      COALESCE(wl.log_date, wl.created_at::date) AS log_date,
+      COALESCE(wle.effective_load_lbs, wle.weight_lbs) AS load,
+      wle.reps_completed AS reps,
+      c.value
+    FROM workout_log_entries wle
+      JOIN workout_logs wl ON wl.id = wle.workout_log_id
+      CROSS JOIN LATERAL personal_record_candidates(
+        COALESCE(wle.effective_load_lbs, wle.weight_lbs),
+        wle.reps_completed,
+        wle.rpe_rating,
+        COALESCE(v_formula, 'epley'),
+        COALESCE(v_rpe_adjusted, false)
+      ) c
+    WHERE wl.user_id = p_user_id
+      AND wle.completed IS NOT FALSE
+      AND NOT wle.is_warmup
+      AND wle.exercise_id IS NOT NULL
+      AND c.record_type = 'e1rm'
+    ORDER BY wle.exercise_id, wle.workout_log_id, c.value DESC
+  ),
+  ranked AS (
+    SELECT sb.*,
+      max(value) OVER (
+        PARTITION BY exercise_id
+        ORDER BY log_date, workout_log_id
+        ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+      ) AS previous_value
+    FROM session_bests sb
+  )
+  INSERT INTO personal_records (
+    user_id, exercise_id, record_type, value, weight_lbs, reps, previous_value,
+    workout_log_id, workout_log_entry_id, achieved_on
+  )
+  SELECT p_user_id, exercise_id, 'e1rm', value, load, reps, previous_value,
+    workout_log_id, entry_id, log_date
+  FROM ranked
+  WHERE previous_value IS NULL OR value > previous_value;
+END;
+$$;
@@ -0,0 +1,104 @@
+-- Drop sets and negatives
+-- Date: December 21, 2025
+--
+-- Drops logged after the top set of a drop-set exercise are stored as sub-sets
+-- linked to that set through parent_entry_id, and negatives record the eccentric
+-- tempo used. Session stats count a top set and its drops as one set, with the
+-- drops nested under their parent in set_details.
+
+ALTER TABLE workout_log_entries
+ADD COLUMN IF NOT EXISTS parent_entry_id uuid REFERENCES workout_log_entries(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS eccentric_seconds smallint CHECK (eccentric_seconds IS NULL OR eccentric_seconds BETWEEN 1 AND 30);
+
+ALTER TABLE workout_log_entries
+DROP CONSTRAINT IF EXISTS workout_log_entries_parent_not_self;
+ALTER TABLE workout_log_entries
+ADD CONSTRAINT workout_log_entries_parent_not_self CHECK (parent_entry_id IS NULL OR parent_entry_id <> id);
+
+COMMENT ON COLUMN workout_log_entries.parent_entry_id IS 'Top set this drop belongs to (drop sets). NULL for regular sets';
+COMMENT ON COLUMN workout_log_entries.eccentric_seconds IS 'Eccentric (lowering) duration prompted for negative reps';
+
+CREATE INDEX IF NOT EXISTS idx_workout_log_entries_parent_entry ON workout_log_entries USING btree (parent_entry_id)
+WHERE parent_entry_id IS NOT NULL;
+
+-- Column types change (drop reps are summed into their parent), so recreate rather than replace
+DROP VIEW IF EXISTS workout_exercise_session_stats;
+
+CREATE VIEW workout_exercise_session_stats WITH (security_invoker = 'true') AS
+SELECT p.workout_log_id,
+  p.exercise_id,
+  wl.user_id,
+  wl.log_date,
+  count(*) AS sets_completed,
+  sum(p.volume_lbs + COALESCE(d.volume_lbs, 0::numeric)) AS total_volume_lbs,
+  avg(p.volume_lbs + COALESCE(d.volume_lbs, 0::numeric))
+    FILTER (WHERE p.volume_lbs + COALESCE(d.volume_lbs, 0::numeric) > 0::numeric) AS avg_volume_per_set,
+  max(p.volume_lbs + COALESCE(d.volume_lbs, 0::numeric)) AS max_volume_single_set,
+  max(p.weight_lbs) AS max_weight_lbs,
+  avg(p.weight_lbs) FILTER (WHERE p.weight_lbs > 0::numeric) AS avg_weight_lbs,
+  min(p.weight_lbs) FILTER (WHERE p.weight_lbs > 0::numeric) AS min_weight_lbs,
+  sum(p.reps_completed + COALESCE(d.reps, 0)) AS total_reps,
+  avg(p.reps_completed) AS avg_reps,
+  max(p.reps_completed) AS max_reps,
+  min(p.reps_completed) AS min_reps,
+  avg(p.rpe_rating) FILTER (WHERE p.rpe_rating IS NOT NULL) AS avg_rpe,
+  array_agg(jsonb_build_object(
+    'set_number', p.set_number,
+    'reps', p.reps_completed,
+    'weight', p.weight_lbs,
+    'effective_load', p.effective_load_lbs,
+    'volume', p.volume_lbs,
+    'rpe', p.rpe_rating,
+    'eccentric_seconds', p.eccentric_seconds,
+    'drops', COALESCE(d.drops, '[]'::jsonb)
+  ) ORDER BY p.set_number) AS set_details
+FROM workout_log_entries p
+  JOIN workout_logs wl ON p.workout_log_id = wl.id
+  LEFT JOIN LATERAL (
+    SELECT sum(c.volume_lbs) AS volume_lbs,
+      sum(c.reps_completed) AS reps,
+      jsonb_agg(jsonb_build_object(
+        'set_number', c.set_number,
+        'reps', c.reps_completed,
+        'weight', c.weight_lbs,
+        'volume', c.volume_lbs
+      ) ORDER BY c.set_number) AS drops
+    FROM workout_log_entries c
+    WHERE c.parent_entry_id = p.id
+      AND c.completed = true
+  ) d ON true
+WHERE p.completed = true
+  AND NOT p.is_warmup
+  AND p.parent_entry_id IS NULL
+GROUP BY p.workout_log_id, p.exercise_id, wl.user_id, wl.log_date;
+
+COMMENT ON VIEW workout_exercise_session_stats IS 'Exercise-specific statistics within each workout session. Drop sets are grouped under their parent set. Used for progress tracking and charts.';
+
+DROP VIEW IF EXISTS workout_session_totals;
+
+CREATE VIEW workout_session_totals WITH (security_invoker = 'true') AS
+SELECT wl.id AS workout_log_id,
+  wl.user_id,
+  wl.routine_id,
+  wl.log_date,
+  wl.duration_minutes,
+  wl.calories_burned,
+  wl.is_complete,
+  count(DISTINCT wle.exercise_id) AS unique_exercises,
+  count(*) FILTER (WHERE wle.parent_entry_id IS NULL) AS total_sets,
+  sum(wle.volume_lbs) AS total_volume_lbs,
+  avg(wle.volume_lbs) FILTER (WHERE wle.volume_lbs > 0::numeric) AS avg_volume_per_set,
+  max(wle.volume_lbs) AS max_volume_single_set,
+  max(wle.weight_lbs) AS max_weight_lbs,
+  avg(wle.weight_lbs) FILTER (WHERE wle.weight_lbs > 0::numeric) AS avg_weight_lbs,
+  sum(wle.reps_completed) AS total_reps,
+  avg(wle.reps_completed) AS avg_reps_per_set,
+  avg(wle.rpe_rating) FILTER (WHERE wle.rpe_rating IS NOT NULL) AS avg_rpe,
+  max(wle.rpe_rating) AS max_rpe,
+  min(wle.created_at) AS first_set_time,
+  max(wle.created_at) AS last_set_time
+FROM workout_logs wl
+  LEFT JOIN workout_log_entries wle ON wl.id = wle.workout_log_id AND NOT wle.is_warmup
+GROUP BY wl.id, wl.user_id, wl.routine_id, wl.log_date, wl.duration_minutes, wl.calories_burned, wl.is_complete;
+
+COMMENT ON VIEW workout_session_totals IS 'Pre-aggregated workout session statistics for performance. Drop sets count toward volume but not total_sets.';
@@ -0,0 +1,21 @@
+-- Rest tracking between sets
+-- Date: December 22, 2025
+--
+-- The rest timer now starts from routine_exercises.rest_seconds and can be
+-- adjusted per set. Each set records the rest actually taken before it (time
+-- since the previous set of the workout was logged) and the rest that was
+-- planned for that gap, so rest habits can be analysed against performance.
+
+ALTER TABLE workout_log_entries
+ADD COLUMN IF NOT EXISTS rest_before_seconds integer CHECK (rest_before_seconds IS NULL OR rest_before_seconds >= 0),
+ADD COLUMN IF NOT EXISTS rest_planned_seconds integer CHECK (rest_planned_seconds IS NULL OR rest_planned_seconds >= 0);
+
+COMMENT ON COLUMN workout_log_entries.rest_before_seconds IS 'Seconds between the previous set of the workout (or its rest timer start) and this set. NULL for the first set or gaps over an hour';
+COMMENT ON COLUMN workout_log_entries.rest_planned_seconds IS 'Rest timer duration (after per-set adjustments) that preceded this set. NULL when the timer was off';
+
+ALTER TABLE routine_exercises
+DROP CONSTRAINT IF EXISTS routine_exercises_rest_seconds_check;
+ALTER TABLE routine_exercises
+ADD CONSTRAINT routine_exercises_rest_seconds_check CHECK (rest_seconds IS NULL OR rest_seconds BETWEEN 0 AND 1800) NOT VALID;
+
+COMMENT ON COLUMN routine_exercises.rest_seconds IS 'Planned rest after each set in seconds; the workout log falls back to 90 when NULL';
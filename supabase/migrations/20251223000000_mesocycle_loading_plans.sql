@@ -0,0 +1,24 @@
+-- Week-over-week loading plans for mesocycles
+-- Date: December 23, 2025
+--
+-- Mesocycles previously only assigned routines to days; deload was a label on
+-- mesocycle_weeks.notes. Each mesocycle can now carry a loading plan that the
+-- workout log turns into that session's targets:
+--   { preset, deload: { volume_multiplier, intensity_multiplier },
+--     session_pattern: [{ label, intensity_offset, rpe_offset }],
+--     weeks: [{ week_index, intensity_pct, set_delta, rpe_target, is_deload, label }] }
+-- Presets (linear, undulating, block) are generated client-side; see
+-- src/utils/loadingPlans.js.
+
+ALTER TABLE mesocycles
+ADD COLUMN IF NOT EXISTS loading_plan jsonb;
+
+ALTER TABLE mesocycles
+DROP CONSTRAINT IF EXISTS mesocycles_loading_plan_check;
+ALTER TABLE mesocycles
+ADD CONSTRAINT mesocycles_loading_plan_check CHECK (
+  loading_plan IS NULL
+  OR (jsonb_typeof(loading_plan) = 'object' AND jsonb_typeof(loading_plan -> 'weeks') = 'array')
+);
+
+COMMENT ON COLUMN mesocycles.loading_plan IS 'Per-week intensity %, set ramp, RPE targets and deload multipliers applied by the workout log. NULL = use routine targets';
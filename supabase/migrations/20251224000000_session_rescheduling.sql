@@ -0,0 +1,19 @@
+-- Missed-session rescheduling for mesocycles
+-- Date: December 24, 2025
+--
+-- A missed session can be pushed forward (with every later session), squeezed
+-- into the rest of its week, or dropped. Moves rewrite mesocycle_weeks day
+-- content and the matching cycle_sessions week/day/scheduled_date; dropping
+-- flags both as skipped so the session no longer counts as pending.
+-- Planning happens client-side; see src/lib/cycleUtils.js (planReschedule).
+
+ALTER TABLE mesocycle_weeks
+ADD COLUMN IF NOT EXISTS skipped boolean NOT NULL DEFAULT false;
+
+ALTER TABLE cycle_sessions
+ADD COLUMN IF NOT EXISTS is_skipped boolean NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN cycle_sessions.is_skipped IS 'Session was dropped by the user; neither complete nor pending';
+
+CREATE INDEX IF NOT EXISTS idx_cycle_sessions_mesocycle_slot
+ON cycle_sessions (mesocycle_id, week_index, day_index);
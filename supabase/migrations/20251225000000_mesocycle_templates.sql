@@ -0,0 +1,65 @@
+-- Reusable mesocycle templates, "run it back" clones and trainer publishing
+-- Date: December 25, 2025
+--
+-- A template is a snapshot of a mesocycle's structure, independent of dates:
+--   days      [{ week_index, day_index, type: 'routine'|'rest'|'deload', routine_id, routine_name }]
+--   routines  [{ id, routine_name, description, routine_type, exercises: [routine_exercises row minus ids] }]
+--   loading_plan  same shape as mesocycles.loading_plan
+-- Routines are embedded so a client starting a trainer's template gets their own
+-- copies of the routines (workout_routines are private to their owner).
+--
+-- Trainers publish a template to all of their active clients with
+-- published_to_clients; clients can read (not edit) those templates.
+--
+-- A mesocycle cloned from a finished one ("run it back") stores the last
+-- non-deload work sets of the previous block in carryover_loads:
+--   { "<exercise_id>": [{ set_number, weight_lbs, reps_completed, rpe_rating }] }
+-- The workout log starts progression from these until the exercise has been
+-- trained in the new block.
+
+CREATE TABLE IF NOT EXISTS mesocycle_templates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name varchar(255) NOT NULL,
+  description text,
+  focus varchar(50),
+  weeks integer NOT NULL CHECK (weeks BETWEEN 1 AND 52),
+  days jsonb NOT NULL DEFAULT '[]'::jsonb CHECK (jsonb_typeof(days) = 'array'),
+  routines jsonb NOT NULL DEFAULT '[]'::jsonb CHECK (jsonb_typeof(routines) = 'array'),
+  loading_plan jsonb,
+  source_mesocycle_id uuid REFERENCES mesocycles(id) ON DELETE SET NULL,
+  published_to_clients boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mesocycle_templates_owner
+ON mesocycle_templates (owner_id, created_at DESC);
+
+COMMENT ON TABLE mesocycle_templates IS 'Date-free snapshots of mesocycles (weeks, day assignments, deloads, loading plan, routines)';
+COMMENT ON COLUMN mesocycle_templates.published_to_clients IS 'Visible (read-only) to every active client of the owning trainer';
+
+ALTER TABLE mesocycle_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own mesocycle templates" ON mesocycle_templates
+FOR ALL USING (auth.uid() = owner_id) WITH CHECK (auth.uid() = owner_id);
+
+CREATE POLICY "Clients can view templates published by their trainer" ON mesocycle_templates
+FOR SELECT USING (
+  published_to_clients
+  AND EXISTS (
+    SELECT 1 FROM trainer_clients tc
+    WHERE tc.trainer_id = mesocycle_templates.owner_id
+      AND tc.client_id = auth.uid()
+      AND tc.status = 'active'
+  )
+);
+
+ALTER TABLE mesocycles
+ADD COLUMN IF NOT EXISTS template_id uuid REFERENCES mesocycle_templates(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS previous_mesocycle_id uuid REFERENCES mesocycles(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS carryover_loads jsonb;
+
+COMMENT ON COLUMN mesocycles.template_id IS 'Template this mesocycle was started from';
+COMMENT ON COLUMN mesocycles.previous_mesocycle_id IS 'Finished mesocycle this one was cloned from ("run it back")';
+COMMENT ON COLUMN mesocycles.carryover_loads IS 'Last work sets per exercise from the previous block, used as the starting point for progression';
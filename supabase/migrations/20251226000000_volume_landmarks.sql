@@ -0,0 +1,13 @@
+-- Weekly per-muscle volume landmarks
+-- Date: December 26, 2025
+--
+-- Users can override the MV/MEV/MAV/MRV weekly hard-set landmarks that the
+-- mesocycle detail page compares performed volume against. Stored sparsely as
+-- { "<muscle group>": { "mv": n, "mev": n, "mav": n, "mrv": n } }; muscles or
+-- keys left out fall back to DEFAULT_VOLUME_LANDMARKS in src/utils/muscleVolume.js.
+
+ALTER TABLE user_profiles
+ADD COLUMN IF NOT EXISTS volume_landmarks jsonb;
+
+COMMENT ON COLUMN user_profiles.volume_landmarks IS 'Per-muscle weekly hard-set landmarks (mv, mev, mav, mrv); null means app defaults';
+
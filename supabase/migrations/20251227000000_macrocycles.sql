@@ -0,0 +1,49 @@
+-- Macrocycles: ordered chains of mesocycles planned back from a target date
+-- Date: December 27, 2025
+--
+-- A macrocycle (a season) orders several mesocycles, e.g. accumulation →
+-- intensification → realization → deload, ending on a target date such as a
+-- meet or photo shoot. Block dates are laid out back-to-back from the target
+-- date by the app (planMacrocycleSchedule in src/lib/cycleUtils.js).
+--
+-- When a block finishes, the app marks it complete and activates the next block,
+-- handing over the finished block's last e1RM per exercise in starting_e1rms:
+--   { "<exercise_id>": <e1RM in lb> }
+-- and its last work sets in carryover_loads (see 20251225000000).
+
+CREATE TABLE IF NOT EXISTS macrocycles (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name varchar(255) NOT NULL,
+  goal text,
+  target_date date NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_macrocycles_user_target
+ON macrocycles (user_id, target_date);
+
+COMMENT ON TABLE macrocycles IS 'A season of mesocycles planned back from a target date (meet, photo shoot, test day)';
+
+ALTER TABLE macrocycles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own macrocycles" ON macrocycles
+FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+ALTER TABLE mesocycles
+ADD COLUMN IF NOT EXISTS macrocycle_id uuid REFERENCES macrocycles(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS macrocycle_order integer,
+ADD COLUMN IF NOT EXISTS phase text CHECK (
+    phase IN ('accumulation', 'intensification', 'realization', 'deload')
+  ),
+ADD COLUMN IF NOT EXISTS starting_e1rms jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_mesocycles_macrocycle
+ON mesocycles (macrocycle_id, macrocycle_order)
+WHERE macrocycle_id IS NOT NULL;
+
+COMMENT ON COLUMN mesocycles.macrocycle_id IS 'Macrocycle this block belongs to';
+COMMENT ON COLUMN mesocycles.macrocycle_order IS '1-based position of the block in its macrocycle';
+COMMENT ON COLUMN mesocycles.phase IS 'Role of the block in its macrocycle: accumulation, intensification, realization or deload';
+COMMENT ON COLUMN mesocycles.starting_e1rms IS 'e1RM per exercise inherited from the previous block of the macrocycle';
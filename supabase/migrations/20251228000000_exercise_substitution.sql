@@ -0,0 +1,58 @@
+-- Exercise substitution
+-- Date: December 28, 2025
+--
+-- Substitutes are ranked by shared muscles, movement pattern, equipment and
+-- difficulty (src/utils/exerciseSubstitution.js). Exercises can declare their
+-- movement pattern; when it is NULL the app infers one from the name.
+--
+-- When a set is logged for a substitute, exercise_id is the exercise actually
+-- performed and substituted_for_exercise_id the one the routine prescribed.
+
+ALTER TABLE exercises
+ADD COLUMN IF NOT EXISTS movement_pattern text CHECK (
+    movement_pattern IS NULL
+    OR movement_pattern IN ('squat', 'hinge', 'lunge', 'horizontal_push', 'vertical_push', 'horizontal_pull', 'vertical_pull', 'carry', 'core', 'isolation', 'cardio')
+  );
+
+COMMENT ON COLUMN exercises.movement_pattern IS 'Movement pattern used to rank substitutes; NULL is inferred from the exercise name';
+
+-- Backfill the unambiguous compound patterns already in the library. Same
+-- order as PATTERN_KEYWORDS in the app (specific before generic) and whole-word
+-- matches, so "Narrow-Grip Bench Press" isn't a row and "Upright Row" isn't a
+-- horizontal pull.
+UPDATE exercises SET movement_pattern = 'lunge'
+WHERE movement_pattern IS NULL
+  AND name ~* '\m(lunge|split squat|step-up|step up)(s|es)?\M';
+
+UPDATE exercises SET movement_pattern = 'hinge'
+WHERE movement_pattern IS NULL
+  AND name ~* '\m(deadlift|good morning|hip thrust|romanian)(s|es)?\M';
+
+UPDATE exercises SET movement_pattern = 'squat'
+WHERE movement_pattern IS NULL
+  AND name ~* '\m(squat|leg press)(s|es)?\M';
+
+UPDATE exercises SET movement_pattern = 'vertical_pull'
+WHERE movement_pattern IS NULL
+  AND name ~* '\m(pull-up|pullup|chin-up|pulldown|upright row)(s|es)?\M';
+
+UPDATE exercises SET movement_pattern = 'cardio'
+WHERE movement_pattern IS NULL
+  AND (exercise_type = 'Cardio' OR name ~* '\m(row erg|rowing machine|rower|ergometer)(s|es)?\M');
+
+UPDATE exercises SET movement_pattern = 'vertical_push'
+WHERE movement_pattern IS NULL
+  AND name ~* '\m(overhead press|shoulder press|military press)(s|es)?\M';
+
+UPDATE exercises SET movement_pattern = 'horizontal_push'
+WHERE movement_pattern IS NULL
+  AND name ~* '\m(bench press|push-up|pushup|chest press)(s|es)?\M';
+
+UPDATE exercises SET movement_pattern = 'horizontal_pull'
+WHERE movement_pattern IS NULL
+  AND name ~* '\mrows?\M';
+
+ALTER TABLE workout_log_entries
+ADD COLUMN IF NOT EXISTS substituted_for_exercise_id uuid REFERENCES exercises(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN workout_log_entries.substituted_for_exercise_id IS 'Routine exercise this set replaced for the session; NULL when the prescribed exercise was performed';
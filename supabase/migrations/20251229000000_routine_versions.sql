@@ -0,0 +1,128 @@
+-- Routine version history
+-- Date: December 29, 2025
+--
+-- replace-routine-exercises rewrites routine_exercises wholesale, so every save
+-- now also records a snapshot of the routine in routine_versions (who saved it,
+-- when, and the full exercise list). The latest version is the routine as it is
+-- now; earlier versions can be diffed against it and restored.
+--
+-- items holds the routine_exercises rows in order:
+--   [{ "exercise_id": "<uuid>", "exercise_name": "Bench Press", "target_sets": 3,
+--      "target_reps": "8-12", "exercise_order": 0, "is_warmup": false,
+--      "negative": false, "drop_set": false, "drop_set_percentage": null,
+--      "superset_id": null, "rest_seconds": 90 }, ...]
+--
+-- workout_logs.routine_version_id records the version a session was performed
+-- from, so later edits never rewrite what past logs were following.
+
+CREATE TABLE IF NOT EXISTS routine_versions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  routine_id uuid NOT NULL REFERENCES workout_routines(id) ON DELETE CASCADE,
+  version_number integer NOT NULL,
+  routine_name varchar(255) NOT NULL,
+  items jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  restored_from_version_id uuid REFERENCES routine_versions(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (routine_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_routine_versions_routine
+ON routine_versions (routine_id, version_number DESC);
+
+COMMENT ON TABLE routine_versions IS 'Snapshots of a routine taken each time its exercises are replaced';
+COMMENT ON COLUMN routine_versions.items IS 'routine_exercises rows (with exercise_name) in exercise_order';
+COMMENT ON COLUMN routine_versions.created_by IS 'User who saved this version (the owner or their trainer); NULL for the state recorded before history was kept';
+COMMENT ON COLUMN routine_versions.restored_from_version_id IS 'Earlier version this one restored, if any';
+
+ALTER TABLE routine_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view versions of own routines" ON routine_versions
+FOR SELECT USING (
+  EXISTS (
+    SELECT 1 FROM workout_routines wr
+    WHERE wr.id = routine_versions.routine_id
+      AND wr.user_id = auth.uid()
+  )
+);
+
+CREATE POLICY "Users can add versions of own routines" ON routine_versions
+FOR INSERT WITH CHECK (
+  (created_by = auth.uid() OR created_by IS NULL)
+  AND EXISTS (
+    SELECT 1 FROM workout_routines wr
+    WHERE wr.id = routine_versions.routine_id
+      AND wr.user_id = auth.uid()
+  )
+);
+
+CREATE POLICY "Trainers can view versions of client routines" ON routine_versions
+FOR SELECT USING (
+  EXISTS (
+    SELECT 1 FROM workout_routines wr
+    JOIN trainer_clients tc ON tc.client_id = wr.user_id
+    WHERE wr.id = routine_versions.routine_id
+      AND tc.trainer_id = auth.uid()
+      AND tc.status = 'active'
+  )
+);
+
+CREATE POLICY "Trainers can add versions of client routines" ON routine_versions
+FOR INSERT WITH CHECK (
+  (created_by = auth.uid() OR created_by IS NULL)
+  AND EXISTS (
+    SELECT 1 FROM workout_routines wr
+    JOIN trainer_clients tc ON tc.client_id = wr.user_id
+    WHERE wr.id = routine_versions.routine_id
+      AND tc.trainer_id = auth.uid()
+      AND tc.status = 'active'
+  )
+);
+
+ALTER TABLE workout_logs
+ADD COLUMN IF NOT EXISTS routine_version_id uuid REFERENCES routine_versions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_workout_logs_routine_version
+ON workout_logs (routine_version_id)
+WHERE routine_version_id IS NOT NULL;
+
+COMMENT ON COLUMN workout_logs.routine_version_id IS 'Routine version this session was performed from';
+
+-- Backfill: every existing routine starts with its current exercises as version 1,
+-- and its past logs are linked to it (the best record we have of what was performed)
+INSERT INTO routine_versions (routine_id, version_number, routine_name, items, created_by, created_at)
+SELECT
+  wr.id,
+  1,
+  wr.routine_name,
+  COALESCE((
+    SELECT jsonb_agg(jsonb_build_object(
+      'exercise_id', re.exercise_id,
+      'exercise_name', e.name,
+      'target_sets', re.target_sets,
+      'target_reps', re.target_reps,
+      'exercise_order', re.exercise_order,
+      'is_warmup', re.is_warmup,
+      'negative', re.negative,
+      'drop_set', re.drop_set,
+      'drop_set_percentage', re.drop_set_percentage,
+      'superset_id', re.superset_id,
+      'rest_seconds', re.rest_seconds,
+      'target_intensity_pct', re.target_intensity_pct,
+      'notes', re.notes
+    ) ORDER BY re.exercise_order)
+    FROM routine_exercises re
+    LEFT JOIN exercises e ON e.id = re.exercise_id
+    WHERE re.routine_id = wr.id
+  ), '[]'::jsonb),
+  NULL,
+  COALESCE(wr.created_at, now())
+FROM workout_routines wr
+ON CONFLICT (routine_id, version_number) DO NOTHING;
+
+UPDATE workout_logs wl
+SET routine_version_id = rv.id
+FROM routine_versions rv
+WHERE rv.routine_id = wl.routine_id
+  AND rv.version_number = 1
+  AND wl.routine_version_id IS NULL;
@@ -0,0 +1,46 @@
+-- Shareable routines and the public routine library
+-- Date: December 30, 2025
+--
+-- Sharing a routine gives it a share_code; anyone with the code (or the
+-- /routines/shared/<code> link) can preview the routine and import a copy
+-- through the shared-routine edge function, which reads with the service role
+-- so unlisted routines stay private to everyone without the code.
+--
+-- Routines that are also is_public appear in the public library, filterable by
+-- difficulty_level and routine_type, with import_count as a popularity signal.
+-- Imported copies record the routine they came from in imported_from_routine_id.
+
+ALTER TABLE workout_routines
+ADD COLUMN IF NOT EXISTS share_code varchar(16) UNIQUE,
+ADD COLUMN IF NOT EXISTS shared_at timestamptz,
+ADD COLUMN IF NOT EXISTS import_count integer NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS imported_from_routine_id uuid REFERENCES workout_routines(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_workout_routines_public
+ON workout_routines (import_count DESC)
+WHERE is_public AND share_code IS NOT NULL;
+
+COMMENT ON COLUMN workout_routines.share_code IS 'Code for previewing and importing this routine; NULL when not shared';
+COMMENT ON COLUMN workout_routines.shared_at IS 'When the routine was first shared';
+COMMENT ON COLUMN workout_routines.import_count IS 'Times the routine has been imported from its share code';
+COMMENT ON COLUMN workout_routines.imported_from_routine_id IS 'Shared routine this one was imported from';
+
+-- The public library is readable by any signed-in user; owners keep full access
+-- through the existing "Users can view own routines" policy
+CREATE POLICY "Signed-in users can view public routines" ON workout_routines
+FOR SELECT USING (
+  auth.role() = 'authenticated'
+  AND is_public
+  AND share_code IS NOT NULL
+);
+
+CREATE POLICY "Signed-in users can view exercises of public routines" ON routine_exercises
+FOR SELECT USING (
+  auth.role() = 'authenticated'
+  AND EXISTS (
+    SELECT 1 FROM workout_routines wr
+    WHERE wr.id = routine_exercises.routine_id
+      AND wr.is_public
+      AND wr.share_code IS NOT NULL
+  )
+);
@@ -0,0 +1,85 @@
+-- Barcode (UPC/GTIN) lookup for foods
+-- Date: December 31, 2025
+--
+-- food_barcodes maps a GTIN to the foods row it identifies. Codes are stored as
+-- 14-digit GTINs (UPC-A, EAN-13 and EAN-8 left-padded with zeros; see
+-- normalizeGtin in src/utils/barcode.js) so every symbology finds the same row.
+--
+-- Rows come from two places:
+--   source = 'usda'  written by scripts/import-usda-barcodes.js from the USDA
+--                    branded_food.csv gtin_upc column, matched to foods through
+--                    foods.fdc_id (added here and backfilled by that script)
+--   source = 'user'  a user scanned an unknown code and created the food from
+--                    its nutrition label
+--
+-- The legacy food_servings table is not indexed: barcode lookups, search and
+-- logging all resolve to foods + portions.
+
+ALTER TABLE foods
+ADD COLUMN IF NOT EXISTS fdc_id bigint;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_foods_fdc_id
+ON foods (fdc_id)
+WHERE fdc_id IS NOT NULL;
+
+COMMENT ON COLUMN foods.fdc_id IS 'USDA FoodData Central id for imported foods';
+
+CREATE TABLE IF NOT EXISTS food_barcodes (
+  gtin varchar(14) PRIMARY KEY CHECK (gtin ~ '^[0-9]{14}$'),
+  food_id bigint NOT NULL REFERENCES foods(id) ON DELETE CASCADE,
+  source text NOT NULL DEFAULT 'user' CHECK (source IN ('usda', 'user')),
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_food_barcodes_food
+ON food_barcodes (food_id);
+
+COMMENT ON TABLE food_barcodes IS 'GTIN (UPC/EAN) to foods row, from the USDA branded import or user-created foods';
+COMMENT ON COLUMN food_barcodes.gtin IS 'GTIN-14: the scanned code left-padded with zeros to 14 digits';
+
+ALTER TABLE food_barcodes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can look up barcodes" ON food_barcodes
+FOR SELECT USING (true);
+
+-- Users may claim an unknown code for a food they created; the first claim wins
+-- (gtin is the primary key) and USDA rows are only written with the service role
+CREATE POLICY "Users can attach barcodes to own foods" ON food_barcodes
+FOR INSERT WITH CHECK (
+  source = 'user'
+  AND created_by = auth.uid()
+  AND EXISTS (
+    SELECT 1 FROM foods f
+    WHERE f.id = food_barcodes.food_id
+      AND f.created_by = auth.uid()
+  )
+);
+
+CREATE POLICY "Admins can manage barcodes" ON food_barcodes
+USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Custom foods: users can add foods (and their portions) they own
+ALTER TABLE foods
+ADD COLUMN IF NOT EXISTS created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_foods_created_by
+ON foods (created_by)
+WHERE created_by IS NOT NULL;
+
+COMMENT ON COLUMN foods.created_by IS 'User who created this food (USER_CUSTOM foods); NULL for imported foods';
+
+CREATE POLICY "Users can add custom foods" ON foods
+FOR INSERT WITH CHECK (
+  created_by = auth.uid()
+  AND data_source = 'USER_CUSTOM'
+);
+
+CREATE POLICY "Users can add portions to own foods" ON portions
+FOR INSERT WITH CHECK (
+  EXISTS (
+    SELECT 1 FROM foods f
+    WHERE f.id = portions.food_id
+      AND f.created_by = auth.uid()
+  )
+);
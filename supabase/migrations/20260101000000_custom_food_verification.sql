@@ -0,0 +1,132 @@
+-- Private custom foods with optional admin verification
+-- Date: January 1, 2026
+--
+-- Users create foods from a nutrition facts label (see createFoodFromLabel in
+-- src/services/customFoods.js). Those foods are private to their creator (and
+-- the creator's active trainers, so logged meals still show up on the client's
+-- reports) until an admin verifies them, which makes them public.
+--
+-- verification_status (NULL for imported foods):
+--   unsubmitted  private, creator didn't ask for review
+--   pending      creator submitted it for review
+--   verified     admin approved; is_private is cleared
+--   rejected     admin declined; stays private, review_note says why
+
+ALTER TABLE foods
+ADD COLUMN IF NOT EXISTS is_private boolean NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS servings_per_container numeric CHECK (servings_per_container IS NULL OR servings_per_container > 0),
+ADD COLUMN IF NOT EXISTS verification_status text CHECK (verification_status IN ('unsubmitted', 'pending', 'verified', 'rejected')),
+ADD COLUMN IF NOT EXISTS submitted_at timestamptz,
+ADD COLUMN IF NOT EXISTS reviewed_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS reviewed_at timestamptz,
+ADD COLUMN IF NOT EXISTS review_note text;
+
+CREATE INDEX IF NOT EXISTS idx_foods_verification_pending
+ON foods (submitted_at)
+WHERE verification_status = 'pending';
+
+COMMENT ON COLUMN foods.is_private IS 'Only visible to created_by, their trainers and admins';
+COMMENT ON COLUMN foods.servings_per_container IS 'From the nutrition label, for user-created packaged foods';
+COMMENT ON COLUMN foods.verification_status IS 'Admin review of a user-created food: unsubmitted, pending, verified or rejected';
+
+-- Custom foods created before this migration were already visible to everyone;
+-- leave them public and treat them as not submitted
+UPDATE foods
+SET verification_status = 'unsubmitted'
+WHERE data_source = 'USER_CUSTOM'
+  AND verification_status IS NULL;
+
+-- Visibility: replaces "Anyone can view foods"
+DROP POLICY IF EXISTS "Anyone can view foods" ON foods;
+
+CREATE POLICY "Anyone can view public foods" ON foods
+FOR SELECT USING (
+  NOT is_private
+  OR created_by = auth.uid()
+  OR public.is_admin()
+  OR EXISTS (
+    SELECT 1 FROM trainer_clients tc
+    WHERE tc.trainer_id = auth.uid()
+      AND tc.client_id = foods.created_by
+      AND tc.status = 'active'
+  )
+);
+
+-- New custom foods start private and can only be submitted, not self-verified
+DROP POLICY IF EXISTS "Users can add custom foods" ON foods;
+
+CREATE POLICY "Users can add custom foods" ON foods
+FOR INSERT WITH CHECK (
+  created_by = auth.uid()
+  AND data_source = 'USER_CUSTOM'
+  AND is_private
+  AND verification_status IN ('unsubmitted', 'pending')
+);
+
+-- Portions and barcodes follow their food's visibility (the subquery is
+-- filtered by the foods policy above)
+DROP POLICY IF EXISTS "Anyone can view portions" ON portions;
+
+CREATE POLICY "Anyone can view portions of visible foods" ON portions
+FOR SELECT USING (
+  EXISTS (SELECT 1 FROM foods f WHERE f.id = portions.food_id)
+);
+
+DROP POLICY IF EXISTS "Anyone can look up barcodes" ON food_barcodes;
+
+CREATE POLICY "Anyone can look up barcodes of visible foods" ON food_barcodes
+FOR SELECT USING (
+  EXISTS (SELECT 1 FROM foods f WHERE f.id = food_barcodes.food_id)
+);
+
+-- Submit an own custom food for review (also used to resubmit after a rejection)
+CREATE OR REPLACE FUNCTION submit_food_for_verification(p_food_id bigint)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE foods
+  SET verification_status = 'pending',
+      submitted_at = now(),
+      review_note = NULL
+  WHERE id = p_food_id
+    AND created_by = auth.uid()
+    AND verification_status IN ('unsubmitted', 'rejected');
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Food % is not one of your unsubmitted custom foods', p_food_id;
+  END IF;
+END;
+$$;
+
+-- Admin decision on a pending food; approving makes it public
+CREATE OR REPLACE FUNCTION review_custom_food(p_food_id bigint, p_approve boolean, p_note text DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can review foods';
+  END IF;
+
+  UPDATE foods
+  SET verification_status = CASE WHEN p_approve THEN 'verified' ELSE 'rejected' END,
+      is_private = CASE WHEN p_approve THEN false ELSE is_private END,
+      reviewed_by = auth.uid(),
+      reviewed_at = now(),
+      review_note = NULLIF(trim(p_note), '')
+  WHERE id = p_food_id
+    AND verification_status = 'pending';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Food % is not pending review', p_food_id;
+  END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION submit_food_for_verification(bigint) TO authenticated;
+GRANT EXECUTE ON FUNCTION review_custom_food(bigint, boolean, text) TO authenticated;
@@ -0,0 +1,111 @@
+-- Per-user recent, frequent and favorite foods for quick logging
+-- Date: January 2, 2026
+--
+-- foods.times_logged / user_boost_score are global popularity. The nutrition
+-- log also needs what *this* user eats in each meal slot, with the amount they
+-- last logged, so the same breakfast is one tap instead of a search.
+--
+-- user_food_usage is kept up to date by a trigger on nutrition_logs rather
+-- than computed from nutrition_logs on the client. Favorites are starred per
+-- food, not per slot.
+
+-- The portion the user picked, so the next log can offer it again
+ALTER TABLE nutrition_logs
+ADD COLUMN IF NOT EXISTS portion_id uuid REFERENCES portions(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN nutrition_logs.portion_id IS 'Portion chosen when logging; quantity_consumed is still in grams';
+
+CREATE TABLE IF NOT EXISTS user_food_usage (
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  food_id bigint NOT NULL REFERENCES foods(id) ON DELETE CASCADE,
+  meal_type text NOT NULL CHECK (meal_type IN ('breakfast', 'lunch', 'dinner', 'snack1', 'snack2')),
+  times_logged integer NOT NULL DEFAULT 0,
+  last_logged_at timestamptz NOT NULL DEFAULT now(),
+  last_quantity_g numeric(8,2),
+  last_portion_id uuid REFERENCES portions(id) ON DELETE SET NULL,
+  PRIMARY KEY (user_id, food_id, meal_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_food_usage_recent
+ON user_food_usage (user_id, meal_type, last_logged_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_user_food_usage_frequent
+ON user_food_usage (user_id, meal_type, times_logged DESC);
+
+COMMENT ON TABLE user_food_usage IS 'How often and how much each user logs each food per meal slot; maintained by trigger on nutrition_logs';
+
+CREATE TABLE IF NOT EXISTS user_favorite_foods (
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  food_id bigint NOT NULL REFERENCES foods(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, food_id)
+);
+
+ALTER TABLE user_food_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_favorite_foods ENABLE ROW LEVEL SECURITY;
+
+-- Usage rows are written only by the trigger below
+CREATE POLICY "Users can view own food usage" ON user_food_usage
+FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can view own favorite foods" ON user_favorite_foods
+FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can add favorite foods" ON user_favorite_foods
+FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can remove favorite foods" ON user_favorite_foods
+FOR DELETE USING (user_id = auth.uid());
+
+CREATE OR REPLACE FUNCTION public.record_user_food_usage()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  -- Water entries and rows without a user or food aren't foods the user picked
+  IF NEW.user_id IS NULL OR NEW.food_id IS NULL
+     OR NEW.meal_type NOT IN ('breakfast', 'lunch', 'dinner', 'snack1', 'snack2') THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO user_food_usage (user_id, food_id, meal_type, times_logged, last_logged_at, last_quantity_g, last_portion_id)
+  VALUES (NEW.user_id, NEW.food_id, NEW.meal_type, 1, COALESCE(NEW.created_at, now()), NEW.quantity_consumed, NEW.portion_id)
+  ON CONFLICT (user_id, food_id, meal_type) DO UPDATE
+  SET times_logged = user_food_usage.times_logged + 1,
+      last_logged_at = EXCLUDED.last_logged_at,
+      last_quantity_g = EXCLUDED.last_quantity_g,
+      last_portion_id = EXCLUDED.last_portion_id;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_record_user_food_usage ON nutrition_logs;
+
+CREATE TRIGGER trigger_record_user_food_usage
+AFTER INSERT ON nutrition_logs
+FOR EACH ROW EXECUTE FUNCTION public.record_user_food_usage();
+
+-- Backfill from existing logs: counts per slot, amount from the latest entry
+INSERT INTO user_food_usage (user_id, food_id, meal_type, times_logged, last_logged_at, last_quantity_g)
+SELECT counts.user_id, counts.food_id, counts.meal_type, counts.times_logged, latest.created_at, latest.quantity_consumed
+FROM (
+  SELECT user_id, food_id, meal_type, count(*)::integer AS times_logged
+  FROM nutrition_logs
+  WHERE user_id IS NOT NULL
+    AND food_id IS NOT NULL
+    AND meal_type IN ('breakfast', 'lunch', 'dinner', 'snack1', 'snack2')
+  GROUP BY user_id, food_id, meal_type
+) counts
+JOIN LATERAL (
+  SELECT COALESCE(nl.created_at, nl.log_date::timestamptz) AS created_at, nl.quantity_consumed
+  FROM nutrition_logs nl
+  WHERE nl.user_id = counts.user_id
+    AND nl.food_id = counts.food_id
+    AND nl.meal_type = counts.meal_type
+  ORDER BY nl.log_date DESC, nl.created_at DESC NULLS LAST
+  LIMIT 1
+) latest ON true
+ON CONFLICT (user_id, food_id, meal_type) DO NOTHING;
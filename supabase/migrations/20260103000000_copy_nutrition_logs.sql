@@ -0,0 +1,93 @@
+-- Copy nutrition log entries to another date and/or meal slot
+-- Date: January 3, 2026
+--
+-- Copies are logged again through log_food_item with the source entry's food
+-- and grams, so calculate_nutrition_from_food recomputes the nutrient snapshot
+-- from the current foods row (and usage/stats triggers fire as for any log)
+-- instead of duplicating the old snapshot.
+--
+-- The original log_food_item writes food_serving_id, which nutrition_logs no
+-- longer has. It is left in place for old clients; this adds an overload for
+-- the food_id/grams schema the app logs with today.
+
+CREATE OR REPLACE FUNCTION log_food_item(
+  p_food_id bigint,
+  p_quantity_g numeric,
+  p_meal_type text,
+  p_log_date date DEFAULT CURRENT_DATE,
+  p_portion_id uuid DEFAULT NULL
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_log_id uuid;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Authentication required';
+  END IF;
+
+  IF p_quantity_g IS NULL OR p_quantity_g <= 0 THEN
+    RAISE EXCEPTION 'Quantity must be greater than zero';
+  END IF;
+
+  IF p_meal_type NOT IN ('breakfast', 'lunch', 'dinner', 'snack1', 'snack2') THEN
+    RAISE EXCEPTION 'Unknown meal type %', p_meal_type;
+  END IF;
+
+  -- Nutrient columns are left NULL for calculate_nutrition_from_food to fill
+  INSERT INTO nutrition_logs (user_id, food_id, meal_type, quantity_consumed, portion_id, log_date)
+  VALUES (auth.uid(), p_food_id, p_meal_type, p_quantity_g, p_portion_id, p_log_date)
+  RETURNING id INTO v_log_id;
+
+  RETURN v_log_id;
+END;
+$$;
+
+-- Copy the caller's own entries (water entries are skipped). With
+-- p_target_meal_type NULL each entry keeps its own slot.
+CREATE OR REPLACE FUNCTION copy_nutrition_logs(
+  p_log_ids uuid[],
+  p_target_date date,
+  p_target_meal_type text DEFAULT NULL
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_log record;
+  v_copied integer := 0;
+BEGIN
+  IF p_target_date IS NULL THEN
+    RAISE EXCEPTION 'Target date is required';
+  END IF;
+
+  FOR v_log IN
+    SELECT food_id, quantity_consumed, meal_type, portion_id
+    FROM nutrition_logs
+    WHERE id = ANY (p_log_ids)
+      AND user_id = auth.uid()
+      AND food_id IS NOT NULL
+      AND meal_type <> 'water'
+    ORDER BY log_date, created_at
+  LOOP
+    PERFORM log_food_item(
+      v_log.food_id,
+      v_log.quantity_consumed,
+      COALESCE(p_target_meal_type, v_log.meal_type),
+      p_target_date,
+      v_log.portion_id
+    );
+    v_copied := v_copied + 1;
+  END LOOP;
+
+  RETURN v_copied;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION log_food_item(bigint, numeric, text, date, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION copy_nutrition_logs(uuid[], date, text) TO authenticated;
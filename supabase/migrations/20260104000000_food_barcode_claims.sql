@@ -0,0 +1,91 @@
+-- Per-user barcode claims until a food is verified
+-- Date: January 4, 2026
+--
+-- food_barcodes.gtin was the primary key, so the first user to attach a code to
+-- a private custom food reserved it for everyone: other users couldn't see that
+-- food (it's private), got "not found", and then couldn't attach the code to
+-- the food they created either. The same claim also blocked the USDA import.
+--
+-- Now a GTIN can have:
+--   one official row   source = 'usda' (import script) or 'admin' (added by an
+--                      admin, or a user's claim on a food that was verified)
+--   one claim per user source = 'user', only visible with its (private) food
+--
+-- Lookups prefer the official row, then the user's own claim (see
+-- findFoodByBarcode in src/utils/foodSearch.js).
+
+ALTER TABLE food_barcodes DROP CONSTRAINT IF EXISTS food_barcodes_pkey;
+
+ALTER TABLE food_barcodes
+ADD COLUMN IF NOT EXISTS id uuid NOT NULL DEFAULT gen_random_uuid();
+
+ALTER TABLE food_barcodes ADD PRIMARY KEY (id);
+
+ALTER TABLE food_barcodes DROP CONSTRAINT IF EXISTS food_barcodes_source_check;
+ALTER TABLE food_barcodes
+ADD CONSTRAINT food_barcodes_source_check CHECK (source IN ('usda', 'admin', 'user'));
+
+-- Claims on foods that were already verified become official
+UPDATE food_barcodes b
+SET source = 'admin'
+FROM foods f
+WHERE f.id = b.food_id
+  AND b.source = 'user'
+  AND f.verification_status = 'verified';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_food_barcodes_official
+ON food_barcodes (gtin)
+WHERE source <> 'user';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_food_barcodes_user_claim
+ON food_barcodes (gtin, created_by)
+WHERE source = 'user';
+
+CREATE INDEX IF NOT EXISTS idx_food_barcodes_gtin
+ON food_barcodes (gtin);
+
+COMMENT ON COLUMN food_barcodes.source IS 'usda or admin: the official mapping (one per GTIN); user: one creator''s claim until their food is verified';
+
+-- Users can replace their own claim (e.g. after creating the food again)
+CREATE POLICY "Users can remove own barcode claims" ON food_barcodes
+FOR DELETE USING (source = 'user' AND created_by = auth.uid());
+
+-- Approving a food also makes its barcode official, unless USDA or an admin
+-- already mapped that GTIN
+CREATE OR REPLACE FUNCTION review_custom_food(p_food_id bigint, p_approve boolean, p_note text DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can review foods';
+  END IF;
+
+  UPDATE foods
+  SET verification_status = CASE WHEN p_approve THEN 'verified' ELSE 'rejected' END,
+      is_private = CASE WHEN p_approve THEN false ELSE is_private END,
+      reviewed_by = auth.uid(),
+      reviewed_at = now(),
+      review_note = NULLIF(trim(p_note), '')
+  WHERE id = p_food_id
+    AND verification_status = 'pending';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Food % is not pending review', p_food_id;
+  END IF;
+
+  IF p_approve THEN
+    UPDATE food_barcodes b
+    SET source = 'admin'
+    WHERE b.food_id = p_food_id
+      AND b.source = 'user'
+      AND NOT EXISTS (
+        SELECT 1 FROM food_barcodes official
+        WHERE official.gtin = b.gtin
+          AND official.source <> 'user'
+      );
+  END IF;
+END;
+$$;
@@ -0,0 +1,16 @@
+-- Let users delete their own unverified custom foods
+-- Date: January 5, 2026
+--
+-- createFoodFromLabel (src/services/customFoods.js) inserts the food and then
+-- its portions; if the portions insert fails it deletes the food so no
+-- portion-less food is left behind. Verified (public) foods stay admin-only.
+
+DROP POLICY IF EXISTS "Users can delete own unverified foods" ON foods;
+
+CREATE POLICY "Users can delete own unverified foods" ON foods
+FOR DELETE USING (
+  created_by = auth.uid()
+  AND data_source = 'USER_CUSTOM'
+  AND is_private
+  AND verification_status IN ('unsubmitted', 'pending')
+);
@@ -0,0 +1,97 @@
+-- Keep user_food_usage in step with edited and deleted log entries
+-- Date: January 6, 2026
+--
+-- trigger_record_user_food_usage (20260102000000_user_food_usage.sql) only
+-- counted inserts, so deleting an entry left it in the user's frequent list
+-- and editing its amount left the old amount as the quick-log prefill.
+--
+-- Inserts still bump the counter in place. Deletes and updates recount the
+-- affected (user, food, slot) from nutrition_logs: times_logged and the last
+-- amount come from what is actually logged, and the row is dropped when no
+-- entries remain.
+
+-- Not SECURITY DEFINER: only the trigger below (which is) can write usage rows
+CREATE OR REPLACE FUNCTION public.refresh_user_food_usage(p_user_id uuid, p_food_id bigint, p_meal_type text)
+RETURNS void
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_count integer;
+  v_latest record;
+BEGIN
+  IF p_user_id IS NULL OR p_food_id IS NULL
+     OR p_meal_type NOT IN ('breakfast', 'lunch', 'dinner', 'snack1', 'snack2') THEN
+    RETURN;
+  END IF;
+
+  SELECT count(*)::integer INTO v_count
+  FROM nutrition_logs
+  WHERE user_id = p_user_id AND food_id = p_food_id AND meal_type = p_meal_type;
+
+  IF v_count = 0 THEN
+    DELETE FROM user_food_usage
+    WHERE user_id = p_user_id AND food_id = p_food_id AND meal_type = p_meal_type;
+    RETURN;
+  END IF;
+
+  SELECT COALESCE(nl.created_at, nl.log_date::timestamptz) AS created_at, nl.quantity_consumed, nl.portion_id
+  INTO v_latest
+  FROM nutrition_logs nl
+  WHERE nl.user_id = p_user_id AND nl.food_id = p_food_id AND nl.meal_type = p_meal_type
+  ORDER BY nl.log_date DESC, nl.created_at DESC NULLS LAST
+  LIMIT 1;
+
+  INSERT INTO user_food_usage (user_id, food_id, meal_type, times_logged, last_logged_at, last_quantity_g, last_portion_id)
+  VALUES (p_user_id, p_food_id, p_meal_type, v_count, v_latest.created_at, v_latest.quantity_consumed, v_latest.portion_id)
+  ON CONFLICT (user_id, food_id, meal_type) DO UPDATE
+  SET times_logged = EXCLUDED.times_logged,
+      last_logged_at = EXCLUDED.last_logged_at,
+      last_quantity_g = EXCLUDED.last_quantity_g,
+      last_portion_id = EXCLUDED.last_portion_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.record_user_food_usage()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    PERFORM public.refresh_user_food_usage(OLD.user_id, OLD.food_id, OLD.meal_type);
+    RETURN OLD;
+  END IF;
+
+  IF TG_OP = 'UPDATE' THEN
+    PERFORM public.refresh_user_food_usage(OLD.user_id, OLD.food_id, OLD.meal_type);
+    IF (NEW.user_id, NEW.food_id, NEW.meal_type) IS DISTINCT FROM (OLD.user_id, OLD.food_id, OLD.meal_type) THEN
+      PERFORM public.refresh_user_food_usage(NEW.user_id, NEW.food_id, NEW.meal_type);
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  -- Water entries and rows without a user or food aren't foods the user picked
+  IF NEW.user_id IS NULL OR NEW.food_id IS NULL
+     OR NEW.meal_type NOT IN ('breakfast', 'lunch', 'dinner', 'snack1', 'snack2') THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO user_food_usage (user_id, food_id, meal_type, times_logged, last_logged_at, last_quantity_g, last_portion_id)
+  VALUES (NEW.user_id, NEW.food_id, NEW.meal_type, 1, COALESCE(NEW.created_at, now()), NEW.quantity_consumed, NEW.portion_id)
+  ON CONFLICT (user_id, food_id, meal_type) DO UPDATE
+  SET times_logged = user_food_usage.times_logged + 1,
+      last_logged_at = EXCLUDED.last_logged_at,
+      last_quantity_g = EXCLUDED.last_quantity_g,
+      last_portion_id = EXCLUDED.last_portion_id;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_record_user_food_usage ON nutrition_logs;
+
+CREATE TRIGGER trigger_record_user_food_usage
+AFTER INSERT OR DELETE OR UPDATE OF user_id, food_id, meal_type, quantity_consumed, portion_id ON nutrition_logs
+FOR EACH ROW EXECUTE FUNCTION public.record_user_food_usage();
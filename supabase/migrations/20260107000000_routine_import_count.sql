@@ -0,0 +1,55 @@
+-- Atomic, server-only import_count for shared routines
+-- Date: January 7, 2026
+--
+-- The shared-routine edge function used to read import_count and write back
+-- import_count + 1, so concurrent imports lost counts. It now calls
+-- increment_routine_import_count, which bumps the column in one UPDATE.
+--
+-- Owners update their routines through "Users can view own routines" (FOR
+-- ALL), which also let them set import_count to anything. A BEFORE UPDATE
+-- trigger keeps the stored value for updates made directly by signed-in
+-- users; the increment function runs as its owner and is not affected.
+
+CREATE OR REPLACE FUNCTION public.increment_routine_import_count(p_routine_id uuid)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  UPDATE workout_routines
+  SET import_count = import_count + 1
+  WHERE id = p_routine_id
+  RETURNING import_count INTO v_count;
+
+  IF v_count IS NULL THEN
+    RAISE EXCEPTION 'Routine % not found', p_routine_id;
+  END IF;
+
+  RETURN v_count;
+END;
+$$;
+
+-- Only the edge function (service role) counts imports
+REVOKE EXECUTE ON FUNCTION public.increment_routine_import_count(uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.increment_routine_import_count(uuid) TO service_role;
+
+CREATE OR REPLACE FUNCTION public.protect_routine_import_count()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated') THEN
+    NEW.import_count := OLD.import_count;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_protect_routine_import_count ON workout_routines;
+
+CREATE TRIGGER trigger_protect_routine_import_count
+BEFORE UPDATE OF import_count ON workout_routines
+FOR EACH ROW EXECUTE FUNCTION public.protect_routine_import_count();